@@ -12,8 +12,13 @@ require('dotenv').config();
 const telegramController = require('./src/controllers/telegramController');
 const healthController = require('./src/controllers/healthController');
 const statsController = require('./src/controllers/statsController');
+const adminController = require('./src/controllers/adminController');
+const jobQueueService = require('./src/services/jobQueueService');
+const cacheService = require('./src/services/cacheService');
+const pollingService = require('./src/services/pollingService');
 const errorHandler = require('./src/utils/errorHandler');
 const logger = require('./src/utils/logger');
+const { BOT_MODES } = require('./src/config/constants');
 
 // Import security middleware
 const authMiddleware = require('./src/middleware/authMiddleware');
@@ -65,11 +70,12 @@ app.use(cors({
       return callback(null, true);
     }
   },
-  methods: ['GET', 'POST', 'HEAD', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'],
   allowedHeaders: [
     'Content-Type', 
     'Authorization', 
     'X-API-Key',
+    'X-Admin-User',
     'X-Telegram-Bot-Api-Secret-Token',
     'X-Forwarded-For',
     'X-Real-IP'
@@ -155,8 +161,109 @@ app.get('/admin/stats',
   }
 );
 
+// Reload the template manifest without redeploying
+app.post('/admin/templates/reload',
+  ...authMiddleware.createApiSecurityMiddleware(),
+  rateLimitMiddleware.limitByIP.bind(rateLimitMiddleware),
+  (req, res) => {
+    const { reloadTemplates } = require('./src/config/templates');
+    
+    try {
+      const result = reloadTemplates();
+      
+      logger.logSystem('templates_reloaded', result);
+      
+      // Fetch images of new remote templates in the background
+      cacheService.preloadTemplates().catch(error => {
+        logger.warn('Template preload after reload failed:', error.message);
+      });
+      
+      res.json({
+        success: true,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      // The previous registry stays active when the manifest is invalid
+      logger.error('Template manifest reload failed:', error.message);
+      
+      res.status(400).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+// Admin API: user management (every call is written to admin_audit_log)
+// Look up a user: quota, ban, packs and recent jobs
+app.get('/admin/users/:userId',
+  ...authMiddleware.createApiSecurityMiddleware(),
+  rateLimitMiddleware.limitByIP.bind(rateLimitMiddleware),
+  errorHandler.asyncHandler(adminController.getUser.bind(adminController))
+);
+
+// Generation log and jobs of a user
+app.get('/admin/users/:userId/history',
+  ...authMiddleware.createApiSecurityMiddleware(),
+  rateLimitMiddleware.limitByIP.bind(rateLimitMiddleware),
+  errorHandler.asyncHandler(adminController.getUserHistory.bind(adminController))
+);
+
+// Start the user's quota windows over
+app.post('/admin/users/:userId/quota/reset',
+  ...authMiddleware.createApiSecurityMiddleware(),
+  rateLimitMiddleware.limitByIP.bind(rateLimitMiddleware),
+  errorHandler.asyncHandler(adminController.resetQuota.bind(adminController))
+);
+
+// Extend the quota with bonus credits
+app.post('/admin/users/:userId/quota/credits',
+  ...authMiddleware.createApiSecurityMiddleware(),
+  rateLimitMiddleware.limitByIP.bind(rateLimitMiddleware),
+  errorHandler.asyncHandler(adminController.grantCredits.bind(adminController))
+);
+
+// Per-user quota overrides
+app.patch('/admin/users/:userId/quota',
+  ...authMiddleware.createApiSecurityMiddleware(),
+  rateLimitMiddleware.limitByIP.bind(rateLimitMiddleware),
+  errorHandler.asyncHandler(adminController.updateQuota.bind(adminController))
+);
+
+// Ban a user
+app.post('/admin/users/:userId/ban',
+  ...authMiddleware.createApiSecurityMiddleware(),
+  rateLimitMiddleware.limitByIP.bind(rateLimitMiddleware),
+  errorHandler.asyncHandler(adminController.banUser.bind(adminController))
+);
+
+// Lift a ban
+app.delete('/admin/users/:userId/ban',
+  ...authMiddleware.createApiSecurityMiddleware(),
+  rateLimitMiddleware.limitByIP.bind(rateLimitMiddleware),
+  errorHandler.asyncHandler(adminController.unbanUser.bind(adminController))
+);
+
+// Queue a failed generation again
+app.post('/admin/jobs/:jobId/rerun',
+  ...authMiddleware.createApiSecurityMiddleware(),
+  rateLimitMiddleware.limitByIP.bind(rateLimitMiddleware),
+  errorHandler.asyncHandler(adminController.rerunJob.bind(adminController))
+);
+
+// Read the admin audit log
+app.get('/admin/audit-log',
+  ...authMiddleware.createApiSecurityMiddleware(),
+  rateLimitMiddleware.limitByIP.bind(rateLimitMiddleware),
+  errorHandler.asyncHandler(adminController.getAuditLog.bind(adminController))
+);
+
 // Configuration check endpoint
-app.get('/admin/config', 
+app.get('/admin/config',
+  ...authMiddleware.createApiSecurityMiddleware(),
   rateLimitMiddleware.limitByIP.bind(rateLimitMiddleware),
   (req, res) => {
     const piapiService = require('./src/services/piapiService');
@@ -167,7 +274,9 @@ app.get('/admin/config',
         telegram: {
           configured: telegramService.isConfigured(),
           botToken: process.env.TELEGRAM_BOT_TOKEN ? 'SET (' + process.env.TELEGRAM_BOT_TOKEN.substring(0, 10) + '...)' : 'NOT SET',
-          webhookUrl: process.env.TELEGRAM_WEBHOOK_URL || 'NOT SET'
+          webhookUrl: process.env.TELEGRAM_WEBHOOK_URL || 'NOT SET',
+          mode: process.env.BOT_MODE || BOT_MODES.WEBHOOK,
+          polling: pollingService.isRunning()
         },
         piapi: {
           configured: piapiService.isServiceConfigured(),
@@ -182,7 +291,8 @@ app.get('/admin/config',
 );
 
 // Test Piapi connection endpoint
-app.get('/admin/test-piapi', 
+app.get('/admin/test-piapi',
+  ...authMiddleware.createApiSecurityMiddleware(),
   rateLimitMiddleware.limitByIP.bind(rateLimitMiddleware),
   async (req, res) => {
     const piapiService = require('./src/services/piapiService');
@@ -236,7 +346,8 @@ app.get('/admin/test-piapi',
 );
 
 // Simple Piapi API key test (without making actual requests)
-app.get('/admin/piapi-info', 
+app.get('/admin/piapi-info',
+  ...authMiddleware.createApiSecurityMiddleware(),
   rateLimitMiddleware.limitByIP.bind(rateLimitMiddleware),
   (req, res) => {
     const apiKey = process.env.PIAPI_API_KEY;
@@ -254,6 +365,7 @@ app.get('/admin/piapi-info',
 
 // Test basic Piapi connectivity (just auth check)
 app.get('/admin/piapi-auth-test',
+  ...authMiddleware.createApiSecurityMiddleware(),
   rateLimitMiddleware.limitByIP.bind(rateLimitMiddleware),
   async (req, res) => {
     try {
@@ -341,9 +453,21 @@ app.use('*', (req, res) => {
 app.use(errorHandler.handle.bind(errorHandler));
 
 // Graceful shutdown handling
-const gracefulShutdown = () => {
+const gracefulShutdown = async () => {
   logger.info('Shutting down gracefully...');
   
+  // Force close after 10 seconds
+  setTimeout(() => {
+    logger.error('Force closing server');
+    process.exit(1);
+  }, 10000);
+  
+  // Stop picking up queued jobs - unfinished ones resume on next start
+  jobQueueService.stop();
+  
+  // Finish the update in progress; the rest are fetched again on next start
+  await pollingService.stop();
+  
   // Close rate limiter cleanup intervals
   rateLimitMiddleware.destroy();
   
@@ -352,12 +476,6 @@ const gracefulShutdown = () => {
     logger.info('Server closed');
     process.exit(0);
   });
-  
-  // Force close after 10 seconds
-  setTimeout(() => {
-    logger.error('Force closing server');
-    process.exit(1);
-  }, 10000);
 };
 
 process.on('SIGTERM', gracefulShutdown);
@@ -380,8 +498,22 @@ const server = app.listen(PORT, () => {
   logger.info(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   logger.info(`🔗 Health check: http://localhost:${PORT}/health`);
   
-  // Setup Telegram webhook after server starts
-  telegramController.setupWebhook();
+  // Receive updates: long polling for local development, the webhook otherwise
+  if (process.env.BOT_MODE === BOT_MODES.POLLING) {
+    pollingService.start(telegramController).catch(error => {
+      logger.error('Failed to start long polling:', error);
+    });
+  } else {
+    telegramController.setupWebhook();
+  }
+  
+  // Resume generation jobs interrupted by a restart or crash
+  jobQueueService.resumePendingJobs();
+
+  // Warm the template image cache (revalidated by ETag on every start)
+  cacheService.preloadTemplates().catch(error => {
+    logger.warn('Template preload failed:', error.message);
+  });
 });
 
 // Export app for testing
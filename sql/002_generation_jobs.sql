@@ -0,0 +1,41 @@
+-- Generation jobs queue for New People Stickers bot
+-- Execute this in Supabase SQL Editor after 001_initial_schema.sql
+
+-- Таблица очереди задач генерации стикер-паков
+CREATE TABLE generation_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id BIGINT NOT NULL,
+  chat_id BIGINT NOT NULL,
+  message_id BIGINT,
+  photo_file_id VARCHAR(255) NOT NULL,
+  first_name VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+  options JSONB NOT NULL DEFAULT '{}'::jsonb,
+  progress JSONB NOT NULL DEFAULT '{}'::jsonb,
+  result JSONB,
+  error_message TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+-- Индекс для выборки незавершённых задач при старте
+CREATE INDEX idx_generation_jobs_status ON generation_jobs(status, created_at);
+
+-- Индекс для поиска задач по пользователю
+CREATE INDEX idx_generation_jobs_user_id ON generation_jobs(user_id);
+
+-- Комментарии к таблице
+COMMENT ON TABLE generation_jobs IS 'Очередь задач генерации стикер-паков (переживает перезапуск сервера)';
+
+-- Комментарии к колонкам
+COMMENT ON COLUMN generation_jobs.user_id IS 'Telegram user ID';
+COMMENT ON COLUMN generation_jobs.chat_id IS 'Telegram chat ID для отправки результата';
+COMMENT ON COLUMN generation_jobs.photo_file_id IS 'Telegram file ID фотографии пользователя';
+COMMENT ON COLUMN generation_jobs.status IS 'Статус задачи: pending, processing, completed, failed';
+COMMENT ON COLUMN generation_jobs.options IS 'Параметры генерации, выбранные пользователем';
+COMMENT ON COLUMN generation_jobs.progress IS 'Прогресс по шаблонам: { templateId: { status, updatedAt } }';
+COMMENT ON COLUMN generation_jobs.result IS 'Итоговый результат генерации (имя пака, ссылка, количество стикеров)';
+COMMENT ON COLUMN generation_jobs.attempts IS 'Количество запусков задачи (включая возобновления после рестарта)';
@@ -0,0 +1,24 @@
+-- User sticker packs for New People Stickers bot
+-- Execute this in Supabase SQL Editor after 002_generation_jobs.sql
+
+-- Таблица стикер-паков, созданных ботом для пользователей
+CREATE TABLE user_packs (
+  id SERIAL PRIMARY KEY,
+  user_id BIGINT NOT NULL,
+  pack_name VARCHAR(64) UNIQUE NOT NULL,
+  title VARCHAR(64),
+  sticker_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Индекс для поиска паков пользователя
+CREATE INDEX idx_user_packs_user_id ON user_packs(user_id, updated_at DESC);
+
+-- Комментарии к таблице
+COMMENT ON TABLE user_packs IS 'Стикер-паки, созданные ботом (владелец пака и последнее известное количество стикеров)';
+
+-- Комментарии к колонкам
+COMMENT ON COLUMN user_packs.user_id IS 'Telegram user ID владельца пака';
+COMMENT ON COLUMN user_packs.pack_name IS 'Имя стикер-пака в Telegram (..._by_NewPeopleStickers_bot)';
+COMMENT ON COLUMN user_packs.sticker_count IS 'Количество стикеров в паке после последнего обновления';
@@ -0,0 +1,289 @@
+-- Generation quotas for New People Stickers bot
+-- Execute this in Supabase SQL Editor after 003_user_packs.sql
+
+-- Персональные настройки квот (переопределение политики, безлимит, бонусные кредиты)
+CREATE TABLE user_quotas (
+  user_id BIGINT PRIMARY KEY,
+  policy VARCHAR(50),
+  daily_limit INTEGER CHECK (daily_limit >= 0),
+  weekly_limit INTEGER CHECK (weekly_limit >= 0),
+  unlimited BOOLEAN NOT NULL DEFAULT FALSE,
+  bonus_credits INTEGER NOT NULL DEFAULT 0 CHECK (bonus_credits >= 0),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Использование квоты: одна запись на генерацию (резерв при старте, списание при успехе)
+CREATE TABLE quota_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id BIGINT NOT NULL,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('policy', 'credit', 'unlimited')),
+  status VARCHAR(20) NOT NULL DEFAULT 'reserved' CHECK (status IN ('reserved', 'consumed')),
+  job_id VARCHAR(64),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Индекс для подсчёта использования в скользящих окнах
+CREATE INDEX idx_quota_usage_user_created ON quota_usage(user_id, created_at);
+
+-- Промокоды с бонусными кредитами
+CREATE TABLE promo_codes (
+  code VARCHAR(32) PRIMARY KEY,
+  credits INTEGER NOT NULL CHECK (credits > 0),
+  max_redemptions INTEGER CHECK (max_redemptions > 0),
+  redemptions INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Активации промокодов (один раз на пользователя)
+CREATE TABLE promo_redemptions (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(32) NOT NULL REFERENCES promo_codes(code) ON DELETE CASCADE,
+  user_id BIGINT NOT NULL,
+  credits INTEGER NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (code, user_id)
+);
+
+-- Атомарный счётчик генераций (заменяет upsert с total_generations = 1)
+CREATE OR REPLACE FUNCTION record_generation(p_user_id BIGINT)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_total INTEGER;
+BEGIN
+  INSERT INTO user_limits (user_id, last_generation, total_generations)
+  VALUES (p_user_id, CURRENT_DATE, 1)
+  ON CONFLICT (user_id) DO UPDATE
+    SET last_generation = CURRENT_DATE,
+        total_generations = COALESCE(user_limits.total_generations, 0) + 1,
+        updated_at = CURRENT_TIMESTAMP
+  RETURNING total_generations INTO v_total;
+
+  RETURN v_total;
+END;
+$$;
+
+-- Начисление (или списание) бонусных кредитов
+CREATE OR REPLACE FUNCTION add_bonus_credits(p_user_id BIGINT, p_credits INTEGER)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_balance INTEGER;
+BEGIN
+  INSERT INTO user_quotas (user_id, bonus_credits)
+  VALUES (p_user_id, GREATEST(p_credits, 0))
+  ON CONFLICT (user_id) DO UPDATE
+    SET bonus_credits = GREATEST(user_quotas.bonus_credits + p_credits, 0),
+        updated_at = now()
+  RETURNING bonus_credits INTO v_balance;
+
+  RETURN v_balance;
+END;
+$$;
+
+-- Проверка окон и резервирование одной генерации.
+-- Блокировка по user_id сериализует параллельные запросы одного пользователя,
+-- поэтому проверка и запись не расходятся. p_dry_run = true только проверяет.
+CREATE OR REPLACE FUNCTION reserve_quota(
+  p_user_id BIGINT,
+  p_daily_limit INTEGER,
+  p_weekly_limit INTEGER,
+  p_unlimited BOOLEAN,
+  p_daily_window_seconds INTEGER,
+  p_weekly_window_seconds INTEGER,
+  p_job_id VARCHAR DEFAULT NULL,
+  p_dry_run BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_now TIMESTAMPTZ := now();
+  v_daily_start TIMESTAMPTZ := v_now - make_interval(secs => p_daily_window_seconds);
+  v_weekly_start TIMESTAMPTZ := v_now - make_interval(secs => p_weekly_window_seconds);
+  v_daily_used INTEGER;
+  v_weekly_used INTEGER;
+  v_reason TEXT := NULL;
+  v_retry_at TIMESTAMPTZ := NULL;
+  v_source TEXT := 'policy';
+  v_credits INTEGER;
+  v_usage_id UUID := NULL;
+BEGIN
+  PERFORM pg_advisory_xact_lock(p_user_id);
+
+  SELECT COUNT(*) FILTER (WHERE created_at > v_daily_start), COUNT(*)
+    INTO v_daily_used, v_weekly_used
+    FROM quota_usage
+   WHERE user_id = p_user_id AND source = 'policy' AND created_at > v_weekly_start;
+
+  SELECT COALESCE(bonus_credits, 0) INTO v_credits FROM user_quotas WHERE user_id = p_user_id;
+  v_credits := COALESCE(v_credits, 0);
+
+  IF p_unlimited THEN
+    v_source := 'unlimited';
+  ELSE
+    -- Слот освобождается, когда из окна выходит (used - limit + 1)-я старейшая запись
+    IF p_weekly_limit IS NOT NULL AND v_weekly_used >= p_weekly_limit THEN
+      v_reason := 'weekly_limit_exceeded';
+      SELECT created_at + make_interval(secs => p_weekly_window_seconds) INTO v_retry_at
+        FROM quota_usage
+       WHERE user_id = p_user_id AND source = 'policy' AND created_at > v_weekly_start
+       ORDER BY created_at
+      OFFSET v_weekly_used - p_weekly_limit LIMIT 1;
+    ELSIF p_daily_limit IS NOT NULL AND v_daily_used >= p_daily_limit THEN
+      v_reason := 'daily_limit_exceeded';
+      SELECT created_at + make_interval(secs => p_daily_window_seconds) INTO v_retry_at
+        FROM quota_usage
+       WHERE user_id = p_user_id AND source = 'policy' AND created_at > v_daily_start
+       ORDER BY created_at
+      OFFSET v_daily_used - p_daily_limit LIMIT 1;
+    END IF;
+
+    IF v_reason IS NOT NULL THEN
+      IF v_credits <= 0 THEN
+        RETURN jsonb_build_object(
+          'allowed', FALSE,
+          'reason', v_reason,
+          'source', NULL,
+          'usage_id', NULL,
+          'daily_used', v_daily_used,
+          'weekly_used', v_weekly_used,
+          'retry_at', v_retry_at,
+          'bonus_credits', v_credits
+        );
+      END IF;
+
+      v_source := 'credit';
+    END IF;
+  END IF;
+
+  IF NOT p_dry_run THEN
+    IF v_source = 'credit' THEN
+      UPDATE user_quotas
+         SET bonus_credits = bonus_credits - 1, updated_at = v_now
+       WHERE user_id = p_user_id
+      RETURNING bonus_credits INTO v_credits;
+    ELSIF v_source = 'policy' THEN
+      v_daily_used := v_daily_used + 1;
+      v_weekly_used := v_weekly_used + 1;
+    END IF;
+
+    INSERT INTO quota_usage (user_id, source, job_id)
+    VALUES (p_user_id, v_source, p_job_id)
+    RETURNING id INTO v_usage_id;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'allowed', TRUE,
+    'reason', v_reason,
+    'source', v_source,
+    'usage_id', v_usage_id,
+    'daily_used', v_daily_used,
+    'weekly_used', v_weekly_used,
+    'retry_at', v_retry_at,
+    'bonus_credits', v_credits
+  );
+END;
+$$;
+
+-- Списание резерва после успешной генерации
+CREATE OR REPLACE FUNCTION commit_quota(p_usage_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_user_id BIGINT;
+BEGIN
+  UPDATE quota_usage
+     SET status = 'consumed', updated_at = now()
+   WHERE id = p_usage_id AND status = 'reserved'
+  RETURNING user_id INTO v_user_id;
+
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+
+  PERFORM record_generation(v_user_id);
+  RETURN TRUE;
+END;
+$$;
+
+-- Отмена резерва (генерация не удалась); потраченный кредит возвращается
+CREATE OR REPLACE FUNCTION release_quota(p_usage_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_user_id BIGINT;
+  v_source TEXT;
+BEGIN
+  DELETE FROM quota_usage
+   WHERE id = p_usage_id AND status = 'reserved'
+  RETURNING user_id, source INTO v_user_id, v_source;
+
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+
+  IF v_source = 'credit' THEN
+    PERFORM add_bonus_credits(v_user_id, 1);
+  END IF;
+
+  RETURN TRUE;
+END;
+$$;
+
+-- Активация промокода: один раз на пользователя, с учётом срока и лимита активаций
+CREATE OR REPLACE FUNCTION redeem_promo_code(p_user_id BIGINT, p_code VARCHAR)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_promo promo_codes%ROWTYPE;
+  v_balance INTEGER;
+BEGIN
+  SELECT * INTO v_promo FROM promo_codes WHERE code = p_code FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('ok', FALSE, 'reason', 'not_found');
+  END IF;
+
+  IF v_promo.expires_at IS NOT NULL AND v_promo.expires_at <= now() THEN
+    RETURN jsonb_build_object('ok', FALSE, 'reason', 'expired');
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM promo_redemptions WHERE code = p_code AND user_id = p_user_id) THEN
+    RETURN jsonb_build_object('ok', FALSE, 'reason', 'already_redeemed');
+  END IF;
+
+  IF v_promo.max_redemptions IS NOT NULL AND v_promo.redemptions >= v_promo.max_redemptions THEN
+    RETURN jsonb_build_object('ok', FALSE, 'reason', 'exhausted');
+  END IF;
+
+  INSERT INTO promo_redemptions (code, user_id, credits) VALUES (p_code, p_user_id, v_promo.credits);
+  UPDATE promo_codes SET redemptions = redemptions + 1 WHERE code = p_code;
+  v_balance := add_bonus_credits(p_user_id, v_promo.credits);
+
+  RETURN jsonb_build_object('ok', TRUE, 'reason', NULL, 'credits', v_promo.credits, 'bonus_credits', v_balance);
+END;
+$$;
+
+-- Комментарии к таблицам
+COMMENT ON TABLE user_quotas IS 'Персональные настройки квот: политика, лимиты, безлимит, бонусные кредиты';
+COMMENT ON TABLE quota_usage IS 'Использование квоты для скользящих окон (24 часа, 7 дней)';
+COMMENT ON TABLE promo_codes IS 'Промокоды, начисляющие бонусные кредиты';
+COMMENT ON TABLE promo_redemptions IS 'Активации промокодов пользователями';
+
+-- Комментарии к колонкам
+COMMENT ON COLUMN user_quotas.policy IS 'Имя политики из CONFIG.QUOTA_POLICIES (NULL - политика по умолчанию)';
+COMMENT ON COLUMN user_quotas.daily_limit IS 'Персональный лимит за 24 часа (NULL - как в политике)';
+COMMENT ON COLUMN user_quotas.weekly_limit IS 'Персональный лимит за 7 дней (NULL - как в политике)';
+COMMENT ON COLUMN user_quotas.bonus_credits IS 'Дополнительные генерации сверх лимитов политики';
+COMMENT ON COLUMN quota_usage.source IS 'За счёт чего генерация: policy, credit, unlimited';
+COMMENT ON COLUMN quota_usage.status IS 'reserved - генерация идёт, consumed - пак создан';
+COMMENT ON COLUMN promo_codes.max_redemptions IS 'Максимум активаций (NULL - без ограничения)';
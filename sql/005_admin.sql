@@ -0,0 +1,35 @@
+-- Admin API tables for New People Stickers bot
+-- Execute this in Supabase SQL Editor after 004_quotas.sql
+
+-- Заблокированные пользователи (бот не отвечает на их сообщения и кнопки)
+CREATE TABLE user_bans (
+  user_id BIGINT PRIMARY KEY,
+  reason TEXT,
+  banned_by VARCHAR(100) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Журнал действий администраторов
+CREATE TABLE admin_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  actor VARCHAR(100) NOT NULL,
+  action VARCHAR(50) NOT NULL,
+  target_user_id BIGINT,
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ip VARCHAR(64),
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Индексы для просмотра журнала целиком и по пользователю
+CREATE INDEX idx_admin_audit_log_created ON admin_audit_log(created_at DESC);
+CREATE INDEX idx_admin_audit_log_target ON admin_audit_log(target_user_id, created_at DESC);
+
+-- Комментарии к таблицам
+COMMENT ON TABLE user_bans IS 'Пользователи, заблокированные через admin API';
+COMMENT ON TABLE admin_audit_log IS 'Журнал действий admin API (только добавление записей)';
+
+-- Комментарии к колонкам
+COMMENT ON COLUMN user_bans.banned_by IS 'Кто заблокировал (заголовок X-Admin-User или api_key)';
+COMMENT ON COLUMN admin_audit_log.actor IS 'Кто выполнил действие (заголовок X-Admin-User или api_key)';
+COMMENT ON COLUMN admin_audit_log.action IS 'Действие: user_lookup, user_history, quota_reset, credits_granted, quota_updated, user_banned, user_unbanned, job_rerun';
+COMMENT ON COLUMN admin_audit_log.details IS 'Параметры действия и результат';
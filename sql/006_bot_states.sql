@@ -0,0 +1,74 @@
+-- Conversation state for New People Stickers bot
+-- Execute this in Supabase SQL Editor after 005_admin.sql
+
+-- Состояние диалога по чатам. Отсутствующая или истёкшая запись означает 'idle'
+CREATE TABLE bot_states (
+  chat_id BIGINT PRIMARY KEY,
+  state VARCHAR(30) NOT NULL CHECK (state IN ('waiting_photo', 'choosing_templates', 'processing', 'error', 'completed')),
+  expires_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Индекс для очистки истёкших записей
+CREATE INDEX idx_bot_states_expires ON bot_states(expires_at) WHERE expires_at IS NOT NULL;
+
+-- Атомарный переход состояния (compare-and-set).
+-- Меняет состояние, только если текущее равно ожидаемому; истёкшая запись считается 'idle'.
+-- Существующая запись блокируется FOR UPDATE, вставка новой не перезаписывает параллельную.
+CREATE OR REPLACE FUNCTION transition_bot_state(
+  p_chat_id BIGINT,
+  p_expected VARCHAR,
+  p_next VARCHAR,
+  p_ttl_seconds INTEGER DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_current VARCHAR;
+  v_expires_at TIMESTAMPTZ := CASE
+    WHEN p_ttl_seconds IS NULL THEN NULL
+    ELSE now() + make_interval(secs => p_ttl_seconds)
+  END;
+BEGIN
+  SELECT CASE WHEN expires_at IS NOT NULL AND expires_at <= now() THEN 'idle' ELSE state END
+    INTO v_current
+    FROM bot_states
+   WHERE chat_id = p_chat_id
+     FOR UPDATE;
+
+  IF NOT FOUND THEN
+    IF p_expected <> 'idle' THEN
+      RETURN FALSE;
+    END IF;
+
+    IF p_next = 'idle' THEN
+      RETURN TRUE;
+    END IF;
+
+    INSERT INTO bot_states (chat_id, state, expires_at, updated_at)
+    VALUES (p_chat_id, p_next, v_expires_at, now())
+    ON CONFLICT (chat_id) DO NOTHING;
+
+    RETURN FOUND;
+  END IF;
+
+  IF v_current <> p_expected THEN
+    RETURN FALSE;
+  END IF;
+
+  IF p_next = 'idle' THEN
+    DELETE FROM bot_states WHERE chat_id = p_chat_id;
+  ELSE
+    UPDATE bot_states
+       SET state = p_next, expires_at = v_expires_at, updated_at = now()
+     WHERE chat_id = p_chat_id;
+  END IF;
+
+  RETURN TRUE;
+END;
+$$;
+
+-- Комментарии
+COMMENT ON TABLE bot_states IS 'Состояние диалога с ботом (переживает перезапуск)';
+COMMENT ON COLUMN bot_states.expires_at IS 'Когда состояние истекает и чат возвращается в idle (NULL - без срока)';
@@ -0,0 +1,35 @@
+-- Update deduplication for New People Stickers bot
+-- Execute this in Supabase SQL Editor after 006_bot_states.sql
+
+-- Обработанные ключи: 'update:<update_id>' для обновлений Telegram,
+-- 'photo:<chat_id>:<message_id>' для задач генерации по фото
+CREATE TABLE processed_updates (
+  key VARCHAR(100) PRIMARY KEY,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Индекс для очистки истёкших ключей
+CREATE INDEX idx_processed_updates_expires ON processed_updates(expires_at);
+
+-- Атомарный захват ключа. Возвращает TRUE, если ключ новый или его срок истёк,
+-- FALSE - если ключ уже обработан (повторная доставка)
+CREATE OR REPLACE FUNCTION claim_idempotency_key(p_key VARCHAR, p_ttl_seconds INTEGER)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  INSERT INTO processed_updates (key, expires_at, created_at)
+  VALUES (p_key, now() + make_interval(secs => p_ttl_seconds), now())
+  ON CONFLICT (key) DO UPDATE
+    SET expires_at = EXCLUDED.expires_at,
+        created_at = now()
+    WHERE processed_updates.expires_at <= now();
+
+  RETURN FOUND;
+END;
+$$;
+
+-- Комментарии
+COMMENT ON TABLE processed_updates IS 'Ключи идемпотентности: повторно доставленные обновления не обрабатываются';
+COMMENT ON COLUMN processed_updates.expires_at IS 'До какого времени ключ считается обработанным (Telegram повторяет доставку до 24 часов)';
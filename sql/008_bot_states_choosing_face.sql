@@ -0,0 +1,8 @@
+-- Face selection state for New People Stickers bot
+-- Execute this in Supabase SQL Editor after 007_processed_updates.sql
+
+-- Разрешить состояние 'choosing_face' (выбор лица на групповом фото).
+-- Без него переход в это состояние нарушает ограничение, и выбор лица не работает
+ALTER TABLE bot_states DROP CONSTRAINT IF EXISTS bot_states_state_check;
+ALTER TABLE bot_states ADD CONSTRAINT bot_states_state_check
+  CHECK (state IN ('waiting_photo', 'choosing_face', 'choosing_templates', 'processing', 'error', 'completed'));
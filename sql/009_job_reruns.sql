@@ -0,0 +1,8 @@
+-- Admin job reruns for New People Stickers bot
+-- Execute this in Supabase SQL Editor after 008_bot_states_choosing_face.sql
+
+-- Повторный запуск упавшей задачи из админ-API; задачу можно перезапустить только один раз.
+-- Без внешнего ключа: ID записывается до создания новой задачи
+ALTER TABLE generation_jobs ADD COLUMN rerun_job_id UUID;
+
+COMMENT ON COLUMN generation_jobs.rerun_job_id IS 'Задача, запущенная повторно вместо этой (NULL - повторного запуска не было)';
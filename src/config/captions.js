@@ -0,0 +1,183 @@
+/**
+ * Caption configuration for overlay templates
+ * Overlay templates draw text on the base image: meme-style top/bottom captions,
+ * the user's name or a phrase they typed after their photo
+ *
+ * Manifest "captions" entry fields:
+ *   text      - caption text; {name} is the user's first name, {phrase} the phrase they typed
+ *   fallback  - text used when the placeholders leave the caption empty (optional)
+ *   position  - top | center | bottom (default bottom)
+ *   style     - meme | outline | label | plain (default meme)
+ */
+
+const path = require('path');
+const validators = require('../utils/validators');
+const { CONFIG } = require('./constants');
+
+const FONTS_DIR = path.join(__dirname, '../../assets/fonts');
+
+// Bundled fonts with Cyrillic (SIL Open Font License, see assets/fonts)
+const CAPTION_FONTS = {
+  russo: { family: 'Russo One', file: path.join(FONTS_DIR, 'RussoOne-Regular.ttf') },
+  'pt-sans': { family: 'PT Sans Bold', file: path.join(FONTS_DIR, 'PTSans-Bold.ttf') }
+};
+
+// Stroke widths are sticker pixels at 512px and scale with the image
+const CAPTION_STYLES = {
+  meme: { font: 'russo', color: '#ffffff', strokeColor: '#000000', strokeWidth: 5, uppercase: true },
+  outline: { font: 'pt-sans', color: '#ffffff', strokeColor: '#000000', strokeWidth: 3, uppercase: false },
+  label: { font: 'pt-sans', color: '#1a1a1a', strokeColor: '#ffffff', strokeWidth: 7, uppercase: false },
+  plain: { font: 'pt-sans', color: '#1a1a1a', strokeColor: null, strokeWidth: 0, uppercase: false }
+};
+
+const CAPTION_POSITIONS = ['top', 'center', 'bottom'];
+
+const CAPTION_FIELDS = ['text', 'fallback', 'position', 'style'];
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+const PLACEHOLDERS = ['name', 'phrase'];
+
+/**
+ * Clean user or manifest text for drawing: control characters, markup and emoji
+ * (the fonts have no emoji glyphs) are dropped, whitespace is collapsed
+ * @param {string} text - Raw text
+ * @param {number} maxLength - Longest result
+ * @returns {string}
+ */
+const sanitizeCaptionText = (text, maxLength = CONFIG.CAPTION_MAX_LENGTH) => {
+  return validators.sanitizeText(text)
+    .replace(/[\p{Extended_Pictographic}\u200d\ufe0f]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, maxLength)
+    .trim();
+};
+
+/**
+ * Validate the captions of a manifest template
+ * @param {Array<Object>} captions - Manifest value
+ * @param {string} label - Template ID for error messages
+ */
+const validateCaptions = (captions, label) => {
+  if (!Array.isArray(captions) || captions.length === 0 || captions.length > CONFIG.CAPTION_MAX_COUNT) {
+    throw new Error(`Template ${label} captions must be a list of 1 to ${CONFIG.CAPTION_MAX_COUNT} captions`);
+  }
+
+  const positions = new Set();
+
+  for (const caption of captions) {
+    if (!caption || typeof caption !== 'object' || Array.isArray(caption)) {
+      throw new Error(`Template ${label} caption must be an object`);
+    }
+
+    const unknownFields = Object.keys(caption).filter(field => !CAPTION_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      throw new Error(`Template ${label} caption has unknown fields: ${unknownFields.join(', ')}`);
+    }
+
+    for (const field of ['text', 'fallback']) {
+      if (caption[field] === undefined) continue;
+
+      if (typeof caption[field] !== 'string' || !caption[field].trim() || caption[field].length > CONFIG.CAPTION_MAX_LENGTH) {
+        throw new Error(`Template ${label} caption ${field} must be text of up to ${CONFIG.CAPTION_MAX_LENGTH} characters`);
+      }
+
+      const unknownPlaceholders = [...caption[field].matchAll(PLACEHOLDER_PATTERN)]
+        .map(([, name]) => name)
+        .filter(name => !PLACEHOLDERS.includes(name));
+      if (unknownPlaceholders.length > 0) {
+        throw new Error(`Template ${label} caption uses unknown placeholders: ${unknownPlaceholders.join(', ')}`);
+      }
+    }
+
+    if (caption.text === undefined) {
+      throw new Error(`Template ${label} caption needs text`);
+    }
+
+    const position = caption.position || 'bottom';
+    if (!CAPTION_POSITIONS.includes(position)) {
+      throw new Error(`Invalid caption position for template ${label}: ${position}. Supported: ${CAPTION_POSITIONS.join(', ')}`);
+    }
+    if (positions.has(position)) {
+      throw new Error(`Template ${label} has two captions at the ${position}`);
+    }
+    positions.add(position);
+
+    if (caption.style !== undefined && !CAPTION_STYLES[caption.style]) {
+      throw new Error(`Invalid caption style for template ${label}: ${caption.style}. Supported: ${Object.keys(CAPTION_STYLES).join(', ')}`);
+    }
+  }
+};
+
+/**
+ * Captions with defaults filled in
+ * @param {Array<Object>|undefined} captions - Manifest value
+ * @returns {Array<Object>|null} - [{ text, fallback, position, style }] or null without captions
+ */
+const normalizeCaptions = (captions) => {
+  if (!captions) {
+    return null;
+  }
+
+  return captions.map(caption => ({
+    text: caption.text,
+    fallback: caption.fallback || null,
+    position: caption.position || 'bottom',
+    style: caption.style || 'meme'
+  }));
+};
+
+/**
+ * Check if a template has a caption with the user's phrase
+ * @param {Object} template - Template from the registry
+ * @returns {boolean}
+ */
+const usesPhrase = (template) => {
+  return (template.captions || []).some(caption => caption.text.includes('{phrase}'));
+};
+
+/**
+ * Fill in the placeholders of a template's captions
+ * A caption whose name or phrase is missing uses its fallback, or is dropped without one
+ * @param {Array<Object>} captions - Normalized captions
+ * @param {Object} context - { name, phrase } from the user
+ * @returns {Array<Object>} - [{ text, position, style }] with the style settings resolved
+ */
+const resolveCaptions = (captions, context = {}) => {
+  const values = {
+    name: sanitizeCaptionText(context.name || '', CONFIG.CAPTION_NAME_MAX_LENGTH),
+    phrase: sanitizeCaptionText(context.phrase || '')
+  };
+
+  // null when a placeholder has no value, so "Привет, {name}!" never becomes "Привет, !"
+  const fill = (text) => {
+    let missing = false;
+    const filled = text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+      missing = missing || !values[name];
+      return values[name] || '';
+    });
+    return missing ? null : sanitizeCaptionText(filled);
+  };
+
+  return (captions || []).map(caption => {
+    const style = CAPTION_STYLES[caption.style];
+    const text = fill(caption.text) ?? (caption.fallback ? fill(caption.fallback) : null);
+
+    return {
+      text: text && style.uppercase ? text.toLocaleUpperCase('ru') : text,
+      position: caption.position,
+      style
+    };
+  }).filter(caption => caption.text && /[\p{L}\p{N}]/u.test(caption.text));
+};
+
+module.exports = {
+  CAPTION_FONTS,
+  CAPTION_STYLES,
+  CAPTION_POSITIONS,
+  sanitizeCaptionText,
+  validateCaptions,
+  normalizeCaptions,
+  usesPhrase,
+  resolveCaptions
+};
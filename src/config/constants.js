@@ -3,6 +3,41 @@
  * Contains messages, configuration values, and other constants
  */
 
+// Escape user-provided text (pack titles) for HTML parse mode
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Time left until a quota slot frees up, e.g. "через 5 ч 12 мин"
+const formatRetryTime = (retryAt) => {
+  const minutes = retryAt ? Math.ceil((new Date(retryAt).getTime() - Date.now()) / 60000) : 0;
+
+  if (minutes <= 1) return 'через пару минут';
+
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  return `через ${[days && `${days} д`, hours && `${hours} ч`, `${minutes % 60} мин`].filter(Boolean).join(' ')}`;
+};
+
+// Rough time left for the progress message, e.g. "около 4 мин"
+const formatTimeLeft = (milliseconds) => {
+  const minutes = Math.ceil(milliseconds / 60000);
+  return minutes <= 1 ? 'меньше минуты' : `около ${minutes} мин`;
+};
+
+// What to fix for each reason the pre-flight face check rejects a photo
+const FACE_CHECK_HINTS = {
+  no_face: '🔍 На фото не найдено лицо. Нужен снимок, где лицо хорошо видно.',
+  multiple_faces: '👥 На фото несколько лиц. Нужно фото, где вы одни в кадре.',
+  face_too_small: '🔎 Лицо слишком маленькое. Сфотографируйтесь ближе, чтобы лицо занимало заметную часть кадра.',
+  too_dark: '🌑 Лицо слишком тёмное. Сделайте фото при хорошем освещении.',
+  too_bright: '☀️ Лицо засвечено. Уйдите от яркого света или вспышки.',
+  blurry: '🌫 Лицо размыто. Держите камеру ровно и сфокусируйтесь на лице.',
+  head_turned: '↩️ Голова сильно повёрнута или наклонена. Смотрите прямо в камеру.',
+  low_confidence: '🤔 Лицо видно нечётко. Уберите очки, головной убор и всё, что закрывает лицо.'
+};
+
 // Bot messages in Russian
 const MESSAGES = {
   // Welcome and help messages
@@ -16,7 +51,7 @@ const MESSAGES = {
 • Вы получите ссылку на готовый стикер-пак
 
 <b>Правила:</b>
-• 1 стикер-пак в день на пользователя
+• 1 стикер-пак в сутки на пользователя
 • Фото должно быть чётким и с хорошо видимым лицом
 • Обработка занимает 5-10 минут
 
@@ -27,20 +62,28 @@ const MESSAGES = {
 <b>Команды:</b>
 /start - Приветственное сообщение
 /help - Эта справка
+/addtopack - Добавить новые стикеры в ваш последний пак
+/newpack - Создать новый пак (по умолчанию)
+/mypacks - Ваши стикер-паки: переименование, удаление, обложка
+/renamepack - Переименовать пак
+/deletepack - Удалить пак
+/promo КОД - Активировать промокод на дополнительные паки
+/cancel - Отменить создание стикеров
 
 <b>Как создать стикер-пак:</b>
 1. Отправьте мне фотографию
-2. Дождитесь завершения обработки
-3. Получите ссылку на готовый стикер-пак
+2. Выберите шаблоны (или все сразу)
+3. Дождитесь завершения обработки
+4. Получите ссылку на готовый стикер-пак
 
 <b>Требования к фото:</b>
-• Формат: JPG, PNG
+• Формат: JPG, PNG, HEIC, WebP или AVIF — можно файлом, без сжатия
 • Лицо должно быть хорошо видно
 • Желательно фото анфас
 • Хорошее освещение
 
 <b>Ограничения:</b>
-• 1 стикер-пак в день
+• 1 стикер-пак за 24 часа (промокоды дают дополнительные паки)
 • Время обработки: 5-10 минут
 
 По вопросам: @support`,
@@ -62,10 +105,28 @@ const MESSAGES = {
 
 Скоро всё будет готово! 🚀`,
 
-  PROCESSING_PROGRESS: (completed, total) => 
+  PROCESSING_PROGRESS: (completed, total, { inFlight = [], timeLeft = null, done = completed >= total } = {}) => 
     `🎨 <b>Обрабатываю стикеры: ${completed}/${total}</b>
+${inFlight.length > 0 ? `\n⚙️ Сейчас: ${escapeHtml(inFlight.join(', '))}` : ''}
+${done ? '✅ Все стикеры готовы!' : `⏳ Осталось ${timeLeft !== null ? formatTimeLeft(timeLeft) : 'немного времени...'}`}`,
+
+  PROCESSING_STOPPED: '⏹ <b>Обработка остановлена</b>',
+
+  GENERATION_CANCELLING: 'Отменяю создание стикеров…',
+
+  GENERATION_CANCELLED: `🚫 <b>Создание стикеров отменено</b>
+
+Лимит не израсходован. Отправьте фото, когда захотите попробовать снова.`,
+
+  CANCEL_UNAVAILABLE: 'Эту генерацию уже нельзя отменить',
 
-${completed < total ? '⏳ Осталось немного времени...' : '✅ Все стикеры готовы!'}`,
+  NOTHING_TO_CANCEL: 'Сейчас нечего отменять. Отправьте фото, чтобы создать стикеры 📸',
+
+  SELECTION_CANCELLED: 'Выбор шаблонов отменён. Отправьте фото, когда захотите попробовать снова.',
+
+  GENERATION_TIMED_OUT: (minutes) => `⌛ <b>Стикеры не успели создаться</b>
+
+Обработка заняла больше ${minutes} минут и была остановлена. Лимит не израсходован — попробуйте ещё раз чуть позже.`,
 
   CREATING_PACK: `📦 <b>Создаю стикер-пак...</b>
 
@@ -89,16 +150,162 @@ ${completed < total ? '⏳ Осталось немного времени...' :
 
 Спасибо за использование Стикеров Новых Людей! 🎭`,
 
+  STICKERS_ADDED: (addedCount, totalCount, skippedCount) => 
+    `🎉 <b>Стикеры добавлены в ваш пак!</b>
+
+Добавлено новых стикеров: ${addedCount}
+Всего в паке: ${totalCount}/${CONFIG.MAX_STICKERS_PER_PACK}
+${skippedCount > 0 ? `\n⚠️ ${skippedCount} стикеров не поместились — пак заполнен. Отправьте /newpack перед следующим фото, чтобы создать новый пак.\n` : ''}
+Нажмите "Открыть стикер-пак", чтобы увидеть обновления. 🎭`,
+
+  ADD_TO_PACK_HINT: `💡 <i>В следующий раз можно не создавать новый пак: отправьте /addtopack перед фото, и я добавлю стикеры в этот.</i>`,
+
+  // Pack mode messages
+  ADD_TO_PACK_SELECTED: (stickerCount, freeSlots) => 
+    `📦 <b>Режим: добавить в существующий пак</b>
+
+В вашем последнем паке ${stickerCount} стикеров, свободно мест: ${freeSlots}.
+
+Отправьте фотографию — новые стикеры будут добавлены в этот пак.
+Передумали? Отправьте /newpack.`,
+
+  NEW_PACK_SELECTED: `🆕 <b>Режим: новый пак</b>
+
+Следующая фотография создаст новый стикер-пак.`,
+
+  NO_EXISTING_PACK: `📭 <b>У вас пока нет стикер-паков</b>
+
+Отправьте фотографию, и я создам ваш первый стикер-пак!`,
+
+  PACK_FULL: `📦 <b>Стикер-пак заполнен</b>
+
+В вашем паке уже 120 стикеров — это максимум, который разрешает Telegram.
+
+Отправьте /newpack, а затем фотографию, чтобы создать новый пак.`,
+
+  // Pack management messages
+  MY_PACKS: (count) => 
+    `📦 <b>Ваши стикер-паки: ${count}</b>
+
+Выберите пак, чтобы переименовать его, удалить стикеры или весь пак.`,
+
+  CHOOSE_PACK_TO_RENAME: `✏️ <b>Какой пак переименовать?</b>`,
+
+  CHOOSE_PACK_TO_DELETE: `🗑 <b>Какой пак удалить?</b>`,
+
+  PACK_DETAILS: (title, stickerCount, packUrl) => 
+    `📦 <b>${escapeHtml(title)}</b>
+
+Стикеров: ${stickerCount}/${CONFIG.MAX_STICKERS_PER_PACK}
+Ссылка: ${packUrl}`,
+
+  PACK_DELETE_CONFIRM: (title) => 
+    `⚠️ <b>Удалить пак «${escapeHtml(title)}»?</b>
+
+Пак исчезнет у всех, кто его добавил. Это действие нельзя отменить.`,
+
+  PACK_DELETED: (title) => `🗑 Пак «${escapeHtml(title)}» удалён.`,
+
+  STICKER_DELETE_CONFIRM: (title) => 
+    `⚠️ <b>Удалить последний стикер из пака «${escapeHtml(title)}»?</b>
+
+Это действие нельзя отменить.`,
+
+  STICKER_DELETED: 'Стикер удалён',
+
+  PACK_COVER_UPDATED: 'Последний стикер теперь первый и стал обложкой пака',
+
+  PACK_RENAME_PROMPT: (title) => 
+    `✏️ <b>Новое название для пака «${escapeHtml(title)}»</b>
+
+Отправьте название следующим сообщением (до 64 символов).`,
+
+  PACK_RENAMED: (title) => `✅ Пак переименован: «${escapeHtml(title)}»`,
+
+  PACK_TITLE_INVALID: `❌ <b>Неподходящее название</b>
+
+Название должно содержать от 1 до 64 символов. Отправьте другое название.`,
+
+  PACK_NOT_AVAILABLE: 'Этот пак недоступен',
+
+  PACK_GONE: `📭 Этот пак больше не существует в Telegram — я убрал его из списка.`,
+
+  PACK_ACTION_FAILED: 'Не удалось выполнить действие, попробуйте позже',
+
+  // Template picker messages
+  TEMPLATE_PICKER: (selectedCount, totalCount, askPhrase = false) => 
+    `🎭 <b>Выберите шаблоны для стикеров</b>
+
+Выбрано: ${selectedCount} из ${totalCount}
+
+Нажимайте на шаблоны, чтобы включить или выключить их, затем нажмите "Создать стикеры".
+Или просто выберите "Все шаблоны".${askPhrase ? `
+
+✍️ Хотите свою подпись на стикерах с текстом? Отправьте фразу сообщением до нажатия "Создать стикеры".` : ''}`,
+
+  CAPTION_PHRASE_SAVED: (phrase) => `✍️ Подпись для стикеров: «${escapeHtml(phrase)}»
+
+Можно отправить другую фразу или выбрать шаблоны.`,
+
+  CAPTION_PHRASE_INVALID: (maxLength) => `❌ <b>Неподходящая подпись</b>
+
+Фраза должна содержать буквы или цифры и быть не длиннее ${maxLength} символов. Эмодзи на стикер не попадают.`,
+
+  // Face picker messages (group photos)
+  FACE_PICKER: (faceCount) =>
+    `👥 <b>На фото несколько лиц: ${faceCount}</b>
+
+Выберите номер лица, которое будет на всех стикерах.`,
+
+  FACE_CHOSEN: (faceNumber) => `Выбрано лицо №${faceNumber}`,
+
+  TEMPLATE_PICKER_EXPIRED: 'Этот выбор устарел — отправьте фотографию ещё раз',
+
+  TEMPLATE_NONE_SELECTED: 'Выберите хотя бы один шаблон',
+
+  CALLBACK_INVALID: 'Кнопка больше не действует',
+
   // Error messages
-  DAILY_LIMIT_EXCEEDED: `⏰ <b>Дневной лимит исчерпан</b>
+  DAILY_LIMIT_EXCEEDED: (limit, retryAt) => 
+    `⏰ <b>Лимит на сутки исчерпан</b>
+
+За последние 24 часа вы уже создали максимум стикер-паков (${limit}).
+
+Следующий пак можно будет создать ${formatRetryTime(retryAt)}.
+
+💡 Есть промокод? Отправьте /promo КОД`,
+
+  WEEKLY_LIMIT_EXCEEDED: (limit, retryAt) => 
+    `⏰ <b>Лимит на неделю исчерпан</b>
 
-Вы уже создали стикер-пак сегодня. Попробуйте завтра!
+За последние 7 дней вы уже создали максимум стикер-паков (${limit}).
 
-<b>Лимиты:</b>
-• 1 стикер-пак в день на пользователя
-• Обновление в 00:00 UTC
+Следующий пак можно будет создать ${formatRetryTime(retryAt)}.
 
-Увидимся завтра! 👋`,
+💡 Есть промокод? Отправьте /promo КОД`,
+
+  // Promo code messages
+  PROMO_USAGE: `🎟 <b>Промокод</b>
+
+Отправьте команду вместе с кодом, например: /promo NEWPEOPLE`,
+
+  PROMO_REDEEMED: (credits, balance) => 
+    `🎉 <b>Промокод активирован!</b>
+
+Начислено дополнительных паков: ${credits}
+Всего бонусных паков: ${balance}
+
+Они используются, когда обычный лимит исчерпан.`,
+
+  PROMO_NOT_FOUND: '❌ Такого промокода нет. Проверьте, правильно ли он введён.',
+
+  PROMO_EXPIRED: '⌛ Срок действия этого промокода закончился.',
+
+  PROMO_EXHAUSTED: '😔 Этот промокод уже активировали максимальное количество раз.',
+
+  PROMO_ALREADY_REDEEMED: 'ℹ️ Вы уже активировали этот промокод.',
+
+  USER_BANNED: '🚫 Доступ к боту ограничен администратором.',
 
   PROCESSING_ERROR: `❌ <b>Ошибка при обработке</b>
 
@@ -117,7 +324,7 @@ ${completed < total ? '⏳ Осталось немного времени...' :
 
 <b>Требования:</b>
 • Лицо должно быть хорошо видно
-• Формат: JPG или PNG
+• Формат: JPG, PNG, HEIC, WebP или AVIF
 • Хорошее освещение
 • Фото анфас предпочтительно
 
@@ -127,7 +334,7 @@ ${completed < total ? '⏳ Осталось немного времени...' :
 
 Для создания стикер-пака мне нужна ваша фотография.
 
-Отправьте фото (не файлом), и я создам персональный стикер-пак! 
+Отправьте фото (можно файлом — так сохранится полное качество), и я создам персональный стикер-пак! 
 
 <i>Примечание: текстовые сообщения я не обрабатываю</i>`,
 
@@ -136,12 +343,28 @@ ${completed < total ? '⏳ Осталось немного времени...' :
 Я умею обрабатывать только фотографии для создания стикер-паков.
 
 <b>Отправьте:</b>
-• Фотографию (не файлом)
+• Фотографию или изображение файлом (JPG, PNG, HEIC, WebP, AVIF)
 • /start - для начала работы
 • /help - для получения справки
 
 Других типов сообщений я пока не понимаю! 🤖`,
 
+  UNSUPPORTED_DOCUMENT: `📎 <b>Этот файл не подходит</b>
+
+Я принимаю только изображения: JPG, PNG, HEIC, WebP или AVIF.
+
+Отправьте фото обычным сообщением или файлом одного из этих форматов.`,
+
+  DOCUMENT_TOO_LARGE: `📎 <b>Файл слишком большой</b>
+
+Максимальный размер — 10 МБ. Отправьте фото обычным сообщением, Telegram сожмёт его сам.`,
+
+  GENERATION_RESUMED: `🔄 <b>Продолжаю создание стикер-пака</b>
+
+Сервер был перезапущен во время обработки вашей фотографии. Я автоматически запускаю её заново — ничего присылать не нужно.
+
+Скоро всё будет готово! ⏳`,
+
   PROCESSING_IN_PROGRESS: `⏳ <b>Обработка уже идёт</b>
 
 Я уже создаю стикер-пак с вашей предыдущей фотографией.
@@ -150,6 +373,12 @@ ${completed < total ? '⏳ Осталось немного времени...' :
 
 Терпение! Скоро всё будет готово! ⏱️`,
 
+  PHOTO_ALREADY_USED: `📸 <b>Это фото уже в работе</b>
+
+Стикер-пак по этой фотографии уже создаётся или готов.
+
+Чтобы сделать ещё один, отправьте фото заново.`,
+
   // System messages
   BOT_STARTED: `🤖 <b>Бот запущен!</b>
 
@@ -190,6 +419,13 @@ New People Stickers Bot готов к работе.
 
 Отправьте новое фото, и я создам ваш стикер-пак! 🎭`,
 
+  FACE_CHECK_FAILED: (reason) =>
+    `📸 <b>Фото не подходит для стикеров</b>
+
+${FACE_CHECK_HINTS[reason] || FACE_CHECK_HINTS.no_face}
+
+Лимит не потрачен — отправьте другое фото, и я создам ваш стикер-пак! 🎭`,
+
   FACE_NOT_DETECTED_RETRY: `❌ <b>Лицо не распознано</b>
 
 Попробуйте другое фото с четко видимым лицом при хорошем освещении.
@@ -227,16 +463,32 @@ const CONFIG = {
   // Timeouts
   WEBHOOK_TIMEOUT: 30000,
   API_TIMEOUT: 30000,
-  PROCESSING_TIMEOUT: 600000, // 10 minutes
+  PROCESSING_TIMEOUT: 600000, // 10 minutes, deadline of a whole generation (cancelled after it)
 
   // Image requirements
   MAX_IMAGE_SIZE: 10 * 1024 * 1024, // 10MB
-  SUPPORTED_FORMATS: ['image/jpeg', 'image/png'],
+  SUPPORTED_FORMATS: ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif', 'image/avif'],
+  MAX_INPUT_DIMENSION: 4096, // larger originals are scaled down after decoding
+  NORMALIZED_JPEG_QUALITY: 95,
   
   // Sticker requirements (Telegram)
   STICKER_MAX_SIZE: 512,
   STICKER_FORMAT: 'webp',
-  MAX_STICKER_FILE_SIZE: 500 * 1024, // 500KB
+  MAX_STICKER_FILE_SIZE: 512 * 1024, // 512KB
+  STICKER_DEFAULT_SAFE_AREA: 0, // empty margin around the image on the 512px canvas, templates may set their own
+  STICKER_MAX_SAFE_AREA: 128,
+  MAX_STICKERS_PER_PACK: 120, // Telegram limit per sticker set
+  STICKER_FORMATS: ['static', 'video'],
+  MAX_EMOJIS_PER_STICKER: 20,
+  MAX_KEYWORDS_PER_STICKER: 20,
+  MAX_KEYWORDS_LENGTH: 64, // total characters of all keywords of a sticker
+  DEFAULT_LANGUAGE: 'ru', // keywords language when the user's one has none
+
+  // Video sticker requirements (Telegram: WebM VP9, no audio)
+  VIDEO_STICKER_MAX_DURATION: 3, // seconds
+  VIDEO_STICKER_MAX_FPS: 30,
+  MAX_VIDEO_STICKER_FILE_SIZE: 256 * 1024, // 256KB
+  VIDEO_ENCODE_TIMEOUT: 60000,
 
   // Retry settings
   MAX_RETRIES: 3,
@@ -244,7 +496,90 @@ const CONFIG = {
 
   // Polling intervals
   STATUS_CHECK_INTERVAL: 3000,
-  PROGRESS_UPDATE_INTERVAL: 30000
+  PROGRESS_UPDATE_INTERVAL: 5000, // min time between progress message edits (Telegram rate-limits edits)
+
+  // Live generation progress
+  PROGRESS_DEFAULT_FACE_SWAP_DURATION: 45000, // time-left estimate for a face-swap template without history
+  PROGRESS_DEFAULT_QUICK_DURATION: 2000, // ready, overlay and video templates
+  PROGRESS_DURATION_SMOOTHING: 0.3, // weight of the newest duration in a template's average
+  PROGRESS_PREVIEW_ALBUM_SIZE: 4, // finished stickers per preview album (Telegram allows 2-10)
+  PROGRESS_PREVIEW_SIZE: 320, // longest side of a preview photo
+
+  // Pre-flight face check (CPU detector, thresholds are in VALIDATION)
+  FACE_DETECTION_INPUT_SIZE: 512, // photo is scaled to this longest side for detection
+  FACE_DETECTION_MIN_SCORE: 0.5, // weaker detections are not counted as faces
+  FACE_ANALYSIS_SIZE: 64, // face crop side for the blur and brightness scores
+
+  // Face picker for group photos
+  FACE_PICKER_MAX_FACES: 8, // numbered boxes and buttons, largest faces win
+  FACE_PICKER_COLUMNS: 4,
+  FACE_PREVIEW_SIZE: 1024, // longest side of the numbered preview
+  FACE_CROP_MARGIN: 0.6, // chosen face box grows by this share of its size on each side (hair, chin, neck)
+
+  // Cutout stickers (templates with "cutout" in the manifest)
+  BACKGROUND_REMOVAL_TIMEOUT: 120000, // one background-removal task
+  CUTOUT_DEFAULT_OUTLINE: 8, // white stroke width in sticker pixels, 0 = none
+  CUTOUT_DEFAULT_SHADOW: true,
+  CUTOUT_MAX_OUTLINE: 32,
+  CUTOUT_ALPHA_THRESHOLD: 16, // less opaque pixels count as background when trimming
+  CUTOUT_SHADOW_OFFSET: 6, // px down and right
+  CUTOUT_SHADOW_BLUR: 5, // blur sigma
+  CUTOUT_SHADOW_OPACITY: 0.35,
+  CUTOUT_FLOOD_TOLERANCE: 40, // local remover: max RGB distance from the border color
+
+  // Captions of overlay templates (sizes are sticker pixels at 512px and scale with the image)
+  CAPTION_MAX_COUNT: 3,
+  CAPTION_MAX_LENGTH: 60, // characters of a phrase or caption after placeholders are filled in
+  CAPTION_NAME_MAX_LENGTH: 24,
+  CAPTION_MAX_FONT_SIZE: 56, // short captions stop growing here, long ones shrink to fit
+  CAPTION_MAX_HEIGHT: 0.28, // share of the image height one caption may take
+  CAPTION_MARGIN: 14,
+
+  // Template picker
+  TEMPLATE_PICKER_TIMEOUT: 30 * 60 * 1000, // 30 minutes to choose templates
+  TEMPLATE_PICKER_COLUMNS: 2,
+
+  // Conversation state: COMPLETED and ERROR fall back to IDLE after this
+  STATE_RESULT_TTL: 5 * 60 * 1000, // 5 minutes
+
+  // Update deduplication: Telegram redelivers an update for up to 24 hours
+  UPDATE_DEDUP_TTL: 24 * 60 * 60 * 1000,
+  UPDATE_DEDUP_MAX_ENTRIES: 50000, // in-memory store keeps at most this many keys
+  UPDATE_DEDUP_PURGE_INTERVAL: 60 * 60 * 1000, // expired keys are purged from the database hourly
+
+  // Telegram Bot API (TELEGRAM_API_URL overrides it, e.g. a local Bot API server or a test stand-in)
+  TELEGRAM_API_URL: 'https://api.telegram.org',
+
+  // Long polling (BOT_MODE=polling)
+  POLLING_TIMEOUT: 30, // seconds Telegram holds getUpdates open
+  POLLING_ALLOWED_UPDATES: ['message', 'callback_query'],
+  POLLING_RETRY_DELAY: 1000, // first retry after a failed getUpdates, doubles up to the max
+  POLLING_MAX_RETRY_DELAY: 30000,
+  POLLING_OFFSET_FILE: 'polling-offset.json', // under the cache directory unless POLLING_OFFSET_FILE is set
+
+  // Pack management
+  MAX_PACK_TITLE_LENGTH: 64, // Telegram limit for sticker set titles
+  PACK_RENAME_TIMEOUT: 10 * 60 * 1000, // 10 minutes to send the new title
+
+  // Generation quotas: limits per rolling window, null = no cap
+  // QUOTA_POLICY picks the default policy, QUOTA_POLICIES (JSON) adds or overrides policies
+  QUOTA_POLICIES: {
+    standard: { daily: 1, weekly: null },
+    plus: { daily: 3, weekly: 10 },
+    unlimited: { daily: null, weekly: null }
+  },
+  DEFAULT_QUOTA_POLICY: 'standard',
+  QUOTA_WINDOWS: {
+    daily: 24 * 60 * 60 * 1000, // rolling 24 hours
+    weekly: 7 * 24 * 60 * 60 * 1000 // rolling 7 days
+  },
+  PROMO_CODE_PATTERN: /^[A-Z0-9_-]{3,32}$/,
+
+  // Admin API
+  BAN_CACHE_TTL: 60 * 1000, // ban lookups are reused for a minute per user
+  ADMIN_HISTORY_LIMIT: 50, // default page size for history and audit log
+  ADMIN_HISTORY_MAX_LIMIT: 500,
+  MAX_BAN_REASON_LENGTH: 500
 };
 
 // Meme templates with emojis
@@ -316,11 +651,50 @@ const ERROR_TYPES = {
 const BOT_STATES = {
   IDLE: 'idle',
   WAITING_PHOTO: 'waiting_photo',
+  CHOOSING_FACE: 'choosing_face',
+  CHOOSING_TEMPLATES: 'choosing_templates',
   PROCESSING: 'processing',
   ERROR: 'error',
   COMPLETED: 'completed'
 };
 
+// Allowed conversation state transitions (state -> next states).
+// Staying in the same state is always allowed and refreshes its TTL.
+const BOT_STATE_TRANSITIONS = {
+  [BOT_STATES.IDLE]: [BOT_STATES.WAITING_PHOTO, BOT_STATES.CHOOSING_FACE, BOT_STATES.CHOOSING_TEMPLATES, BOT_STATES.PROCESSING, BOT_STATES.ERROR],
+  [BOT_STATES.WAITING_PHOTO]: [BOT_STATES.IDLE, BOT_STATES.CHOOSING_FACE, BOT_STATES.CHOOSING_TEMPLATES, BOT_STATES.PROCESSING, BOT_STATES.ERROR],
+  [BOT_STATES.CHOOSING_FACE]: [BOT_STATES.IDLE, BOT_STATES.CHOOSING_TEMPLATES, BOT_STATES.ERROR],
+  [BOT_STATES.CHOOSING_TEMPLATES]: [BOT_STATES.IDLE, BOT_STATES.CHOOSING_FACE, BOT_STATES.PROCESSING, BOT_STATES.ERROR],
+  [BOT_STATES.PROCESSING]: [BOT_STATES.IDLE, BOT_STATES.COMPLETED, BOT_STATES.ERROR],
+  [BOT_STATES.COMPLETED]: [BOT_STATES.IDLE, BOT_STATES.WAITING_PHOTO, BOT_STATES.CHOOSING_FACE, BOT_STATES.CHOOSING_TEMPLATES, BOT_STATES.PROCESSING, BOT_STATES.ERROR],
+  [BOT_STATES.ERROR]: [BOT_STATES.IDLE, BOT_STATES.WAITING_PHOTO, BOT_STATES.CHOOSING_FACE, BOT_STATES.CHOOSING_TEMPLATES, BOT_STATES.PROCESSING]
+};
+
+// How long a conversation state lives before it falls back to IDLE (ms, null = no expiry)
+const BOT_STATE_TTLS = {
+  [BOT_STATES.IDLE]: null,
+  [BOT_STATES.WAITING_PHOTO]: CONFIG.TEMPLATE_PICKER_TIMEOUT,
+  [BOT_STATES.CHOOSING_FACE]: CONFIG.TEMPLATE_PICKER_TIMEOUT,
+  [BOT_STATES.CHOOSING_TEMPLATES]: CONFIG.TEMPLATE_PICKER_TIMEOUT,
+  [BOT_STATES.PROCESSING]: CONFIG.MAX_PROCESSING_TIME, // Queued jobs keep the chat busy past it (jobQueueService.findUnfinishedJob)
+  [BOT_STATES.COMPLETED]: CONFIG.STATE_RESULT_TTL,
+  [BOT_STATES.ERROR]: CONFIG.STATE_RESULT_TTL
+};
+
+// How the bot receives updates (BOT_MODE)
+const BOT_MODES = {
+  WEBHOOK: 'webhook',
+  POLLING: 'polling'
+};
+
+// Generation job statuses (generation_jobs.status)
+const JOB_STATUSES = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
 // Logging levels and categories
 const LOG_CATEGORIES = {
   WEBHOOK: 'webhook',
@@ -375,8 +749,19 @@ const VALIDATION = {
   MAX_CALLBACK_DATA_LENGTH: 64,
   
   // File validation
-  ALLOWED_MIME_TYPES: ['image/jpeg', 'image/png'],
-  MIN_FACE_CONFIDENCE: 0.8
+  ALLOWED_MIME_TYPES: ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif', 'image/avif'],
+  ALLOWED_IMAGE_EXTENSIONS: ['.jpg', '.jpeg', '.png', '.webp', '.heic', '.heif', '.avif'], // documents without a MIME type
+  MIN_FACE_CONFIDENCE: 0.8,
+
+  // Pre-flight face check
+  MAX_FACES: 1,
+  MIN_FACE_SIZE_RATIO: 0.1, // longest face box side relative to the frame
+  MIN_FACE_BRIGHTNESS: 40, // mean luma of the face, 0-255
+  MAX_FACE_BRIGHTNESS: 220,
+  MIN_FACE_SHARPNESS: 100, // Laplacian variance of the face crop
+  MAX_HEAD_YAW: 45, // degrees
+  MAX_HEAD_PITCH: 35,
+  MAX_HEAD_ROLL: 25
 };
 
 // Performance monitoring
@@ -392,7 +777,19 @@ const PERFORMANCE = {
   
   // Processing thresholds
   MAX_CONCURRENT_JOBS: 3,
-  JOB_TIMEOUT: 600000 // 10 minutes
+  MAX_JOB_ATTEMPTS: 3, // Give up on a job that keeps getting interrupted
+  JOB_TIMEOUT: 600000, // 10 minutes
+
+  // Telegram/Piapi/database probes behind /metrics are reused for this long (ms)
+  DEPENDENCY_PROBE_TTL: 60000
+};
+
+// Cache settings (filesystem, LRU eviction by total size)
+const CACHE = {
+  DIRECTORY_NAME: 'newpeople-stickers-cache', // under CACHE_DIR or the OS temp dir
+  TEMPLATE_MAX_SIZE: 100 * 1024 * 1024, // Level 1: template images
+  RESULT_MAX_SIZE: 500 * 1024 * 1024,   // Level 2: face-swap results
+  PRELOAD_CONCURRENCY: 3
 };
 
 // Error recovery settings
@@ -409,11 +806,16 @@ module.exports = {
   MEME_TEMPLATES,
   ERROR_TYPES,
   BOT_STATES,
+  BOT_STATE_TRANSITIONS,
+  BOT_STATE_TTLS,
+  BOT_MODES,
+  JOB_STATUSES,
   LOG_CATEGORIES,
   REQUIRED_ENV_VARS,
   RATE_LIMITS,
   CIRCUIT_BREAKER,
   VALIDATION,
   PERFORMANCE,
+  CACHE,
   ERROR_RECOVERY
 };
\ No newline at end of file
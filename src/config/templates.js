@@ -1,126 +1,348 @@
 /**
  * Meme templates configuration
- * Contains all meme templates used for sticker generation
+ * Templates are declared in a JSON manifest next to the assets (assets/memes/templates.json)
+ * and can be reloaded at runtime without a redeploy
+ *
+ * Manifest entry fields:
+ *   id, name, description  - identity and display text
+ *   type                   - face_swap | ready_sticker | overlay (base image with captions)
+ *   emojis                 - sticker emojis, up to 20 (first one is the primary)
+ *   keywords               - search keywords: a list, or lists by language ({ ru: [...], en: [...] })
+ *   asset / imageUrl       - local file relative to the manifest and/or remote URL
+ *   faceHints              - optional { x, y, size } face placement (fractions of the template)
+ *   enabled, order         - registry visibility and sort position
+ *   format                 - 'static' (default, WebP) or 'video' for animated GIF/APNG/WebM
+ *                            sources that become WebM video stickers
+ *   cutout                 - optional background removal after the face swap (static face_swap only):
+ *                            true, or { outline: stroke px (0 = none), shadow: true/false }
+ *   safeArea               - optional empty margin around the image on the static sticker canvas, in
+ *                            sticker px: one number for all sides or { top, right, bottom, left }
+ *   captions               - text drawn on overlay templates, required for them (see config/captions.js):
+ *                            [{ text: 'Привет, {name}!', position: 'top', style: 'meme' }]
  */
 
-const MEME_TEMPLATES = [
-  {
-    id: '1',
-    name: 'Meme Template 1',
-    emoji: '😄',
-    imageUrl: 'https://raw.githubusercontent.com/Santino42-gr/NewPeople_stickers/main/assets/memes/meme-1.png',
-    description: 'Meme template for stickers'
-  },
-  {
-    id: '2',
-    name: 'Meme Template 2',
-    emoji: '😎',
-    imageUrl: 'https://raw.githubusercontent.com/Santino42-gr/NewPeople_stickers/main/assets/memes/meme-2.png',
-    description: 'Meme template for stickers'
-  },
-  {
-    id: '3',
-    name: 'Meme Template 3',
-    emoji: '🤪',
-    imageUrl: 'https://raw.githubusercontent.com/Santino42-gr/NewPeople_stickers/main/assets/memes/meme-3.png',
-    description: 'Meme template for stickers'
-  },
-  {
-    id: '4',
-    name: 'Meme Template 4',
-    emoji: '😏',
-    imageUrl: 'https://raw.githubusercontent.com/Santino42-gr/NewPeople_stickers/main/assets/memes/meme-4.png',
-    description: 'Meme template for stickers'
-  },
-  {
-    id: '5',
-    name: 'Meme Template 5',
-    emoji: '🥳',
-    imageUrl: 'https://raw.githubusercontent.com/Santino42-gr/NewPeople_stickers/main/assets/memes/meme-5.png',
-    description: 'Meme template for stickers'
-  },
-  {
-    id: '6',
-    name: 'Meme Template 6',
-    emoji: '🤯',
-    imageUrl: 'https://raw.githubusercontent.com/Santino42-gr/NewPeople_stickers/main/assets/memes/meme-6.png',
-    description: 'Meme template for stickers'
-  },
-  {
-    id: '7',
-    name: 'Meme Template 7',
-    emoji: '😂',
-    imageUrl: 'https://raw.githubusercontent.com/Santino42-gr/NewPeople_stickers/main/assets/memes/meme-7.png',
-    description: 'Meme template for stickers'
-  },
-  {
-    id: '8',
-    name: 'Meme Template 8',
-    emoji: '🔥',
-    imageUrl: 'https://raw.githubusercontent.com/Santino42-gr/NewPeople_stickers/main/assets/memes/meme-8.png',
-    description: 'Meme template for stickers'
-  },
-  {
-    id: '9',
-    name: 'Meme Template 9',
-    emoji: '💪',
-    imageUrl: 'https://raw.githubusercontent.com/Santino42-gr/NewPeople_stickers/main/assets/memes/meme-9.png',
-    description: 'Meme template for stickers'
-  },
-  {
-    id: '10',
-    name: 'Meme Template 10',
-    emoji: '🚀',
-    imageUrl: 'https://raw.githubusercontent.com/Santino42-gr/NewPeople_stickers/main/assets/memes/meme-10.png',
-    description: 'Meme template for stickers'
-  },
-  {
-    id: '11',
-    name: 'Стикер 11',
-    emoji: '😁',
-    imageUrl: 'https://raw.githubusercontent.com/Santino42-gr/NewPeople_stickers/main/assets/memes/стикер%2011%20(1).png',
-    description: 'Готовый стикер 11'
-  },
-  {
-    id: '12',
-    name: 'Стикер 12',
-    emoji: '🤩',
-    imageUrl: 'https://raw.githubusercontent.com/Santino42-gr/NewPeople_stickers/main/assets/memes/стикер%2012%20(1).png',
-    description: 'Готовый стикер 12'
-  }
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CONFIG } = require('./constants');
+const validators = require('../utils/validators');
+const { validateCaptions, normalizeCaptions } = require('./captions');
+
+const STICKER_FORMATS = CONFIG.STICKER_FORMATS;
+
+const TEMPLATE_TYPES = ['face_swap', 'ready_sticker', 'overlay'];
+
+const TEMPLATE_FIELDS = [
+  'id', 'name', 'description', 'type', 'emojis', 'keywords', 'asset',
+  'imageUrl', 'faceHints', 'enabled', 'order', 'format', 'cutout', 'safeArea',
+  'captions'
 ];
 
-// Template validation
-const validateTemplate = (template) => {
-  const required = ['id', 'name', 'emoji', 'imageUrl', 'description'];
-  
-  for (const field of required) {
-    if (!template[field]) {
+const CUTOUT_FIELDS = ['outline', 'shadow'];
+
+const SAFE_AREA_SIDES = ['top', 'right', 'bottom', 'left'];
+
+const DEFAULT_MANIFEST_PATH = path.join(__dirname, '../../assets/memes/templates.json');
+
+// Live registry, replaced in place on reload so existing references stay valid
+const MEME_TEMPLATES = [];
+
+let manifestInfo = {
+  path: null,
+  version: null,
+  loadedAt: null
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Template validation (full manifest schema)
+const validateTemplate = (template, options = {}) => {
+  const { baseDir = null } = options;
+
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    throw new Error('Template must be an object');
+  }
+
+  const label = template.id || '(no id)';
+
+  const unknownFields = Object.keys(template).filter(field => !TEMPLATE_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    throw new Error(`Template ${label} has unknown fields: ${unknownFields.join(', ')}`);
+  }
+
+  for (const field of ['id', 'name', 'description']) {
+    if (!isNonEmptyString(template[field])) {
       throw new Error(`Template missing required field: ${field}`);
     }
   }
-  
-  // Validate emoji (should be a single emoji)
-  if (template.emoji.length > 2) {
-    throw new Error(`Invalid emoji for template ${template.id}: ${template.emoji}`);
+
+  if (!TEMPLATE_TYPES.includes(template.type)) {
+    throw new Error(`Invalid type for template ${label}: ${template.type}. Supported: ${TEMPLATE_TYPES.join(', ')}`);
   }
-  
+
+  const emojiCheck = validators.isValidEmojiList(template.emojis);
+  if (!emojiCheck.valid) {
+    throw new Error(`Invalid emojis for template ${label}: ${emojiCheck.error}`);
+  }
+
+  if (template.keywords !== undefined) {
+    const keywordLists = Array.isArray(template.keywords)
+      ? { default: template.keywords }
+      : template.keywords;
+
+    if (!keywordLists || typeof keywordLists !== 'object') {
+      throw new Error(`Template ${label} keywords must be a list or lists by language`);
+    }
+
+    for (const [language, keywords] of Object.entries(keywordLists)) {
+      const keywordCheck = validators.isValidStickerKeywords(keywords);
+      if (!keywordCheck.valid) {
+        throw new Error(`Invalid keywords (${language}) for template ${label}: ${keywordCheck.error}`);
+      }
+    }
+  }
+
+  if (!template.asset && !template.imageUrl) {
+    throw new Error(`Template ${label} needs an asset or imageUrl`);
+  }
+
+  if (template.asset !== undefined) {
+    if (!isNonEmptyString(template.asset) || path.isAbsolute(template.asset) || template.asset.split(/[\\/]/).includes('..')) {
+      throw new Error(`Invalid asset path for template ${label}: ${template.asset}`);
+    }
+
+    if (baseDir && !fs.existsSync(path.join(baseDir, template.asset))) {
+      throw new Error(`Asset not found for template ${label}: ${template.asset}`);
+    }
+  }
+
   // Validate URL format (basic URL validation)
+  if (template.imageUrl !== undefined) {
+    try {
+      new URL(template.imageUrl);
+    } catch (error) {
+      throw new Error(`Invalid URL for template ${label}: ${template.imageUrl}`);
+    }
+  }
+
+  if (template.faceHints !== undefined) {
+    const { x, y, size } = template.faceHints || {};
+    const isFraction = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+    if (!isFraction(x) || !isFraction(y) || !isFraction(size) || size === 0) {
+      throw new Error(`Invalid faceHints for template ${label}: x, y and size must be fractions between 0 and 1`);
+    }
+  }
+
+  if (template.enabled !== undefined && typeof template.enabled !== 'boolean') {
+    throw new Error(`Template ${label} enabled must be true or false`);
+  }
+
+  if (template.order !== undefined && !Number.isFinite(template.order)) {
+    throw new Error(`Template ${label} order must be a number`);
+  }
+
+  // Output format: static WebP (default) or video WebM for animated sources
+  if (template.format !== undefined && !STICKER_FORMATS.includes(template.format)) {
+    throw new Error(`Invalid format for template ${label}: ${template.format}. Supported: ${STICKER_FORMATS.join(', ')}`);
+  }
+
+  if (template.cutout !== undefined && template.cutout !== false) {
+    const { cutout } = template;
+
+    if (cutout !== true && (!cutout || typeof cutout !== 'object' || Array.isArray(cutout))) {
+      throw new Error(`Template ${label} cutout must be true, false or { outline, shadow }`);
+    }
+
+    if (typeof cutout === 'object') {
+      const unknownCutoutFields = Object.keys(cutout).filter(field => !CUTOUT_FIELDS.includes(field));
+      if (unknownCutoutFields.length > 0) {
+        throw new Error(`Template ${label} cutout has unknown fields: ${unknownCutoutFields.join(', ')}`);
+      }
+
+      if (cutout.outline !== undefined &&
+        (!Number.isInteger(cutout.outline) || cutout.outline < 0 || cutout.outline > CONFIG.CUTOUT_MAX_OUTLINE)) {
+        throw new Error(`Template ${label} cutout outline must be a whole number of pixels from 0 to ${CONFIG.CUTOUT_MAX_OUTLINE}`);
+      }
+
+      if (cutout.shadow !== undefined && typeof cutout.shadow !== 'boolean') {
+        throw new Error(`Template ${label} cutout shadow must be true or false`);
+      }
+    }
+
+    // Background removal runs on the face-swap result, which only static face_swap templates have
+    if (template.type !== 'face_swap' || (template.format || 'static') !== 'static') {
+      throw new Error(`Template ${label} cutout needs a static face_swap template`);
+    }
+  }
+
+  if (template.safeArea !== undefined) {
+    const { safeArea } = template;
+    const isMargin = (value) => Number.isInteger(value) && value >= 0 && value <= CONFIG.STICKER_MAX_SAFE_AREA;
+    const marginError = `Template ${label} safeArea margins must be whole numbers of pixels from 0 to ${CONFIG.STICKER_MAX_SAFE_AREA}`;
+
+    if (typeof safeArea === 'number') {
+      if (!isMargin(safeArea)) {
+        throw new Error(marginError);
+      }
+    } else if (safeArea && typeof safeArea === 'object' && !Array.isArray(safeArea)) {
+      const unknownSides = Object.keys(safeArea).filter(side => !SAFE_AREA_SIDES.includes(side));
+      if (unknownSides.length > 0) {
+        throw new Error(`Template ${label} safeArea has unknown fields: ${unknownSides.join(', ')}`);
+      }
+
+      if (!Object.values(safeArea).every(isMargin)) {
+        throw new Error(marginError);
+      }
+    } else {
+      throw new Error(`Template ${label} safeArea must be a number or { top, right, bottom, left }`);
+    }
+
+    // Video stickers are laid out by the encoder, margins only apply to the static canvas
+    if ((template.format || 'static') !== 'static') {
+      throw new Error(`Template ${label} safeArea needs a static template`);
+    }
+  }
+
+  // Overlay templates are their captions; other types have nowhere to put them
+  if (template.type === 'overlay' || template.captions !== undefined) {
+    if (template.type !== 'overlay') {
+      throw new Error(`Template ${label} captions need an overlay template`);
+    }
+
+    validateCaptions(template.captions, label);
+
+    if ((template.format || 'static') !== 'static') {
+      throw new Error(`Template ${label} overlay needs a static template`);
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Safe-area margins for every side
+ * @param {number|Object|undefined} safeArea - Manifest value
+ * @returns {Object} - { top, right, bottom, left } in sticker pixels
+ */
+const normalizeSafeArea = (safeArea = CONFIG.STICKER_DEFAULT_SAFE_AREA) => {
+  const margins = typeof safeArea === 'number'
+    ? { top: safeArea, right: safeArea, bottom: safeArea, left: safeArea }
+    : safeArea;
+
+  return Object.fromEntries(SAFE_AREA_SIDES.map(side => [side, margins[side] || 0]));
+};
+
+/**
+ * Cutout settings with defaults filled in
+ * @param {boolean|Object|undefined} cutout - Manifest value
+ * @returns {Object|null} - { outline, shadow } or null without background removal
+ */
+const normalizeCutout = (cutout) => {
+  if (!cutout) {
+    return null;
+  }
+
+  const options = cutout === true ? {} : cutout;
+
+  return {
+    outline: options.outline !== undefined ? options.outline : CONFIG.CUTOUT_DEFAULT_OUTLINE,
+    shadow: options.shadow !== undefined ? options.shadow : CONFIG.CUTOUT_DEFAULT_SHADOW
+  };
+};
+
+/**
+ * Read, validate and normalize a template manifest
+ * Nothing is changed in the registry if any template is invalid
+ * @param {string} manifestPath - Path to the JSON manifest
+ * @returns {Object} - { templates, version }
+ */
+const loadTemplateManifest = (manifestPath) => {
+  let manifest;
   try {
-    new URL(template.imageUrl);
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
   } catch (error) {
-    throw new Error(`Invalid URL for template ${template.id}: ${template.imageUrl}`);
+    throw new Error(`Cannot read template manifest ${manifestPath}: ${error.message}`);
   }
-  
-  return true;
+
+  if (!manifest || !Array.isArray(manifest.templates)) {
+    throw new Error(`Template manifest ${manifestPath} must have a templates list`);
+  }
+
+  const baseDir = path.dirname(manifestPath);
+  const seenIds = new Set();
+
+  const templates = manifest.templates.map((template, index) => {
+    validateTemplate(template, { baseDir });
+
+    if (seenIds.has(template.id)) {
+      throw new Error(`Duplicate template id: ${template.id}`);
+    }
+    seenIds.add(template.id);
+
+    const assetPath = template.asset ? path.join(baseDir, template.asset) : null;
+
+    return {
+      ...template,
+      emoji: template.emojis[0], // primary emoji
+      keywords: template.keywords || [],
+      imageUrl: template.imageUrl || null,
+      assetPath,
+      // Content hash lets caches notice an asset replaced under the same name
+      assetHash: assetPath
+        ? crypto.createHash('sha256').update(fs.readFileSync(assetPath)).digest('hex')
+        : null,
+      faceHints: template.faceHints || null,
+      enabled: template.enabled !== false,
+      order: template.order !== undefined ? template.order : index,
+      format: template.format || 'static',
+      cutout: normalizeCutout(template.cutout),
+      safeArea: normalizeSafeArea(template.safeArea),
+      captions: normalizeCaptions(template.captions)
+    };
+  });
+
+  // Stable sort keeps manifest order for equal "order" values
+  templates.sort((a, b) => a.order - b.order);
+
+  return { templates, version: manifest.version || null };
+};
+
+/**
+ * Load the manifest into the registry
+ * @param {string} manifestPath - Manifest path (TEMPLATES_MANIFEST env or assets/memes/templates.json)
+ * @returns {Object} - { path, version, total, enabled }
+ */
+const reloadTemplates = (manifestPath = process.env.TEMPLATES_MANIFEST || DEFAULT_MANIFEST_PATH) => {
+  const { templates, version } = loadTemplateManifest(manifestPath);
+
+  MEME_TEMPLATES.splice(0, MEME_TEMPLATES.length, ...templates);
+
+  manifestInfo = {
+    path: manifestPath,
+    version,
+    loadedAt: new Date().toISOString()
+  };
+
+  return {
+    ...manifestInfo,
+    total: templates.length,
+    enabled: templates.filter(template => template.enabled).length
+  };
+};
+
+const getManifestInfo = () => {
+  return { ...manifestInfo, total: MEME_TEMPLATES.length };
 };
 
-// Validate all templates on load
-MEME_TEMPLATES.forEach(validateTemplate);
+// Load and validate all templates on startup
+reloadTemplates();
+
+const getEnabledTemplates = () => MEME_TEMPLATES.filter(template => template.enabled);
 
 // Template utilities
 const getTemplateById = (id) => {
-  const template = MEME_TEMPLATES.find(t => t.id === id);
+  const template = getEnabledTemplates().find(t => t.id === id);
   if (!template) {
     throw new Error(`Template not found: ${id}`);
   }
@@ -128,22 +350,49 @@ const getTemplateById = (id) => {
 };
 
 const getAllTemplates = () => {
-  return [...MEME_TEMPLATES]; // Return copy to prevent mutations
+  return getEnabledTemplates(); // New array, ordered by "order"
+};
+
+const getTemplateFormat = (template) => {
+  return template.format || 'static';
+};
+
+/**
+ * Search keywords for the user's language
+ * Falls back to the default language for templates without a translation
+ * @param {Object} template - Meme template
+ * @param {string|null} languageCode - Telegram language_code (e.g. 'en', 'pt-br')
+ * @returns {Array<string>}
+ */
+const getTemplateKeywords = (template, languageCode = null) => {
+  const keywords = template.keywords;
+
+  if (!keywords) {
+    return [];
+  }
+
+  if (Array.isArray(keywords)) {
+    return [...keywords];
+  }
+
+  const language = (languageCode || '').split('-')[0].toLowerCase();
+  return [...(keywords[language] || keywords[CONFIG.DEFAULT_LANGUAGE] || [])];
 };
 
 const getTemplateCount = () => {
-  return MEME_TEMPLATES.length;
+  return getEnabledTemplates().length;
 };
 
 const getRandomTemplate = () => {
-  const randomIndex = Math.floor(Math.random() * MEME_TEMPLATES.length);
-  return MEME_TEMPLATES[randomIndex];
+  const templates = getEnabledTemplates();
+  const randomIndex = Math.floor(Math.random() * templates.length);
+  return templates[randomIndex];
 };
 
 // Template processing configuration
 const TEMPLATE_CONFIG = {
   // Processing settings
-  MAX_PROCESSING_TIME: 10 * 60 * 1000, // 10 minutes total
+  MAX_PROCESSING_TIME: CONFIG.PROCESSING_TIMEOUT, // deadline of the whole pipeline, photo to pack
   PROCESSING_TIMEOUT_PER_TEMPLATE: 60 * 1000, // 1 minute per template
   MAX_RETRIES_PER_TEMPLATE: 2,
   BATCH_SIZE: 3, // Process templates in batches
@@ -174,11 +423,17 @@ const TEMPLATE_ERROR_TYPES = {
 
 module.exports = {
   MEME_TEMPLATES,
+  TEMPLATE_TYPES,
   TEMPLATE_CONFIG,
   TEMPLATE_ERROR_TYPES,
   getTemplateById,
   getAllTemplates,
   getTemplateCount,
   getRandomTemplate,
+  getTemplateFormat,
+  getTemplateKeywords,
+  getManifestInfo,
+  loadTemplateManifest,
+  reloadTemplates,
   validateTemplate
 };
\ No newline at end of file
@@ -0,0 +1,343 @@
+/**
+ * Admin Controller
+ * User management API: lookup, quota, bans and generation reruns
+ *
+ * Routes are mounted behind authMiddleware.createApiSecurityMiddleware() (X-API-Key).
+ * Every call is written to the admin audit log; the optional X-Admin-User header
+ * names the person acting, otherwise the entry is attributed to the API key.
+ */
+
+const logger = require('../utils/logger');
+const errorHandler = require('../utils/errorHandler');
+const validators = require('../utils/validators');
+const adminService = require('../services/adminService');
+const quotaService = require('../services/quotaService');
+const userLimitsService = require('../services/userLimitsService');
+const userPacksService = require('../services/userPacksService');
+const jobQueueService = require('../services/jobQueueService');
+const { CONFIG, JOB_STATUSES } = require('../config/constants');
+
+const DEFAULT_ACTOR = 'api_key';
+
+class AdminController {
+  /**
+   * Parse and validate the :userId route parameter
+   * @returns {number} - Telegram user ID
+   */
+  parseUserId(req) {
+    const validation = validators.isValidUserId(req.params.userId);
+
+    if (!validation.valid || !/^\d+$/.test(req.params.userId)) {
+      throw errorHandler.createError(validation.error || 'Invalid user ID format', 'ValidationError', 400);
+    }
+
+    return parseInt(req.params.userId, 10);
+  }
+
+  /**
+   * Parse the ?limit= query parameter
+   * @returns {number} - Page size within CONFIG.ADMIN_HISTORY_MAX_LIMIT
+   */
+  parseLimit(req) {
+    if (req.query.limit === undefined) {
+      return CONFIG.ADMIN_HISTORY_LIMIT;
+    }
+
+    const limit = Number(req.query.limit);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > CONFIG.ADMIN_HISTORY_MAX_LIMIT) {
+      throw errorHandler.createError(
+        `limit must be an integer from 1 to ${CONFIG.ADMIN_HISTORY_MAX_LIMIT}`,
+        'ValidationError',
+        400
+      );
+    }
+
+    return limit;
+  }
+
+  /**
+   * Who is acting (X-Admin-User header or the API key itself)
+   * @returns {string}
+   */
+  getActor(req) {
+    const actor = validators.sanitizeText(req.get('X-Admin-User') || '').slice(0, 100);
+    return actor || DEFAULT_ACTOR;
+  }
+
+  /**
+   * Write an audit entry for the current request
+   */
+  async audit(req, action, targetUserId, details = {}) {
+    return adminService.audit(action, {
+      actor: this.getActor(req),
+      targetUserId,
+      details,
+      ip: req.ip
+    });
+  }
+
+  /**
+   * GET /admin/users/:userId
+   * Quota, ban status, packs and recent jobs of a user
+   */
+  async getUser(req, res) {
+    const userId = this.parseUserId(req);
+
+    logger.info(`Admin lookup for user ${userId}`);
+
+    const [quota, totals, ban, packs, jobs] = await Promise.all([
+      quotaService.getQuota(userId),
+      quotaService.getTotals(userId),
+      adminService.getBan(userId),
+      userPacksService.getUserPacks(userId),
+      jobQueueService.getUserJobs(userId)
+    ]);
+
+    await this.audit(req, 'user_lookup', userId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        userId,
+        banned: !!ban,
+        ban,
+        quota,
+        totalGenerations: totals?.totalGenerations || 0,
+        lastGeneration: totals?.lastGeneration || null,
+        packs,
+        recentJobs: jobs.slice(0, 10).map(job => this.summarizeJob(job)),
+        generatedAt: new Date().toISOString()
+      }
+    });
+  }
+
+  /**
+   * GET /admin/users/:userId/history?limit=
+   * Generation log and jobs of a user, newest first
+   */
+  async getUserHistory(req, res) {
+    const userId = this.parseUserId(req);
+    const limit = this.parseLimit(req);
+
+    const [generations, jobs] = await Promise.all([
+      userLimitsService.getGenerationHistory(userId, limit),
+      jobQueueService.getUserJobs(userId)
+    ]);
+
+    await this.audit(req, 'user_history', userId, { limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        userId,
+        generations,
+        jobs: jobs.slice(0, limit).map(job => this.summarizeJob(job))
+      }
+    });
+  }
+
+  /**
+   * POST /admin/users/:userId/quota/reset
+   * Start the user's quota windows over
+   */
+  async resetQuota(req, res) {
+    const userId = this.parseUserId(req);
+
+    const reset = await userLimitsService.resetUserLimit(userId);
+
+    if (!reset) {
+      throw errorHandler.createError(`Failed to reset quota for user ${userId}`, 'ServiceError', 503);
+    }
+
+    await this.audit(req, 'quota_reset', userId);
+
+    res.status(200).json({
+      success: true,
+      data: { userId, quota: await quotaService.getQuota(userId) }
+    });
+  }
+
+  /**
+   * POST /admin/users/:userId/quota/credits { credits }
+   * Extend the quota with bonus generations (negative values take them back)
+   */
+  async grantCredits(req, res) {
+    const userId = this.parseUserId(req);
+    const credits = req.body?.credits;
+
+    const balance = await quotaService.addBonusCredits(userId, credits);
+
+    await this.audit(req, 'credits_granted', userId, { credits, balance });
+
+    res.status(200).json({
+      success: true,
+      data: { userId, credits, bonusCredits: balance }
+    });
+  }
+
+  /**
+   * PATCH /admin/users/:userId/quota { policy, dailyLimit, weeklyLimit, unlimited }
+   * Set per-user overrides; null resets a field to the policy
+   */
+  async updateQuota(req, res) {
+    const userId = this.parseUserId(req);
+    const body = req.body || {};
+
+    const fields = {};
+    for (const key of ['policy', 'dailyLimit', 'weeklyLimit', 'unlimited']) {
+      if (body[key] !== undefined) {
+        fields[key] = body[key];
+      }
+    }
+
+    if (Object.keys(fields).length === 0) {
+      throw errorHandler.createError('Nothing to update: pass policy, dailyLimit, weeklyLimit or unlimited', 'ValidationError', 400);
+    }
+
+    const override = await quotaService.setUserOverride(userId, fields);
+
+    await this.audit(req, 'quota_updated', userId, fields);
+
+    res.status(200).json({
+      success: true,
+      data: { userId, override, quota: await quotaService.getQuota(userId) }
+    });
+  }
+
+  /**
+   * POST /admin/users/:userId/ban { reason }
+   */
+  async banUser(req, res) {
+    const userId = this.parseUserId(req);
+    const reason = req.body?.reason === undefined ? null : req.body.reason;
+
+    if (reason !== null && (typeof reason !== 'string' || reason.length > CONFIG.MAX_BAN_REASON_LENGTH)) {
+      throw errorHandler.createError(
+        `reason must be a string of at most ${CONFIG.MAX_BAN_REASON_LENGTH} characters`,
+        'ValidationError',
+        400
+      );
+    }
+
+    const ban = await adminService.banUser(userId, {
+      reason: reason === null ? null : validators.sanitizeText(reason),
+      actor: this.getActor(req)
+    });
+
+    await this.audit(req, 'user_banned', userId, { reason: ban.reason });
+
+    res.status(200).json({ success: true, data: ban });
+  }
+
+  /**
+   * DELETE /admin/users/:userId/ban
+   */
+  async unbanUser(req, res) {
+    const userId = this.parseUserId(req);
+
+    const removed = await adminService.unbanUser(userId);
+
+    await this.audit(req, 'user_unbanned', userId, { wasBanned: removed });
+
+    res.status(200).json({ success: true, data: { userId, wasBanned: removed } });
+  }
+
+  /**
+   * POST /admin/jobs/:jobId/rerun
+   * Queue a failed generation again with the same photo and options.
+   * The rerun doesn't use the user's quota, and a job can be rerun only once.
+   */
+  async rerunJob(req, res) {
+    const { jobId } = req.params;
+    const job = await jobQueueService.getJob(jobId);
+
+    if (!job) {
+      throw errorHandler.createError(`Job ${jobId} not found`, 'NotFoundError', 404);
+    }
+
+    if (job.status !== JOB_STATUSES.FAILED) {
+      throw errorHandler.createError(`Only failed jobs can be rerun, job ${jobId} is ${job.status}`, 'ConflictError', 409);
+    }
+
+    if (job.rerunJobId) {
+      throw this.alreadyRerunError(job);
+    }
+
+    if (await adminService.isBanned(job.userId)) {
+      throw errorHandler.createError(`User ${job.userId} is banned`, 'ConflictError', 409);
+    }
+
+    // The failed run already committed or released its reservation; the rerun has none
+    const { quotaReservationId, ...options } = job.options || {};
+
+    const rerun = await jobQueueService.enqueueRerun(job.id, {
+      userId: job.userId,
+      chatId: job.chatId,
+      messageId: job.messageId,
+      photoFileId: job.photoFileId,
+      firstName: job.firstName,
+      options: { ...options, quotaExempt: true, rerunOf: job.id }
+    });
+
+    // A concurrent request rerun the job first
+    if (!rerun) {
+      throw this.alreadyRerunError((await jobQueueService.getJob(job.id)) || job);
+    }
+
+    await this.audit(req, 'job_rerun', job.userId, { jobId: job.id, rerunJobId: rerun.id });
+
+    res.status(202).json({
+      success: true,
+      data: {
+        jobId: rerun.id,
+        rerunOf: job.id,
+        userId: job.userId,
+        queuePosition: rerun.queuePosition
+      }
+    });
+  }
+
+  /**
+   * Conflict for a job that already has a rerun
+   */
+  alreadyRerunError(job) {
+    return errorHandler.createError(`Job ${job.id} was already rerun as ${job.rerunJobId}`, 'ConflictError', 409);
+  }
+
+  /**
+   * GET /admin/audit-log?userId=&limit=
+   */
+  async getAuditLog(req, res) {
+    const limit = this.parseLimit(req);
+    let targetUserId = null;
+
+    if (req.query.userId !== undefined) {
+      targetUserId = this.parseUserId({ params: { userId: req.query.userId } });
+    }
+
+    const entries = await adminService.getAuditLog({ targetUserId, limit });
+
+    res.status(200).json({ success: true, data: entries });
+  }
+
+  /**
+   * Job fields shown in the admin API
+   */
+  summarizeJob(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      attempts: job.attempts,
+      error: job.error,
+      result: job.result,
+      rerunOf: job.options?.rerunOf || null,
+      rerunJobId: job.rerunJobId || null,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new AdminController();
@@ -6,9 +6,30 @@
 const axios = require('axios');
 const { supabase } = require('../config/database');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
 const piapiService = require('../services/piapiService');
+const telegramService = require('../services/telegramService');
+const { PERFORMANCE } = require('../config/constants');
+
+const dependencyUp = metrics.gauge('dependency_up', 'Whether a dependency answered the last probe (1) or not (0)', ['dependency']);
+const processUptime = metrics.gauge('process_uptime_seconds', 'Process uptime');
+const processMemory = metrics.gauge('process_memory_bytes', 'Process memory usage', ['type']);
 
 class HealthController {
+  constructor() {
+    // Dependency probes are slow and hit external APIs, so scrapes reuse the
+    // last result for PERFORMANCE.DEPENDENCY_PROBE_TTL (name -> { status, checkedAt, pending })
+    this.probeCache = new Map();
+    this.probes = {
+      database: () => this.checkDatabase(),
+      telegram: () => this.checkTelegramAPI(),
+      piapi: () => this.checkPiapiAPI()
+    };
+
+    metrics.addCollector(() => this.collectProcessMetrics());
+    metrics.addCollector(() => this.collectDependencyMetrics());
+  }
+
   /**
    * Main health check endpoint
    * Used by Railway and other monitoring services
@@ -85,6 +106,10 @@ class HealthController {
    * Check database connectivity
    */
   async checkDatabase() {
+    if (!supabase) {
+      return 'not_configured';
+    }
+
     try {
       const { data, error } = await supabase
         .from('user_limits')
@@ -107,15 +132,13 @@ class HealthController {
    * Check Telegram API connectivity
    */
   async checkTelegramAPI() {
-    const botToken = process.env.TELEGRAM_BOT_TOKEN;
-    
-    if (!botToken || botToken === 'your_telegram_bot_token') {
+    if (!telegramService.isConfigured()) {
       return 'not_configured';
     }
 
     try {
       const response = await axios.get(
-        `https://api.telegram.org/bot${botToken}/getMe`,
+        `${telegramService.apiUrl}/getMe`,
         { timeout: 5000 }
       );
       
@@ -254,13 +277,101 @@ class HealthController {
   }
 
   /**
-   * Detailed system metrics for monitoring
+   * Run a dependency probe, reusing a fresh cached result
+   * Concurrent callers share one in-flight probe
+   * @param {string} name - Probe name (database, telegram, piapi)
+   * @returns {Promise<Object>} - { status, checkedAt }
+   */
+  async getCachedProbe(name) {
+    const cached = this.probeCache.get(name);
+
+    if (cached?.pending) {
+      return cached.pending;
+    }
+
+    if (cached?.checkedAt && Date.now() - cached.checkedAt < PERFORMANCE.DEPENDENCY_PROBE_TTL) {
+      return { status: cached.status, checkedAt: cached.checkedAt };
+    }
+
+    const pending = (async () => {
+      let status;
+
+      try {
+        status = await this.probes[name]();
+      } catch (error) {
+        logger.warn(`${name} probe failed:`, error.message);
+        status = 'error';
+      }
+
+      const result = { status, checkedAt: Date.now() };
+      this.probeCache.set(name, result);
+      return result;
+    })();
+
+    this.probeCache.set(name, { ...cached, pending });
+    return pending;
+  }
+
+  /**
+   * Status of all dependencies from the probe cache
+   * @returns {Promise<Object>} - { database, telegram, piapi, checkedAt: { ... } }
+   */
+  async getDependencyStatus() {
+    const names = Object.keys(this.probes);
+    const results = await Promise.all(names.map(name => this.getCachedProbe(name)));
+
+    const status = { checkedAt: {} };
+    names.forEach((name, index) => {
+      status[name] = results[index].status;
+      status.checkedAt[name] = new Date(results[index].checkedAt).toISOString();
+    });
+
+    return status;
+  }
+
+  /**
+   * Refresh process gauges before a scrape
+   */
+  collectProcessMetrics() {
+    const memory = process.memoryUsage();
+
+    processUptime.set({}, Math.round(process.uptime()));
+    processMemory.set({ type: 'rss' }, memory.rss);
+    processMemory.set({ type: 'heap_used' }, memory.heapUsed);
+    processMemory.set({ type: 'heap_total' }, memory.heapTotal);
+    processMemory.set({ type: 'external' }, memory.external);
+  }
+
+  /**
+   * Refresh dependency gauges before a scrape (unconfigured dependencies are left out)
+   */
+  async collectDependencyMetrics() {
+    const status = await this.getDependencyStatus();
+
+    for (const name of Object.keys(this.probes)) {
+      if (status[name] !== 'not_configured') {
+        dependencyUp.set({ dependency: name }, status[name] === 'ok' ? 1 : 0);
+      }
+    }
+  }
+
+  /**
+   * Metrics for monitoring
+   * Prometheus text format by default, the JSON summary with ?format=json
    */
   async metricsCheck(req, res) {
     const startTime = Date.now();
     
     try {
-      const metrics = {
+      if (req.query.format !== 'json') {
+        res.set('Content-Type', metrics.contentType);
+        res.status(200).send(await metrics.renderPrometheus());
+        return;
+      }
+
+      const dependencies = await this.getDependencyStatus();
+
+      res.status(200).json({
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         memory: process.memoryUsage(),
@@ -272,16 +383,17 @@ class HealthController {
         },
         environment: process.env.NODE_ENV || 'unknown',
         
-        // Health checks
-        database: await this.checkDatabase(),
-        telegram: await this.checkTelegramAPI(),
-        piapi: await this.checkPiapiAPI(),
+        // Health checks (cached, see getCachedProbe)
+        database: dependencies.database,
+        telegram: dependencies.telegram,
+        piapi: dependencies.piapi,
+        checkedAt: dependencies.checkedAt,
+
+        metrics: await metrics.toJSON(),
         
         // Performance
         responseTime: Date.now() - startTime
-      };
-
-      res.status(200).json(metrics);
+      });
       
     } catch (error) {
       logger.error('Metrics check failed:', error);
@@ -3,26 +3,117 @@
  * Handles incoming webhook requests from Telegram
  */
 
+const crypto = require('crypto');
+const path = require('path');
 const logger = require('../utils/logger');
 const errorHandler = require('../utils/errorHandler');
 const telegramService = require('../services/telegramService');
 const userLimitsService = require('../services/userLimitsService');
-const piapiService = require('../services/piapiService');
+const faceSwapService = require('../services/faceSwapService');
+const backgroundRemovalService = require('../services/backgroundRemovalService');
 const stickerService = require('../services/stickerService');
 const imageService = require('../services/imageService');
-const { MESSAGES, CONFIG, BOT_STATES } = require('../config/constants');
-const { getAllTemplates, TEMPLATE_CONFIG, TEMPLATE_ERROR_TYPES } = require('../config/templates');
+const cacheService = require('../services/cacheService');
+const jobQueueService = require('../services/jobQueueService');
+const userPacksService = require('../services/userPacksService');
+const progressService = require('../services/progressService');
+const quotaService = require('../services/quotaService');
+const adminService = require('../services/adminService');
+const stateService = require('../services/stateService');
+const idempotencyService = require('../services/idempotencyService');
+const callbackData = require('../utils/callbackData');
+const cancellation = require('../utils/cancellation');
+const validators = require('../utils/validators');
+const metrics = require('../utils/metrics');
+const { MESSAGES, CONFIG, BOT_STATES, JOB_STATUSES, VALIDATION } = require('../config/constants');
+const { getAllTemplates, getTemplateFormat, getTemplateKeywords, TEMPLATE_CONFIG, TEMPLATE_ERROR_TYPES } = require('../config/templates');
+const { resolveCaptions, sanitizeCaptionText, usesPhrase } = require('../config/captions');
+
+// Generation pipeline metrics (exposed at /metrics)
+const faceSwapDuration = metrics.histogram(
+  'face_swap_duration_seconds',
+  'Face-swap duration per template',
+  ['template', 'provider', 'result']
+);
+const faceSwapFailures = metrics.counter(
+  'face_swap_failures_total',
+  'Failed face swaps per template by reason',
+  ['template', 'provider', 'reason']
+);
+const cutoutFailures = metrics.counter(
+  'cutout_failures_total',
+  'Background removals that fell back to the full face-swap result',
+  ['template', 'provider']
+);
+const templatesProcessed = metrics.counter(
+  'templates_processed_total',
+  'Processed templates by processing method (failed = dropped from the pack)',
+  ['template', 'method']
+);
+const packCreationDuration = metrics.histogram(
+  'pack_creation_duration_seconds',
+  'Time from the first progress message to the finished pack',
+  ['result'],
+  [5, 10, 30, 60, 120, 180, 300, 600, 900]
+);
+
+/**
+ * Classify a face-swap error into a bounded metric label
+ */
+const getFaceSwapFailureReason = (error) => {
+  if (error.name === 'FaceDetectionError' || error.isFaceDetectionError === true) return 'face_not_detected';
+  if (error.name === 'TaskTimeoutError' || error.code === 'ECONNABORTED') return 'timeout';
+  if (error.name === 'TaskFailedError') return 'task_failed';
+  return 'error';
+};
 
 class TelegramController {
   constructor() {
-    // Track user states for conversation flow
-    this.userStates = new Map();
+    // Existing pack chosen via /addtopack for the next photo, keyed by chatId
+    this.packTargets = new Map();
+
+    // Photos waiting for the user to pick templates, keyed by chatId
+    this.pendingSelections = new Map();
+
+    // Packs waiting for a new title after "Rename", keyed by chatId
+    this.pendingRenames = new Map();
+
+    // Running generations ({ jobId, progressMessageId, abortController }), keyed by chatId
+    this.activeGenerations = new Map();
+
+    // Last acknowledged webhook update still being handled, keyed by chatId
+    this.chatUpdates = new Map();
+
+    // Inline keyboard actions (callback_data action -> handler)
+    this.callbackRoutes = new Map([
+      ['tpl', this.handleTemplateToggle.bind(this)],
+      ['tpl_all', this.handleTemplateSelectAll.bind(this)],
+      ['tpl_go', this.handleTemplateConfirm.bind(this)],
+      ['face', this.handleFaceChoice.bind(this)],
+      ['pk', this.handlePackView.bind(this)],
+      ['pk_list', this.handlePackList.bind(this)],
+      ['pk_ren', this.handlePackRename.bind(this)],
+      ['pk_del', this.handlePackDelete.bind(this)],
+      ['pk_delok', this.handlePackDeleteConfirm.bind(this)],
+      ['pk_rm', this.handleStickerDelete.bind(this)],
+      ['pk_rmok', this.handleStickerDeleteConfirm.bind(this)],
+      ['pk_cover', this.handlePackCover.bind(this)],
+      ['gen_cancel', this.handleGenerationCancel.bind(this)]
+    ]);
+
+    // Generation runs through the persistent job queue
+    jobQueueService.setProcessor(this.runGenerationJob.bind(this));
   }
 
   /**
    * Handle incoming webhook requests from Telegram
+   * The update is acknowledged before it is handled: the photo pre-flight (download,
+   * decoding, face detection) can outlast Telegram's wait for the webhook answer.
+   * Updates of one chat are still handled in the order they arrive
    */
   async handleWebhook(req, res) {
+    let acknowledged = false;
+
     try {
       const update = req.body;
       
@@ -44,21 +135,22 @@ class TelegramController {
         return res.status(400).json({ error: 'Invalid payload' });
       }
 
-      // Process different update types
-      if (update.message) {
-        await this.processMessage(update.message);
-      } else if (update.callback_query) {
-        logger.info('Callback query received (not implemented yet)');
-        // TODO: Handle callback queries in future
-      } else {
-        logger.info('Unknown update type received:', Object.keys(update));
+      if (!(await this.claimUpdate(update))) {
+        return res.status(200).json({ ok: true, duplicate: true });
       }
 
       // Always respond with 200 to acknowledge receipt
       res.status(200).json({ ok: true });
+      acknowledged = true;
+
+      await this.dispatchInChatOrder(update);
 
     } catch (error) {
       logger.error('Webhook processing error:', error);
+
+      if (acknowledged) {
+        return;
+      }
       
       // Still return 200 to prevent Telegram from retrying
       res.status(200).json({ 
@@ -68,6 +160,70 @@ class TelegramController {
     }
   }
 
+  /**
+   * Process one Telegram update (from the webhook or the long-polling loop)
+   * @param {Object} update - Validated Telegram update
+   * @returns {Promise<Object>} - { duplicate } true if the update was already processed
+   */
+  async processUpdate(update) {
+    if (!(await this.claimUpdate(update))) {
+      return { duplicate: true };
+    }
+
+    await this.dispatchUpdate(update);
+
+    return { duplicate: false };
+  }
+
+  /**
+   * Claim an update for processing
+   * Telegram redelivers updates it thinks we missed - those are acknowledged without reprocessing
+   * @param {Object} update - Telegram update
+   * @returns {Promise<boolean>} - false if the update was already processed
+   */
+  async claimUpdate(update) {
+    return !Number.isInteger(update.update_id) || idempotencyService.claimUpdate(update.update_id);
+  }
+
+  /**
+   * Route a claimed update to its handler once the earlier updates of its chat are handled
+   * (a button press must not overtake the photo whose picker it answers)
+   * @param {Object} update - Telegram update
+   */
+  async dispatchInChatOrder(update) {
+    const chatId = update.message?.chat?.id ?? update.callback_query?.message?.chat?.id;
+    if (chatId === undefined) {
+      return this.dispatchUpdate(update);
+    }
+
+    const previous = this.chatUpdates.get(chatId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(() => this.dispatchUpdate(update));
+    this.chatUpdates.set(chatId, current);
+
+    try {
+      await current;
+    } finally {
+      if (this.chatUpdates.get(chatId) === current) {
+        this.chatUpdates.delete(chatId);
+      }
+    }
+  }
+
+  /**
+   * Route a claimed update to its handler
+   * @param {Object} update - Telegram update
+   */
+  async dispatchUpdate(update) {
+    // Process different update types
+    if (update.message) {
+      await this.processMessage(update.message);
+    } else if (update.callback_query) {
+      await this.processCallbackQuery(update.callback_query);
+    } else {
+      logger.info('Unknown update type received:', Object.keys(update));
+    }
+  }
+
   /**
    * Process incoming message
    */
@@ -78,7 +234,7 @@ class TelegramController {
     const firstName = message.from.first_name || 'Пользователь';
 
     logger.info(`Processing message from user ${userId} in chat ${chatId}:`, {
-      messageType: text ? 'text' : (message.photo ? 'photo' : 'other'),
+      messageType: text ? 'text' : (message.photo ? 'photo' : (message.document ? 'document' : 'other')),
       text: text?.substring(0, 50)
     });
 
@@ -89,15 +245,46 @@ class TelegramController {
         return;
       }
 
+      // Banned users only get a notice when they send a command
+      if (await adminService.isBanned(userId)) {
+        logger.logSecurity('banned_user_message', 'info', { userId, chatId });
+
+        if (text?.startsWith('/')) {
+          await telegramService.sendMessage(chatId, MESSAGES.USER_BANNED);
+        }
+        return;
+      }
+
+      // Anything but plain text drops a rename waiting for its title
+      if (!text || text.startsWith('/')) {
+        this.pendingRenames.delete(chatId);
+      }
+
       // Handle different message types
       if (text === '/start') {
         await this.handleStartCommand(chatId, firstName);
       } else if (text === '/help') {
         await this.handleHelpCommand(chatId);
+      } else if (text === '/addtopack') {
+        await this.handleAddToPackCommand(chatId, userId);
+      } else if (text === '/newpack') {
+        await this.handleNewPackCommand(chatId);
+      } else if (text === '/mypacks') {
+        await this.handlePacksCommand(chatId, userId);
+      } else if (text === '/renamepack') {
+        await this.handlePacksCommand(chatId, userId, 'pk_ren');
+      } else if (text === '/deletepack') {
+        await this.handlePacksCommand(chatId, userId, 'pk_del');
+      } else if (text === '/cancel') {
+        await this.handleCancelCommand(chatId, userId);
+      } else if (text === '/promo' || text?.startsWith('/promo ')) {
+        await this.handlePromoCommand(chatId, userId, text.slice('/promo'.length).trim());
       } else if (message.photo) {
-        await this.handlePhotoMessage(chatId, userId, message.photo, firstName);
+        await this.handlePhotoMessage(chatId, userId, message.photo, firstName, message.message_id, message.from.language_code);
+      } else if (message.document) {
+        await this.handleDocumentMessage(chatId, userId, message.document, firstName, message.message_id, message.from.language_code);
       } else if (text) {
-        await this.handleTextMessage(chatId, text);
+        await this.handleTextMessage(chatId, text, userId);
       } else {
         await this.handleUnsupportedMessage(chatId);
       }
@@ -114,6 +301,70 @@ class TelegramController {
     }
   }
 
+  /**
+   * Process callback query from an inline keyboard button
+   * Verifies the signed callback_data and dispatches to the registered route
+   */
+  async processCallbackQuery(callbackQuery) {
+    const userId = callbackQuery.from?.id;
+    const chatId = callbackQuery.message?.chat?.id;
+    let answer = {};
+
+    logger.info(`Processing callback query from user ${userId} in chat ${chatId}`, {
+      callbackQueryId: callbackQuery.id,
+      messageId: callbackQuery.message?.message_id
+    });
+
+    // Check if Telegram service is configured
+    if (!telegramService.isConfigured()) {
+      logger.error('Telegram service not configured, cannot answer callback query');
+      return;
+    }
+
+    try {
+      if (await adminService.isBanned(userId)) {
+        logger.logSecurity('banned_user_callback', 'info', { userId, chatId });
+        answer = { text: MESSAGES.USER_BANNED };
+        return;
+      }
+
+      const parsed = callbackData.decode(callbackQuery.data, userId);
+
+      if (!parsed || !chatId) {
+        logger.logSecurity('callback_data_invalid', 'warn', {
+          userId,
+          chatId,
+          dataLength: callbackQuery.data?.length || 0
+        });
+        answer = { text: MESSAGES.CALLBACK_INVALID };
+        return;
+      }
+
+      const handler = this.callbackRoutes.get(parsed.action);
+
+      if (!handler) {
+        logger.warn(`Unknown callback action from user ${userId}: ${parsed.action}`);
+        answer = { text: MESSAGES.CALLBACK_INVALID };
+        return;
+      }
+
+      answer = (await handler(callbackQuery, parsed.args)) || {};
+
+    } catch (error) {
+      logger.error(`Error processing callback query from user ${userId}:`, error);
+
+      try {
+        await telegramService.sendMessage(chatId, MESSAGES.SERVICE_ERROR);
+      } catch (sendError) {
+        logger.error(`Failed to send error message to user ${userId}:`, sendError);
+      }
+
+    } finally {
+      // Telegram keeps the button spinner until the query is answered
+      await telegramService.answerCallbackQuery(callbackQuery.id, answer);
+    }
+  }
+
   /**
    * Handle /start command
    */
@@ -122,7 +373,7 @@ class TelegramController {
       logger.info(`Handling /start command for chat ${chatId}`);
       
       // Set user state to idle
-      this.userStates.set(chatId, BOT_STATES.IDLE);
+      await stateService.transition(chatId, BOT_STATES.IDLE);
       
       // Send welcome message
       await telegramService.sendMessage(chatId, MESSAGES.WELCOME);
@@ -152,67 +403,1044 @@ class TelegramController {
     }
   }
 
+  /**
+   * Handle /addtopack command
+   * Next photo will add stickers to the user's most recent pack
+   */
+  async handleAddToPackCommand(chatId, userId) {
+    try {
+      logger.info(`Handling /addtopack command for user ${userId} in chat ${chatId}`);
+
+      const latestPack = await userPacksService.getLatestPack(userId);
+
+      if (!latestPack) {
+        await telegramService.sendMessage(chatId, MESSAGES.NO_EXISTING_PACK);
+        return;
+      }
+
+      // Telegram is the source of truth for the current sticker count
+      let stickerCount = latestPack.stickerCount;
+      try {
+        const stickerSet = await stickerService.getStickerSet(latestPack.packName);
+        stickerCount = stickerSet.stickers?.length || 0;
+      } catch (error) {
+        logger.warn(`Pack ${latestPack.packName} not available in Telegram: ${error.message}`);
+        await telegramService.sendMessage(chatId, MESSAGES.NO_EXISTING_PACK);
+        return;
+      }
+
+      const freeSlots = CONFIG.MAX_STICKERS_PER_PACK - stickerCount;
+
+      if (freeSlots <= 0) {
+        await telegramService.sendMessage(chatId, MESSAGES.PACK_FULL);
+        return;
+      }
+
+      this.packTargets.set(chatId, latestPack.packName);
+
+      await telegramService.sendMessage(chatId, MESSAGES.ADD_TO_PACK_SELECTED(stickerCount, freeSlots));
+
+      logger.info(`Pack update mode selected for chat ${chatId}: ${latestPack.packName}`);
+
+    } catch (error) {
+      logger.error(`Failed to handle /addtopack command for chat ${chatId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle /newpack command
+   * Next photo creates a fresh pack (default behavior)
+   */
+  async handleNewPackCommand(chatId) {
+    try {
+      logger.info(`Handling /newpack command for chat ${chatId}`);
+
+      this.packTargets.delete(chatId);
+
+      await telegramService.sendMessage(chatId, MESSAGES.NEW_PACK_SELECTED);
+
+    } catch (error) {
+      logger.error(`Failed to handle /newpack command for chat ${chatId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle /mypacks, /renamepack and /deletepack commands
+   * Shows the user's packs; the button action decides what picking a pack does
+   * @param {number} chatId - Chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} action - 'pk' (pack menu), 'pk_ren' or 'pk_del'
+   */
+  async handlePacksCommand(chatId, userId, action = 'pk') {
+    try {
+      logger.info(`Handling pack list (${action}) for user ${userId} in chat ${chatId}`);
+
+      const packs = await userPacksService.getUserPacks(userId);
+
+      if (packs.length === 0) {
+        await telegramService.sendMessage(chatId, MESSAGES.NO_EXISTING_PACK);
+        return;
+      }
+
+      await telegramService.sendMessage(
+        chatId,
+        this.getPackListText(action, packs.length),
+        this.buildPackListKeyboard(userId, packs, action)
+      );
+
+    } catch (error) {
+      logger.error(`Failed to handle pack list for chat ${chatId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Heading of the pack list for a button action
+   */
+  getPackListText(action, packCount) {
+    if (action === 'pk_ren') return MESSAGES.CHOOSE_PACK_TO_RENAME;
+    if (action === 'pk_del') return MESSAGES.CHOOSE_PACK_TO_DELETE;
+    return MESSAGES.MY_PACKS(packCount);
+  }
+
+  /**
+   * Short reference to a pack for callback_data
+   * Full pack names don't fit into Telegram's 64-byte limit
+   * @param {string} packName - Sticker set name
+   * @returns {string} - 10 base64url characters
+   */
+  getPackRef(packName) {
+    return crypto.createHash('sha256').update(packName).digest('base64url').slice(0, 10);
+  }
+
+  /**
+   * Build inline keyboard with one button per pack
+   * @param {number} userId - User the buttons are signed for
+   * @param {Array<Object>} packs - User packs
+   * @param {string} action - Callback action of the buttons
+   * @returns {Object} - sendMessage/editMessage options with reply_markup
+   */
+  buildPackListKeyboard(userId, packs, action) {
+    return {
+      reply_markup: {
+        inline_keyboard: packs.map(pack => [{
+          text: `📦 ${pack.title || pack.packName} (${pack.stickerCount})`,
+          callback_data: callbackData.encode(action, [this.getPackRef(pack.packName)], userId)
+        }])
+      }
+    };
+  }
+
+  /**
+   * Build inline keyboard of the pack menu
+   * Sticker actions are offered only while the pack has more than one sticker
+   * @param {number} userId - User the buttons are signed for
+   * @param {Object} pack - Pack record
+   * @param {Object} stickerSet - Sticker set from Telegram
+   * @returns {Object} - editMessage options with reply_markup
+   */
+  buildPackMenuKeyboard(userId, pack, stickerSet) {
+    const ref = this.getPackRef(pack.packName);
+    const button = (text, action) => [{ text, callback_data: callbackData.encode(action, [ref], userId) }];
+    const rows = [button('✏️ Переименовать', 'pk_ren')];
+
+    if ((stickerSet.stickers?.length || 0) > 1) {
+      rows.push(button('🖼 Последний стикер — на обложку', 'pk_cover'));
+      rows.push(button('🧹 Удалить последний стикер', 'pk_rm'));
+    }
+
+    rows.push(button('🗑 Удалить пак', 'pk_del'));
+    rows.push([{ text: '⬅️ Все паки', callback_data: callbackData.encode('pk_list', [], userId) }]);
+
+    return {
+      reply_markup: {
+        inline_keyboard: rows
+      }
+    };
+  }
+
+  /**
+   * Build a yes/no keyboard for a destructive pack action
+   * "No" returns to the pack menu
+   */
+  buildPackConfirmKeyboard(userId, pack, confirmText, action, args = []) {
+    const ref = this.getPackRef(pack.packName);
+
+    return {
+      reply_markup: {
+        inline_keyboard: [[
+          { text: confirmText, callback_data: callbackData.encode(action, [ref, ...args], userId) },
+          { text: '❌ Отмена', callback_data: callbackData.encode('pk', [ref], userId) }
+        ]]
+      }
+    };
+  }
+
+  /**
+   * Find a pack by its reference among the user's packs
+   * Access is checked against the stored ownership record
+   * @param {number} userId - User who pressed the button
+   * @param {string} ref - Pack reference from callback_data
+   * @returns {Promise<Object|null>} - Pack record or null if the user doesn't own it
+   */
+  async resolveOwnedPack(userId, ref) {
+    const packs = await userPacksService.getUserPacks(userId);
+    const pack = packs.find(candidate => this.getPackRef(candidate.packName) === ref);
+
+    if (!pack || !(await userPacksService.isPackOwner(userId, pack.packName))) {
+      logger.logSecurity('pack_access_denied', 'warn', { userId, packRef: ref });
+      return null;
+    }
+
+    return pack;
+  }
+
+  /**
+   * Run a pack menu action for a pack the user owns
+   * @param {Object} callbackQuery - Telegram callback query
+   * @param {Array<string>} args - Callback arguments, pack reference first
+   * @param {Function} action - async (pack, context) => callback answer
+   * @returns {Promise<Object|undefined>} - Callback answer
+   */
+  async withOwnedPack(callbackQuery, args, action) {
+    const userId = callbackQuery.from.id;
+    const context = {
+      userId,
+      chatId: callbackQuery.message.chat.id,
+      messageId: callbackQuery.message.message_id
+    };
+
+    const pack = await this.resolveOwnedPack(userId, args[0]);
+
+    if (!pack) {
+      return { text: MESSAGES.PACK_NOT_AVAILABLE, show_alert: true };
+    }
+
+    try {
+      return await action(pack, context);
+    } catch (error) {
+      logger.error(`Pack action failed for ${pack.packName}:`, error);
+      return { text: MESSAGES.PACK_ACTION_FAILED, show_alert: true };
+    }
+  }
+
+  /**
+   * Forget a pack that no longer exists in Telegram (e.g. deleted via @Stickers)
+   */
+  async handleMissingPack(pack, { chatId, messageId }) {
+    await userPacksService.removePack(pack.packName);
+    await telegramService.editMessage(chatId, messageId, MESSAGES.PACK_GONE);
+  }
+
+  /**
+   * Get a pack's sticker set from Telegram
+   * @returns {Promise<Object|null>} - Sticker set or null if the pack is gone
+   */
+  async getPackStickerSet(pack, context) {
+    try {
+      return await stickerService.getStickerSet(pack.packName);
+    } catch (error) {
+      // Only STICKERSET_INVALID means the set is gone; anything else keeps the pack
+      if (!stickerService.isStickerSetMissing(error)) {
+        throw error;
+      }
+
+      await this.handleMissingPack(pack, context);
+      return null;
+    }
+  }
+
+  /**
+   * Show the pack menu in place of the current message
+   */
+  async showPackMenu(pack, context) {
+    const stickerSet = await this.getPackStickerSet(pack, context);
+
+    if (!stickerSet) {
+      return;
+    }
+
+    await telegramService.editMessage(
+      context.chatId,
+      context.messageId,
+      MESSAGES.PACK_DETAILS(stickerSet.title, stickerSet.stickers?.length || 0, stickerService.generateStickerPackUrl(pack.packName)),
+      this.buildPackMenuKeyboard(context.userId, pack, stickerSet)
+    );
+  }
+
+  /**
+   * Callback: open the menu of one pack
+   */
+  async handlePackView(callbackQuery, args) {
+    return this.withOwnedPack(callbackQuery, args, (pack, context) => this.showPackMenu(pack, context));
+  }
+
+  /**
+   * Callback: back to the list of packs
+   */
+  async handlePackList(callbackQuery) {
+    const userId = callbackQuery.from.id;
+    const chatId = callbackQuery.message.chat.id;
+    const packs = await userPacksService.getUserPacks(userId);
+
+    if (packs.length === 0) {
+      await telegramService.editMessage(chatId, callbackQuery.message.message_id, MESSAGES.NO_EXISTING_PACK);
+      return;
+    }
+
+    await telegramService.editMessage(
+      chatId,
+      callbackQuery.message.message_id,
+      MESSAGES.MY_PACKS(packs.length),
+      this.buildPackListKeyboard(userId, packs, 'pk')
+    );
+  }
+
+  /**
+   * Callback: ask for a new pack title
+   * The title comes with the next text message (see handlePackTitleInput)
+   */
+  async handlePackRename(callbackQuery, args) {
+    return this.withOwnedPack(callbackQuery, args, async (pack, { userId, chatId, messageId }) => {
+      this.pendingRenames.set(chatId, {
+        userId,
+        packName: pack.packName,
+        createdAt: Date.now()
+      });
+
+      await telegramService.editMessage(chatId, messageId, MESSAGES.PACK_RENAME_PROMPT(pack.title || pack.packName));
+    });
+  }
+
+  /**
+   * Rename a pack with the title the user sent after "Rename"
+   * @param {number} chatId - Chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} text - New title
+   */
+  async handlePackTitleInput(chatId, userId, text) {
+    const rename = this.pendingRenames.get(chatId);
+    const title = validators.sanitizeText(text);
+
+    if (!title || title.length > CONFIG.MAX_PACK_TITLE_LENGTH) {
+      // Keep waiting for a valid title
+      await telegramService.sendMessage(chatId, MESSAGES.PACK_TITLE_INVALID);
+      return;
+    }
+
+    this.pendingRenames.delete(chatId);
+
+    if (rename.userId !== userId || !(await userPacksService.isPackOwner(userId, rename.packName))) {
+      logger.logSecurity('pack_access_denied', 'warn', { userId, packName: rename.packName });
+      await telegramService.sendMessage(chatId, MESSAGES.PACK_NOT_AVAILABLE);
+      return;
+    }
+
+    try {
+      await stickerService.setStickerSetTitle(rename.packName, title);
+    } catch (error) {
+      logger.error(`Failed to rename pack ${rename.packName}:`, error);
+      await telegramService.sendMessage(chatId, MESSAGES.PACK_ACTION_FAILED);
+      return;
+    }
+
+    await userPacksService.recordPack(userId, rename.packName, { title });
+    await telegramService.sendMessage(chatId, MESSAGES.PACK_RENAMED(title));
+
+    logger.info(`Pack renamed by user ${userId}: ${rename.packName}`, { title });
+  }
+
+  /**
+   * Get the rename waiting for a title in a chat
+   * @returns {Object|null} - Pending rename or null if there is none or it expired
+   */
+  getPendingRename(chatId) {
+    const rename = this.pendingRenames.get(chatId);
+
+    if (rename && Date.now() - rename.createdAt > CONFIG.PACK_RENAME_TIMEOUT) {
+      this.pendingRenames.delete(chatId);
+      return null;
+    }
+
+    return rename || null;
+  }
+
+  /**
+   * Callback: ask to confirm deleting a pack
+   */
+  async handlePackDelete(callbackQuery, args) {
+    return this.withOwnedPack(callbackQuery, args, async (pack, { userId, chatId, messageId }) => {
+      await telegramService.editMessage(
+        chatId,
+        messageId,
+        MESSAGES.PACK_DELETE_CONFIRM(pack.title || pack.packName),
+        this.buildPackConfirmKeyboard(userId, pack, '✅ Да, удалить пак', 'pk_delok')
+      );
+    });
+  }
+
+  /**
+   * Callback: delete a pack after confirmation
+   */
+  async handlePackDeleteConfirm(callbackQuery, args) {
+    return this.withOwnedPack(callbackQuery, args, async (pack, context) => {
+      const { userId, chatId, messageId } = context;
+
+      try {
+        await stickerService.deleteStickerSet(pack.packName);
+      } catch (error) {
+        if (!stickerService.isStickerSetMissing(error)) {
+          throw error;
+        }
+
+        await this.handleMissingPack(pack, context);
+        return;
+      }
+
+      await userPacksService.removePack(pack.packName);
+
+      if (this.packTargets.get(chatId) === pack.packName) {
+        this.packTargets.delete(chatId);
+      }
+
+      await telegramService.editMessage(chatId, messageId, MESSAGES.PACK_DELETED(pack.title || pack.packName));
+
+      logger.info(`Pack deleted by user ${userId}: ${pack.packName}`);
+    });
+  }
+
+  /**
+   * Callback: ask to confirm deleting the last sticker of a pack
+   * The sticker is pinned by file_unique_id so a changed pack can't lose another one
+   */
+  async handleStickerDelete(callbackQuery, args) {
+    return this.withOwnedPack(callbackQuery, args, async (pack, context) => {
+      const stickerSet = await this.getPackStickerSet(pack, context);
+
+      if (!stickerSet) {
+        return;
+      }
+
+      const stickers = stickerSet.stickers || [];
+
+      if (stickers.length < 2) {
+        return { text: MESSAGES.PACK_ACTION_FAILED };
+      }
+
+      await telegramService.editMessage(
+        context.chatId,
+        context.messageId,
+        MESSAGES.STICKER_DELETE_CONFIRM(stickerSet.title),
+        this.buildPackConfirmKeyboard(context.userId, pack, '✅ Да, удалить стикер', 'pk_rmok', [
+          stickers[stickers.length - 1].file_unique_id
+        ])
+      );
+    });
+  }
+
+  /**
+   * Callback: delete a sticker after confirmation
+   */
+  async handleStickerDeleteConfirm(callbackQuery, args) {
+    return this.withOwnedPack(callbackQuery, args, async (pack, context) => {
+      const stickerSet = await this.getPackStickerSet(pack, context);
+
+      if (!stickerSet) {
+        return;
+      }
+
+      const sticker = (stickerSet.stickers || []).find(candidate => candidate.file_unique_id === args[1]);
+
+      if (!sticker) {
+        await this.showPackMenu(pack, context);
+        return { text: MESSAGES.CALLBACK_INVALID };
+      }
+
+      await stickerService.deleteStickerFromSet(sticker.file_id);
+      await userPacksService.recordPack(context.userId, pack.packName, {
+        stickerCount: stickerSet.stickers.length - 1
+      });
+
+      logger.info(`Sticker deleted by user ${context.userId} from ${pack.packName}`);
+
+      await this.showPackMenu(pack, context);
+      return { text: MESSAGES.STICKER_DELETED };
+    });
+  }
+
+  /**
+   * Callback: move the newest sticker to the front and make it the pack cover
+   * Dropping the custom thumbnail makes Telegram show the first sticker
+   */
+  async handlePackCover(callbackQuery, args) {
+    return this.withOwnedPack(callbackQuery, args, async (pack, context) => {
+      const stickerSet = await this.getPackStickerSet(pack, context);
+
+      if (!stickerSet) {
+        return;
+      }
+
+      const stickers = stickerSet.stickers || [];
+
+      if (stickers.length < 2) {
+        return { text: MESSAGES.PACK_ACTION_FAILED };
+      }
+
+      const lastSticker = stickers[stickers.length - 1];
+
+      await stickerService.setStickerPositionInSet(lastSticker.file_id, 0);
+      await stickerService.setStickerSetThumbnail(
+        pack.packName,
+        context.userId,
+        null,
+        lastSticker.is_video ? 'video' : 'static'
+      );
+
+      logger.info(`Pack cover changed by user ${context.userId}: ${pack.packName}`);
+
+      return { text: MESSAGES.PACK_COVER_UPDATED };
+    });
+  }
+
+  /**
+   * Handle /promo command
+   * Adds the promo code's bonus credits to the user
+   * @param {number} chatId - Chat ID
+   * @param {number} userId - Telegram user ID
+   * @param {string} code - Code typed after the command
+   */
+  async handlePromoCommand(chatId, userId, code) {
+    try {
+      logger.info(`Handling /promo command for user ${userId} in chat ${chatId}`);
+
+      if (!code) {
+        await telegramService.sendMessage(chatId, MESSAGES.PROMO_USAGE);
+        return;
+      }
+
+      const result = await quotaService.redeemPromoCode(userId, code);
+
+      if (result.ok) {
+        await telegramService.sendMessage(chatId, MESSAGES.PROMO_REDEEMED(result.credits, result.bonusCredits));
+        return;
+      }
+
+      const failureMessages = {
+        not_found: MESSAGES.PROMO_NOT_FOUND,
+        expired: MESSAGES.PROMO_EXPIRED,
+        exhausted: MESSAGES.PROMO_EXHAUSTED,
+        already_redeemed: MESSAGES.PROMO_ALREADY_REDEEMED
+      };
+
+      await telegramService.sendMessage(chatId, failureMessages[result.reason] || MESSAGES.SERVICE_ERROR);
+
+    } catch (error) {
+      logger.error(`Failed to handle /promo command for chat ${chatId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pick the message for a denied quota check
+   * @param {Object} quota - Result of checkUserLimit() or reserveGeneration()
+   * @returns {string} - Message text
+   */
+  getQuotaExceededMessage(quota) {
+    if (quota.reason === 'weekly_limit_exceeded') {
+      return MESSAGES.WEEKLY_LIMIT_EXCEEDED(quota.limits.weekly, quota.retryAt);
+    }
+
+    if (quota.reason === 'daily_limit_exceeded') {
+      return MESSAGES.DAILY_LIMIT_EXCEEDED(quota.limits.daily, quota.retryAt);
+    }
+
+    return MESSAGES.SERVICE_ERROR;
+  }
+
   /**
    * Handle photo message
+   * Checks limits and the face on the photo, then shows the template picker
+   * (group photos get the face picker first); generation starts from the picker
+   * languageCode picks the language of sticker search keywords
    */
-  async handlePhotoMessage(chatId, userId, photos, firstName) {
+  async handlePhotoMessage(chatId, userId, photos, firstName, messageId = null, languageCode = null) {
     try {
       logger.info(`Handling photo message for user ${userId} in chat ${chatId}`);
       
       // Check if user is already processing
-      const currentState = this.userStates.get(chatId);
+      const currentState = await stateService.getState(chatId);
       if (currentState === BOT_STATES.PROCESSING) {
         await telegramService.sendMessage(chatId, MESSAGES.PROCESSING_IN_PROGRESS);
         return;
       }
 
-      // Check user limits
-      const limitCheck = await userLimitsService.checkUserLimit(userId);
-      
-      if (!limitCheck.canGenerate) {
-        if (limitCheck.reason === 'daily_limit_exceeded') {
-          await telegramService.sendMessage(chatId, MESSAGES.DAILY_LIMIT_EXCEEDED);
-        } else {
-          await telegramService.sendMessage(chatId, MESSAGES.SERVICE_ERROR);
-        }
+      // PROCESSING may have expired while the job waited in a long queue - the job still counts
+      const unfinishedJob = await jobQueueService.findUnfinishedJob(userId, chatId);
+      if (unfinishedJob) {
+        logger.info(`Chat ${chatId} still has job ${unfinishedJob.id} in the queue, refreshing its state`);
+        await stateService.transition(chatId, BOT_STATES.PROCESSING);
+        await telegramService.sendMessage(chatId, MESSAGES.PROCESSING_IN_PROGRESS);
+        return;
+      }
+
+      // Check user limits
+      const limitCheck = await userLimitsService.checkUserLimit(userId);
+      
+      if (!limitCheck.canGenerate) {
+        quotaService.recordRejection(limitCheck, 'photo');
+        await telegramService.sendMessage(chatId, this.getQuotaExceededMessage(limitCheck));
+        return;
+      }
+
+      // Get the highest resolution photo
+      const bestPhoto = photos[photos.length - 1]; // Last photo is highest resolution
+      
+      // A new photo replaces any picker that is still open
+      const selection = {
+        userId,
+        firstName,
+        languageCode,
+        messageId,
+        photo: bestPhoto,
+        photoCount: photos.length,
+        selectedIds: new Set(getAllTemplates().map(template => template.id)),
+        faceBox: null,
+        faceBoxes: null,
+        faceChecked: false,
+        phrase: null,
+        facePickerMessageId: null,
+        pickerMessageId: null,
+        createdAt: Date.now()
+      };
+
+      // Catch bad photos before the user spends time on the picker
+      const faceCheck = await this.checkPhotoFace(bestPhoto.file_id);
+      // Generation trusts this check and doesn't analyze the photo again
+      selection.faceChecked = faceCheck !== null;
+
+      if (faceCheck?.analysis.reason === 'multiple_faces') {
+        await this.sendFacePicker(chatId, currentState, selection, faceCheck);
+        return;
+      }
+
+      if (faceCheck && !faceCheck.analysis.passed) {
+        await telegramService.sendMessage(chatId, MESSAGES.FACE_CHECK_FAILED(faceCheck.analysis.reason));
+        return;
+      }
+
+      // The only good face among background ones is swapped alone
+      if (faceCheck?.analysis.faceCount > 1) {
+        selection.faceBox = faceCheck.analysis.face.relativeBox;
+      }
+
+      // A parallel update may have started processing since the check above
+      const transition = await stateService.transition(chatId, BOT_STATES.CHOOSING_TEMPLATES, { from: currentState });
+      if (!transition.success) {
+        await telegramService.sendMessage(chatId, MESSAGES.PROCESSING_IN_PROGRESS);
+        return;
+      }
+
+      await this.sendTemplatePicker(chatId, selection);
+
+    } catch (error) {
+      // Reset user state on error
+      await stateService.transition(chatId, BOT_STATES.ERROR);
+      
+      logger.error(`Failed to handle photo message for user ${userId}:`, error);
+      
+      throw error;
+    }
+  }
+
+  /**
+   * Handle an image sent as a file (uncompressed original, e.g. HEIC from an iPhone)
+   * Image documents go through the photo flow; anything else gets a hint
+   */
+  async handleDocumentMessage(chatId, userId, document, firstName, messageId = null, languageCode = null) {
+    logger.info(`Handling document message for user ${userId} in chat ${chatId}`, {
+      mimeType: document.mime_type,
+      fileSize: document.file_size
+    });
+
+    if (!this.isImageDocument(document)) {
+      await telegramService.sendMessage(chatId, MESSAGES.UNSUPPORTED_DOCUMENT);
+      return;
+    }
+
+    if (document.file_size > CONFIG.MAX_IMAGE_SIZE) {
+      await telegramService.sendMessage(chatId, MESSAGES.DOCUMENT_TOO_LARGE);
+      return;
+    }
+
+    // The file is decoded after download, so it goes in as the only "size" of the photo
+    await this.handlePhotoMessage(chatId, userId, [{
+      file_id: document.file_id,
+      file_unique_id: document.file_unique_id,
+      file_size: document.file_size,
+      isDocument: true
+    }], firstName, messageId, languageCode);
+  }
+
+  /**
+   * Check whether a document is an image we can decode, by MIME type or file name
+   * @param {Object} document - Telegram document
+   * @returns {boolean}
+   */
+  isImageDocument(document) {
+    if (document.mime_type) {
+      return VALIDATION.ALLOWED_MIME_TYPES.includes(document.mime_type.toLowerCase());
+    }
+
+    const extension = path.extname(document.file_name || '').toLowerCase();
+    return VALIDATION.ALLOWED_IMAGE_EXTENSIONS.includes(extension);
+  }
+
+  /**
+   * Send the template picker for a photo and remember the selection
+   * @param {number} chatId - Chat ID
+   * @param {Object} selection - Pending selection for the photo
+   */
+  async sendTemplatePicker(chatId, selection) {
+    const pickerMessage = await telegramService.sendMessage(
+      chatId,
+      MESSAGES.TEMPLATE_PICKER(selection.selectedIds.size, getAllTemplates().length, getAllTemplates().some(usesPhrase)),
+      this.buildTemplatePickerKeyboard(selection.userId, selection.selectedIds)
+    );
+
+    selection.pickerMessageId = pickerMessage.message_id;
+    this.pendingSelections.set(chatId, selection);
+
+    logger.info(`Template picker sent to user ${selection.userId}`, {
+      photoFileId: selection.photo.file_id,
+      pickerMessageId: selection.pickerMessageId,
+      faceChosen: !!selection.faceBox
+    });
+  }
+
+  /**
+   * Download a photo and run the local face check on it
+   * @param {string} fileId - Telegram file ID
+   * @returns {Promise<Object|null>} - { imageBuffer, analysis }, null if the photo couldn't be checked
+   *                                   (generation checks it again)
+   */
+  async checkPhotoFace(fileId) {
+    try {
+      const downloaded = await imageService.downloadImageFromTelegram(fileId);
+      const { buffer: imageBuffer } = await imageService.normalizeImage(downloaded);
+      const analysis = await imageService.analyzeFace(imageBuffer);
+
+      return analysis.skipped ? null : { imageBuffer, analysis };
+
+    } catch (error) {
+      logger.warn(`Face check skipped for photo ${fileId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Send a numbered preview of a group photo with a button per face
+   * @param {number} chatId - Chat ID
+   * @param {string} currentState - Conversation state before the photo
+   * @param {Object} selection - Pending selection for the photo
+   * @param {Object} faceCheck - { imageBuffer, analysis } from checkPhotoFace
+   */
+  async sendFacePicker(chatId, currentState, selection, faceCheck) {
+    // Good faces only, the largest ones, numbered left to right
+    const faceBoxes = faceCheck.analysis.faces
+      .filter(face => !face.failure)
+      .slice(0, CONFIG.FACE_PICKER_MAX_FACES)
+      .map(face => face.relativeBox)
+      .sort((a, b) => a.x - b.x);
+
+    const transition = await stateService.transition(chatId, BOT_STATES.CHOOSING_FACE, { from: currentState });
+    if (!transition.success) {
+      await telegramService.sendMessage(chatId, MESSAGES.PROCESSING_IN_PROGRESS);
+      return;
+    }
+
+    const rows = [];
+    for (let i = 0; i < faceBoxes.length; i += CONFIG.FACE_PICKER_COLUMNS) {
+      rows.push(faceBoxes.slice(i, i + CONFIG.FACE_PICKER_COLUMNS).map((faceBox, offset) => ({
+        text: `👤 ${i + offset + 1}`,
+        callback_data: callbackData.encode('face', [String(i + offset)], selection.userId)
+      })));
+    }
+
+    const preview = await imageService.drawFacePreview(faceCheck.imageBuffer, faceBoxes);
+    const pickerMessage = await telegramService.sendPhoto(chatId, preview, {
+      caption: MESSAGES.FACE_PICKER(faceBoxes.length),
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: rows }
+    });
+
+    selection.faceBoxes = faceBoxes;
+    selection.facePickerMessageId = pickerMessage.message_id;
+    this.pendingSelections.set(chatId, selection);
+
+    logger.info(`Face picker sent to user ${selection.userId}`, {
+      photoFileId: selection.photo.file_id,
+      faceCount: faceBoxes.length,
+      facePickerMessageId: selection.facePickerMessageId
+    });
+  }
+
+  /**
+   * Callback: use the chosen face of a group photo, then pick templates
+   */
+  async handleFaceChoice(callbackQuery, args) {
+    const chatId = callbackQuery.message.chat.id;
+    const selection = this.getPendingSelection(callbackQuery, 'facePickerMessageId');
+
+    if (!selection) {
+      return { text: MESSAGES.TEMPLATE_PICKER_EXPIRED };
+    }
+
+    const faceIndex = Number(args[0]);
+    const faceBox = selection.faceBoxes?.[faceIndex];
+    if (!faceBox) {
+      return { text: MESSAGES.CALLBACK_INVALID };
+    }
+
+    // Face buttons are single-use
+    const transition = await stateService.transition(chatId, BOT_STATES.CHOOSING_TEMPLATES, { from: BOT_STATES.CHOOSING_FACE });
+    if (!transition.success) {
+      this.pendingSelections.delete(chatId);
+      return { text: MESSAGES.TEMPLATE_PICKER_EXPIRED };
+    }
+
+    selection.faceBox = faceBox;
+    selection.facePickerMessageId = null;
+    await this.sendTemplatePicker(chatId, selection);
+
+    return { text: MESSAGES.FACE_CHOSEN(faceIndex + 1) };
+  }
+
+  /**
+   * Build inline keyboard for the template picker
+   * @param {number} userId - User the buttons are signed for
+   * @param {Set<string>} selectedIds - Currently selected template IDs
+   * @returns {Object} - sendMessage/editMessage options with reply_markup
+   */
+  buildTemplatePickerKeyboard(userId, selectedIds) {
+    const templates = getAllTemplates();
+    const rows = [];
+
+    for (let i = 0; i < templates.length; i += CONFIG.TEMPLATE_PICKER_COLUMNS) {
+      rows.push(templates.slice(i, i + CONFIG.TEMPLATE_PICKER_COLUMNS).map(template => ({
+        text: `${selectedIds.has(template.id) ? '✅' : '⬜'} ${template.emoji} ${template.name}`,
+        callback_data: callbackData.encode('tpl', [template.id], userId)
+      })));
+    }
+
+    rows.push([{
+      text: '✨ Все шаблоны',
+      callback_data: callbackData.encode('tpl_all', [], userId)
+    }]);
+
+    rows.push([{
+      text: `🚀 Создать стикеры (${selectedIds.size})`,
+      callback_data: callbackData.encode('tpl_go', [], userId)
+    }]);
+
+    return {
+      reply_markup: {
+        inline_keyboard: rows
+      }
+    };
+  }
+
+  /**
+   * Get the open template selection a picker button belongs to
+   * @param {Object} callbackQuery - Telegram callback query
+   * @param {string} pickerKey - Selection field with the picker message ID (template or face picker)
+   * @returns {Object|null} - Pending selection or null if the picker is stale
+   */
+  getPendingSelection(callbackQuery, pickerKey = 'pickerMessageId') {
+    const chatId = callbackQuery.message.chat.id;
+    const selection = this.pendingSelections.get(chatId);
+
+    // Buttons of an older picker (replaced by a newer photo) don't match
+    if (!selection || selection[pickerKey] !== callbackQuery.message.message_id) {
+      return null;
+    }
+
+    // The CHOOSING_FACE and CHOOSING_TEMPLATES states expire on their own after the same timeout
+    if (Date.now() - selection.createdAt > CONFIG.TEMPLATE_PICKER_TIMEOUT) {
+      this.pendingSelections.delete(chatId);
+      return null;
+    }
+
+    return selection;
+  }
+
+  /**
+   * Callback: toggle one template in the picker
+   */
+  async handleTemplateToggle(callbackQuery, args) {
+    const chatId = callbackQuery.message.chat.id;
+    const selection = this.getPendingSelection(callbackQuery);
+
+    if (!selection) {
+      return { text: MESSAGES.TEMPLATE_PICKER_EXPIRED };
+    }
+
+    const [templateId] = args;
+    if (!getAllTemplates().some(template => template.id === templateId)) {
+      return { text: MESSAGES.CALLBACK_INVALID };
+    }
+
+    if (selection.selectedIds.has(templateId)) {
+      selection.selectedIds.delete(templateId);
+    } else {
+      selection.selectedIds.add(templateId);
+    }
+
+    await telegramService.editMessage(
+      chatId,
+      selection.pickerMessageId,
+      MESSAGES.TEMPLATE_PICKER(selection.selectedIds.size, getAllTemplates().length, getAllTemplates().some(usesPhrase)),
+      this.buildTemplatePickerKeyboard(selection.userId, selection.selectedIds)
+    );
+  }
+
+  /**
+   * Callback: generate with all templates
+   */
+  async handleTemplateSelectAll(callbackQuery) {
+    const selection = this.getPendingSelection(callbackQuery);
+
+    if (!selection) {
+      return { text: MESSAGES.TEMPLATE_PICKER_EXPIRED };
+    }
+
+    selection.selectedIds = new Set(getAllTemplates().map(template => template.id));
+
+    await this.startGeneration(callbackQuery.message.chat.id, selection);
+  }
+
+  /**
+   * Callback: generate with the selected templates
+   */
+  async handleTemplateConfirm(callbackQuery) {
+    const selection = this.getPendingSelection(callbackQuery);
+
+    if (!selection) {
+      return { text: MESSAGES.TEMPLATE_PICKER_EXPIRED };
+    }
+
+    if (selection.selectedIds.size === 0) {
+      return { text: MESSAGES.TEMPLATE_NONE_SELECTED, show_alert: true };
+    }
+
+    await this.startGeneration(callbackQuery.message.chat.id, selection);
+  }
+
+  /**
+   * Queue sticker generation for a photo once templates are chosen
+   * @param {number} chatId - Chat ID
+   * @param {Object} selection - Pending selection from the template picker
+   */
+  async startGeneration(chatId, selection) {
+    const { userId, firstName, languageCode, messageId, photo } = selection;
+    let reservationId = null;
+    let job = null;
+
+    // Picker buttons are single-use
+    this.pendingSelections.delete(chatId);
+
+    // One job per photo message, even if the photo reached us twice
+    const photoClaimed = messageId ? await idempotencyService.claimPhotoJob(chatId, messageId) : false;
+
+    if (messageId && !photoClaimed) {
+      await stateService.transition(chatId, BOT_STATES.IDLE, { from: BOT_STATES.CHOOSING_TEMPLATES });
+      await telegramService.editMessage(chatId, selection.pickerMessageId, MESSAGES.PHOTO_ALREADY_USED);
+      return;
+    }
+
+    try {
+      // The photo check only looked; this takes the slot, so a parallel photo can't pass too
+      const reservation = await userLimitsService.reserveGeneration(userId);
+
+      if (!reservation.canGenerate) {
+        await stateService.transition(chatId, BOT_STATES.IDLE, { from: BOT_STATES.CHOOSING_TEMPLATES });
+        await this.releasePhotoClaim(chatId, messageId, photoClaimed);
+        await telegramService.editMessage(chatId, selection.pickerMessageId, this.getQuotaExceededMessage(reservation));
+        return;
+      }
+
+      reservationId = reservation.reservationId;
+
+      // Set user state to processing; only one update can leave the picker
+      const started = await stateService.transition(chatId, BOT_STATES.PROCESSING, { from: BOT_STATES.CHOOSING_TEMPLATES });
+      if (!started.success) {
+        await userLimitsService.releaseGeneration(reservationId);
+        await this.releasePhotoClaim(chatId, messageId, photoClaimed);
+        await telegramService.editMessage(chatId, selection.pickerMessageId, MESSAGES.PROCESSING_IN_PROGRESS);
         return;
       }
 
-      // Set user state to processing
-      this.userStates.set(chatId, BOT_STATES.PROCESSING);
-
-      // Send acknowledgment message
-      await telegramService.sendMessage(chatId, MESSAGES.PHOTO_RECEIVED);
+      // Replace the picker with the acknowledgment (drops the keyboard)
+      await telegramService.editMessage(chatId, selection.pickerMessageId, MESSAGES.PHOTO_RECEIVED);
 
       // Log generation start
       await userLimitsService.logGeneration(userId, 'started', {
         firstName,
-        photoCount: photos.length
+        photoCount: selection.photoCount
       });
 
-      // Get the highest resolution photo
-      const bestPhoto = photos[photos.length - 1]; // Last photo is highest resolution
+      // Keep template order stable; null means all templates
+      const allTemplates = getAllTemplates();
+      const templateIds = selection.selectedIds.size === allTemplates.length
+        ? null
+        : allTemplates.filter(template => selection.selectedIds.has(template.id)).map(template => template.id);
       
       logger.info(`Starting sticker generation for user ${userId}:`, {
-        photoFileId: bestPhoto.file_id,
-        photoSize: `${bestPhoto.width}x${bestPhoto.height}`,
-        fileSize: bestPhoto.file_size
+        photoFileId: photo.file_id,
+        photoSize: `${photo.width}x${photo.height}`,
+        fileSize: photo.file_size,
+        templateCount: selection.selectedIds.size
       });
 
-      // Start actual sticker generation
-      this.generateStickerPack(chatId, userId, bestPhoto.file_id, firstName)
-        .then((result) => {
-          logger.info(`Sticker generation completed for user ${userId}:`, result);
-        })
-        .catch((error) => {
-          logger.error(`Sticker generation failed for user ${userId}:`, error);
-        });
+      // Queue sticker generation - the job survives restarts and is
+      // picked up by a worker as soon as a concurrency slot is free
+      job = await jobQueueService.enqueue({
+        userId,
+        chatId,
+        messageId,
+        photoFileId: photo.file_id,
+        firstName,
+        options: {
+          targetPackName: this.packTargets.get(chatId) || null,
+          templateIds,
+          languageCode: languageCode || null,
+          quotaReservationId: reservationId,
+          faceBox: selection.faceBox || null,
+          faceChecked: selection.faceChecked === true,
+          phrase: selection.phrase || null
+        }
+      });
+
+      // Pack mode applies to a single photo
+      this.packTargets.delete(chatId);
+
+      logger.info(`Sticker generation queued for user ${userId}:`, {
+        jobId: job.id,
+        queuePosition: job.queuePosition
+      });
 
     } catch (error) {
       // Reset user state on error
-      this.userStates.set(chatId, BOT_STATES.ERROR);
+      await stateService.transition(chatId, BOT_STATES.ERROR);
       
-      logger.error(`Failed to handle photo message for user ${userId}:`, error);
+      logger.error(`Failed to start generation for user ${userId}:`, error);
+
+      // Nothing was queued - give the slot back
+      if (!job) {
+        await userLimitsService.releaseGeneration(reservationId);
+        await this.releasePhotoClaim(chatId, messageId, photoClaimed);
+      }
       
       // Log generation failure
       await userLimitsService.logGeneration(userId, 'failed', {
@@ -223,12 +1451,35 @@ class TelegramController {
     }
   }
 
+  /**
+   * Let the photo be used again when no job was queued for it
+   */
+  async releasePhotoClaim(chatId, messageId, claimed) {
+    if (claimed) {
+      await idempotencyService.releasePhotoJob(chatId, messageId);
+    }
+  }
+
   /**
    * Handle text message (non-commands)
    */
-  async handleTextMessage(chatId, text) {
+  async handleTextMessage(chatId, text, userId = null) {
     try {
       logger.info(`Handling text message for chat ${chatId}: "${text}"`);
+
+      if (this.getPendingRename(chatId)) {
+        await this.handlePackTitleInput(chatId, userId, text);
+        return;
+      }
+
+      // Text sent while the template picker is open is the phrase for overlay captions
+      const selection = this.pendingSelections.get(chatId);
+      if (selection?.pickerMessageId &&
+          Date.now() - selection.createdAt <= CONFIG.TEMPLATE_PICKER_TIMEOUT &&
+          getAllTemplates().some(usesPhrase)) {
+        await this.handleCaptionPhraseInput(chatId, selection, text);
+        return;
+      }
       
       // For now, just tell user to send a photo
       await telegramService.sendMessage(chatId, MESSAGES.SEND_PHOTO_ONLY);
@@ -239,6 +1490,29 @@ class TelegramController {
     }
   }
 
+  /**
+   * Remember the phrase for overlay captions of the photo in the picker
+   * @param {number} chatId - Chat ID
+   * @param {Object} selection - Pending selection from the template picker
+   * @param {string} text - Message text
+   */
+  async handleCaptionPhraseInput(chatId, selection, text) {
+    const phrase = sanitizeCaptionText(text, Infinity);
+
+    if (!/[\p{L}\p{N}]/u.test(phrase) || phrase.length > CONFIG.CAPTION_MAX_LENGTH) {
+      await telegramService.sendMessage(chatId, MESSAGES.CAPTION_PHRASE_INVALID(CONFIG.CAPTION_MAX_LENGTH));
+      return;
+    }
+
+    selection.phrase = phrase;
+
+    logger.info(`Caption phrase saved for user ${selection.userId}`, {
+      length: phrase.length
+    });
+
+    await telegramService.sendMessage(chatId, MESSAGES.CAPTION_PHRASE_SAVED(phrase));
+  }
+
   /**
    * Handle unsupported message types
    */
@@ -254,38 +1528,133 @@ class TelegramController {
     }
   }
 
+  /**
+   * Run a queued generation job
+   * Called by jobQueueService for new jobs and for jobs resumed after a restart
+   * @param {Object} job - Job record from the queue
+   * @returns {Promise<Object>} - Generation result
+   */
+  async runGenerationJob(job) {
+    const { chatId, userId, photoFileId, firstName } = job;
+
+    // Refreshes the PROCESSING TTL for jobs that waited in the queue or were resumed
+    await stateService.transition(chatId, BOT_STATES.PROCESSING);
+
+    // A job that already ran before means the previous process died mid-generation
+    if (job.attempts > 1) {
+      logger.info(`Resuming interrupted generation job ${job.id} for user ${userId}`, {
+        jobId: job.id,
+        attempt: job.attempts
+      });
+
+      try {
+        await telegramService.sendMessage(chatId, MESSAGES.GENERATION_RESUMED);
+      } catch (sendError) {
+        logger.warn(`Failed to send resume notice to chat ${chatId}: ${sendError.message}`);
+      }
+    }
+
+    return this.generateStickerPack(chatId, userId, photoFileId, firstName, {
+      jobId: job.id,
+      targetPackName: job.options?.targetPackName || null,
+      templateIds: job.options?.templateIds || null,
+      languageCode: job.options?.languageCode || null,
+      quotaReservationId: job.options?.quotaReservationId || null,
+      quotaExempt: job.options?.quotaExempt === true,
+      faceBox: job.options?.faceBox || null,
+      faceChecked: job.options?.faceChecked === true,
+      phrase: job.options?.phrase || null
+    });
+  }
+
   /**
    * Generate sticker pack for user
+   * @param {Object} options - { jobId } to record per-template progress in the job queue,
+   *                           { targetPackName } to add stickers to an existing pack,
+   *                           { templateIds } to use only templates chosen in the picker,
+   *                           { languageCode } for sticker search keywords,
+   *                           { quotaReservationId } committed on success, released on failure,
+   *                           { quotaExempt } for admin reruns that don't use the user's quota,
+   *                           { faceBox } relative box of the face chosen in a group photo,
+   *                           { faceChecked } the photo passed the face check when it arrived,
+   *                           { phrase } typed after the photo for overlay captions
+   *
+   * The whole run shares one AbortSignal, aborted by the Cancel button or /cancel and by the
+   * TEMPLATE_CONFIG.MAX_PROCESSING_TIME deadline; it reaches every download, Piapi task and
+   * Bot API call until the pack is made
    */
-  async generateStickerPack(chatId, userId, userPhotoFileId, firstName) {
+  async generateStickerPack(chatId, userId, userPhotoFileId, firstName, options = {}) {
+    const {
+      jobId = null,
+      targetPackName = null,
+      templateIds = null,
+      languageCode = null,
+      quotaReservationId = null,
+      quotaExempt = false,
+      faceBox = null,
+      faceChecked = false,
+      phrase = null
+    } = options;
     const startTime = Date.now();
     let processedStickers = 0;
     let failedStickers = 0;
     let userPhotoBuffer = null;
     let stickerBuffers = [];
     let emojis = [];
+    let formats = [];
+    let keywords = [];
     let packName = null;
+    let packCreated = false;
+    let progress = null;
+    const abortController = new AbortController();
+    const { signal } = abortController;
+    const deadline = cancellation.setDeadline(abortController, TEMPLATE_CONFIG.MAX_PROCESSING_TIME);
     
     try {
       logger.info(`Starting sticker pack generation for user ${userId}`);
       
-      // Send initial progress message and save message ID for editing
-      const progressMessage = await telegramService.sendMessage(
-        chatId, 
-        MESSAGES.PROCESSING_PROGRESS(0, getAllTemplates().length)
-      );
-      const progressMessageId = progressMessage.message_id;
+      const templates = this.resolveTemplates(templateIds);
+
+      // Live progress message with a Cancel button, edited as templates finish
+      progress = progressService.createTracker(chatId, templates, {
+        batchSize: TEMPLATE_CONFIG.BATCH_SIZE,
+        replyMarkup: this.buildCancelKeyboard(userId)
+      });
+      const progressMessageId = await progress.start();
+      this.activeGenerations.set(chatId, { jobId, progressMessageId, abortController });
       
       // Step 1: Download and process user photo
       logger.info(`Processing user photo: ${userPhotoFileId}`);
-      userPhotoBuffer = await imageService.processImageForStickers(userPhotoFileId);
+      userPhotoBuffer = await imageService.processImageForStickers(userPhotoFileId, { signal });
+
+      // Reject unusable photos locally before spending face-swap API credits,
+      // unless that was done when the photo arrived (faceBox then holds its result)
+      let swapFaceBox = faceBox;
+      if (!faceChecked) {
+        const faceCheck = await imageService.analyzeFace(userPhotoBuffer, { faceBox });
+        cancellation.throwIfAborted(signal);
+        if (!faceCheck.passed) {
+          const faceCheckError = errorHandler.createError(
+            `Face pre-flight check failed: ${faceCheck.reason}`,
+            'FaceDetectionError',
+            422
+          );
+          faceCheckError.faceCheckReason = faceCheck.reason;
+          throw faceCheckError;
+        }
+
+        // With several people on the photo, only the chosen face goes to the face swap
+        swapFaceBox = faceBox || (faceCheck.faceCount > 1 ? faceCheck.face.relativeBox : null);
+      }
+
+      // Full-resolution photo scaled to the face-swap size (cropped around the chosen face)
+      userPhotoBuffer = await imageService.prepareImageForFaceSwap(userPhotoBuffer, { faceBox: swapFaceBox });
       
       // Upload user photo to temporary hosting for Piapi
       // For now, we'll use the downloaded buffer directly
       // In production, you might want to upload to a temporary URL
       
-      // Step 2: Get all meme templates
-      const templates = getAllTemplates();
+      // Step 2: Meme templates were resolved above
       logger.info(`Processing ${templates.length} meme templates`);
       
       // Step 3: Process each template with face swap
@@ -293,15 +1662,32 @@ class TelegramController {
       const totalBatches = Math.ceil(templates.length / batchSize);
       
       for (let batchIndex = 0; batchIndex < totalBatches; batchIndex++) {
+        cancellation.throwIfAborted(signal);
+
         const batch = templates.slice(batchIndex * batchSize, (batchIndex + 1) * batchSize);
         
         logger.info(`Processing batch ${batchIndex + 1}/${totalBatches} (${batch.length} templates)`);
         
         const batchPromises = batch.map(async (template, templateIndex) => {
-          return this.processTemplate(template, userPhotoBuffer, batchIndex, templateIndex, userId);
+          progress.templateStarted(template);
+
+          try {
+            const sticker = await this.processTemplate(template, userPhotoBuffer, batchIndex, templateIndex, userId, {
+              captionContext: { name: firstName, phrase },
+              signal
+            });
+            progress.templateFinished(template, sticker);
+            return sticker;
+          } catch (error) {
+            progress.templateFinished(template, null);
+            throw error;
+          }
         });
         
         const batchResults = await Promise.allSettled(batchPromises);
+
+        // Stickers of a cancelled generation are thrown away
+        cancellation.throwIfAborted(signal);
         
         // Process batch results
         batchResults.forEach((result, index) => {
@@ -309,12 +1695,18 @@ class TelegramController {
           
           if (result.status === 'fulfilled' && result.value) {
             stickerBuffers.push(result.value);
-            emojis.push(template.emoji);
+            emojis.push(template.emojis || [template.emoji]);
+            formats.push(getTemplateFormat(template));
+            keywords.push(getTemplateKeywords(template, languageCode));
             processedStickers++;
+            jobQueueService.recordTemplateProgress(jobId, template.id, 'completed');
             logger.info(`Template ${template.id} processed successfully`);
           } else {
             failedStickers++;
             const error = result.reason;
+            jobQueueService.recordTemplateProgress(jobId, template.id, 'failed', {
+              error: error?.message
+            });
             
             // Check if this is a face detection error
             if (error.name === 'FaceDetectionError') {
@@ -336,61 +1728,90 @@ class TelegramController {
             }
           }
         });
-        
-        // Update progress in the same message
-        try {
-          await telegramService.editMessage(
-            chatId,
-            progressMessageId,
-            MESSAGES.PROCESSING_PROGRESS(processedStickers, templates.length)
-          );
-        } catch (editError) {
-          // If edit fails, log warning but continue
-          logger.warn(`Failed to edit progress message: ${editError.message}`);
-        }
       }
       
-      // Update to final stage: creating pack
-      try {
-        await telegramService.editMessage(
-          chatId,
-          progressMessageId,
-          MESSAGES.CREATING_PACK
-        );
-      } catch (editError) {
-        logger.warn(`Failed to edit to creating pack message: ${editError.message}`);
-      }
+      // Update to final stage: creating pack (the button goes, /cancel still works until the pack is made)
+      await progress.finish(MESSAGES.CREATING_PACK);
       
       // Step 4: Check if we have enough stickers
-      if (processedStickers < TEMPLATE_CONFIG.MIN_SUCCESSFUL_STICKERS) {
+      // (a user who picked fewer templates than the minimum needs all of them)
+      const minStickers = Math.min(TEMPLATE_CONFIG.MIN_SUCCESSFUL_STICKERS, templates.length);
+      if (processedStickers < minStickers) {
         throw new Error(
-          `Insufficient stickers generated: ${processedStickers}/${TEMPLATE_CONFIG.MIN_SUCCESSFUL_STICKERS} minimum`
+          `Insufficient stickers generated: ${processedStickers}/${minStickers} minimum`
         );
       }
       
-      // Step 5: Create sticker pack
-      logger.info(`Creating sticker pack with ${stickerBuffers.length} stickers`);
+      // Step 5: Create sticker pack (or add to the user's existing one)
+      logger.info(`Creating sticker pack with ${stickerBuffers.length} stickers`, {
+        targetPackName
+      });
       
-      const stickerResult = await stickerService.createCompleteStickerPack(
-        userId,
-        stickerBuffers,
-        emojis, 
-        `Мемстикеры ➡️ @NewPeopleStickers_bot`
-      );
+      const packTitle = `Мемстикеры ➡️ @NewPeopleStickers_bot`;
+      let stickerResult;
+      
+      try {
+        stickerResult = await stickerService.createCompleteStickerPack(
+          userId,
+          stickerBuffers,
+          emojis, 
+          packTitle,
+          { existingPackName: targetPackName, formats, keywords, signal }
+        );
+      } catch (packError) {
+        if (packError.name !== 'PackNotFoundError') {
+          throw packError;
+        }
+        
+        // Pack was deleted outside the bot - fall back to a fresh pack
+        logger.warn(`Target pack ${targetPackName} not found, creating a new pack instead`);
+        stickerResult = await stickerService.createCompleteStickerPack(
+          userId,
+          stickerBuffers,
+          emojis, 
+          packTitle,
+          { formats, keywords, signal }
+        );
+      }
+
+      // The pack is made - too late to cancel from here on
+      clearTimeout(deadline);
+      this.activeGenerations.delete(chatId);
+      packCreated = true;
       
       packName = stickerResult.packName;
       const packUrl = stickerResult.packUrl;
       const finalStickerCount = stickerResult.stickerCount;
       const uploadedStickers = stickerResult.uploadedStickers;
       
+      // Count the generation against the user's quota before anything else can fail
+      await userLimitsService.recordGeneration(userId, quotaReservationId, { quotaExempt });
+      
+      await userPacksService.recordPack(userId, packName, {
+        title: stickerResult.title,
+        stickerCount: finalStickerCount
+      });
+      
       // Step 6: Send success message
       const processingTime = Date.now() - startTime;
       
-      let successMessage = MESSAGES.STICKERS_READY(packUrl, packName);
+      let successMessage;
       
-      // Add info about partial success if some stickers failed
-      if (finalStickerCount < uploadedStickers) {
-        successMessage += `\n\n⚠️ Внимание: добавлено ${finalStickerCount} из ${uploadedStickers} стикеров. Некоторые стикеры могли быть дубликатами.`;
+      if (stickerResult.mode === 'update') {
+        successMessage = MESSAGES.STICKERS_ADDED(
+          stickerResult.addedStickers,
+          finalStickerCount,
+          stickerResult.skippedStickers
+        );
+      } else {
+        successMessage = MESSAGES.STICKERS_READY(packUrl, packName);
+        
+        // Add info about partial success if some stickers failed
+        if (finalStickerCount < uploadedStickers) {
+          successMessage += `\n\n⚠️ Внимание: добавлено ${finalStickerCount} из ${uploadedStickers} стикеров. Некоторые стикеры могли быть дубликатами.`;
+        }
+        
+        successMessage += `\n\n${MESSAGES.ADD_TO_PACK_HINT}`;
       }
       
       // Create inline keyboard with both pack link and share buttons
@@ -427,11 +1848,8 @@ class TelegramController {
         firstName
       });
       
-      // Record generation for daily limits
-      await userLimitsService.recordGeneration(userId);
-      
-      // Reset user state
-      this.userStates.set(chatId, BOT_STATES.COMPLETED);
+      // Reset user state (COMPLETED falls back to IDLE after CONFIG.STATE_RESULT_TTL)
+      await stateService.transition(chatId, BOT_STATES.COMPLETED);
       
       const result = {
         success: true,
@@ -443,20 +1861,85 @@ class TelegramController {
         processingTime
       };
       
+      packCreationDuration.observe({ result: 'success' }, processingTime / 1000);
       logger.info(`Sticker pack generation completed for user ${userId}:`, result);
       
       return result;
       
     } catch (error) {
       const processingTime = Date.now() - startTime;
+      const isCancelled = error.name === 'CancelledError';
+      const timedOut = isCancelled && error.reason === cancellation.REASONS.TIMEOUT;
+
+      // The user has the pack and its quota slot is committed - only a step after it failed
+      if (packCreated) {
+        logger.error(`Sticker pack ${packName} was created for user ${userId}, but finishing the generation failed:`, error);
+
+        packCreationDuration.observe({ result: 'success' }, processingTime / 1000);
+        await stateService.transition(chatId, BOT_STATES.COMPLETED);
+
+        return {
+          success: true,
+          packName,
+          processingTime,
+          message: 'Pack created, follow-up steps failed'
+        };
+      }
+
+      packCreationDuration.observe({
+        result: error.name === 'FaceDetectionError' ? 'face_not_detected' :
+          error.name === 'PackFullError' ? 'pack_full' :
+          timedOut ? 'timeout' :
+          isCancelled ? 'cancelled' : 'failed'
+      }, processingTime / 1000);
+
+      // No pack was made - the reserved quota slot goes back to the user
+      await userLimitsService.releaseGeneration(quotaReservationId);
+
+      // The progress message loses its Cancel button; previews of dropped stickers aren't sent
+      let finalText = MESSAGES.PROCESSING_STOPPED;
+      if (timedOut) {
+        finalText = MESSAGES.GENERATION_TIMED_OUT(Math.max(1, Math.round(TEMPLATE_CONFIG.MAX_PROCESSING_TIME / 60000)));
+      } else if (isCancelled) {
+        finalText = MESSAGES.GENERATION_CANCELLED;
+      }
+      await progress?.finish(finalText, { previews: false });
+
+      // Cancelled by the user or stopped by the deadline - the progress message says it all,
+      // the Piapi tasks and a half-made set were cleaned up on the way out
+      if (isCancelled) {
+        await stateService.transition(chatId, BOT_STATES.IDLE);
+
+        logger.info(`Sticker generation ${timedOut ? 'timed out' : 'cancelled'} for user ${userId}`, {
+          jobId,
+          processedStickers,
+          processingTime
+        });
+
+        await userLimitsService.logGeneration(userId, timedOut ? 'timeout' : 'cancelled', {
+          processedStickers,
+          processingTime,
+          firstName,
+          note: timedOut
+            ? 'User limit not consumed - processing deadline exceeded'
+            : 'User limit not consumed - cancelled by the user'
+        });
+
+        return {
+          success: false,
+          reason: timedOut ? 'timeout' : 'cancelled',
+          message: timedOut ? 'Processing deadline exceeded' : 'Generation cancelled by the user'
+        };
+      }
       
       // Handle face detection errors differently
       if (error.name === 'FaceDetectionError') {
         // Reset user state to allow retry
-        this.userStates.set(chatId, BOT_STATES.IDLE);
+        await stateService.transition(chatId, BOT_STATES.IDLE);
         
         logger.warn(`Face detection failed for user ${userId} - requesting new photo`, {
           error: error.message,
+          faceCheckReason: error.faceCheckReason,
           originalError: error.originalError?.message,
           piapiErrorMessage: error.piapiErrorMessage,
           piapiErrorDetails: error.piapiErrorDetails,
@@ -465,12 +1948,16 @@ class TelegramController {
           userId
         });
         
-        // Send face detection error message
-        await telegramService.sendMessage(chatId, MESSAGES.FACE_NOT_DETECTED);
+        // Send face detection error message, with the exact problem if the pre-flight check found it
+        await telegramService.sendMessage(
+          chatId,
+          error.faceCheckReason ? MESSAGES.FACE_CHECK_FAILED(error.faceCheckReason) : MESSAGES.FACE_NOT_DETECTED
+        );
         
         // Log face detection failure (but don't count as generation attempt to preserve user's daily limit)
         await userLimitsService.logGeneration(userId, 'face_detection_failed', {
           error: error.message,
+          faceCheckReason: error.faceCheckReason,
           piapiErrorMessage: error.piapiErrorMessage,
           piapiErrorDetails: error.piapiErrorDetails,
           processingTime,
@@ -485,10 +1972,38 @@ class TelegramController {
           message: 'Face not detected, user can retry'
         };
       }
-      
+
+      // Handle full target pack - user can start a new pack instead
+      if (error.name === 'PackFullError') {
+        await stateService.transition(chatId, BOT_STATES.IDLE);
+
+        logger.warn(`Target pack is full for user ${userId}`, {
+          packName: error.packName,
+          stickerCount: error.stickerCount,
+          processingTime
+        });
+
+        await telegramService.sendMessage(chatId, MESSAGES.PACK_FULL);
+
+        // Log failure without consuming the user's daily limit
+        await userLimitsService.logGeneration(userId, 'failed', {
+          error: error.message,
+          packName: error.packName,
+          processingTime,
+          firstName,
+          note: 'User limit not consumed - target pack is full'
+        });
+
+        return {
+          success: false,
+          reason: 'pack_full',
+          message: 'Target pack is full'
+        };
+      }
+
       // Handle other errors
       // Reset user state on error
-      this.userStates.set(chatId, BOT_STATES.ERROR);
+      await stateService.transition(chatId, BOT_STATES.ERROR);
       
       logger.error(`Sticker pack generation failed for user ${userId}:`, {
         error: error.message,
@@ -509,129 +2024,373 @@ class TelegramController {
       });
       
       throw error;
+
+    } finally {
+      clearTimeout(deadline);
+      progress?.stop();
+
+      if (this.activeGenerations.get(chatId)?.abortController === abortController) {
+        this.activeGenerations.delete(chatId);
+      }
+    }
+  }
+
+  /**
+   * Keyboard under the progress message
+   * @param {number} userId - Telegram user ID (signs the callback data)
+   */
+  buildCancelKeyboard(userId) {
+    return {
+      inline_keyboard: [[{
+        text: '❌ Отменить',
+        callback_data: callbackData.encode('gen_cancel', [], userId)
+      }]]
+    };
+  }
+
+  /**
+   * Callback: cancel the running generation
+   * Templates in flight stop waiting and their Piapi tasks are cancelled; the generation
+   * then ends without a pack and the quota slot goes back to the user
+   */
+  async handleGenerationCancel(callbackQuery) {
+    const chatId = callbackQuery.message.chat.id;
+    const generation = this.activeGenerations.get(chatId);
+
+    // Buttons of an older progress message, or the pack is already made
+    if (!generation || generation.progressMessageId !== callbackQuery.message.message_id) {
+      return { text: MESSAGES.CANCEL_UNAVAILABLE };
+    }
+
+    this.cancelGeneration(chatId, callbackQuery.from.id);
+
+    return { text: MESSAGES.GENERATION_CANCELLING };
+  }
+
+  /**
+   * Handle /cancel command
+   * Stops the running generation, drops a job still waiting in the queue or closes the picker
+   */
+  async handleCancelCommand(chatId, userId) {
+    // A running generation stops at its next step and reports the cancellation itself
+    if (this.cancelGeneration(chatId, userId)) {
+      await telegramService.sendMessage(chatId, MESSAGES.GENERATION_CANCELLING);
+      return;
+    }
+
+    // A queued job never starts
+    const queuedJob = (await jobQueueService.getUserJobs(userId))
+      .find(job => job.chatId === chatId && job.status === JOB_STATUSES.PENDING);
+
+    if (queuedJob && await jobQueueService.cancelPendingJob(queuedJob.id)) {
+      await userLimitsService.releaseGeneration(queuedJob.options?.quotaReservationId || null);
+      await stateService.transition(chatId, BOT_STATES.IDLE);
+      await userLimitsService.logGeneration(userId, 'cancelled', {
+        jobId: queuedJob.id,
+        note: 'User limit not consumed - cancelled in the queue'
+      });
+
+      logger.info(`User ${userId} cancelled queued job ${queuedJob.id}`);
+      await telegramService.sendMessage(chatId, MESSAGES.GENERATION_CANCELLED);
+      return;
+    }
+
+    // Nothing was reserved yet in the face and template pickers
+    if (this.pendingSelections.has(chatId)) {
+      this.pendingSelections.delete(chatId);
+      await stateService.transition(chatId, BOT_STATES.IDLE);
+      await telegramService.sendMessage(chatId, MESSAGES.SELECTION_CANCELLED);
+      return;
+    }
+
+    await telegramService.sendMessage(chatId, MESSAGES.NOTHING_TO_CANCEL);
+  }
+
+  /**
+   * Abort the running generation of a chat
+   * @param {number} chatId - Chat ID
+   * @param {number} userId - User who cancelled (for the log)
+   * @returns {boolean} - Whether a generation was running
+   */
+  cancelGeneration(chatId, userId) {
+    const generation = this.activeGenerations.get(chatId);
+
+    if (!generation) {
+      return false;
+    }
+
+    if (!generation.abortController.signal.aborted) {
+      logger.info(`User ${userId} cancelled generation in chat ${chatId}`, {
+        jobId: generation.jobId
+      });
+      generation.abortController.abort(
+        cancellation.createCancelledError(cancellation.REASONS.USER, 'Generation cancelled by the user')
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Resolve templates chosen in the picker
+   * Falls back to all templates if none of the chosen IDs exist anymore
+   * @param {Array<string>|null} templateIds - Chosen template IDs, null for all
+   * @returns {Array<Object>} - Templates to process
+   */
+  resolveTemplates(templateIds) {
+    const allTemplates = getAllTemplates();
+
+    if (!Array.isArray(templateIds) || templateIds.length === 0) {
+      return allTemplates;
     }
+
+    const chosen = allTemplates.filter(template => templateIds.includes(template.id));
+    return chosen.length > 0 ? chosen : allTemplates;
   }
-  
+
   /**
    * Process individual template with face swap
+   * Returns WebP for static templates and WebM for video templates
+   * @param {Object} options - { captionContext } { name, phrase } for the captions of overlay templates,
+   *                           { signal } AbortSignal of the generation (cancels face-swap tasks and downloads)
    */
-  async processTemplate(template, userPhotoBuffer, batchIndex, templateIndex, userId) {
+  async processTemplate(template, userPhotoBuffer, batchIndex, templateIndex, userId, options = {}) {
+    const { captionContext = {}, signal = null } = options;
     const templateStartTime = Date.now();
     
     try {
+      cancellation.throwIfAborted(signal);
+
       logger.info(`Processing template ${template.id} (batch ${batchIndex}, index ${templateIndex})`);
       
-      // Check if this is a ready-made sticker (ID 11 or 12)
-      const isReadySticker = template.id === '11' || template.id === '12';
+      // Ready-made stickers are used as-is
+      const isReadySticker = template.type === 'ready_sticker';
       
       let optimizedSticker;
       let processingMethod = 'fallback';
       
-      if (isReadySticker) {
+      if (template.type === 'overlay') {
+        // Overlay templates get the user's name or phrase drawn on the base image
+        const templateBuffer = await cacheService.getTemplateImage(template);
+        const captions = resolveCaptions(template.captions, captionContext);
+        let captionedBuffer = templateBuffer;
+
+        if (captions.length > 0) {
+          try {
+            captionedBuffer = await imageService.renderCaptions(templateBuffer, captions);
+          } catch (captionError) {
+            // The base image alone still makes a sticker
+            logger.warn(`Caption rendering failed for template ${template.id}, using the base image: ${captionError.message}`);
+          }
+        }
+
+        optimizedSticker = await imageService.optimizeForStickers(captionedBuffer, {
+          maxSize: TEMPLATE_CONFIG.OUTPUT_STICKER_SIZE,
+          quality: TEMPLATE_CONFIG.OUTPUT_QUALITY,
+          safeArea: template.safeArea
+        });
+
+        processingMethod = 'overlay';
+        logger.info(`Overlay template ${template.id} processed with ${captions.length} captions`);
+
+      } else if (isReadySticker) {
         // For ready stickers, just download and optimize without face swap
         logger.info(`Processing ready-made sticker ${template.id} - no face swap needed`);
         
-        const templateBuffer = await imageService.downloadImageFromUrl(template.imageUrl);
+        const templateBuffer = await cacheService.getTemplateImage(template);
         
         optimizedSticker = await imageService.optimizeForStickers(templateBuffer, {
           maxSize: TEMPLATE_CONFIG.OUTPUT_STICKER_SIZE,
-          quality: TEMPLATE_CONFIG.OUTPUT_QUALITY
+          quality: TEMPLATE_CONFIG.OUTPUT_QUALITY,
+          safeArea: template.safeArea
         });
         
         processingMethod = 'ready_sticker';
         logger.info(`Ready sticker ${template.id} processed successfully`);
         
-      } else if (piapiService.isServiceConfigured()) {
-        try {
-          // Step 2: Upload user photo to temporary hosting for Piapi API
-          logger.info(`Attempting Piapi face swap for template ${template.id}`);
-          const userPhotoUrl = await this.uploadTemporaryImage(userPhotoBuffer, `user_${Date.now()}`);
-          
-          // Step 3: Call Piapi face swap service with URLs
-          const faceSwapResult = await piapiService.processFaceSwap(
-            template.imageUrl, // target image (meme template)
-            userPhotoUrl,      // source image (user's face)
-            {
-              taskOptions: {
-                quality: TEMPLATE_CONFIG.FACE_SWAP_QUALITY,
-                confidence_threshold: TEMPLATE_CONFIG.FACE_DETECTION_CONFIDENCE
-              },
-              waitOptions: {
-                maxWaitTime: TEMPLATE_CONFIG.PROCESSING_TIMEOUT_PER_TEMPLATE,
-                pollInterval: 2000
+      } else if (getTemplateFormat(template) === 'video') {
+        // Face-swap providers work on still images, animated templates are used as-is
+        logger.info(`Processing video template ${template.id} - no face swap for animations`);
+        
+        const templateBuffer = await cacheService.getTemplateImage(template);
+        
+        optimizedSticker = await imageService.optimizeForVideoStickers(templateBuffer, {
+          maxSize: TEMPLATE_CONFIG.OUTPUT_STICKER_SIZE
+        });
+        
+        processingMethod = 'video_template';
+        
+      } else if (faceSwapService.isConfigured()) {
+        const providerName = faceSwapService.getProviderName();
+        
+        const taskOptions = {
+          quality: TEMPLATE_CONFIG.FACE_SWAP_QUALITY,
+          confidence_threshold: TEMPLATE_CONFIG.FACE_DETECTION_CONFIDENCE,
+          ...faceSwapService.getProvider().getFaceHintOptions(template.faceHints)
+        };
+        
+        // Same photo + template + provider settings always gives the same sticker
+        const resultCacheKey = cacheService.buildResultKey(
+          cacheService.hashBuffer(userPhotoBuffer),
+          template.id,
+          {
+            provider: providerName,
+            imageUrl: template.imageUrl,
+            assetHash: template.assetHash,
+            outputSize: TEMPLATE_CONFIG.OUTPUT_STICKER_SIZE,
+            outputQuality: TEMPLATE_CONFIG.OUTPUT_QUALITY,
+            safeArea: template.safeArea || null,
+            cutout: template.cutout
+              ? { ...template.cutout, provider: backgroundRemovalService.getProviderName() }
+              : null,
+            ...taskOptions
+          }
+        );
+        const cachedSticker = await cacheService.getResult(resultCacheKey);
+        
+        if (cachedSticker) {
+          logger.info(`Template ${template.id} served from result cache`);
+          optimizedSticker = cachedSticker;
+          processingMethod = 'cache';
+        } else {
+          const faceSwapStartTime = Date.now();
+
+          try {
+            // Step 2: Upload user photo to temporary hosting for the face-swap provider
+            logger.info(`Attempting ${providerName} face swap for template ${template.id}`);
+            const userPhotoUrl = await this.uploadTemporaryImage(userPhotoBuffer, `user_${Date.now()}`);
+            
+            // Templates with only a local asset are sent as a data URL
+            const templateUrl = template.imageUrl ||
+              await this.uploadTemporaryImage(await cacheService.getTemplateImage(template), template.asset);
+            
+            // Step 3: Call face swap provider with URLs
+            const faceSwapResult = await faceSwapService.processFaceSwap(
+              templateUrl,       // target image (meme template)
+              userPhotoUrl,      // source image (user's face)
+              {
+                taskOptions,
+                waitOptions: {
+                  maxWaitTime: TEMPLATE_CONFIG.PROCESSING_TIMEOUT_PER_TEMPLATE,
+                  pollInterval: 2000
+                },
+                signal
               }
+            );
+            
+            // Step 4: Get the result (remote providers return a URL, local ones a buffer)
+            if (!faceSwapResult.resultBuffer && !faceSwapResult.resultUrl) {
+              throw new Error(`No result from ${providerName} face swap`);
             }
-          );
-          
-          // Step 4: Download the result from Piapi
-          if (!faceSwapResult.resultUrl) {
-            throw new Error('No result URL from Piapi face swap');
-          }
-          
-          const resultBuffer = await imageService.downloadImageFromUrl(faceSwapResult.resultUrl);
-          
-          // Step 5: Optimize result for Telegram stickers
-          optimizedSticker = await imageService.optimizeForStickers(resultBuffer, {
-            maxSize: TEMPLATE_CONFIG.OUTPUT_STICKER_SIZE,
-            quality: TEMPLATE_CONFIG.OUTPUT_QUALITY
-          });
-          
-          processingMethod = 'piapi';
-          logger.info(`Template ${template.id} processed with Piapi successfully`);
-          
-        } catch (piapiError) {
-          logger.warn(`Piapi processing failed for template ${template.id}:`, {
-            error: piapiError.message,
-            templateId: template.id,
-            templateUrl: template.imageUrl,
-            errorDetails: piapiError.piapiErrorDetails || piapiError.response?.data,
-            batchIndex,
-            templateIndex,
-            errorName: piapiError.name,
-            isFaceDetectionError: piapiError.isFaceDetectionError
-          });
-          
-          // Check if it's a face detection error (now properly detected in piapiService)
-          const isFaceDetectionError = piapiError.name === 'FaceDetectionError' || 
-                                     piapiError.isFaceDetectionError === true;
-          
-          if (isFaceDetectionError) {
-            logger.error(`Face detection failed for template ${template.id}`, {
-              userId,
+            
+            let resultBuffer = faceSwapResult.resultBuffer ||
+              await imageService.downloadImageFromUrl(faceSwapResult.resultUrl, { signal });
+            
+            // Step 5: Cut-out templates lose their background; the full image is kept if that fails
+            if (template.cutout) {
+              try {
+                resultBuffer = await backgroundRemovalService.createCutout(resultBuffer, template.cutout, { signal });
+              } catch (cutoutError) {
+                if (cutoutError.name === 'CancelledError') {
+                  throw cutoutError;
+                }
+
+                cutoutFailures.inc({ template: template.id, provider: backgroundRemovalService.getProviderName() });
+                logger.warn(`Background removal failed for template ${template.id}, keeping the full image:`, {
+                  error: cutoutError.message,
+                  templateId: template.id,
+                  provider: backgroundRemovalService.getProviderName()
+                });
+              }
+            }
+            
+            // Step 6: Optimize result for Telegram stickers
+            optimizedSticker = await imageService.optimizeForStickers(resultBuffer, {
+              maxSize: TEMPLATE_CONFIG.OUTPUT_STICKER_SIZE,
+              quality: TEMPLATE_CONFIG.OUTPUT_QUALITY,
+              safeArea: template.safeArea
+            });
+            
+            processingMethod = providerName;
+            faceSwapDuration.observe(
+              { template: template.id, provider: providerName, result: 'success' },
+              (Date.now() - faceSwapStartTime) / 1000
+            );
+            logger.info(`Template ${template.id} processed with ${providerName} successfully`);
+              
+            // Only real face swaps are cached - fallbacks are retried next time
+            await cacheService.setResult(resultCacheKey, optimizedSticker, {
+              templateId: template.id,
+              provider: providerName
+            });
+            
+          } catch (faceSwapError) {
+            // A cancelled generation doesn't need a fallback sticker
+            if (faceSwapError.name === 'CancelledError') {
+              throw faceSwapError;
+            }
+
+            const failureReason = getFaceSwapFailureReason(faceSwapError);
+            faceSwapDuration.observe(
+              { template: template.id, provider: providerName, result: 'error' },
+              (Date.now() - faceSwapStartTime) / 1000
+            );
+            faceSwapFailures.inc({ template: template.id, provider: providerName, reason: failureReason });
+
+            logger.warn(`${providerName} processing failed for template ${template.id}:`, {
+              error: faceSwapError.message,
               templateId: template.id,
-              isFirstTemplate: batchIndex === 0 && templateIndex === 0,
-              error: piapiError.message,
-              piapiErrorMessage: piapiError.piapiErrorMessage,
-              piapiErrorDetails: piapiError.piapiErrorDetails
+              templateUrl: template.imageUrl,
+              errorDetails: faceSwapError.providerErrorDetails || faceSwapError.response?.data,
+              batchIndex,
+              templateIndex,
+              errorName: faceSwapError.name,
+              isFaceDetectionError: faceSwapError.isFaceDetectionError
             });
             
-            // If this is the first template and face detection failed,
-            // it means the user's photo has issues and we should stop processing
-            if (batchIndex === 0 && templateIndex === 0) {
-              const faceDetectionError = new Error('Face detection failed on user photo');
-              faceDetectionError.name = 'FaceDetectionError';
-              faceDetectionError.originalError = piapiError;
-              faceDetectionError.piapiErrorMessage = piapiError.piapiErrorMessage;
-              faceDetectionError.piapiErrorDetails = piapiError.piapiErrorDetails;
-              throw faceDetectionError;
+            // Check if it's a face detection error (detected by the provider)
+            const isFaceDetectionError = faceSwapError.name === 'FaceDetectionError' || 
+                                       faceSwapError.isFaceDetectionError === true;
+            
+            if (isFaceDetectionError) {
+              logger.error(`Face detection failed for template ${template.id}`, {
+                userId,
+                templateId: template.id,
+                isFirstTemplate: batchIndex === 0 && templateIndex === 0,
+                error: faceSwapError.message,
+                piapiErrorMessage: faceSwapError.piapiErrorMessage,
+                piapiErrorDetails: faceSwapError.piapiErrorDetails
+              });
+              
+              // If this is the first template and face detection failed,
+              // it means the user's photo has issues and we should stop processing
+              if (batchIndex === 0 && templateIndex === 0) {
+                const faceDetectionError = new Error('Face detection failed on user photo');
+                faceDetectionError.name = 'FaceDetectionError';
+                faceDetectionError.originalError = faceSwapError;
+                faceDetectionError.piapiErrorMessage = faceSwapError.piapiErrorMessage;
+                faceDetectionError.piapiErrorDetails = faceSwapError.piapiErrorDetails;
+                throw faceDetectionError;
+              }
+              
+              // For other templates, continue with fallback but log the issue
+              logger.warn(`Face detection failed for template ${template.id}, using fallback - continuing with other templates`);
             }
             
-            // For other templates, continue with fallback but log the issue
-            logger.warn(`Face detection failed for template ${template.id}, using fallback - continuing with other templates`);
+            // Fallback processing - use original meme instead of user photo
+            optimizedSticker = await this.processFallbackTemplate(template, userPhotoBuffer);
+            processingMethod = 'fallback_after_face_swap_error';
           }
-          
-          // Fallback processing - use original meme instead of user photo
-          optimizedSticker = await this.processFallbackTemplate(template, userPhotoBuffer);
-          processingMethod = 'fallback_after_piapi_error';
         }
       } else {
-        logger.info(`Piapi not configured, using fallback processing for template ${template.id}`);
+        logger.info(`Face-swap provider not configured, using fallback processing for template ${template.id}`);
         
         // Direct fallback processing
         optimizedSticker = await this.processFallbackTemplate(template, userPhotoBuffer);
       }
       
       const processingTime = Date.now() - templateStartTime;
+      templatesProcessed.inc({ template: template.id, method: processingMethod });
       
       logger.info(`Template ${template.id} processed successfully:`, {
         processingTime,
@@ -643,6 +2402,14 @@ class TelegramController {
       
     } catch (error) {
       const processingTime = Date.now() - templateStartTime;
+
+      if (error.name === 'CancelledError') {
+        templatesProcessed.inc({ template: template.id, method: 'cancelled' });
+        logger.info(`Template ${template.id} cancelled after ${processingTime}ms`);
+        throw error;
+      }
+
+      templatesProcessed.inc({ template: template.id, method: 'failed' });
       
       logger.error(`Template ${template.id} processing failed:`, {
         error: error.message,
@@ -650,6 +2417,11 @@ class TelegramController {
         templateUrl: template.imageUrl
       });
       
+      // generateStickerPack stops the whole pack on this one
+      if (error.name === 'FaceDetectionError') {
+        throw error;
+      }
+      
       throw errorHandler.createError(
         `Template processing failed: ${template.id} - ${error.message}`,
         TEMPLATE_ERROR_TYPES.FACE_SWAP_FAILED,
@@ -703,14 +2475,15 @@ class TelegramController {
     try {
       logger.info(`Processing template ${template.id} using fallback method`);
       
-      // Download meme template from GitHub
-      const templateBuffer = await imageService.downloadImageFromUrl(template.imageUrl);
+      // Meme template from the template cache (downloaded from GitHub on a miss)
+      const templateBuffer = await cacheService.getTemplateImage(template);
       
       // For fallback, use the original meme template instead of user photo
       // This ensures user gets the meme even if face swap fails
       const optimizedSticker = await imageService.optimizeForStickers(templateBuffer, {
         maxSize: TEMPLATE_CONFIG.OUTPUT_STICKER_SIZE,
-        quality: TEMPLATE_CONFIG.OUTPUT_QUALITY
+        quality: TEMPLATE_CONFIG.OUTPUT_QUALITY,
+        safeArea: template.safeArea
       });
       
       logger.info(`Template ${template.id} processed with fallback method:`, {
@@ -728,16 +2501,18 @@ class TelegramController {
 
   /**
    * Get user state
+   * @returns {Promise<string>} - BOT_STATES value, IDLE when unset or expired
    */
-  getUserState(chatId) {
-    return this.userStates.get(chatId) || BOT_STATES.IDLE;
+  async getUserState(chatId) {
+    return stateService.getState(chatId);
   }
 
   /**
    * Set user state
+   * Throws ConflictError if the state machine doesn't allow the transition
    */
-  setUserState(chatId, state) {
-    this.userStates.set(chatId, state);
+  async setUserState(chatId, state) {
+    return stateService.setState(chatId, state);
   }
 
   /**
@@ -6,7 +6,7 @@
 const crypto = require('crypto');
 const logger = require('../utils/logger');
 const validators = require('../utils/validators');
-const { REQUIRED_ENV_VARS } = require('../config/constants');
+const { REQUIRED_ENV_VARS, BOT_MODES } = require('../config/constants');
 
 class AuthMiddleware {
   constructor() {
@@ -22,6 +22,9 @@ class AuthMiddleware {
    */
   validateEnvironment() {
     const missingVars = REQUIRED_ENV_VARS.filter(varName => {
+      // Long polling doesn't need a public URL
+      if (varName === 'TELEGRAM_WEBHOOK_URL' && process.env.BOT_MODE === BOT_MODES.POLLING) return false;
+
       const value = process.env[varName];
       if (!value) return true;
       
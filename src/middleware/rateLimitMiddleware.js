@@ -119,6 +119,21 @@ class RateLimitMiddleware {
       return next();
     }
 
+    const rejection = this.checkUserLimit(userId, { ip: this.getClientIP(req) });
+    if (rejection) {
+      return this.reject(res, rejection);
+    }
+
+    next();
+  }
+
+  /**
+   * Count a message against the per-user limit
+   * @param {number} userId - Telegram user ID
+   * @param {Object} context - { ip } for security logs
+   * @returns {Object|null} - { status, error, retryAfter } if the limit is exceeded
+   */
+  checkUserLimit(userId, context = {}) {
     const now = Date.now();
     const windowMs = 60 * 1000; // 1 minute window
     const maxMessages = RATE_LIMITS.MESSAGES_PER_MINUTE || 10;
@@ -129,7 +144,7 @@ class RateLimitMiddleware {
         firstRequest: now,
         windowStart: now
       });
-      return next();
+      return null;
     }
 
     const data = this.userLimits.get(userId);
@@ -139,7 +154,7 @@ class RateLimitMiddleware {
       data.count = 1;
       data.windowStart = now;
       this.userLimits.set(userId, data);
-      return next();
+      return null;
     }
 
     // Check if limit exceeded
@@ -149,20 +164,21 @@ class RateLimitMiddleware {
         count: data.count,
         maxMessages,
         windowMs,
-        ip: this.getClientIP(req)
+        ip: context.ip
       });
 
-      return res.status(429).json({
+      return {
+        status: 429,
         error: 'Too many messages from user',
         retryAfter: Math.ceil((windowMs - (now - data.windowStart)) / 1000)
-      });
+      };
     }
 
     // Increment counter
     data.count++;
     this.userLimits.set(userId, data);
 
-    next();
+    return null;
   }
 
   /**
@@ -227,12 +243,25 @@ class RateLimitMiddleware {
    * @param {Function} next - Next middleware function
    */
   antiSpam(req, res, next) {
-    const payload = req.body;
+    const rejection = this.checkSpam(req.body, { ip: this.getClientIP(req) });
+    if (rejection) {
+      return this.reject(res, rejection);
+    }
+
+    next();
+  }
+
+  /**
+   * Detect the same message repeated in a short window
+   * @param {Object} payload - Telegram update
+   * @param {Object} context - { ip } for security logs
+   * @returns {Object|null} - { status, error, retryAfter } if the update looks like spam
+   */
+  checkSpam(payload, context = {}) {
     const userId = this.extractUserId(payload);
-    const ip = this.getClientIP(req);
     
     if (!userId || !payload.message) {
-      return next();
+      return null;
     }
 
     const now = Date.now();
@@ -251,7 +280,7 @@ class RateLimitMiddleware {
         windowStart: now,
         lastMessage: messageText
       });
-      return next();
+      return null;
     }
 
     const data = this.userLimits.get(messageKey);
@@ -261,30 +290,31 @@ class RateLimitMiddleware {
       data.count = 1;
       data.windowStart = now;
       this.userLimits.set(messageKey, data);
-      return next();
+      return null;
     }
 
     // Check for spam (same message repeated)
     if (data.count >= maxSameMessage) {
       logger.logSecurity('spam_detected', 'warn', {
         userId,
-        ip,
+        ip: context.ip,
         messageText: messageText.substring(0, 100),
         count: data.count,
         timeWindow: spamWindow
       });
 
-      return res.status(429).json({
+      return {
+        status: 429,
         error: 'Spam detected - please slow down',
         retryAfter: Math.ceil((spamWindow - (now - data.windowStart)) / 1000)
-      });
+      };
     }
 
     // Increment counter
     data.count++;
     this.userLimits.set(messageKey, data);
 
-    next();
+    return null;
   }
 
   /**
@@ -294,6 +324,29 @@ class RateLimitMiddleware {
    * @param {Function} next - Next middleware function
    */
   adaptiveLimit(req, res, next) {
+    const multiplier = this.getLoadMultiplier();
+
+    // Apply multiplier to current request
+    req.rateLimitMultiplier = multiplier;
+    
+    if (multiplier < 1) {
+      // Add warning header
+      res.set('X-System-Load-Warning', 'High');
+    }
+
+    const rejection = this.checkSystemLoad(multiplier, { ip: this.getClientIP(req) });
+    if (rejection) {
+      return this.reject(res, rejection);
+    }
+
+    next();
+  }
+
+  /**
+   * Limit multiplier for the current memory usage
+   * @returns {number} - 1 normally, lower under memory pressure
+   */
+  getLoadMultiplier() {
     const memUsage = process.memoryUsage();
     const memUsageMB = memUsage.heapUsed / 1024 / 1024;
     
@@ -316,29 +369,56 @@ class RateLimitMiddleware {
       });
     }
 
-    // Apply multiplier to current request
-    req.rateLimitMultiplier = multiplier;
-    
-    if (multiplier < 1) {
-      // Add warning header
-      res.set('X-System-Load-Warning', 'High');
+    return multiplier;
+  }
+
+  /**
+   * Randomly shed updates while the system is under load
+   * @param {number} multiplier - From getLoadMultiplier()
+   * @param {Object} context - { ip } for security logs
+   * @returns {Object|null} - { status, error, retryAfter } if the update is shed
+   */
+  checkSystemLoad(multiplier, context = {}) {
+    // Randomly reject some requests to reduce load
+    if (multiplier < 1 && Math.random() > multiplier) {
+      logger.logSecurity('adaptive_rate_limit', 'warn', {
+        multiplier,
+        ip: context.ip
+      });
       
-      // Randomly reject some requests to reduce load
-      if (Math.random() > multiplier) {
-        logger.logSecurity('adaptive_rate_limit', 'warn', {
-          memUsageMB,
-          multiplier,
-          ip: this.getClientIP(req)
-        });
-        
-        return res.status(503).json({
-          error: 'System under high load, please try again',
-          retryAfter: 30
-        });
-      }
+      return {
+        status: 503,
+        error: 'System under high load, please try again',
+        retryAfter: 30
+      };
     }
 
-    next();
+    return null;
+  }
+
+  /**
+   * Run the per-update limits outside of Express (long-polling mode)
+   * Same checks as createRateLimitMiddleware() except the per-IP limit
+   * @param {Object} payload - Telegram update
+   * @returns {Object|null} - { status, error, retryAfter } if the update is rejected
+   */
+  checkUpdate(payload) {
+    const context = { ip: 'polling' };
+    const userId = this.extractUserId(payload);
+
+    return this.checkSystemLoad(this.getLoadMultiplier(), context) ||
+      (userId ? this.checkUserLimit(userId, context) : null) ||
+      this.checkSpam(payload, context);
+  }
+
+  /**
+   * Send a rejection from one of the checks
+   */
+  reject(res, rejection) {
+    return res.status(rejection.status).json({
+      error: rejection.error,
+      retryAfter: rejection.retryAfter
+    });
   }
 
   /**
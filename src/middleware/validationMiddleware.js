@@ -19,43 +19,14 @@ class ValidationMiddleware {
     try {
       const payload = req.body;
 
-      // Basic payload structure validation
-      const webhookValidation = validators.isValidWebhookPayload(payload);
-      if (!webhookValidation.valid) {
-        logger.logSecurity('webhook_payload_invalid', 'warn', {
-          error: webhookValidation.error,
-          updateId: payload?.update_id,
-          hasMessage: !!payload?.message,
-          ip: req.ip
-        });
-
-        return res.status(400).json({
-          error: 'Invalid webhook payload',
-          details: webhookValidation.error
+      const validation = this.validateUpdatePayload(payload, { ip: req.ip });
+      if (!validation.valid) {
+        return res.status(validation.status).json({
+          error: validation.error,
+          details: validation.details
         });
       }
 
-      // Validate message if present
-      if (payload.message) {
-        const messageValidation = validators.isValidTelegramMessage(payload.message);
-        if (!messageValidation.valid) {
-          logger.logSecurity('telegram_message_invalid', 'warn', {
-            error: messageValidation.error,
-            messageId: payload.message?.message_id,
-            userId: payload.message?.from?.id,
-            ip: req.ip
-          });
-
-          return res.status(400).json({
-            error: 'Invalid message format',
-            details: messageValidation.error
-          });
-        }
-
-        // Additional message validation
-        this.validateMessageContent(payload.message, req, res);
-      }
-
       // Store validated data for later use
       req.validatedPayload = payload;
       next();
@@ -66,13 +37,81 @@ class ValidationMiddleware {
     }
   }
 
+  /**
+   * Validate the structure of a Telegram update and its message
+   * Sanitizes the message text in place
+   * @param {Object} payload - Telegram update
+   * @param {Object} context - { ip } for security logs
+   * @returns {Object} - { valid, status, error, details }
+   */
+  validateUpdatePayload(payload, context = {}) {
+    // Basic payload structure validation
+    const webhookValidation = validators.isValidWebhookPayload(payload);
+    if (!webhookValidation.valid) {
+      logger.logSecurity('webhook_payload_invalid', 'warn', {
+        error: webhookValidation.error,
+        updateId: payload?.update_id,
+        hasMessage: !!payload?.message,
+        ip: context.ip
+      });
+
+      return {
+        valid: false,
+        status: 400,
+        error: 'Invalid webhook payload',
+        details: webhookValidation.error
+      };
+    }
+
+    // Validate message if present
+    if (payload.message) {
+      const messageValidation = validators.isValidTelegramMessage(payload.message);
+      if (!messageValidation.valid) {
+        logger.logSecurity('telegram_message_invalid', 'warn', {
+          error: messageValidation.error,
+          messageId: payload.message?.message_id,
+          userId: payload.message?.from?.id,
+          ip: context.ip
+        });
+
+        return {
+          valid: false,
+          status: 400,
+          error: 'Invalid message format',
+          details: messageValidation.error
+        };
+      }
+
+      // Additional message validation
+      this.validateMessageContent(payload.message, context);
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Run the update checks outside of Express (long-polling mode)
+   * Same checks as createWebhookValidationMiddleware() except the HTTP headers
+   * @param {Object} payload - Telegram update
+   * @returns {Object} - { valid, status, error, details }
+   */
+  validateUpdate(payload) {
+    const context = { ip: 'polling' };
+    const validation = this.validateUpdatePayload(payload, context);
+
+    if (!validation.valid || !payload.message) {
+      return validation;
+    }
+
+    return this.validateMedia(payload.message, context);
+  }
+
   /**
    * Validate message content and attachments
    * @param {Object} message - Telegram message object
-   * @param {Object} req - Express request object
-   * @param {Object} res - Express response object
+   * @param {Object} context - { ip } for security logs
    */
-  validateMessageContent(message, req, res) {
+  validateMessageContent(message, context = {}) {
     // Validate user ID
     if (message.from?.id) {
       const userIdValidation = validators.isValidUserId(message.from.id);
@@ -80,7 +119,7 @@ class ValidationMiddleware {
         logger.logSecurity('invalid_user_id', 'warn', {
           userId: message.from.id,
           error: userIdValidation.error,
-          ip: req.ip
+          ip: context.ip
         });
       }
     }
@@ -92,7 +131,7 @@ class ValidationMiddleware {
         logger.logSecurity('invalid_chat_id', 'warn', {
           chatId: message.chat.id,
           error: chatIdValidation.error,
-          ip: req.ip
+          ip: context.ip
         });
       }
     }
@@ -105,7 +144,7 @@ class ValidationMiddleware {
           originalLength: message.text.length,
           sanitizedLength: sanitizedText.length,
           userId: message.from?.id,
-          ip: req.ip
+          ip: context.ip
         });
         
         // Update message with sanitized text
@@ -118,7 +157,7 @@ class ValidationMiddleware {
           messageLength: message.text.length,
           maxLength: VALIDATION.MAX_MESSAGE_LENGTH,
           userId: message.from?.id,
-          ip: req.ip
+          ip: context.ip
         });
       }
     }
@@ -131,7 +170,7 @@ class ValidationMiddleware {
           error: photoValidation.error,
           photoCount: message.photo?.length || 0,
           userId: message.from?.id,
-          ip: req.ip
+          ip: context.ip
         });
       }
     }
@@ -151,42 +190,12 @@ class ValidationMiddleware {
     }
 
     try {
-      // Temporarily disable strict photo validation in production
-      if (message.photo && Array.isArray(message.photo)) {
-        // Basic validation only - check if photos array exists and has content
-        if (message.photo.length === 0) {
-          logger.logSecurity('photo_upload_rejected', 'warn', {
-            error: 'Empty photo array',
-            userId: message.from?.id,
-            ip: req.ip
-          });
-
-          return res.status(400).json({
-            error: 'Invalid photo upload',
-            details: 'No photos provided'
-          });
-        }
-        
-        logger.info(`Photo upload accepted - ${message.photo.length} photos from user ${message.from?.id}`);
-      }
-
-      // Validate document uploads
-      if (message.document) {
-        const documentValidation = this.validateDocument(message.document);
-        if (!documentValidation.valid) {
-          logger.logSecurity('document_upload_rejected', 'warn', {
-            error: documentValidation.error,
-            userId: message.from?.id,
-            fileName: message.document.file_name,
-            mimeType: message.document.mime_type,
-            ip: req.ip
-          });
-
-          return res.status(400).json({
-            error: 'Invalid document',
-            details: documentValidation.error
-          });
-        }
+      const validation = this.validateMedia(message, { ip: req.ip });
+      if (!validation.valid) {
+        return res.status(validation.status).json({
+          error: validation.error,
+          details: validation.details
+        });
       }
 
       next();
@@ -197,6 +206,63 @@ class ValidationMiddleware {
     }
   }
 
+  /**
+   * Validate the photo or document of a message
+   * @param {Object} message - Telegram message object
+   * @param {Object} context - { ip } for security logs
+   * @returns {Object} - { valid, status, error, details }
+   */
+  validateMedia(message, context = {}) {
+    // Temporarily disable strict photo validation in production
+    if (message.photo && Array.isArray(message.photo)) {
+      // Basic validation only - check if photos array exists and has content
+      if (message.photo.length === 0) {
+        logger.logSecurity('photo_upload_rejected', 'warn', {
+          error: 'Empty photo array',
+          userId: message.from?.id,
+          ip: context.ip
+        });
+
+        return {
+          valid: false,
+          status: 400,
+          error: 'Invalid photo upload',
+          details: 'No photos provided'
+        };
+      }
+      
+      logger.info(`Photo upload accepted - ${message.photo.length} photos from user ${message.from?.id}`);
+    }
+
+    // Validate document uploads; a wrong type or size is answered by the bot, not dropped here
+    if (message.document) {
+      const documentValidation = this.validateDocument(message.document);
+      if (!documentValidation.valid && documentValidation.userFacing) {
+        logger.info(`Document passed to the bot for a hint - ${documentValidation.error}`, {
+          userId: message.from?.id,
+          mimeType: message.document.mime_type
+        });
+      } else if (!documentValidation.valid) {
+        logger.logSecurity('document_upload_rejected', 'warn', {
+          error: documentValidation.error,
+          userId: message.from?.id,
+          fileName: message.document.file_name,
+          mimeType: message.document.mime_type,
+          ip: context.ip
+        });
+
+        return {
+          valid: false,
+          status: 400,
+          error: 'Invalid document',
+          details: documentValidation.error
+        };
+      }
+    }
+
+    return { valid: true };
+  }
+
   /**
    * Validate photo upload array
    * @param {Array} photos - Array of photo objects
@@ -251,7 +317,7 @@ class ValidationMiddleware {
   /**
    * Validate document uploads
    * @param {Object} document - Document object
-   * @returns {Object} - Validation result
+   * @returns {Object} - Validation result; userFacing marks a wrong type or size the user should be told about
    */
   validateDocument(document) {
     // Validate file ID
@@ -264,7 +330,8 @@ class ValidationMiddleware {
     if (document.file_size && document.file_size > CONFIG.MAX_IMAGE_SIZE) {
       return { 
         valid: false, 
-        error: `Document too large: ${document.file_size} bytes. Maximum: ${CONFIG.MAX_IMAGE_SIZE} bytes` 
+        error: `Document too large: ${document.file_size} bytes. Maximum: ${CONFIG.MAX_IMAGE_SIZE} bytes`,
+        userFacing: true
       };
     }
 
@@ -272,7 +339,8 @@ class ValidationMiddleware {
     if (document.mime_type && !VALIDATION.ALLOWED_MIME_TYPES.includes(document.mime_type)) {
       return { 
         valid: false, 
-        error: `Unsupported file type: ${document.mime_type}. Allowed: ${VALIDATION.ALLOWED_MIME_TYPES.join(', ')}` 
+        error: `Unsupported file type: ${document.mime_type}. Allowed: ${VALIDATION.ALLOWED_MIME_TYPES.join(', ')}`,
+        userFacing: true
       };
     }
 
@@ -0,0 +1,134 @@
+/**
+ * Face-swap provider interface
+ * Base class for services that put the user's face onto a meme template
+ *
+ * Providers work with asynchronous tasks:
+ *   createTask(targetImageUrl, sourceImageUrl, options) -> { taskId, status }
+ *   getStatus(taskId) -> { taskId, status, progress, result, error }
+ *   waitForCompletion(taskId, options) -> final status response
+ *
+ * sourceImageUrl may be an http(s) URL or a base64 data URL.
+ */
+
+const logger = require('../utils/logger');
+const errorHandler = require('../utils/errorHandler');
+
+class FaceSwapProvider {
+  /**
+   * @param {string} name - Provider name used in config and logs
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Check if the provider can accept tasks
+   * @returns {boolean}
+   */
+  isServiceConfigured() {
+    return false;
+  }
+
+  /**
+   * Translate manifest face hints ({ x, y, size } fractions) into task options
+   * Providers that detect faces themselves ignore the hints
+   * @param {Object|null} faceHints - Template face placement
+   * @returns {Object} - Extra task options
+   */
+  getFaceHintOptions(faceHints) {
+    return {};
+  }
+
+  /**
+   * Create a face-swap task
+   * @param {string} targetImageUrl - URL of the target image (where face will be placed)
+   * @param {string} sourceImageUrl - URL of the source image (face to be swapped)
+   * @param {Object} options - Provider specific task options
+   * @returns {Promise<Object>} - { taskId, status }
+   */
+  async createTask(targetImageUrl, sourceImageUrl, options = {}) {
+    throw errorHandler.createError(`${this.name} provider does not implement createTask`, 'ConfigurationError', 500);
+  }
+
+  /**
+   * Get the status of a task
+   * @param {string} taskId - Task ID to check
+   * @returns {Promise<Object>} - { taskId, status, progress, result, error }
+   */
+  async getStatus(taskId) {
+    throw errorHandler.createError(`${this.name} provider does not implement getStatus`, 'ConfigurationError', 500);
+  }
+
+  /**
+   * Wait until a task completes
+   * @param {string} taskId - Task ID to wait for
+   * @param {Object} options - { maxWaitTime, pollInterval, onProgress }, { signal } AbortSignal
+   *                           that stops waiting with a CancelledError (providers with remote tasks cancel them)
+   * @returns {Promise<Object>} - Final task status
+   */
+  async waitForCompletion(taskId, options = {}) {
+    throw errorHandler.createError(`${this.name} provider does not implement waitForCompletion`, 'ConfigurationError', 500);
+  }
+
+  /**
+   * Create a face-swap task and wait for its result
+   * @param {string} targetImageUrl - URL of the target image
+   * @param {string} sourceImageUrl - URL of the source image
+   * @param {Object} options - { taskOptions, waitOptions }, { signal } AbortSignal for both steps
+   * @returns {Promise<Object>} - { taskId, status, resultUrl, resultBuffer, result }
+   */
+  async processFaceSwap(targetImageUrl, sourceImageUrl, options = {}) {
+    const { taskOptions = {}, waitOptions = {}, signal = null } = options;
+
+    try {
+      logger.info(`Starting complete face-swap process (${this.name})`);
+
+      const createResponse = await this.createTask(targetImageUrl, sourceImageUrl, { ...taskOptions, signal });
+      const completionResponse = await this.waitForCompletion(createResponse.taskId, { ...waitOptions, signal });
+
+      logger.info('Face-swap process completed successfully', {
+        provider: this.name,
+        taskId: createResponse.taskId
+      });
+
+      return {
+        taskId: createResponse.taskId,
+        status: 'completed',
+        resultUrl: completionResponse.result?.image_url || completionResponse.result?.url || completionResponse.result?.output_url,
+        resultBuffer: completionResponse.resultBuffer || null,
+        result: completionResponse.result
+      };
+
+    } catch (error) {
+      if (error.name === 'CancelledError') {
+        logger.info(`Face-swap process cancelled (${this.name})`);
+      } else {
+        logger.error(`Face-swap process failed (${this.name}):`, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Build the error thrown when a task finishes with a failure
+   * @param {string} errorMessage - Failure reason from the provider
+   * @param {boolean} isFaceDetectionError - Whether the user's face could not be found
+   * @param {Object} errorDetails - Raw error details
+   * @returns {Error}
+   */
+  createTaskFailedError(errorMessage, isFaceDetectionError, errorDetails = null) {
+    const error = errorHandler.createError(
+      `Face-swap task failed: ${errorMessage}`,
+      isFaceDetectionError ? 'FaceDetectionError' : 'TaskFailedError',
+      422
+    );
+
+    error.providerErrorMessage = errorMessage;
+    error.providerErrorDetails = errorDetails;
+    error.isFaceDetectionError = isFaceDetectionError;
+
+    return error;
+  }
+}
+
+module.exports = FaceSwapProvider;
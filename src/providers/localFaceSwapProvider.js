@@ -0,0 +1,271 @@
+/**
+ * Local face-swap provider
+ * Deterministic offline provider: cuts the face region out of the user's photo
+ * and composites it onto the template with sharp. Used in tests and during outages.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const logger = require('../utils/logger');
+const errorHandler = require('../utils/errorHandler');
+const cancellation = require('../utils/cancellation');
+const imageService = require('../services/imageService');
+const FaceSwapProvider = require('./faceSwapProvider');
+const { VALIDATION } = require('../config/constants');
+
+// Where the face usually is in a portrait photo (fractions of the shorter side)
+const DEFAULT_FACE_REGION = {
+  size: 0.6,       // face square side
+  verticalBias: 0.35 // 0 = top, 0.5 = centered
+};
+
+// Where the face goes on a template (fractions of template size)
+const DEFAULT_TARGET_REGION = {
+  x: 0.5,   // face center, horizontal
+  y: 0.35,  // face center, vertical
+  size: 0.35 // face side relative to the shorter template side
+};
+
+class LocalFaceSwapProvider extends FaceSwapProvider {
+  constructor() {
+    super('local');
+    this.tasks = new Map();
+
+    logger.info('LocalFaceSwapProvider initialized');
+  }
+
+  /**
+   * Local provider needs no credentials
+   */
+  isServiceConfigured() {
+    return true;
+  }
+
+  /**
+   * Load image from http(s) or base64 data URL
+   * @param {string} imageUrl - Image URL
+   * @returns {Promise<Buffer>} - Image buffer
+   */
+  async loadImage(imageUrl) {
+    if (typeof imageUrl === 'string' && imageUrl.startsWith('data:')) {
+      const base64 = imageUrl.slice(imageUrl.indexOf(',') + 1);
+      return Buffer.from(base64, 'base64');
+    }
+
+    return imageService.downloadImageFromUrl(imageUrl);
+  }
+
+  /**
+   * Find the face square in the source photo
+   * @param {Object} metadata - sharp metadata of the (rotated) source
+   * @param {Object} faceRegion - Optional explicit { left, top, width, height } in pixels
+   * @returns {Object} - { left, top, width, height }
+   */
+  detectFaceRegion(metadata, faceRegion = null) {
+    const { width, height } = metadata;
+
+    if (width < VALIDATION.MIN_IMAGE_WIDTH || height < VALIDATION.MIN_IMAGE_HEIGHT) {
+      const error = new Error(`No face detected: source image too small (${width}x${height})`);
+      error.isFaceDetectionError = true;
+      throw error;
+    }
+
+    if (faceRegion) {
+      const left = Math.max(0, Math.min(Math.round(faceRegion.left), width - 1));
+      const top = Math.max(0, Math.min(Math.round(faceRegion.top), height - 1));
+
+      return {
+        left,
+        top,
+        width: Math.max(1, Math.min(Math.round(faceRegion.width), width - left)),
+        height: Math.max(1, Math.min(Math.round(faceRegion.height), height - top))
+      };
+    }
+
+    const side = Math.round(Math.min(width, height) * DEFAULT_FACE_REGION.size);
+
+    return {
+      left: Math.round((width - side) / 2),
+      top: Math.round((height - side) * DEFAULT_FACE_REGION.verticalBias),
+      width: side,
+      height: side
+    };
+  }
+
+  /**
+   * Face hints use the same units as targetRegion
+   * @param {Object|null} faceHints - { x, y, size } fractions of the template
+   * @returns {Object} - { targetRegion } or nothing without hints
+   */
+  getFaceHintOptions(faceHints) {
+    return faceHints ? { targetRegion: { ...faceHints } } : {};
+  }
+
+  /**
+   * Composite the user's face onto the template
+   * @param {Buffer} targetBuffer - Template image
+   * @param {Buffer} sourceBuffer - User photo
+   * @param {Object} options - { faceRegion, targetRegion }
+   * @returns {Promise<Buffer>} - PNG result
+   */
+  async composite(targetBuffer, sourceBuffer, options = {}) {
+    const targetRegion = { ...DEFAULT_TARGET_REGION, ...options.targetRegion };
+
+    // Apply EXIF orientation before measuring
+    const source = await sharp(sourceBuffer).rotate().toBuffer();
+    const sourceMetadata = await sharp(source).metadata();
+    const face = this.detectFaceRegion(sourceMetadata, options.faceRegion);
+
+    const targetMetadata = await sharp(targetBuffer).metadata();
+    const faceSize = Math.max(1, Math.round(
+      Math.min(targetMetadata.width, targetMetadata.height) * targetRegion.size
+    ));
+
+    // Elliptical mask keeps the paste from looking like a square sticker
+    const mask = Buffer.from(
+      `<svg width="${faceSize}" height="${faceSize}"><ellipse cx="${faceSize / 2}" cy="${faceSize / 2}" rx="${faceSize / 2}" ry="${faceSize / 2}" fill="#fff"/></svg>`
+    );
+
+    const faceBuffer = await sharp(source)
+      .extract(face)
+      .resize(faceSize, faceSize, { fit: 'cover' })
+      .ensureAlpha()
+      .composite([{ input: mask, blend: 'dest-in' }])
+      .png()
+      .toBuffer();
+
+    const left = Math.min(
+      Math.max(0, Math.round(targetMetadata.width * targetRegion.x - faceSize / 2)),
+      Math.max(0, targetMetadata.width - faceSize)
+    );
+    const top = Math.min(
+      Math.max(0, Math.round(targetMetadata.height * targetRegion.y - faceSize / 2)),
+      Math.max(0, targetMetadata.height - faceSize)
+    );
+
+    return sharp(targetBuffer)
+      .ensureAlpha()
+      .composite([{ input: faceBuffer, left, top }])
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * Create a face-swap task (starts compositing immediately)
+   */
+  async createTask(targetImageUrl, sourceImageUrl, options = {}) {
+    if (!targetImageUrl || !sourceImageUrl) {
+      throw errorHandler.createError('Target and source image URLs are required', 'ValidationError', 400);
+    }
+
+    const taskId = `local_${crypto.randomUUID()}`;
+    const task = {
+      status: 'processing',
+      createdAt: Date.now(),
+      resultBuffer: null,
+      error: null
+    };
+
+    task.promise = Promise.all([this.loadImage(targetImageUrl), this.loadImage(sourceImageUrl)])
+      .then(([targetBuffer, sourceBuffer]) => this.composite(targetBuffer, sourceBuffer, options))
+      .then(resultBuffer => {
+        task.status = 'completed';
+        task.resultBuffer = resultBuffer;
+      })
+      .catch(error => {
+        task.status = 'failed';
+        task.error = {
+          message: error.message,
+          isFaceDetectionError: error.isFaceDetectionError === true
+        };
+      });
+
+    this.tasks.set(taskId, task);
+
+    logger.info(`Local face-swap task created: ${taskId}`);
+
+    return { taskId, status: task.status };
+  }
+
+  /**
+   * Get the status of a task
+   */
+  async getStatus(taskId) {
+    const task = this.tasks.get(taskId);
+
+    if (!task) {
+      throw errorHandler.createError(`Task not found: ${taskId}`, 'TaskNotFoundError', 404);
+    }
+
+    return {
+      taskId,
+      status: task.status,
+      progress: task.status === 'processing' ? 0 : 100,
+      result: null,
+      resultBuffer: task.resultBuffer,
+      error: task.error
+    };
+  }
+
+  /**
+   * Wait until a task completes; the task is forgotten afterwards
+   * Compositing can't be interrupted, so an abort only stops the waiting
+   */
+  async waitForCompletion(taskId, options = {}) {
+    const { maxWaitTime = 300000, onProgress = null, signal = null } = options;
+    const task = this.tasks.get(taskId);
+
+    if (!task) {
+      throw errorHandler.createError(`Task not found: ${taskId}`, 'TaskNotFoundError', 404);
+    }
+
+    let timer;
+    let onAbort;
+    const timedOut = await Promise.race([
+      task.promise.then(() => false),
+      new Promise(resolve => { timer = setTimeout(() => resolve(true), maxWaitTime); }),
+      new Promise((resolve, reject) => {
+        onAbort = () => reject(cancellation.getAbortError(signal));
+        if (signal?.aborted) {
+          onAbort();
+        } else {
+          signal?.addEventListener('abort', onAbort, { once: true });
+        }
+      })
+    ]).catch(error => {
+      this.tasks.delete(taskId);
+      throw error;
+    }).finally(() => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    });
+
+    if (timedOut) {
+      this.tasks.delete(taskId);
+      throw errorHandler.createError(
+        `Task timeout: ${taskId} did not complete within ${maxWaitTime}ms`,
+        'TaskTimeoutError',
+        408
+      );
+    }
+
+    const statusResponse = await this.getStatus(taskId);
+    this.tasks.delete(taskId);
+
+    if (onProgress && typeof onProgress === 'function') {
+      onProgress(statusResponse);
+    }
+
+    if (statusResponse.status === 'failed') {
+      throw this.createTaskFailedError(
+        statusResponse.error.message,
+        statusResponse.error.isFaceDetectionError,
+        statusResponse.error
+      );
+    }
+
+    return statusResponse;
+  }
+}
+
+module.exports = LocalFaceSwapProvider;
@@ -0,0 +1,158 @@
+/**
+ * Admin Service
+ * User bans and the audit log of admin API actions
+ */
+
+const { supabase } = require('../config/database');
+const logger = require('../utils/logger');
+const errorHandler = require('../utils/errorHandler');
+const MemoryAdminStore = require('../stores/memoryAdminStore');
+const SupabaseAdminStore = require('../stores/supabaseAdminStore');
+const { CONFIG } = require('../config/constants');
+
+class AdminService {
+  constructor() {
+    this.store = supabase ? new SupabaseAdminStore(supabase) : new MemoryAdminStore();
+
+    // Every incoming update checks the ban list, so lookups are cached per user
+    // (userId -> { banned, expiresAt }); ban/unban update the cache directly
+    this.banCache = new Map();
+
+    logger.info('AdminService initialized', {
+      store: this.store.constructor.name
+    });
+  }
+
+  /**
+   * Replace the admin store (used by tests to inject an in-memory store)
+   * @param {Object} store - Admin store implementation
+   */
+  setStore(store) {
+    this.store = store;
+    this.banCache.clear();
+  }
+
+  /**
+   * Check if a user is banned
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<boolean>} - False when the lookup fails (fail-open)
+   */
+  async isBanned(userId) {
+    const cached = this.banCache.get(userId);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.banned;
+    }
+
+    try {
+      const banned = !!(await this.store.getBan(userId));
+      this.banCache.set(userId, { banned, expiresAt: Date.now() + CONFIG.BAN_CACHE_TTL });
+      return banned;
+
+    } catch (error) {
+      // Don't throw error - fail-open approach, a database outage must not lock everyone out
+      logger.error(`Failed to check ban for user ${userId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the ban record of a user
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object|null>} - { userId, reason, bannedBy, createdAt } or null
+   */
+  async getBan(userId) {
+    return this.store.getBan(userId);
+  }
+
+  /**
+   * Ban a user
+   * @param {number} userId - Telegram user ID
+   * @param {Object} details - { reason, actor }
+   * @returns {Promise<Object>} - Stored ban
+   */
+  async banUser(userId, details = {}) {
+    const ban = await this.store.saveBan({
+      userId,
+      reason: details.reason || null,
+      bannedBy: details.actor
+    });
+
+    this.banCache.set(userId, { banned: true, expiresAt: Date.now() + CONFIG.BAN_CACHE_TTL });
+
+    logger.logSecurity('user_banned', 'warn', { userId, bannedBy: details.actor });
+    return ban;
+  }
+
+  /**
+   * Lift a ban
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<boolean>} - False if the user wasn't banned
+   */
+  async unbanUser(userId) {
+    const removed = await this.store.deleteBan(userId);
+
+    this.banCache.set(userId, { banned: false, expiresAt: Date.now() + CONFIG.BAN_CACHE_TTL });
+
+    if (removed) {
+      logger.logSecurity('user_unbanned', 'info', { userId });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Write an admin action to the audit log
+   * @param {string} action - Action name (user_banned, quota_reset, ...)
+   * @param {Object} entry - { actor, targetUserId, details, ip }
+   * @returns {Promise<Object|null>} - Stored entry, null if it couldn't be written
+   */
+  async audit(action, entry = {}) {
+    try {
+      if (!action) {
+        throw errorHandler.createError('Audit action is required', 'ValidationError', 400);
+      }
+
+      const stored = await this.store.appendAuditEntry({
+        action,
+        actor: entry.actor,
+        targetUserId: entry.targetUserId,
+        details: entry.details,
+        ip: entry.ip
+      });
+
+      logger.info(`Admin action: ${action}`, {
+        category: 'admin_audit',
+        actor: entry.actor,
+        targetUserId: entry.targetUserId
+      });
+
+      return stored;
+
+    } catch (error) {
+      // The action already happened - keep it in the logs even if the table is unavailable
+      logger.error(`Failed to write audit entry ${action}:`, {
+        error: error.message,
+        actor: entry.actor,
+        targetUserId: entry.targetUserId,
+        details: entry.details
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Get audit log entries, newest first
+   * @param {Object} filter - { targetUserId, limit }
+   * @returns {Promise<Array<Object>>} - Entries
+   */
+  async getAuditLog(filter = {}) {
+    return this.store.listAuditEntries({
+      targetUserId: filter.targetUserId || null,
+      limit: filter.limit || CONFIG.ADMIN_HISTORY_LIMIT
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new AdminService();
@@ -0,0 +1,200 @@
+/**
+ * Background Removal Service
+ * Cuts the subject out of a face-swap result for transparent "cut-out" stickers
+ *
+ * BACKGROUND_REMOVAL_PROVIDER picks the remover:
+ *   piapi - Qubico background-remove task through the Piapi task API (default)
+ *   local - CPU flood fill from the image border; only plain backgrounds come off
+ *           (offline development and tests, like the local face-swap provider)
+ * Only templates with "cutout" in the manifest go through here.
+ */
+
+const sharp = require('sharp');
+const logger = require('../utils/logger');
+const errorHandler = require('../utils/errorHandler');
+const piapiService = require('./piapiService');
+const imageService = require('./imageService');
+const { CONFIG } = require('../config/constants');
+
+const PROVIDERS = ['piapi', 'local'];
+const DEFAULT_PROVIDER = 'piapi';
+
+class BackgroundRemovalService {
+  constructor() {
+    const providerName = (process.env.BACKGROUND_REMOVAL_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+
+    if (!PROVIDERS.includes(providerName)) {
+      logger.warn(`Unknown BACKGROUND_REMOVAL_PROVIDER "${providerName}", using ${DEFAULT_PROVIDER}`);
+    }
+
+    this.providerName = PROVIDERS.includes(providerName) ? providerName : DEFAULT_PROVIDER;
+
+    logger.info('BackgroundRemovalService initialized', {
+      provider: this.providerName,
+      configured: this.isConfigured()
+    });
+  }
+
+  /**
+   * Switch the remover (used by tests)
+   * @param {string} name - piapi or local
+   */
+  setProvider(name) {
+    if (!PROVIDERS.includes(name)) {
+      throw errorHandler.createError(`Unknown background-removal provider: ${name}`, 'ConfigurationError', 500);
+    }
+
+    this.providerName = name;
+  }
+
+  /**
+   * Get the active remover name
+   * @returns {string}
+   */
+  getProviderName() {
+    return this.providerName;
+  }
+
+  /**
+   * Check if the active remover can take work
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return this.providerName === 'local' || piapiService.isServiceConfigured();
+  }
+
+  /**
+   * Cut the subject out and style it as a sticker
+   * @param {Buffer} imageBuffer - Face-swap result
+   * @param {Object} cutout - { outline, shadow } from the template
+   * @param {Object} options - { signal } AbortSignal that cancels the removal task
+   * @returns {Promise<Buffer>} - RGBA PNG at sticker size
+   */
+  async createCutout(imageBuffer, cutout, options = {}) {
+    const startTime = Date.now();
+
+    if (!this.isConfigured()) {
+      throw errorHandler.createError('Background removal not configured', 'ConfigurationError', 500);
+    }
+
+    const removed = this.providerName === 'local'
+      ? await this.removeWithFloodFill(imageBuffer)
+      : await this.removeWithPiapi(imageBuffer, options.signal);
+
+    const styled = await imageService.styleCutout(removed, {
+      outline: cutout.outline,
+      shadow: cutout.shadow,
+      maxSize: CONFIG.STICKER_MAX_SIZE
+    });
+
+    logger.info('Cutout created', {
+      provider: this.providerName,
+      duration: Date.now() - startTime
+    });
+
+    return styled;
+  }
+
+  /**
+   * Remove the background with a Piapi task
+   * @param {Buffer} imageBuffer - Image to cut out
+   * @param {AbortSignal|null} signal - Cancels the task
+   * @returns {Promise<Buffer>} - PNG with transparency
+   */
+  async removeWithPiapi(imageBuffer, signal = null) {
+    const png = await sharp(imageBuffer).png().toBuffer();
+    const task = await piapiService.createBackgroundRemovalTask(`data:image/png;base64,${png.toString('base64')}`, { signal });
+
+    const completion = await piapiService.waitForTaskCompletion(task.taskId, {
+      maxWaitTime: CONFIG.BACKGROUND_REMOVAL_TIMEOUT,
+      pollInterval: 2000,
+      signal
+    });
+
+    const resultUrl = completion.result?.image_url || completion.result?.url;
+    if (!resultUrl) {
+      throw errorHandler.createError(`No result from background-removal task ${task.taskId}`, 'TaskFailedError', 502);
+    }
+
+    return imageService.downloadImageFromUrl(resultUrl, { signal });
+  }
+
+  /**
+   * Remove a plain background: flood fill from the border over pixels close to the border color
+   * @param {Buffer} imageBuffer - Image to cut out
+   * @returns {Promise<Buffer>} - PNG with transparency
+   */
+  async removeWithFloodFill(imageBuffer) {
+    const { data, info } = await sharp(imageBuffer)
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+
+    const border = [];
+    for (let x = 0; x < width; x++) {
+      border.push(x, (height - 1) * width + x);
+    }
+    for (let y = 1; y < height - 1; y++) {
+      border.push(y * width, y * width + width - 1);
+    }
+
+    // Background color: per-channel median of the border
+    const median = (channel) => {
+      const values = border.map(pixel => data[pixel * 4 + channel]).sort((a, b) => a - b);
+      return values[Math.floor(values.length / 2)];
+    };
+    const background = [median(0), median(1), median(2)];
+    const tolerance = CONFIG.CUTOUT_FLOOD_TOLERANCE ** 2;
+
+    const isBackground = (pixel) => {
+      const offset = pixel * 4;
+      const dr = data[offset] - background[0];
+      const dg = data[offset + 1] - background[1];
+      const db = data[offset + 2] - background[2];
+      return dr * dr + dg * dg + db * db <= tolerance;
+    };
+
+    const visited = new Uint8Array(width * height);
+    const queue = new Int32Array(width * height);
+    let head = 0;
+    let tail = 0;
+
+    for (const pixel of border) {
+      if (!visited[pixel] && isBackground(pixel)) {
+        visited[pixel] = 1;
+        queue[tail++] = pixel;
+      }
+    }
+
+    while (head < tail) {
+      const pixel = queue[head++];
+      const x = pixel % width;
+      data[pixel * 4 + 3] = 0;
+
+      const neighbors = [
+        x > 0 ? pixel - 1 : -1,
+        x < width - 1 ? pixel + 1 : -1,
+        pixel - width,
+        pixel + width
+      ];
+
+      for (const neighbor of neighbors) {
+        if (neighbor >= 0 && neighbor < width * height && !visited[neighbor] && isBackground(neighbor)) {
+          visited[neighbor] = 1;
+          queue[tail++] = neighbor;
+        }
+      }
+    }
+
+    logger.info('Background flood fill completed', {
+      dimensions: `${width}x${height}`,
+      removedShare: Number((tail / (width * height)).toFixed(2))
+    });
+
+    return sharp(data, { raw: { width, height, channels: 4 } }).png().toBuffer();
+  }
+}
+
+// Export singleton instance
+module.exports = new BackgroundRemovalService();
@@ -0,0 +1,241 @@
+/**
+ * Cache Service
+ * Two-level content-addressed cache for sticker generation
+ *
+ * Level 1 - template images, preloaded at startup and revalidated by ETag
+ * Level 2 - optimized face-swap results, keyed by user photo hash + template id + provider options
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const imageService = require('./imageService');
+const FsCacheStore = require('../stores/fsCacheStore');
+const { CACHE } = require('../config/constants');
+const { getAllTemplates } = require('../config/templates');
+
+class CacheService {
+  constructor() {
+    this.enabled = process.env.CACHE_ENABLED !== 'false';
+
+    const baseDirectory = path.join(process.env.CACHE_DIR || os.tmpdir(), CACHE.DIRECTORY_NAME);
+
+    this.templateStore = new FsCacheStore({
+      directory: path.join(baseDirectory, 'templates'),
+      maxSize: CACHE.TEMPLATE_MAX_SIZE,
+      name: 'templates'
+    });
+
+    this.resultStore = new FsCacheStore({
+      directory: path.join(baseDirectory, 'results'),
+      maxSize: CACHE.RESULT_MAX_SIZE,
+      name: 'results'
+    });
+
+    this.stats = {
+      templateHits: 0,
+      templateMisses: 0,
+      resultHits: 0,
+      resultMisses: 0
+    };
+
+    logger.info('CacheService initialized', {
+      enabled: this.enabled,
+      directory: baseDirectory
+    });
+  }
+
+  /**
+   * Replace cache stores (used by tests to point at a temporary directory)
+   * @param {Object} stores - { templateStore, resultStore }
+   */
+  setStores({ templateStore, resultStore }) {
+    if (templateStore) this.templateStore = templateStore;
+    if (resultStore) this.resultStore = resultStore;
+  }
+
+  /**
+   * Hash a buffer for use in cache keys
+   * @param {Buffer} buffer - Data to hash
+   * @returns {string} - sha256 hex digest
+   */
+  hashBuffer(buffer) {
+    return FsCacheStore.hash(buffer);
+  }
+
+  /**
+   * Build level 2 cache key
+   * @param {string} photoHash - Hash of the processed user photo
+   * @param {string} templateId - Template ID
+   * @param {Object} options - Provider name and options that affect the output
+   * @returns {string} - Cache key
+   */
+  buildResultKey(photoHash, templateId, options = {}) {
+    // Sort option keys so equal options always give the same key
+    const sortedOptions = Object.keys(options)
+      .sort()
+      .reduce((sorted, key) => ({ ...sorted, [key]: options[key] }), {});
+
+    return FsCacheStore.hash(JSON.stringify({ photoHash, templateId, options: sortedOptions }));
+  }
+
+  /**
+   * Get template image, downloading it on a miss
+   * Templates with a local asset are read from disk and never cached
+   * @param {Object} template - Meme template
+   * @returns {Promise<Buffer>} - Template image
+   */
+  async getTemplateImage(template) {
+    if (template.assetPath) {
+      return fs.readFile(template.assetPath);
+    }
+
+    if (!this.enabled) {
+      return imageService.downloadImageFromUrl(template.imageUrl);
+    }
+
+    try {
+      const cached = await this.templateStore.get(template.id);
+
+      // URL change means the template was replaced in config
+      if (cached && cached.meta.imageUrl === template.imageUrl) {
+        this.stats.templateHits++;
+        return cached.data;
+      }
+    } catch (error) {
+      logger.warn(`Template cache read failed for ${template.id}: ${error.message}`);
+    }
+
+    this.stats.templateMisses++;
+
+    const { buffer, etag } = await imageService.downloadImageIfChanged(template.imageUrl);
+    await this.storeTemplate(template, buffer, etag);
+
+    return buffer;
+  }
+
+  /**
+   * Save template image to level 1 (fail-open)
+   */
+  async storeTemplate(template, buffer, etag) {
+    try {
+      await this.templateStore.set(template.id, buffer, {
+        imageUrl: template.imageUrl,
+        etag
+      });
+    } catch (error) {
+      logger.warn(`Template cache write failed for ${template.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Download or revalidate all template images
+   * Unchanged templates cost a 304 response instead of a full download
+   * @param {Array<Object>} templates - Templates to preload
+   * @returns {Promise<Object>} - { downloaded, unchanged, failed, local }
+   */
+  async preloadTemplates(templates = getAllTemplates()) {
+    const summary = { downloaded: 0, unchanged: 0, failed: 0, local: 0 };
+
+    if (!this.enabled) {
+      return summary;
+    }
+
+    // Local assets need no download
+    summary.local = templates.filter(template => template.assetPath).length;
+    templates = templates.filter(template => !template.assetPath);
+
+    const startTime = Date.now();
+
+    const preloadOne = async (template) => {
+      try {
+        const cached = await this.templateStore.get(template.id);
+        const etag = cached && cached.meta.imageUrl === template.imageUrl ? cached.meta.etag : null;
+
+        const result = await imageService.downloadImageIfChanged(template.imageUrl, etag);
+
+        if (result.notModified) {
+          summary.unchanged++;
+          return;
+        }
+
+        await this.storeTemplate(template, result.buffer, result.etag);
+        summary.downloaded++;
+
+      } catch (error) {
+        summary.failed++;
+        logger.warn(`Failed to preload template ${template.id}: ${error.message}`);
+      }
+    };
+
+    for (let i = 0; i < templates.length; i += CACHE.PRELOAD_CONCURRENCY) {
+      await Promise.all(templates.slice(i, i + CACHE.PRELOAD_CONCURRENCY).map(preloadOne));
+    }
+
+    logger.info('Template images preloaded', {
+      ...summary,
+      duration: Date.now() - startTime
+    });
+
+    return summary;
+  }
+
+  /**
+   * Get cached face-swap result
+   * @param {string} key - Key from buildResultKey
+   * @returns {Promise<Buffer|null>} - Optimized sticker or null on miss
+   */
+  async getResult(key) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      const cached = await this.resultStore.get(key);
+
+      if (cached) {
+        this.stats.resultHits++;
+        return cached.data;
+      }
+    } catch (error) {
+      logger.warn(`Result cache read failed: ${error.message}`);
+    }
+
+    this.stats.resultMisses++;
+    return null;
+  }
+
+  /**
+   * Save face-swap result (fail-open)
+   * @param {string} key - Key from buildResultKey
+   * @param {Buffer} buffer - Optimized sticker
+   * @param {Object} meta - Extra metadata (template id, provider)
+   */
+  async setResult(key, buffer, meta = {}) {
+    if (!this.enabled) {
+      return;
+    }
+
+    try {
+      await this.resultStore.set(key, buffer, meta);
+    } catch (error) {
+      logger.warn(`Result cache write failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get cache statistics
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      ...this.stats,
+      templates: this.templateStore.getStats(),
+      results: this.resultStore.getStats()
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new CacheService();
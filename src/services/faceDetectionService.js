@@ -0,0 +1,131 @@
+/**
+ * Face Detection Service
+ * CPU-only face detector for the pre-flight photo check
+ *
+ * Runs face-api (SSD MobileNet v1 + 68-point landmarks) on the TensorFlow.js
+ * WASM backend, so no GPU or native TensorFlow build is needed. Models ship with
+ * the package and are loaded on first use. FACE_PREFLIGHT_ENABLED=false turns
+ * the detector off; the face-swap provider's own check still applies then.
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const errorHandler = require('../utils/errorHandler');
+const { CONFIG } = require('../config/constants');
+
+class FaceDetectionService {
+  constructor() {
+    this.enabled = process.env.FACE_PREFLIGHT_ENABLED !== 'false';
+    this.tf = null;
+    this.faceapi = null;
+    this.loading = null;
+
+    logger.info('FaceDetectionService initialized', {
+      enabled: this.enabled
+    });
+  }
+
+  /**
+   * Check whether pre-flight detection is turned on
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Load TensorFlow.js and the detector models once
+   * @returns {Promise<void>}
+   */
+  async loadModels() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        const startTime = Date.now();
+
+        const tf = require('@tensorflow/tfjs');
+        require('@tensorflow/tfjs-backend-wasm');
+        const faceapi = require('@vladmandic/face-api/dist/face-api.node-wasm.js');
+
+        await tf.setBackend('wasm');
+        await tf.ready();
+
+        const modelPath = path.join(path.dirname(require.resolve('@vladmandic/face-api/package.json')), 'model');
+        await faceapi.nets.ssdMobilenetv1.loadFromDisk(modelPath);
+        await faceapi.nets.faceLandmark68Net.loadFromDisk(modelPath);
+
+        this.tf = tf;
+        this.faceapi = faceapi;
+
+        logger.info('Face detection models loaded', {
+          backend: tf.getBackend(),
+          duration: Date.now() - startTime
+        });
+      })().catch(error => {
+        // Let the next photo try again
+        this.loading = null;
+        throw error;
+      });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Detect faces with landmarks
+   * @param {Object} frame - Raw RGB pixels { data, width, height }
+   * @returns {Promise<Array<Object>>} - [{ score, box, landmarks }] in frame pixels, largest face first
+   */
+  async detectFaces(frame) {
+    const startTime = Date.now();
+
+    try {
+      await this.loadModels();
+
+      const tensor = this.tf.tensor3d(new Uint8Array(frame.data), [frame.height, frame.width, 3], 'int32');
+
+      let detections;
+      try {
+        detections = await this.faceapi
+          .detectAllFaces(tensor, new this.faceapi.SsdMobilenetv1Options({
+            minConfidence: CONFIG.FACE_DETECTION_MIN_SCORE
+          }))
+          .withFaceLandmarks();
+      } finally {
+        tensor.dispose();
+      }
+
+      const faces = detections
+        .map(detection => ({
+          score: detection.detection.score,
+          box: {
+            x: detection.detection.box.x,
+            y: detection.detection.box.y,
+            width: detection.detection.box.width,
+            height: detection.detection.box.height
+          },
+          landmarks: detection.landmarks.positions.map(point => ({ x: point.x, y: point.y }))
+        }))
+        .sort((a, b) => b.box.width * b.box.height - a.box.width * a.box.height);
+
+      logger.info('Face detection completed', {
+        faces: faces.length,
+        scores: faces.map(face => Number(face.score.toFixed(2))),
+        duration: Date.now() - startTime
+      });
+
+      return faces;
+
+    } catch (error) {
+      logger.error('Face detection failed:', error);
+
+      throw errorHandler.createError(
+        `Face detection failed: ${error.message}`,
+        'FaceDetectorError',
+        500
+      );
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new FaceDetectionService();
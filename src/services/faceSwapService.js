@@ -0,0 +1,95 @@
+/**
+ * Face Swap Service
+ * Selects the face-swap provider from config (FACE_SWAP_PROVIDER) and delegates to it
+ */
+
+const logger = require('../utils/logger');
+const errorHandler = require('../utils/errorHandler');
+const LocalFaceSwapProvider = require('../providers/localFaceSwapProvider');
+
+// Provider factories, created lazily so unused providers don't initialize
+const PROVIDERS = {
+  piapi: () => require('./piapiService'),
+  local: () => new LocalFaceSwapProvider()
+};
+
+const DEFAULT_PROVIDER = 'piapi';
+
+class FaceSwapService {
+  constructor() {
+    const providerName = (process.env.FACE_SWAP_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+
+    if (!PROVIDERS[providerName]) {
+      logger.warn(`Unknown FACE_SWAP_PROVIDER "${providerName}", using ${DEFAULT_PROVIDER}`);
+    }
+
+    this.provider = this.createProvider(PROVIDERS[providerName] ? providerName : DEFAULT_PROVIDER);
+
+    logger.info('FaceSwapService initialized', {
+      provider: this.provider.name,
+      configured: this.provider.isServiceConfigured()
+    });
+  }
+
+  /**
+   * Create a provider by name
+   * @param {string} name - Provider name (piapi, local)
+   * @returns {FaceSwapProvider}
+   */
+  createProvider(name) {
+    const factory = PROVIDERS[name];
+
+    if (!factory) {
+      throw errorHandler.createError(`Unknown face-swap provider: ${name}`, 'ConfigurationError', 500);
+    }
+
+    return factory();
+  }
+
+  /**
+   * Replace the active provider (used by tests and for manual failover)
+   * @param {FaceSwapProvider|string} provider - Provider instance or name
+   */
+  setProvider(provider) {
+    this.provider = typeof provider === 'string' ? this.createProvider(provider) : provider;
+    logger.info(`Face-swap provider switched to ${this.provider.name}`);
+  }
+
+  /**
+   * Get the active provider
+   * @returns {FaceSwapProvider}
+   */
+  getProvider() {
+    return this.provider;
+  }
+
+  /**
+   * Get the active provider name
+   * @returns {string}
+   */
+  getProviderName() {
+    return this.provider.name;
+  }
+
+  /**
+   * Check if the active provider can accept tasks
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return this.provider.isServiceConfigured();
+  }
+
+  /**
+   * Create a face-swap task and wait for its result
+   * @param {string} targetImageUrl - URL of the target image
+   * @param {string} sourceImageUrl - URL of the source image
+   * @param {Object} options - { taskOptions, waitOptions }, { signal } AbortSignal that cancels the task
+   * @returns {Promise<Object>} - { taskId, status, resultUrl, resultBuffer, result }
+   */
+  async processFaceSwap(targetImageUrl, sourceImageUrl, options = {}) {
+    return this.provider.processFaceSwap(targetImageUrl, sourceImageUrl, options);
+  }
+}
+
+// Export singleton instance
+module.exports = new FaceSwapService();
@@ -0,0 +1,123 @@
+/**
+ * Idempotency Service
+ * Deduplicates Telegram updates by update_id and photo jobs by chat + message_id
+ *
+ * Telegram redelivers an update when the webhook answers slowly or fails, so the
+ * same photo could otherwise start a second generation. Keys are held for
+ * CONFIG.UPDATE_DEDUP_TTL and then purged.
+ */
+
+const { supabase } = require('../config/database');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const MemoryIdempotencyStore = require('../stores/memoryIdempotencyStore');
+const SupabaseIdempotencyStore = require('../stores/supabaseIdempotencyStore');
+const { CONFIG } = require('../config/constants');
+
+const duplicates = metrics.counter(
+  'duplicate_updates_total',
+  'Redelivered updates acknowledged without processing (kind: update = update_id, photo = chat + message_id)',
+  ['kind']
+);
+
+class IdempotencyService {
+  constructor() {
+    this.store = supabase
+      ? new SupabaseIdempotencyStore(supabase)
+      : new MemoryIdempotencyStore({ maxEntries: CONFIG.UPDATE_DEDUP_MAX_ENTRIES });
+    this.lastPurge = Date.now();
+
+    logger.info('IdempotencyService initialized', {
+      store: this.store.constructor.name
+    });
+  }
+
+  /**
+   * Replace the idempotency store (used by tests to inject an in-memory store)
+   * @param {Object} store - Idempotency store implementation
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Claim a key, counting a duplicate if it's already taken
+   * @param {string} key - Idempotency key
+   * @param {string} kind - Metric label
+   * @returns {Promise<boolean>} - False for a duplicate
+   */
+  async claim(key, kind) {
+    this.purgeIfDue();
+
+    try {
+      const claimed = await this.store.claim(key, CONFIG.UPDATE_DEDUP_TTL);
+
+      if (!claimed) {
+        duplicates.inc({ kind });
+        logger.info(`Duplicate ${kind} skipped: ${key}`);
+      }
+
+      return claimed;
+
+    } catch (error) {
+      // Don't throw error - fail-open approach, process the update rather than drop it
+      logger.error(`Failed to claim idempotency key ${key}:`, error);
+      return true;
+    }
+  }
+
+  /**
+   * Claim a Telegram update
+   * @param {number} updateId - update_id
+   * @returns {Promise<boolean>} - False if the update was already processed
+   */
+  async claimUpdate(updateId) {
+    return this.claim(`update:${updateId}`, 'update');
+  }
+
+  /**
+   * Claim the generation job of a photo message
+   * @param {number} chatId - Chat ID
+   * @param {number} messageId - message_id of the photo
+   * @returns {Promise<boolean>} - False if the photo already has a job
+   */
+  async claimPhotoJob(chatId, messageId) {
+    return this.claim(`photo:${chatId}:${messageId}`, 'photo');
+  }
+
+  /**
+   * Release a photo claim when no job was queued for it
+   * @param {number} chatId - Chat ID
+   * @param {number} messageId - message_id of the photo
+   */
+  async releasePhotoJob(chatId, messageId) {
+    try {
+      await this.store.release(`photo:${chatId}:${messageId}`);
+    } catch (error) {
+      logger.error(`Failed to release photo claim ${chatId}:${messageId}:`, error);
+    }
+  }
+
+  /**
+   * Purge expired keys at most once per CONFIG.UPDATE_DEDUP_PURGE_INTERVAL
+   * Runs in the background; a failed purge is retried on the next interval
+   */
+  purgeIfDue() {
+    if (Date.now() - this.lastPurge < CONFIG.UPDATE_DEDUP_PURGE_INTERVAL) {
+      return;
+    }
+
+    this.lastPurge = Date.now();
+
+    this.store.purgeExpired()
+      .then(removed => {
+        if (removed > 0) {
+          logger.info(`Purged ${removed} expired idempotency keys`);
+        }
+      })
+      .catch(error => logger.error('Failed to purge idempotency keys:', error));
+  }
+}
+
+// Export singleton instance
+module.exports = new IdempotencyService();
@@ -7,9 +7,13 @@ const axios = require('axios');
 const sharp = require('sharp');
 const logger = require('../utils/logger');
 const errorHandler = require('../utils/errorHandler');
+const cancellation = require('../utils/cancellation');
 const validators = require('../utils/validators');
 const telegramService = require('./telegramService');
+const videoService = require('./videoService');
+const faceDetectionService = require('./faceDetectionService');
 const { CONFIG, VALIDATION } = require('../config/constants');
+const { CAPTION_FONTS } = require('../config/captions');
 
 class ImageService {
   constructor() {
@@ -19,9 +23,11 @@ class ImageService {
   /**
    * Download image from Telegram using file ID
    * @param {string} fileId - Telegram file ID
+   * @param {Object} options - { signal } AbortSignal of the download
    * @returns {Promise<Buffer>} - Image buffer
    */
-  async downloadImageFromTelegram(fileId) {
+  async downloadImageFromTelegram(fileId, options = {}) {
+    const { signal = null } = options;
     const startTime = Date.now();
     
     try {
@@ -40,10 +46,12 @@ class ImageService {
         async () => await axios.get(fileUrl, {
           responseType: 'arraybuffer',
           timeout: CONFIG.API_TIMEOUT,
-          maxContentLength: CONFIG.MAX_IMAGE_SIZE
+          maxContentLength: CONFIG.MAX_IMAGE_SIZE,
+          signal
         }),
         null,
-        3
+        3,
+        { signal }
       );
 
       const imageBuffer = Buffer.from(response.data);
@@ -58,6 +66,8 @@ class ImageService {
       return imageBuffer;
 
     } catch (error) {
+      cancellation.throwIfAborted(signal);
+
       const duration = Date.now() - startTime;
       logger.error(`Failed to download image ${fileId}:`, error);
       
@@ -105,7 +115,7 @@ class ImageService {
 
       // Validate format
       if (!CONFIG.SUPPORTED_FORMATS.includes(`image/${metadata.format}`)) {
-        validation.errors.push(`Unsupported format: ${metadata.format}. Supported: JPEG, PNG`);
+        validation.errors.push(`Unsupported format: ${metadata.format}. Supported: ${CONFIG.SUPPORTED_FORMATS.join(', ')}`);
         validation.isValid = false;
       }
 
@@ -165,6 +175,104 @@ class ImageService {
     }
   }
 
+  /**
+   * Decode an uploaded photo or image document into an upright JPEG/PNG without metadata
+   * HEIC, HEIF, WebP and AVIF originals become the same input the rest of the pipeline
+   * gets from compressed Telegram photos, at full resolution (up to MAX_INPUT_DIMENSION).
+   * EXIF orientation is applied to the pixels; EXIF, GPS and XMP data are dropped.
+   * @param {Buffer} imageBuffer - Image as uploaded
+   * @returns {Promise<Object>} - { buffer, format, width, height }, format is the input format
+   */
+  async normalizeImage(imageBuffer) {
+    const startTime = Date.now();
+
+    const bufferValidation = validators.isValidImageBuffer(imageBuffer);
+    if (!bufferValidation.valid) {
+      throw errorHandler.createError(bufferValidation.error, 'ValidationError', 400);
+    }
+
+    let metadata;
+    try {
+      metadata = await sharp(imageBuffer).metadata();
+    } catch (error) {
+      // libvips may not parse every HEIC variant; the HEIC decoder still can
+      if (bufferValidation.format !== 'image/heif') {
+        throw errorHandler.createError(`Unreadable image: ${error.message}`, 'ValidationError', 400);
+      }
+      metadata = { format: 'heif', compression: 'hevc' };
+    }
+
+    // sharp reports AVIF and HEIC as heif; only AV1 is decoded by its prebuilt libvips
+    const format = metadata.format === 'heif'
+      ? (metadata.compression === 'av1' ? 'avif' : 'heic')
+      : metadata.format;
+
+    if (!CONFIG.SUPPORTED_FORMATS.includes(`image/${format}`)) {
+      throw errorHandler.createError(
+        `Unsupported format: ${format}. Supported: ${CONFIG.SUPPORTED_FORMATS.join(', ')}`,
+        'ValidationError',
+        400
+      );
+    }
+
+    try {
+      let sharpInstance;
+
+      if (format === 'heic') {
+        const decoded = await this.decodeHeic(imageBuffer);
+        sharpInstance = sharp(decoded.data, {
+          raw: { width: decoded.width, height: decoded.height, channels: 4 }
+        });
+      } else {
+        sharpInstance = sharp(imageBuffer).rotate();
+      }
+
+      sharpInstance = sharpInstance.resize(CONFIG.MAX_INPUT_DIMENSION, CONFIG.MAX_INPUT_DIMENSION, {
+        fit: 'inside',
+        withoutEnlargement: true
+      });
+
+      // Keep transparency of PNG/WebP cutouts, everything else is a photo
+      const keepAlpha = metadata.hasAlpha && format !== 'heic';
+      const { data, info } = await (keepAlpha
+        ? sharpInstance.png()
+        : sharpInstance.flatten({ background: '#ffffff' }).jpeg({ quality: CONFIG.NORMALIZED_JPEG_QUALITY }))
+        .toBuffer({ resolveWithObject: true });
+
+      logger.info('Image normalized:', {
+        format,
+        orientation: metadata.orientation || 1,
+        inputSize: imageBuffer.length,
+        outputSize: data.length,
+        dimensions: `${info.width}x${info.height}`,
+        duration: Date.now() - startTime
+      });
+
+      return { buffer: data, format, width: info.width, height: info.height };
+
+    } catch (error) {
+      logger.error(`Failed to normalize ${format} image:`, error);
+
+      throw errorHandler.createError(
+        `Image decoding failed: ${error.message}`,
+        'ValidationError',
+        400
+      );
+    }
+  }
+
+  /**
+   * Decode HEIC (HEVC) with the libheif WASM build; libheif applies the rotation stored in the file
+   * @param {Buffer} imageBuffer - HEIC file
+   * @returns {Promise<Object>} - { width, height, data } RGBA pixels
+   */
+  async decodeHeic(imageBuffer) {
+    const decode = require('heic-decode');
+    const { width, height, data } = await decode({ buffer: imageBuffer });
+
+    return { width, height, data: Buffer.from(data.buffer, data.byteOffset, data.byteLength) };
+  }
+
   /**
    * Convert image to WebP format
    * @param {Buffer} imageBuffer - Input image buffer
@@ -227,10 +335,59 @@ class ImageService {
     }
   }
 
+  /**
+   * Place an image on the sticker canvas
+   * The image is scaled (up or down) to fit inside the safe area, and the canvas is
+   * cut so that the limiting side is exactly the sticker size, as Telegram requires
+   * @param {number} sourceWidth - Image width
+   * @param {number} sourceHeight - Image height
+   * @param {Object} safeArea - { top, right, bottom, left } margins in sticker pixels
+   * @param {number} size - Sticker side (512)
+   * @returns {Object} - { width, height } of the image, { canvasWidth, canvasHeight, left, top } of the canvas
+   */
+  computeStickerLayout(sourceWidth, sourceHeight, safeArea = {}, size = CONFIG.STICKER_MAX_SIZE) {
+    const { top = 0, right = 0, bottom = 0, left = 0 } = safeArea;
+    const boxWidth = size - left - right;
+    const boxHeight = size - top - bottom;
+
+    if (!(sourceWidth > 0 && sourceHeight > 0)) {
+      throw errorHandler.createError(`Invalid image size: ${sourceWidth}x${sourceHeight}`, 'ValidationError', 400);
+    }
+    if (boxWidth < 1 || boxHeight < 1) {
+      throw errorHandler.createError('Safe area leaves no room for the image', 'ValidationError', 400);
+    }
+
+    // The limiting side fills its box exactly, the other one is rounded and clamped
+    let width;
+    let height;
+    if (sourceWidth / boxWidth >= sourceHeight / boxHeight) {
+      width = boxWidth;
+      height = Math.min(boxHeight, Math.max(1, Math.round(sourceHeight * boxWidth / sourceWidth)));
+    } else {
+      height = boxHeight;
+      width = Math.min(boxWidth, Math.max(1, Math.round(sourceWidth * boxHeight / sourceHeight)));
+    }
+
+    const canvasWidth = width === boxWidth ? size : width + left + right;
+    const canvasHeight = height === boxHeight ? size : height + top + bottom;
+
+    return {
+      width,
+      height,
+      canvasWidth,
+      canvasHeight,
+      // Centered inside the canvas minus the margins, so uneven margins shift the image
+      left: left + Math.floor((canvasWidth - left - right - width) / 2),
+      top: top + Math.floor((canvasHeight - top - bottom - height) / 2)
+    };
+  }
+
   /**
    * Optimize image for Telegram stickers
+   * Lays the image out on a transparent canvas with one side exactly 512px (see
+   * computeStickerLayout), encodes WebP within the size limit and verifies the result
    * @param {Buffer} imageBuffer - Input image buffer
-   * @param {Object} options - Optimization options
+   * @param {Object} options - { maxSize, quality, targetFileSize, safeArea }
    * @returns {Promise<Buffer>} - Optimized WebP buffer
    */
   async optimizeForStickers(imageBuffer, options = {}) {
@@ -244,42 +401,43 @@ class ImageService {
       const {
         maxSize = CONFIG.STICKER_MAX_SIZE, // 512px
         quality = 85,
-        targetFileSize = CONFIG.MAX_STICKER_FILE_SIZE // 500KB
+        targetFileSize = CONFIG.MAX_STICKER_FILE_SIZE, // 512KB
+        safeArea = {}
       } = options;
 
       logger.info(`Optimizing image for stickers:`, {
         inputSize: imageBuffer.length,
         maxSize,
         quality,
-        targetFileSize
+        targetFileSize,
+        safeArea
       });
 
       // Get original metadata
       const metadata = await sharp(imageBuffer).metadata();
-      
-      let sharpInstance = sharp(imageBuffer);
-      
-      // Calculate optimal dimensions while preserving aspect ratio
-      let outputWidth = metadata.width;
-      let outputHeight = metadata.height;
-      
-      if (outputWidth > maxSize || outputHeight > maxSize) {
-        if (outputWidth > outputHeight) {
-          outputHeight = Math.round((outputHeight * maxSize) / outputWidth);
-          outputWidth = maxSize;
-        } else {
-          outputWidth = Math.round((outputWidth * maxSize) / outputHeight);
-          outputHeight = maxSize;
-        }
-      }
+      const layout = this.computeStickerLayout(metadata.width, metadata.height, safeArea, maxSize);
 
-      // Resize if needed
-      if (outputWidth !== metadata.width || outputHeight !== metadata.height) {
-        sharpInstance = sharpInstance.resize(outputWidth, outputHeight, {
-          kernel: sharp.kernel.lanczos3,
-          withoutEnlargement: true
-        });
-      }
+      const content = await sharp(imageBuffer)
+        .resize(layout.width, layout.height, {
+          fit: 'fill',
+          kernel: sharp.kernel.lanczos3
+        })
+        .ensureAlpha()
+        .png()
+        .toBuffer();
+
+      // Padding stays transparent; render once, then only the encoding is retried
+      const { data: canvas, info } = await sharp({
+        create: {
+          width: layout.canvasWidth,
+          height: layout.canvasHeight,
+          channels: 4,
+          background: { r: 0, g: 0, b: 0, alpha: 0 }
+        }
+      })
+        .composite([{ input: content, left: layout.left, top: layout.top }])
+        .raw()
+        .toBuffer({ resolveWithObject: true });
 
       // Start with high quality
       let currentQuality = quality;
@@ -288,7 +446,7 @@ class ImageService {
       const maxAttempts = 5;
 
       do {
-        optimizedBuffer = await sharpInstance
+        optimizedBuffer = await sharp(canvas, { raw: info })
           .webp({
             quality: currentQuality,
             effort: 6,
@@ -309,18 +467,24 @@ class ImageService {
         
       } while (optimizedBuffer.length > targetFileSize && attempts < maxAttempts);
 
+      // Never hand Telegram a file it would reject
+      const validation = await this.validateStickerFile(optimizedBuffer, 'static', { targetFileSize });
+      if (!validation.isValid) {
+        throw errorHandler.createError(validation.errors.join('; '), 'ValidationError', 400);
+      }
+
       const duration = Date.now() - startTime;
       const compressionRatio = (1 - optimizedBuffer.length / imageBuffer.length) * 100;
 
       logger.info(`Sticker optimization completed:`, {
         inputSize: imageBuffer.length,
         outputSize: optimizedBuffer.length,
-        dimensions: `${outputWidth}x${outputHeight}`,
+        sourceDimensions: `${metadata.width}x${metadata.height}`,
+        dimensions: `${layout.canvasWidth}x${layout.canvasHeight}`,
         finalQuality: currentQuality,
         compressionRatio: `${compressionRatio.toFixed(1)}%`,
         attempts,
-        duration,
-        withinTargetSize: optimizedBuffer.length <= targetFileSize
+        duration
       });
 
       return optimizedBuffer;
@@ -337,20 +501,280 @@ class ImageService {
     }
   }
 
+  /**
+   * Optimize animated source (GIF, animated WebP, APNG, WebM) for Telegram video stickers
+   * Output is WebM VP9: longer side exactly 512px, at most 3 seconds and 256KB
+   * @param {Buffer} sourceBuffer - Animated (or still) source
+   * @param {Object} options - Optimization options
+   * @returns {Promise<Buffer>} - WebM sticker buffer
+   */
+  async optimizeForVideoStickers(sourceBuffer, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      if (!Buffer.isBuffer(sourceBuffer)) {
+        throw errorHandler.createError('Valid source buffer is required', 'ValidationError', 400);
+      }
+
+      const {
+        maxSize = CONFIG.STICKER_MAX_SIZE, // 512px
+        maxDuration = CONFIG.VIDEO_STICKER_MAX_DURATION, // 3s
+        maxFps = CONFIG.VIDEO_STICKER_MAX_FPS,
+        targetFileSize = CONFIG.MAX_VIDEO_STICKER_FILE_SIZE // 256KB
+      } = options;
+
+      logger.info(`Optimizing animation for video stickers:`, {
+        inputSize: sourceBuffer.length,
+        maxSize,
+        maxDuration,
+        targetFileSize
+      });
+
+      // Sharp decodes GIF/WebP frames itself; other clips go to ffmpeg as a file
+      const frames = await this.extractAnimationFrames(sourceBuffer, { maxSize, maxDuration, maxFps });
+      const clipDuration = frames ? frames.duration : maxDuration;
+
+      // First attempt aims at ~90% of the size limit, then bitrate drops each retry
+      let bitrate = Math.floor((targetFileSize * 8 * 0.9) / clipDuration);
+      let videoBuffer;
+      let attempts = 0;
+      const maxAttempts = 5;
+
+      do {
+        const encodeOptions = { bitrate, maxDuration, maxSize, maxFps };
+
+        videoBuffer = frames
+          ? await videoService.encodeFrames(frames, encodeOptions)
+          : await videoService.encodeClip(sourceBuffer, encodeOptions);
+
+        attempts++;
+
+        if (videoBuffer.length <= targetFileSize) {
+          break;
+        }
+
+        logger.info(`Attempt ${attempts}: size ${videoBuffer.length}, bitrate ${bitrate}`);
+        bitrate = Math.floor(bitrate * 0.7);
+
+      } while (attempts < maxAttempts);
+
+      const validation = await this.validateStickerFile(videoBuffer, 'video', { targetFileSize });
+      if (!validation.isValid) {
+        throw errorHandler.createError(validation.errors.join('; '), 'ValidationError', 400);
+      }
+
+      logger.info(`Video sticker optimization completed:`, {
+        inputSize: sourceBuffer.length,
+        outputSize: videoBuffer.length,
+        source: frames ? 'frames' : 'clip',
+        frameCount: frames?.frameCount,
+        fps: frames?.fps,
+        attempts,
+        duration: Date.now() - startTime
+      });
+
+      return videoBuffer;
+
+    } catch (error) {
+      logger.error('Video sticker optimization failed:', error);
+
+      if (error.name === 'ConfigurationError') {
+        throw error;
+      }
+
+      throw errorHandler.createError(
+        `Video sticker optimization failed: ${error.message}`,
+        'OptimizationError',
+        500
+      );
+    }
+  }
+
+  /**
+   * Decode animation frames with sharp and resample them at a constant frame rate
+   * Frame delays in GIF/WebP vary, ffmpeg raw input needs a fixed rate
+   * @param {Buffer} sourceBuffer - Animation data
+   * @param {Object} options - { maxSize, maxDuration (s), maxFps }
+   * @returns {Promise<Object|null>} - { data, width, height, fps, frameCount, duration } or null if sharp can't decode it
+   */
+  async extractAnimationFrames(sourceBuffer, { maxSize, maxDuration, maxFps }) {
+    let metadata;
+    try {
+      metadata = await sharp(sourceBuffer, { animated: true }).metadata();
+    } catch (error) {
+      return null; // Not an image (WebM, MP4)
+    }
+
+    // libvips reads only the first frame of an APNG
+    if (metadata.format === 'png' && this.isAnimatedPng(sourceBuffer)) {
+      return null;
+    }
+
+    const pageCount = metadata.pages || 1;
+    const pageWidth = metadata.width;
+    const pageHeight = metadata.pageHeight || metadata.height;
+
+    // Telegram wants the longer side exactly maxSize; the shorter one even for yuva420p
+    const scale = maxSize / Math.max(pageWidth, pageHeight);
+    const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+    const width = pageWidth >= pageHeight ? maxSize : even(pageWidth * scale);
+    const height = pageWidth >= pageHeight ? even(pageHeight * scale) : maxSize;
+
+    // Browsers treat missing or tiny delays as 100ms, do the same
+    const delays = Array.from({ length: pageCount }, (_, i) => {
+      const delay = metadata.delay?.[i];
+      return delay && delay > 10 ? delay : 100;
+    });
+
+    const totalDuration = delays.reduce((sum, delay) => sum + delay, 0);
+    const clipDuration = Math.min(totalDuration, maxDuration * 1000);
+    const fps = Math.max(1, Math.min(maxFps, Math.round(1000 / Math.min(...delays))));
+    const frameCount = Math.max(1, Math.floor((clipDuration * fps) / 1000));
+
+    // Source frame shown at a given time
+    const frameAt = (time) => {
+      let elapsed = 0;
+      for (let i = 0; i < pageCount; i++) {
+        elapsed += delays[i];
+        if (time < elapsed) return i;
+      }
+      return pageCount - 1;
+    };
+
+    const decoded = new Map();
+    const output = [];
+
+    for (let k = 0; k < frameCount; k++) {
+      const page = frameAt((k * 1000) / fps);
+
+      if (!decoded.has(page)) {
+        decoded.set(page, await sharp(sourceBuffer, { page, pages: 1 })
+          .resize(width, height, { fit: 'fill', kernel: sharp.kernel.lanczos3 })
+          .ensureAlpha()
+          .raw()
+          .toBuffer());
+      }
+
+      output.push(decoded.get(page));
+    }
+
+    return {
+      data: Buffer.concat(output),
+      width,
+      height,
+      fps,
+      frameCount,
+      duration: frameCount / fps
+    };
+  }
+
+  /**
+   * Check for an APNG animation control chunk before the image data
+   * @param {Buffer} buffer - PNG data
+   * @returns {boolean}
+   */
+  isAnimatedPng(buffer) {
+    const actl = buffer.indexOf('acTL');
+    const idat = buffer.indexOf('IDAT');
+    return actl !== -1 && (idat === -1 || actl < idat);
+  }
+
+  /**
+   * Validate a finished sticker against Telegram's limits for its format
+   * static - WebP, one side exactly 512px and the other at most 512px, 512KB
+   * video  - WebM VP9 without audio, longer side exactly 512px, 3 seconds, 256KB
+   * @param {Buffer} stickerBuffer - Sticker file
+   * @param {string} format - 'static' or 'video'
+   * @param {Object} options - { targetFileSize } to override the size limit
+   * @returns {Promise<Object>} - { isValid, errors, metadata }
+   */
+  async validateStickerFile(stickerBuffer, format = 'static', options = {}) {
+    const errors = [];
+    let metadata = null;
+
+    if (!Buffer.isBuffer(stickerBuffer) || stickerBuffer.length === 0) {
+      return { isValid: false, errors: ['Sticker buffer is empty'], metadata };
+    }
+
+    if (format === 'video') {
+      const maxFileSize = options.targetFileSize || CONFIG.MAX_VIDEO_STICKER_FILE_SIZE;
+      const isWebm = stickerBuffer.readUInt32BE(0) === 0x1A45DFA3; // EBML header
+
+      if (!isWebm) {
+        errors.push('Video sticker must be WebM');
+      }
+
+      if (stickerBuffer.length > maxFileSize) {
+        errors.push(`Video sticker too large: ${stickerBuffer.length} bytes. Max: ${maxFileSize}`);
+      }
+
+      // Stream checks need ffprobe; header and size checks above always run
+      metadata = isWebm ? await videoService.probe(stickerBuffer).catch(() => null) : null;
+
+      if (metadata) {
+        const longerSide = Math.max(metadata.width, metadata.height);
+
+        if (metadata.codec !== 'vp9') {
+          errors.push(`Video sticker must be VP9, got ${metadata.codec}`);
+        }
+        if (longerSide !== CONFIG.STICKER_MAX_SIZE) {
+          errors.push(`Video sticker must be ${CONFIG.STICKER_MAX_SIZE}px on one side, got ${metadata.width}x${metadata.height}`);
+        }
+        // Small tolerance for container timestamp rounding
+        if (metadata.duration > CONFIG.VIDEO_STICKER_MAX_DURATION + 0.05) {
+          errors.push(`Video sticker too long: ${metadata.duration}s. Max: ${CONFIG.VIDEO_STICKER_MAX_DURATION}s`);
+        }
+        if (metadata.hasAudio) {
+          errors.push('Video sticker must not have audio');
+        }
+      }
+
+    } else if (format === 'static') {
+      const maxFileSize = options.targetFileSize || CONFIG.MAX_STICKER_FILE_SIZE;
+
+      try {
+        metadata = await sharp(stickerBuffer).metadata();
+
+        if (metadata.format !== 'webp') {
+          errors.push(`Static sticker must be WebP, got ${metadata.format}`);
+        }
+        if (Math.max(metadata.width, metadata.height) !== CONFIG.STICKER_MAX_SIZE) {
+          errors.push(`Static sticker must be ${CONFIG.STICKER_MAX_SIZE}px on one side, got ${metadata.width}x${metadata.height}`);
+        }
+      } catch (error) {
+        errors.push(`Unreadable static sticker: ${error.message}`);
+      }
+
+      if (stickerBuffer.length > maxFileSize) {
+        errors.push(`Static sticker too large: ${stickerBuffer.length} bytes. Max: ${maxFileSize}`);
+      }
+
+    } else {
+      errors.push(`Unsupported sticker format: ${format}`);
+    }
+
+    return { isValid: errors.length === 0, errors, metadata };
+  }
+
   /**
    * Complete image processing pipeline for stickers
+   * The photo keeps its full resolution for the face swap; the 512px sticker
+   * layout is applied to the face-swap results
    * @param {string} fileId - Telegram file ID
-   * @param {Object} options - Processing options
-   * @returns {Promise<Buffer>} - Final optimized WebP buffer
+   * @param {Object} options - Processing options, { signal } AbortSignal checked between the steps
+   * @returns {Promise<Buffer>} - Normalized and validated photo
    */
   async processImageForStickers(fileId, options = {}) {
+    const { signal = null } = options;
     const startTime = Date.now();
     
     try {
       logger.info(`Starting complete image processing for file: ${fileId}`);
 
-      // Step 1: Download image from Telegram
-      const imageBuffer = await this.downloadImageFromTelegram(fileId);
+      // Step 1: Download image from Telegram and decode it (HEIC, WebP, EXIF rotation)
+      const downloadedBuffer = await this.downloadImageFromTelegram(fileId, { signal });
+      const { buffer: imageBuffer } = await this.normalizeImage(downloadedBuffer);
+      cancellation.throwIfAborted(signal);
 
       // Step 2: Validate image
       const validation = await this.validateImage(imageBuffer);
@@ -368,27 +792,24 @@ class ImageService {
         logger.warn(`Image validation warnings:`, validation.warnings);
       }
 
-      // Step 3: Optimize for stickers
-      const optimizedBuffer = await this.optimizeForStickers(imageBuffer, options);
-
       const duration = Date.now() - startTime;
 
       logger.info(`Complete image processing finished:`, {
         fileId,
-        originalSize: imageBuffer.length,
-        finalSize: optimizedBuffer.length,
-        compressionRatio: `${((1 - optimizedBuffer.length / imageBuffer.length) * 100).toFixed(1)}%`,
+        originalSize: downloadedBuffer.length,
+        finalSize: imageBuffer.length,
+        dimensions: `${validation.metadata.width}x${validation.metadata.height}`,
         duration
       });
 
-      return optimizedBuffer;
+      return imageBuffer;
 
     } catch (error) {
       const duration = Date.now() - startTime;
       logger.error(`Complete image processing failed for ${fileId}:`, error);
       
       // Re-throw with context
-      if (error.name === 'ValidationError') {
+      if (error.name === 'ValidationError' || error.name === 'CancelledError') {
         throw error;
       }
       
@@ -437,9 +858,11 @@ class ImageService {
   /**
    * Download image from URL (e.g., Google Drive)
    * @param {string} imageUrl - Image URL to download
+   * @param {Object} options - { signal } AbortSignal of the download
    * @returns {Promise<Buffer>} - Image buffer
    */
-  async downloadImageFromUrl(imageUrl) {
+  async downloadImageFromUrl(imageUrl, options = {}) {
+    const { signal = null } = options;
     const startTime = Date.now();
     
     try {
@@ -453,10 +876,12 @@ class ImageService {
           maxContentLength: CONFIG.MAX_IMAGE_SIZE,
           headers: {
             'User-Agent': 'Mozilla/5.0 (compatible; TelegramBot/1.0)'
-          }
+          },
+          signal
         }),
         null,
-        3
+        3,
+        { signal }
       );
 
       const imageBuffer = Buffer.from(response.data);
@@ -471,6 +896,8 @@ class ImageService {
       return imageBuffer;
 
     } catch (error) {
+      cancellation.throwIfAborted(signal);
+
       const duration = Date.now() - startTime;
       logger.error(`Failed to download image from URL ${imageUrl}:`, error);
       
@@ -482,26 +909,91 @@ class ImageService {
     }
   }
 
+  /**
+   * Download image only if it changed since the given ETag
+   * @param {string} imageUrl - Image URL
+   * @param {string|null} etag - ETag of the copy we already have
+   * @returns {Promise<Object>} - { buffer, etag, notModified }
+   */
+  async downloadImageIfChanged(imageUrl, etag = null) {
+    const startTime = Date.now();
+
+    try {
+      logger.info(`Checking image for changes: ${imageUrl}`, { hasEtag: !!etag });
+
+      const response = await errorHandler.safeExecuteWithRetries(
+        async () => await axios.get(imageUrl, {
+          responseType: 'arraybuffer',
+          timeout: CONFIG.API_TIMEOUT,
+          maxContentLength: CONFIG.MAX_IMAGE_SIZE,
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (compatible; TelegramBot/1.0)',
+            ...(etag ? { 'If-None-Match': etag } : {})
+          },
+          validateStatus: status => (status >= 200 && status < 300) || status === 304
+        }),
+        null,
+        3
+      );
+
+      const duration = Date.now() - startTime;
+
+      if (response.status === 304) {
+        logger.info(`Image not modified: ${imageUrl}`, { duration });
+        return { buffer: null, etag, notModified: true };
+      }
+
+      const imageBuffer = Buffer.from(response.data);
+
+      logger.info(`Image downloaded successfully from URL:`, {
+        url: imageUrl,
+        size: imageBuffer.length,
+        duration
+      });
+
+      return {
+        buffer: imageBuffer,
+        etag: response.headers?.etag || null,
+        notModified: false
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      logger.error(`Failed to download image from URL ${imageUrl}:`, error);
+
+      throw errorHandler.handleImageProcessingError(error, {
+        imageUrl,
+        method: 'downloadImageIfChanged',
+        duration
+      });
+    }
+  }
+
   /**
    * Prepare image for face swap processing
    * @param {Buffer} imageBuffer - Input image buffer
+   * @param {Object} options - { faceBox } relative box of the chosen face; the photo is cropped around it
    * @returns {Promise<Buffer>} - Processed image buffer
    */
-  async prepareImageForFaceSwap(imageBuffer) {
+  async prepareImageForFaceSwap(imageBuffer, options = {}) {
+    const { faceBox = null } = options;
     const startTime = Date.now();
     
     try {
       logger.info(`Preparing image for face swap processing:`, {
-        inputSize: imageBuffer.length
+        inputSize: imageBuffer.length,
+        faceBox
       });
 
-      const metadata = await sharp(imageBuffer).metadata();
+      const sourceBuffer = faceBox ? await this.cropAroundFace(imageBuffer, faceBox) : imageBuffer;
+
+      const metadata = await sharp(sourceBuffer).metadata();
       
       // Prepare image for optimal face detection and processing
       // Standard size for face swap APIs (usually 512x512 or 1024x1024)
       const targetSize = 1024;
       
-      let sharpInstance = sharp(imageBuffer);
+      let sharpInstance = sharp(sourceBuffer);
       
       // Calculate optimal dimensions while preserving aspect ratio
       let outputWidth = metadata.width;
@@ -552,6 +1044,617 @@ class ImageService {
     }
   }
 
+  /**
+   * Pre-flight face check: find the face and score its quality before any face-swap API call
+   * Faces that fail the quality thresholds (background people) don't count as extra faces
+   * @param {Buffer} imageBuffer - User photo
+   * @param {Object} options - { faceBox } relative box of the face the user picked in a group photo
+   * @returns {Promise<Object>} - { passed, reason, skipped, faceCount, face, faces, frame }
+   *   reason: no_face | multiple_faces | face_too_small | too_dark | too_bright |
+   *           blurry | head_turned | low_confidence
+   *   face: the face to swap (null unless passed)
+   *   faces: [{ score, box, relativeBox, sizeRatio, brightness, sharpness, pose: { yaw, pitch, roll }, failure }],
+   *          largest first, box in frame pixels, relativeBox in 0-1 fractions of the frame
+   */
+  async analyzeFace(imageBuffer, options = {}) {
+    const { faceBox = null } = options;
+    const startTime = Date.now();
+    const skipped = { passed: true, reason: null, skipped: true, faceCount: null, face: null, faces: [], frame: null };
+
+    if (!faceDetectionService.isEnabled()) {
+      return skipped;
+    }
+
+    try {
+      // Same orientation the user sees, scaled down for the detector
+      const { data, info } = await sharp(imageBuffer)
+        .rotate()
+        .removeAlpha()
+        .resize(CONFIG.FACE_DETECTION_INPUT_SIZE, CONFIG.FACE_DETECTION_INPUT_SIZE, { fit: 'inside' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      const frame = { data, width: info.width, height: info.height };
+
+      const detections = await faceDetectionService.detectFaces(frame);
+      const faces = [];
+
+      for (const detection of detections) {
+        const face = {
+          score: detection.score,
+          box: detection.box,
+          relativeBox: {
+            x: detection.box.x / frame.width,
+            y: detection.box.y / frame.height,
+            width: detection.box.width / frame.width,
+            height: detection.box.height / frame.height
+          },
+          sizeRatio: Math.max(detection.box.width / frame.width, detection.box.height / frame.height),
+          ...await this.measureFaceQuality(frame, detection.box),
+          pose: this.estimateHeadPose(detection.landmarks)
+        };
+
+        face.failure = this.getFaceQualityFailure(face);
+        faces.push(face);
+      }
+
+      const { face, reason } = this.selectFace(faces, faceBox);
+      const analysis = {
+        passed: reason === null,
+        reason,
+        skipped: false,
+        faceCount: faces.length,
+        face: reason === null ? face : null,
+        faces,
+        frame: { width: frame.width, height: frame.height }
+      };
+
+      logger.info('Face pre-flight check completed:', {
+        passed: analysis.passed,
+        reason,
+        faceCount: faces.length,
+        faceChosen: !!faceBox,
+        face: face && {
+          score: Number(face.score.toFixed(2)),
+          sizeRatio: Number(face.sizeRatio.toFixed(2)),
+          brightness: Math.round(face.brightness),
+          sharpness: Math.round(face.sharpness),
+          pose: face.pose
+        },
+        duration: Date.now() - startTime
+      });
+
+      return analysis;
+
+    } catch (error) {
+      // The face-swap provider still checks the face, so a broken detector doesn't block users
+      logger.error('Face pre-flight check failed, skipping it:', error);
+
+      return skipped;
+    }
+  }
+
+  /**
+   * Pick the face to swap and the reason the photo fails, if any
+   * @param {Array<Object>} faces - Faces from analyzeFace, largest first
+   * @param {Object|null} faceBox - Relative box the user picked
+   * @returns {Object} - { face, reason }
+   */
+  selectFace(faces, faceBox) {
+    if (faceBox) {
+      const face = this.findFaceByBox(faces, faceBox);
+      return { face, reason: face ? face.failure : 'no_face' };
+    }
+
+    if (faces.length === 0) {
+      return { face: null, reason: 'no_face' };
+    }
+
+    const usable = faces.filter(face => !face.failure);
+
+    if (usable.length > VALIDATION.MAX_FACES) {
+      return { face: null, reason: 'multiple_faces' };
+    }
+
+    // One good face among blurry or tiny background ones is still a clear choice
+    if (usable.length === 1) {
+      return { face: usable[0], reason: null };
+    }
+
+    return { face: faces[0], reason: faces[0].failure };
+  }
+
+  /**
+   * Find the detected face that overlaps a relative box the most
+   * @param {Array<Object>} faces - Faces from analyzeFace
+   * @param {Object} faceBox - Relative box { x, y, width, height }
+   * @returns {Object|null} - Face or null if none overlaps
+   */
+  findFaceByBox(faces, faceBox) {
+    const overlap = (a, b) => {
+      const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+      const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+      if (width <= 0 || height <= 0) return 0;
+
+      const intersection = width * height;
+      return intersection / (a.width * a.height + b.width * b.height - intersection);
+    };
+
+    let best = null;
+    let bestOverlap = 0;
+
+    for (const face of faces) {
+      const faceOverlap = overlap(face.relativeBox, faceBox);
+      if (faceOverlap > bestOverlap) {
+        best = face;
+        bestOverlap = faceOverlap;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * First quality threshold a face fails
+   * Brightness goes before blur: a dark face has little contrast and looks blurry too
+   * @param {Object} face - Face from analyzeFace
+   * @returns {string|null} - Failure reason or null
+   */
+  getFaceQualityFailure(face) {
+    if (face.sizeRatio < VALIDATION.MIN_FACE_SIZE_RATIO) return 'face_too_small';
+    if (face.brightness < VALIDATION.MIN_FACE_BRIGHTNESS) return 'too_dark';
+    if (face.brightness > VALIDATION.MAX_FACE_BRIGHTNESS) return 'too_bright';
+    if (face.sharpness < VALIDATION.MIN_FACE_SHARPNESS) return 'blurry';
+
+    if (Math.abs(face.pose.yaw) > VALIDATION.MAX_HEAD_YAW ||
+        Math.abs(face.pose.pitch) > VALIDATION.MAX_HEAD_PITCH ||
+        Math.abs(face.pose.roll) > VALIDATION.MAX_HEAD_ROLL) {
+      return 'head_turned';
+    }
+
+    if (face.score < VALIDATION.MIN_FACE_CONFIDENCE) return 'low_confidence';
+
+    return null;
+  }
+
+  /**
+   * Brightness (mean luma) and sharpness (Laplacian variance) of a face
+   * The crop is scaled to a fixed size so scores don't depend on the face size
+   * @param {Object} frame - Raw RGB pixels { data, width, height }
+   * @param {Object} box - Face box in frame pixels
+   * @returns {Promise<Object>} - { brightness, sharpness }
+   */
+  async measureFaceQuality(frame, box) {
+    const size = CONFIG.FACE_ANALYSIS_SIZE;
+    const left = Math.max(0, Math.floor(box.x));
+    const top = Math.max(0, Math.floor(box.y));
+
+    const pixels = await sharp(frame.data, { raw: { width: frame.width, height: frame.height, channels: 3 } })
+      .extract({
+        left,
+        top,
+        width: Math.max(1, Math.min(frame.width - left, Math.round(box.width))),
+        height: Math.max(1, Math.min(frame.height - top, Math.round(box.height)))
+      })
+      .greyscale()
+      .resize(size, size, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let sum = 0;
+    for (const value of pixels) sum += value;
+
+    let laplacianSum = 0;
+    let laplacianSquares = 0;
+    let count = 0;
+
+    for (let y = 1; y < size - 1; y++) {
+      for (let x = 1; x < size - 1; x++) {
+        const i = y * size + x;
+        const laplacian = pixels[i - 1] + pixels[i + 1] + pixels[i - size] + pixels[i + size] - 4 * pixels[i];
+
+        laplacianSum += laplacian;
+        laplacianSquares += laplacian * laplacian;
+        count++;
+      }
+    }
+
+    return {
+      brightness: sum / pixels.length,
+      sharpness: laplacianSquares / count - (laplacianSum / count) ** 2
+    };
+  }
+
+  /**
+   * Rough head pose from 68-point landmarks, in degrees
+   * roll: tilt of the eye line; yaw: nose offset between the jaw sides;
+   * pitch: nose height between the eyes and the chin (about 0.4 when facing the camera)
+   * @param {Array<Object>} landmarks - 68 points { x, y }
+   * @returns {Object} - { yaw, pitch, roll }
+   */
+  estimateHeadPose(landmarks) {
+    const center = (points) => ({
+      x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+      y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+    });
+    const toDegrees = (radians) => Math.round(radians * 180 / Math.PI);
+    const clamp = (value) => Math.max(-1, Math.min(1, value));
+
+    const leftEye = center(landmarks.slice(36, 42));
+    const rightEye = center(landmarks.slice(42, 48));
+    const eyes = center([leftEye, rightEye]);
+    const roll = Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x);
+
+    // Undo the roll so yaw and pitch are measured on an upright face
+    const upright = (point) => ({
+      x: eyes.x + (point.x - eyes.x) * Math.cos(roll) + (point.y - eyes.y) * Math.sin(roll),
+      y: eyes.y - (point.x - eyes.x) * Math.sin(roll) + (point.y - eyes.y) * Math.cos(roll)
+    });
+    const nose = upright(landmarks[30]);
+    const jawLeft = upright(landmarks[0]);
+    const jawRight = upright(landmarks[16]);
+    const chin = upright(landmarks[8]);
+
+    const toLeft = nose.x - jawLeft.x;
+    const toRight = jawRight.x - nose.x;
+    const noseHeight = (nose.y - eyes.y) / Math.max(1, chin.y - eyes.y);
+
+    return {
+      yaw: toDegrees(Math.asin(clamp((toLeft - toRight) / Math.max(1, toLeft + toRight)))),
+      pitch: toDegrees(Math.asin(clamp((noseHeight - 0.4) / 0.4))),
+      roll: toDegrees(roll)
+    };
+  }
+
+  /**
+   * Crop a photo to one face with some margin, so the face-swap provider can't pick another one
+   * @param {Buffer} imageBuffer - Photo
+   * @param {Object} faceBox - Relative box { x, y, width, height } in the oriented photo
+   * @returns {Promise<Buffer>} - Cropped PNG
+   */
+  async cropAroundFace(imageBuffer, faceBox) {
+    const oriented = await sharp(imageBuffer).rotate().toBuffer({ resolveWithObject: true });
+    const { width, height } = oriented.info;
+    const margin = CONFIG.FACE_CROP_MARGIN;
+
+    const left = Math.max(0, Math.floor((faceBox.x - faceBox.width * margin) * width));
+    const top = Math.max(0, Math.floor((faceBox.y - faceBox.height * margin) * height));
+    const right = Math.min(width, Math.ceil((faceBox.x + faceBox.width * (1 + margin)) * width));
+    const bottom = Math.min(height, Math.ceil((faceBox.y + faceBox.height * (1 + margin)) * height));
+
+    if (right - left < 1 || bottom - top < 1) {
+      throw errorHandler.createError('Face box is outside the photo', 'ValidationError', 400);
+    }
+
+    return sharp(oriented.data)
+      .extract({ left, top, width: right - left, height: bottom - top })
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * Draw numbered boxes around faces for the face picker
+   * @param {Buffer} imageBuffer - Photo
+   * @param {Array<Object>} faceBoxes - Relative boxes, numbered from 1 in this order
+   * @returns {Promise<Buffer>} - JPEG preview
+   */
+  async drawFacePreview(imageBuffer, faceBoxes) {
+    const { data, info } = await sharp(imageBuffer)
+      .rotate()
+      .resize(CONFIG.FACE_PREVIEW_SIZE, CONFIG.FACE_PREVIEW_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+
+    const stroke = Math.max(2, Math.round(Math.max(width, height) / 200));
+    const badge = Math.max(14, Math.round(Math.max(width, height) / 30));
+
+    const shapes = faceBoxes.map((faceBox, index) => {
+      const x = Math.round(faceBox.x * width);
+      const y = Math.round(faceBox.y * height);
+      const boxWidth = Math.round(faceBox.width * width);
+      const boxHeight = Math.round(faceBox.height * height);
+      const cx = Math.min(width - badge, Math.max(badge, x));
+      const cy = Math.min(height - badge, Math.max(badge, y));
+
+      return `<rect x="${x}" y="${y}" width="${boxWidth}" height="${boxHeight}" fill="none" stroke="#ffd400" stroke-width="${stroke}"/>` +
+        `<circle cx="${cx}" cy="${cy}" r="${badge}" fill="#ffd400" stroke="#000" stroke-width="${Math.ceil(stroke / 2)}"/>` +
+        `<text x="${cx}" y="${cy}" dy="0.35em" text-anchor="middle" font-family="sans-serif" font-weight="bold" font-size="${Math.round(badge * 1.3)}" fill="#000">${index + 1}</text>`;
+    });
+
+    const overlay = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${shapes.join('')}</svg>`);
+
+    return sharp(data)
+      .composite([{ input: overlay, left: 0, top: 0 }])
+      .jpeg({ quality: 85 })
+      .toBuffer();
+  }
+
+  /**
+   * Small photo of a finished sticker for the progress previews
+   * Transparency is flattened on white, since Telegram shows photos without it
+   * @param {Buffer} stickerBuffer - Static sticker (WebP)
+   * @returns {Promise<Buffer>} - JPEG preview
+   */
+  async createStickerPreview(stickerBuffer) {
+    return sharp(stickerBuffer)
+      .resize(CONFIG.PROGRESS_PREVIEW_SIZE, CONFIG.PROGRESS_PREVIEW_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+  }
+
+  /**
+   * Turn a background-removed image into a cut-out sticker source
+   * Trims to the visible subject, fits it into the sticker square and adds an optional
+   * white outline and drop shadow around the silhouette
+   * @param {Buffer} imageBuffer - Image with transparency (background already removed)
+   * @param {Object} options - { outline } stroke width in px (0 = none), { shadow }, { maxSize } longest side
+   * @returns {Promise<Buffer>} - RGBA PNG with the longest side equal to maxSize
+   */
+  async styleCutout(imageBuffer, options = {}) {
+    const {
+      outline = CONFIG.CUTOUT_DEFAULT_OUTLINE,
+      shadow = CONFIG.CUTOUT_DEFAULT_SHADOW,
+      maxSize = CONFIG.STICKER_MAX_SIZE
+    } = options;
+    const startTime = Date.now();
+
+    const { data, info } = await sharp(imageBuffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+
+    // Bounding box of the visible subject
+    let left = info.width;
+    let top = info.height;
+    let right = -1;
+    let bottom = -1;
+    for (let y = 0; y < info.height; y++) {
+      for (let x = 0; x < info.width; x++) {
+        if (data[(y * info.width + x) * 4 + 3] >= CONFIG.CUTOUT_ALPHA_THRESHOLD) {
+          left = Math.min(left, x);
+          right = Math.max(right, x);
+          top = Math.min(top, y);
+          bottom = Math.max(bottom, y);
+        }
+      }
+    }
+
+    if (right < 0) {
+      throw errorHandler.createError('Nothing left after background removal', 'ProcessingError', 422);
+    }
+
+    // Room around the subject for the stroke and the shadow
+    const shadowSpread = shadow ? CONFIG.CUTOUT_SHADOW_OFFSET + CONFIG.CUTOUT_SHADOW_BLUR * 2 : 0;
+    const padding = outline + shadowSpread + 1;
+
+    const { data: subject, info: subjectInfo } = await sharp(data, { raw: info })
+      .extract({ left, top, width: right - left + 1, height: bottom - top + 1 })
+      .resize(maxSize - padding * 2, maxSize - padding * 2, { fit: 'inside' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const width = subjectInfo.width + padding * 2;
+    const height = subjectInfo.height + padding * 2;
+
+    // Silhouette on the full canvas, grown by the outline width
+    let silhouette = Buffer.alloc(width * height);
+    for (let y = 0; y < subjectInfo.height; y++) {
+      for (let x = 0; x < subjectInfo.width; x++) {
+        silhouette[(y + padding) * width + x + padding] = subject[(y * subjectInfo.width + x) * 4 + 3];
+      }
+    }
+
+    if (outline > 0) {
+      silhouette = await this.growMask(silhouette, width, height, outline);
+    }
+
+    const layers = [];
+
+    if (shadow) {
+      const shifted = Buffer.alloc(width * height);
+      for (let y = CONFIG.CUTOUT_SHADOW_OFFSET; y < height; y++) {
+        silhouette.copy(shifted, y * width + CONFIG.CUTOUT_SHADOW_OFFSET,
+          (y - CONFIG.CUTOUT_SHADOW_OFFSET) * width, (y - CONFIG.CUTOUT_SHADOW_OFFSET + 1) * width - CONFIG.CUTOUT_SHADOW_OFFSET);
+      }
+
+      const shadowAlpha = await this.blurMask(shifted, width, height, CONFIG.CUTOUT_SHADOW_BLUR);
+      for (let i = 0; i < shadowAlpha.length; i++) {
+        shadowAlpha[i] = Math.round(shadowAlpha[i] * CONFIG.CUTOUT_SHADOW_OPACITY);
+      }
+
+      layers.push({ input: await this.colorLayer(shadowAlpha, width, height, '#000000') });
+    }
+
+    if (outline > 0) {
+      layers.push({ input: await this.colorLayer(silhouette, width, height, '#ffffff') });
+    }
+
+    layers.push({
+      input: subject,
+      raw: { width: subjectInfo.width, height: subjectInfo.height, channels: 4 },
+      left: padding,
+      top: padding
+    });
+
+    const cutout = await sharp({
+      create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } }
+    })
+      .composite(layers)
+      .png()
+      .toBuffer();
+
+    logger.info('Cutout styled:', {
+      subject: `${right - left + 1}x${bottom - top + 1}`,
+      dimensions: `${width}x${height}`,
+      outline,
+      shadow,
+      duration: Date.now() - startTime
+    });
+
+    return cutout;
+  }
+
+  /**
+   * Draw resolved captions on an image
+   * Text wraps at word boundaries and shrinks until it fits its band; stroke widths
+   * and font sizes are given for a 512px sticker and scale with the image width
+   * @param {Buffer} imageBuffer - Base image
+   * @param {Array<Object>} captions - [{ text, position, style }] from resolveCaptions
+   * @returns {Promise<Buffer>} - RGBA PNG of the same size
+   */
+  async renderCaptions(imageBuffer, captions) {
+    const startTime = Date.now();
+
+    const { data, info } = await sharp(imageBuffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+
+    const scale = width / CONFIG.STICKER_MAX_SIZE;
+    const margin = Math.round(CONFIG.CAPTION_MARGIN * scale);
+    const band = Math.round(height * CONFIG.CAPTION_MAX_HEIGHT);
+
+    const layers = [];
+
+    for (const caption of captions) {
+      const layer = await this.renderCaptionLayer(caption, {
+        maxWidth: width - margin * 2,
+        maxHeight: band,
+        scale
+      });
+
+      const top = {
+        top: margin,
+        center: Math.round((height - layer.height) / 2),
+        bottom: height - margin - layer.height
+      }[caption.position];
+
+      layers.push({
+        input: layer.buffer,
+        left: Math.max(0, Math.round((width - layer.width) / 2)),
+        top: Math.max(0, top)
+      });
+    }
+
+    const rendered = await sharp(data, { raw: info })
+      .composite(layers)
+      .png()
+      .toBuffer();
+
+    logger.info('Captions rendered:', {
+      dimensions: `${width}x${height}`,
+      captions: captions.length,
+      duration: Date.now() - startTime
+    });
+
+    return rendered;
+  }
+
+  /**
+   * Render one caption with its stroke on a transparent layer
+   * @param {Object} caption - { text, style } from resolveCaptions
+   * @param {Object} box - { maxWidth, maxHeight } layer limits, { scale } of the image to 512px
+   * @returns {Promise<Object>} - { buffer, width, height } PNG layer
+   */
+  async renderCaptionLayer(caption, { maxWidth, maxHeight, scale }) {
+    const { style } = caption;
+    const font = CAPTION_FONTS[style.font];
+    const stroke = Math.round(style.strokeWidth * scale);
+    const padding = stroke + 1;
+
+    const textOptions = {
+      // Pango markup: entities are the only thing sanitizeText leaves to escape
+      text: caption.text.replace(/&/g, '&amp;'),
+      fontfile: font.file,
+      width: maxWidth - padding * 2,
+      align: 'centre',
+      wrap: 'word-char',
+      rgba: true
+    };
+
+    // Short text gets the largest size; longer text is auto-fitted to the band
+    let text = await sharp({
+      text: { ...textOptions, font: `${font.family} ${Math.round(CONFIG.CAPTION_MAX_FONT_SIZE * scale)}`, dpi: 72 }
+    }).raw().toBuffer({ resolveWithObject: true });
+
+    if (text.info.height > maxHeight - padding * 2) {
+      text = await sharp({
+        text: { ...textOptions, font: font.family, height: maxHeight - padding * 2 }
+      }).raw().toBuffer({ resolveWithObject: true });
+    }
+
+    const width = text.info.width + padding * 2;
+    const height = text.info.height + padding * 2;
+
+    const glyphs = Buffer.alloc(width * height);
+    for (let y = 0; y < text.info.height; y++) {
+      for (let x = 0; x < text.info.width; x++) {
+        glyphs[(y + padding) * width + x + padding] = text.data[(y * text.info.width + x) * 4 + 3];
+      }
+    }
+
+    const layers = [];
+
+    if (stroke > 0 && style.strokeColor) {
+      const outline = await this.growMask(glyphs, width, height, stroke);
+      layers.push({ input: await this.colorLayer(outline, width, height, style.strokeColor) });
+    }
+
+    layers.push({ input: await this.colorLayer(glyphs, width, height, style.color) });
+
+    const buffer = await sharp({
+      create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } }
+    })
+      .composite(layers)
+      .png()
+      .toBuffer();
+
+    return { buffer, width, height };
+  }
+
+  /**
+   * Grow a one-byte-per-pixel mask by about the given radius, with a soft edge
+   * @param {Buffer} mask - Mask pixels
+   * @param {number} width - Mask width
+   * @param {number} height - Mask height
+   * @param {number} radius - Growth in px
+   * @returns {Promise<Buffer>} - Grown mask, same layout
+   */
+  async growMask(mask, width, height, radius) {
+    // A blurred edge falls to ~3% at 1.86 sigma, so this threshold grows the shape by about the radius
+    const spread = await this.blurMask(mask, width, height, radius / 1.86);
+    for (let i = 0; i < spread.length; i++) {
+      spread[i] = spread[i] >= 8 ? 255 : 0;
+    }
+    return this.blurMask(spread, width, height, 0.6);
+  }
+
+  /**
+   * Gaussian blur of a one-byte-per-pixel mask
+   * @param {Buffer} mask - Mask pixels
+   * @param {number} width - Mask width
+   * @param {number} height - Mask height
+   * @param {number} sigma - Blur sigma
+   * @returns {Promise<Buffer>} - Blurred mask, same layout
+   */
+  async blurMask(mask, width, height, sigma) {
+    return sharp(mask, { raw: { width, height, channels: 1 } })
+      .blur(Math.max(0.3, sigma))
+      .extractChannel(0)
+      .raw()
+      .toBuffer();
+  }
+
+  /**
+   * Single-color RGBA layer with the given alpha mask
+   * @param {Buffer} alpha - One byte per pixel
+   * @param {number} width - Layer width
+   * @param {number} height - Layer height
+   * @param {string} color - CSS color
+   * @returns {Promise<Buffer>} - PNG layer
+   */
+  async colorLayer(alpha, width, height, color) {
+    return sharp({ create: { width, height, channels: 3, background: color } })
+      .joinChannel(alpha, { raw: { width, height, channels: 1 } })
+      .png()
+      .toBuffer();
+  }
+
   /**
    * Check if Sharp library is available
    * @returns {boolean} - Availability status
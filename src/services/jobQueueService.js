@@ -0,0 +1,434 @@
+/**
+ * Job Queue Service
+ * Persistent queue for sticker pack generation jobs with bounded worker concurrency
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('../config/database');
+const logger = require('../utils/logger');
+const errorHandler = require('../utils/errorHandler');
+const metrics = require('../utils/metrics');
+const MemoryJobStore = require('../stores/memoryJobStore');
+const SupabaseJobStore = require('../stores/supabaseJobStore');
+const { JOB_STATUSES, PERFORMANCE } = require('../config/constants');
+
+const queueJobs = metrics.gauge('queue_jobs', 'Generation jobs in the queue by state', ['state']);
+const jobsFinished = metrics.counter('jobs_finished_total', 'Finished generation jobs by status', ['status']);
+
+class JobQueueService {
+  constructor() {
+    this.store = supabase ? new SupabaseJobStore(supabase) : new MemoryJobStore();
+    this.maxConcurrentJobs = PERFORMANCE.MAX_CONCURRENT_JOBS;
+    this.maxAttempts = PERFORMANCE.MAX_JOB_ATTEMPTS;
+
+    this.pendingJobIds = [];
+    this.activeJobIds = new Set();
+    this.processor = null;
+    this.isStopped = false;
+
+    // Per-job progress snapshots and serialized write chains, so that templates
+    // finishing concurrently within a batch don't overwrite each other's progress
+    this.progressCache = new Map();
+    this.progressWrites = new Map();
+    this.idleWaiters = [];
+
+    // Queue depth is read at scrape time
+    metrics.addCollector(() => {
+      queueJobs.set({ state: 'pending' }, this.pendingJobIds.length);
+      queueJobs.set({ state: 'active' }, this.activeJobIds.size);
+    });
+
+    logger.info('JobQueueService initialized', {
+      store: this.store.constructor.name,
+      maxConcurrentJobs: this.maxConcurrentJobs
+    });
+  }
+
+  /**
+   * Replace the job store (used by tests to inject an in-memory store)
+   * @param {Object} store - Job store implementation
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Register the function that runs a job
+   * @param {Function} processor - async (job) => result
+   */
+  setProcessor(processor) {
+    this.processor = processor;
+  }
+
+  /**
+   * Record a new photo submission and schedule it for processing
+   * @param {Object} submission - { userId, chatId, messageId, photoFileId, firstName, options }
+   * @returns {Promise<Object>} - Created job with its queue position
+   */
+  async enqueue(submission) {
+    if (!submission || !submission.userId || !submission.chatId || !submission.photoFileId) {
+      throw errorHandler.createError('User ID, chat ID and photo file ID are required', 'ValidationError', 400);
+    }
+
+    const job = await this.store.create(submission);
+    this.pendingJobIds.push(job.id);
+
+    const queuePosition = this.pendingJobIds.length;
+
+    logger.info(`Generation job queued: ${job.id}`, {
+      jobId: job.id,
+      userId: job.userId,
+      queuePosition,
+      activeJobs: this.activeJobIds.size
+    });
+
+    this.drain();
+
+    return { ...job, queuePosition };
+  }
+
+  /**
+   * Queue a new run of a finished job, at most once per job
+   * The rerun is recorded on the original job before it is queued, so two
+   * concurrent reruns can't both go through
+   * @param {string} jobId - Original job ID
+   * @param {Object} submission - Rerun submission, as for enqueue
+   * @returns {Promise<Object|null>} - Rerun job with its queue position, null if the job was already rerun
+   */
+  async enqueueRerun(jobId, submission) {
+    const rerunJobId = crypto.randomUUID();
+
+    if (!(await this.store.claimRerun(jobId, rerunJobId))) {
+      return null;
+    }
+
+    try {
+      return await this.enqueue({ ...submission, id: rerunJobId });
+    } catch (error) {
+      // Let the job be rerun again once the queue is back
+      await this.store.update(jobId, { rerunJobId: null });
+      throw error;
+    }
+  }
+
+  /**
+   * Requeue jobs left pending or processing by a previous run
+   * @returns {Promise<number>} - Number of jobs resumed
+   */
+  async resumePendingJobs() {
+    try {
+      const unfinishedJobs = await this.store.findByStatus([
+        JOB_STATUSES.PENDING,
+        JOB_STATUSES.PROCESSING
+      ]);
+
+      let resumed = 0;
+
+      for (const job of unfinishedJobs) {
+        if (this.pendingJobIds.includes(job.id) || this.activeJobIds.has(job.id)) {
+          continue;
+        }
+
+        if (job.attempts >= this.maxAttempts) {
+          logger.warn(`Job ${job.id} exceeded ${this.maxAttempts} attempts, marking as failed`, {
+            jobId: job.id,
+            userId: job.userId,
+            attempts: job.attempts
+          });
+
+          await this.store.update(job.id, {
+            status: JOB_STATUSES.FAILED,
+            error: 'Job interrupted too many times',
+            completedAt: new Date().toISOString()
+          });
+          continue;
+        }
+
+        if (job.status === JOB_STATUSES.PROCESSING) {
+          await this.store.update(job.id, { status: JOB_STATUSES.PENDING });
+        }
+
+        this.pendingJobIds.push(job.id);
+        resumed++;
+      }
+
+      logger.info(`Resumed ${resumed} unfinished generation jobs`, {
+        found: unfinishedJobs.length,
+        resumed
+      });
+
+      this.drain();
+
+      return resumed;
+
+    } catch (error) {
+      logger.error('Failed to resume pending generation jobs:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Start as many pending jobs as the concurrency limit allows
+   */
+  drain() {
+    if (!this.processor) {
+      logger.warn('Job processor not registered, jobs will wait in queue');
+      return;
+    }
+
+    while (!this.isStopped &&
+           this.activeJobIds.size < this.maxConcurrentJobs &&
+           this.pendingJobIds.length > 0) {
+      const jobId = this.pendingJobIds.shift();
+      this.activeJobIds.add(jobId);
+      this.runJob(jobId);
+    }
+
+    this.notifyIfIdle();
+  }
+
+  /**
+   * Run a single job through the registered processor
+   * @param {string} jobId - Job ID
+   */
+  async runJob(jobId) {
+    const startTime = Date.now();
+
+    try {
+      const storedJob = await this.store.get(jobId);
+
+      if (!storedJob) {
+        logger.warn(`Job ${jobId} not found in store, skipping`);
+        return;
+      }
+
+      const job = await this.store.update(jobId, {
+        status: JOB_STATUSES.PROCESSING,
+        attempts: storedJob.attempts + 1,
+        startedAt: new Date().toISOString()
+      });
+
+      this.progressCache.set(jobId, { ...job.progress });
+
+      logger.info(`Generation job started: ${jobId}`, {
+        jobId,
+        userId: job.userId,
+        attempt: job.attempts,
+        activeJobs: this.activeJobIds.size
+      });
+
+      const result = await this.processor(job);
+      const succeeded = !result || result.success !== false;
+
+      await this.waitForProgressWrites(jobId);
+      await this.store.update(jobId, {
+        status: succeeded ? JOB_STATUSES.COMPLETED : JOB_STATUSES.FAILED,
+        result: result || null,
+        error: succeeded ? null : (result.reason || 'Generation unsuccessful'),
+        completedAt: new Date().toISOString()
+      });
+
+      jobsFinished.inc({ status: succeeded ? JOB_STATUSES.COMPLETED : JOB_STATUSES.FAILED });
+      logger.info(`Generation job finished: ${jobId}`, {
+        jobId,
+        succeeded,
+        duration: Date.now() - startTime
+      });
+
+    } catch (error) {
+      jobsFinished.inc({ status: JOB_STATUSES.FAILED });
+      logger.error(`Generation job failed: ${jobId}`, {
+        jobId,
+        error: error.message,
+        duration: Date.now() - startTime
+      });
+
+      try {
+        await this.waitForProgressWrites(jobId);
+        await this.store.update(jobId, {
+          status: JOB_STATUSES.FAILED,
+          error: error.message,
+          completedAt: new Date().toISOString()
+        });
+      } catch (storeError) {
+        logger.error(`Failed to mark job ${jobId} as failed:`, storeError);
+      }
+
+    } finally {
+      this.progressCache.delete(jobId);
+      this.progressWrites.delete(jobId);
+      this.activeJobIds.delete(jobId);
+      this.drain();
+    }
+  }
+
+  /**
+   * Drop a job that is still waiting for a worker
+   * Running jobs are cancelled through their generation instead
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} - Whether the job was waiting and is now cancelled
+   */
+  async cancelPendingJob(jobId) {
+    const index = this.pendingJobIds.indexOf(jobId);
+
+    if (index === -1) {
+      return false;
+    }
+
+    this.pendingJobIds.splice(index, 1);
+
+    await this.store.update(jobId, {
+      status: JOB_STATUSES.FAILED,
+      error: 'cancelled',
+      completedAt: new Date().toISOString()
+    });
+
+    jobsFinished.inc({ status: JOB_STATUSES.FAILED });
+    logger.info(`Generation job cancelled before it started: ${jobId}`, {
+      jobId,
+      pendingJobs: this.pendingJobIds.length
+    });
+
+    this.notifyIfIdle();
+
+    return true;
+  }
+
+  /**
+   * Record the outcome of a single template within a job
+   * @param {string} jobId - Job ID
+   * @param {string} templateId - Template ID
+   * @param {string} status - Template status (completed, failed)
+   * @param {Object} details - Additional details to store
+   * @returns {Promise<void>}
+   */
+  recordTemplateProgress(jobId, templateId, status, details = {}) {
+    if (!jobId) {
+      return Promise.resolve();
+    }
+
+    const progress = this.progressCache.get(jobId) || {};
+    progress[templateId] = {
+      status,
+      ...details,
+      updatedAt: new Date().toISOString()
+    };
+    this.progressCache.set(jobId, progress);
+
+    const previousWrite = this.progressWrites.get(jobId) || Promise.resolve();
+    const nextWrite = previousWrite
+      .then(() => this.store.update(jobId, { progress: { ...this.progressCache.get(jobId) } }))
+      .catch(error => {
+        logger.warn(`Failed to record progress for job ${jobId}: ${error.message}`);
+      });
+
+    this.progressWrites.set(jobId, nextWrite);
+    return nextWrite;
+  }
+
+  /**
+   * Wait until all queued progress writes for a job are flushed
+   */
+  async waitForProgressWrites(jobId) {
+    const pendingWrite = this.progressWrites.get(jobId);
+    if (pendingWrite) {
+      await pendingWrite;
+    }
+  }
+
+  /**
+   * Get job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} - Job record
+   */
+  async getJob(jobId) {
+    return this.store.get(jobId);
+  }
+
+  /**
+   * Get jobs for a user, newest first
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Array<Object>>} - Job records
+   */
+  async getUserJobs(userId) {
+    return this.store.findByUser(userId);
+  }
+
+  /**
+   * Find a chat's job that is waiting for a worker or running in this process
+   * Queue waits aren't bounded, so such a chat stays busy even after its PROCESSING state expired
+   * @param {number} userId - Telegram user ID
+   * @param {number} chatId - Chat ID
+   * @returns {Promise<Object|null>} - Job record
+   */
+  async findUnfinishedJob(userId, chatId) {
+    try {
+      const jobs = await this.store.findByUser(userId);
+
+      return jobs.find(job => job.chatId === chatId &&
+        (this.pendingJobIds.includes(job.id) || this.activeJobIds.has(job.id))) || null;
+
+    } catch (error) {
+      // Don't throw error - fail-open approach, the state alone decides
+      logger.warn(`Failed to look up unfinished jobs of user ${userId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get current queue statistics
+   * @returns {Object} - Queue stats
+   */
+  getQueueStats() {
+    return {
+      pending: this.pendingJobIds.length,
+      active: this.activeJobIds.size,
+      maxConcurrentJobs: this.maxConcurrentJobs,
+      isStopped: this.isStopped
+    };
+  }
+
+  /**
+   * Resolve once no jobs are pending or running
+   * @returns {Promise<void>}
+   */
+  waitForIdle() {
+    if (this.activeJobIds.size === 0 && this.pendingJobIds.length === 0) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Notify idle waiters when the queue is empty
+   */
+  notifyIfIdle() {
+    if (this.activeJobIds.size === 0 && this.pendingJobIds.length === 0 && this.idleWaiters.length > 0) {
+      const waiters = this.idleWaiters;
+      this.idleWaiters = [];
+      waiters.forEach(resolve => resolve());
+    }
+  }
+
+  /**
+   * Stop picking up new jobs. Running jobs stay "processing" in the store
+   * and are resumed on the next startup if they don't finish
+   */
+  stop() {
+    this.isStopped = true;
+
+    logger.info('Job queue stopped', this.getQueueStats());
+  }
+
+  /**
+   * Allow the queue to pick up jobs again after stop()
+   */
+  start() {
+    this.isStopped = false;
+    this.drain();
+  }
+}
+
+// Export singleton instance
+module.exports = new JobQueueService();
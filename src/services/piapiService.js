@@ -1,17 +1,21 @@
 /**
  * Piapi AI Service
- * Handles all interactions with Piapi AI API for face-swap operations
+ * Handles all interactions with Piapi AI API for face-swap and background-removal tasks
+ * Implements the FaceSwapProvider interface ("piapi" provider)
  */
 
 const axios = require('axios');
 const logger = require('../utils/logger');
 const errorHandler = require('../utils/errorHandler');
+const cancellation = require('../utils/cancellation');
 const validators = require('../utils/validators');
+const FaceSwapProvider = require('../providers/faceSwapProvider');
 
-class PiapiService {
+class PiapiService extends FaceSwapProvider {
   constructor() {
+    super('piapi');
+
     this.apiKey = process.env.PIAPI_API_KEY;
-    this.baseUrl = process.env.PIAPI_BASE_URL || 'https://api.piapi.ai';
     
     if (!this.apiKey || this.apiKey === 'your_piapi_api_key') {
       logger.warn('Piapi API key not configured');
@@ -19,6 +23,19 @@ class PiapiService {
       return;
     }
 
+    this.setBaseUrl(process.env.PIAPI_BASE_URL || 'https://api.piapi.ai');
+
+    this.isConfigured = true;
+    logger.info('PiapiService initialized successfully');
+  }
+
+  /**
+   * Point the service at another Piapi server (used by tests to inject a mock server)
+   * @param {string} baseUrl - Server URL without the /api/v1 part
+   */
+  setBaseUrl(baseUrl) {
+    this.baseUrl = baseUrl;
+
     // Set up axios defaults
     this.client = axios.create({
       baseURL: this.baseUrl,
@@ -28,9 +45,6 @@ class PiapiService {
       },
       timeout: 30000 // 30 seconds default timeout
     });
-
-    this.isConfigured = true;
-    logger.info('PiapiService initialized successfully');
   }
 
   /**
@@ -44,51 +58,117 @@ class PiapiService {
    * Create a face-swap task with retry logic
    * @param {string} targetImageUrl - URL of the target image (where face will be placed)
    * @param {string} sourceImageUrl - URL of the source image (face to be swapped)
-   * @param {Object} options - Additional options for face swap
+   * @param {Object} options - Additional options for face swap, { signal } AbortSignal of the request
    * @returns {Promise<Object>} - Task creation response with task ID
    */
   async createFaceSwapTask(targetImageUrl, sourceImageUrl, options = {}) {
+    const { maxRetries = 3, retryDelay = 2000, signal = null, ...taskOptions } = options;
+
+    return this.submitTask(() => {
+      // Validate input parameters
+      if (!targetImageUrl || !sourceImageUrl) {
+        throw errorHandler.createError('Target and source image URLs are required', 'ValidationError', 400);
+      }
+
+      const targetUrlValidation = validators.isValidUrl(targetImageUrl);
+      if (!targetUrlValidation.valid) {
+        throw errorHandler.createError(`Invalid target image URL: ${targetUrlValidation.error}`, 'ValidationError', 400);
+      }
+
+      const sourceUrlValidation = validators.isValidUrl(sourceImageUrl);
+      if (!sourceUrlValidation.valid) {
+        throw errorHandler.createError(`Invalid source image URL: ${sourceUrlValidation.error}`, 'ValidationError', 400);
+      }
+
+      return {
+        model: 'Qubico/image-toolkit',
+        task_type: 'face-swap',
+        input: {
+          target_image: targetImageUrl,
+          swap_image: sourceImageUrl
+        },
+        ...taskOptions
+      };
+    }, {
+      taskType: 'face-swap',
+      maxRetries,
+      retryDelay,
+      signal,
+      context: {
+        targetImageUrl,
+        sourceImageUrl,
+        method: 'createFaceSwapTask'
+      },
+      logDetails: {
+        targetImageUrl: String(targetImageUrl).substring(0, 50) + '...',
+        sourceImageUrl: String(sourceImageUrl).substring(0, 50) + '...',
+        options: taskOptions
+      }
+    });
+  }
+
+  /**
+   * Create a background-removal task; the output is a PNG with transparency
+   * @param {string} imageUrl - URL (or data URL) of the image to cut out
+   * @param {Object} options - { maxRetries, retryDelay }, { signal } AbortSignal of the request
+   * @returns {Promise<Object>} - Task creation response with task ID
+   */
+  async createBackgroundRemovalTask(imageUrl, options = {}) {
+    const { maxRetries = 3, retryDelay = 2000, signal = null } = options;
+
+    return this.submitTask(() => {
+      const urlValidation = validators.isValidUrl(imageUrl);
+      if (!urlValidation.valid) {
+        throw errorHandler.createError(`Invalid image URL: ${urlValidation.error}`, 'ValidationError', 400);
+      }
+
+      return {
+        model: 'Qubico/image-toolkit',
+        task_type: 'background-remove',
+        input: {
+          image: imageUrl
+        }
+      };
+    }, {
+      taskType: 'background-remove',
+      maxRetries,
+      retryDelay,
+      signal,
+      context: {
+        method: 'createBackgroundRemovalTask'
+      },
+      logDetails: {
+        imageUrl: String(imageUrl).substring(0, 50) + '...'
+      }
+    });
+  }
+
+  /**
+   * Post a task with retry logic, shared by all task types
+   * @param {Function} buildTaskData - Validates the input and returns the request body (run on every attempt)
+   * @param {Object} options - { taskType, maxRetries, retryDelay, context } context goes to handlePiapiError,
+   *                           { logDetails } to the attempt log, { signal } stops the retries (a request
+   *                           already sent is let through, so a task created on Piapi can still be cancelled)
+   * @returns {Promise<Object>} - { taskId, status, data }
+   */
+  async submitTask(buildTaskData, options) {
+    const { taskType, maxRetries, retryDelay, context, logDetails, signal = null } = options;
+
     if (!this.isServiceConfigured()) {
       throw errorHandler.createError('Piapi service not configured', 'ConfigurationError', 500);
     }
 
-    const { maxRetries = 3, retryDelay = 2000, ...taskOptions } = options;
     let lastError;
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      cancellation.throwIfAborted(signal);
+
       const startTime = Date.now();
       
       try {
-        // Validate input parameters
-        if (!targetImageUrl || !sourceImageUrl) {
-          throw errorHandler.createError('Target and source image URLs are required', 'ValidationError', 400);
-        }
-
-        const targetUrlValidation = validators.isValidUrl(targetImageUrl);
-        if (!targetUrlValidation.valid) {
-          throw errorHandler.createError(`Invalid target image URL: ${targetUrlValidation.error}`, 'ValidationError', 400);
-        }
+        const taskData = buildTaskData();
 
-        const sourceUrlValidation = validators.isValidUrl(sourceImageUrl);
-        if (!sourceUrlValidation.valid) {
-          throw errorHandler.createError(`Invalid source image URL: ${sourceUrlValidation.error}`, 'ValidationError', 400);
-        }
-
-        const taskData = {
-          model: 'Qubico/image-toolkit',
-          task_type: 'face-swap',
-          input: {
-            target_image: targetImageUrl,
-            swap_image: sourceImageUrl
-          },
-          ...taskOptions
-        };
-
-        logger.info(`Creating face-swap task (attempt ${attempt}/${maxRetries})`, {
-          targetImageUrl: targetImageUrl.substring(0, 50) + '...',
-          sourceImageUrl: sourceImageUrl.substring(0, 50) + '...',
-          options: taskOptions
-        });
+        logger.info(`Creating ${taskType} task (attempt ${attempt}/${maxRetries})`, logDetails);
 
         const response = await errorHandler.safeExecuteWithRetries(
           async () => await this.client.post('/api/v1/task', taskData),
@@ -111,7 +191,7 @@ class PiapiService {
           throw new Error('No task ID returned from Piapi API');
         }
 
-        logger.info(`Face-swap task created successfully: ${taskId}`);
+        logger.info(`Piapi ${taskType} task created successfully: ${taskId}`);
         
         return {
           taskId,
@@ -122,15 +202,15 @@ class PiapiService {
       } catch (error) {
         const duration = Date.now() - startTime;
         logger.logApiCall('Piapi', 'createTask', duration, false);
+
+        cancellation.throwIfAborted(signal);
         
         lastError = error;
         
         // Don't retry for validation errors or auth errors
         if (error.response?.status === 400 || error.response?.status === 401 || error.response?.status === 403) {
           const piapiError = errorHandler.handlePiapiError(error, {
-            targetImageUrl,
-            sourceImageUrl,
-            method: 'createFaceSwapTask',
+            ...context,
             attempt
           });
           throw piapiError;
@@ -139,7 +219,7 @@ class PiapiService {
         // Log retry attempt
         if (attempt < maxRetries) {
           logger.warn(`Task creation failed (attempt ${attempt}/${maxRetries}), retrying in ${retryDelay}ms:`, error.message);
-          await new Promise(resolve => setTimeout(resolve, retryDelay));
+          await cancellation.delay(retryDelay, signal);
         }
       }
     }
@@ -147,9 +227,7 @@ class PiapiService {
     // All retries exhausted
     logger.error(`Task creation failed after ${maxRetries} attempts`);
     const piapiError = errorHandler.handlePiapiError(lastError, {
-      targetImageUrl,
-      sourceImageUrl,
-      method: 'createFaceSwapTask',
+      ...context,
       maxRetriesExceeded: true
     });
     
@@ -159,9 +237,12 @@ class PiapiService {
   /**
    * Get the status of a task
    * @param {string} taskId - Task ID to check
+   * @param {Object} options - { signal } AbortSignal of the request
    * @returns {Promise<Object>} - Task status response
    */
-  async getTaskStatus(taskId) {
+  async getTaskStatus(taskId, options = {}) {
+    const { signal = null } = options;
+
     if (!this.isServiceConfigured()) {
       throw errorHandler.createError('Piapi service not configured', 'ConfigurationError', 500);
     }
@@ -176,9 +257,10 @@ class PiapiService {
       logger.info(`Checking task status: ${taskId}`);
 
       const response = await errorHandler.safeExecuteWithRetries(
-        async () => await this.client.get(`/api/v1/task/${taskId}`),
+        async () => await this.client.get(`/api/v1/task/${taskId}`, { signal }),
         null,
-        2
+        2,
+        { signal }
       );
       
       const duration = Date.now() - startTime;
@@ -207,6 +289,8 @@ class PiapiService {
     } catch (error) {
       const duration = Date.now() - startTime;
       logger.logApiCall('Piapi', 'getTaskStatus', duration, false);
+
+      cancellation.throwIfAborted(signal);
       
       const piapiError = errorHandler.handlePiapiError(error, {
         taskId,
@@ -228,7 +312,8 @@ class PiapiService {
       maxWaitTime = 300000, // 5 minutes default
       pollInterval = 3000,  // 3 seconds default
       maxRetries = 3,       // Max retries for failed status checks
-      onProgress = null     // Progress callback
+      onProgress = null,    // Progress callback
+      signal = null         // AbortSignal: stop waiting and cancel the task
     } = options;
 
     if (!this.isServiceConfigured()) {
@@ -246,8 +331,10 @@ class PiapiService {
       });
 
       while (Date.now() - startTime < maxWaitTime) {
+        cancellation.throwIfAborted(signal);
+
         try {
-          const statusResponse = await this.getTaskStatus(taskId);
+          const statusResponse = await this.getTaskStatus(taskId, { signal });
           
           // Reset retry count on successful status check
           retryCount = 0;
@@ -295,24 +382,24 @@ class PiapiService {
             // Check if this is a face detection error
             const isFaceDetectionError = this.checkIfFaceDetectionError(errorMessage, errorDetails);
             
-            const error = errorHandler.createError(
-              `Face-swap task failed: ${errorMessage}`, 
-              isFaceDetectionError ? 'FaceDetectionError' : 'TaskFailedError', 
-              422
-            );
+            const error = this.createTaskFailedError(errorMessage, isFaceDetectionError, errorDetails);
             
             // Add additional context
             error.piapiErrorDetails = errorDetails;
             error.piapiErrorMessage = errorMessage;
-            error.isFaceDetectionError = isFaceDetectionError;
             
             throw error;
           }
           
           // Wait before next poll
-          await new Promise(resolve => setTimeout(resolve, pollInterval));
+          await cancellation.delay(pollInterval, signal);
           
         } catch (statusError) {
+          // A failed task is final and an abort ends the wait - only failed status checks are retried
+          if (['TaskFailedError', 'FaceDetectionError', 'CancelledError'].includes(statusError.name)) {
+            throw statusError;
+          }
+
           // Handle status check failures with retry logic
           retryCount++;
           logger.warn(`Status check failed for task ${taskId} (attempt ${retryCount}/${maxRetries}):`, statusError.message);
@@ -323,7 +410,7 @@ class PiapiService {
           }
           
           // Wait a bit longer before retry
-          await new Promise(resolve => setTimeout(resolve, pollInterval * 2));
+          await cancellation.delay(pollInterval * 2, signal);
         }
       }
       
@@ -335,8 +422,14 @@ class PiapiService {
       );
 
     } catch (error) {
+      // Aborted - the task is no longer needed
+      if (cancellation.isCancelledError(error)) {
+        await this.cancelTask(taskId);
+        throw error;
+      }
+
       // If it's already our custom error, re-throw it
-      if (error.name === 'TaskFailedError' || error.name === 'TaskTimeoutError') {
+      if (['TaskFailedError', 'FaceDetectionError', 'TaskTimeoutError'].includes(error.name)) {
         throw error;
       }
       
@@ -352,6 +445,35 @@ class PiapiService {
     }
   }
 
+  /**
+   * Cancel a task that is no longer needed, so it doesn't use credits
+   * Piapi only cancels tasks that haven't started; failures are logged, not thrown
+   * @param {string} taskId - Task ID
+   * @returns {Promise<boolean>} - Whether Piapi accepted the cancellation
+   */
+  async cancelTask(taskId) {
+    const startTime = Date.now();
+
+    try {
+      const response = await this.client.delete(`/api/v1/task/${taskId}`);
+
+      logger.logApiCall('Piapi', 'cancelTask', Date.now() - startTime, true);
+
+      if (response.data?.code && response.data.code !== 200) {
+        logger.warn(`Piapi did not cancel task ${taskId}: ${response.data.message || response.data.code}`);
+        return false;
+      }
+
+      logger.info(`Piapi task cancelled: ${taskId}`);
+      return true;
+
+    } catch (error) {
+      logger.logApiCall('Piapi', 'cancelTask', Date.now() - startTime, false);
+      logger.warn(`Failed to cancel Piapi task ${taskId}: ${error.response?.data?.message || error.message}`);
+      return false;
+    }
+  }
+
   /**
    * Check if an error is related to face detection
    * @param {string} errorMessage - Error message string
@@ -405,47 +527,24 @@ class PiapiService {
   }
 
   /**
-   * Helper method to create face-swap and wait for result
-   * @param {string} targetImageUrl - URL of the target image
-   * @param {string} sourceImageUrl - URL of the source image
-   * @param {Object} options - Options for both task creation and waiting
-   * @returns {Promise<Object>} - Final result with image URL
+   * FaceSwapProvider: create a face-swap task
    */
-  async processFaceSwap(targetImageUrl, sourceImageUrl, options = {}) {
-    const { taskOptions = {}, waitOptions = {} } = options;
-    
-    try {
-      logger.info('Starting complete face-swap process');
-      
-      // Create task
-      const createResponse = await this.createFaceSwapTask(
-        targetImageUrl, 
-        sourceImageUrl, 
-        taskOptions
-      );
-      
-      // Wait for completion
-      const completionResponse = await this.waitForTaskCompletion(
-        createResponse.taskId,
-        waitOptions
-      );
-      
-      logger.info('Face-swap process completed successfully', {
-        taskId: createResponse.taskId,
-        resultUrl: completionResponse.result?.output_url
-      });
-      
-      return {
-        taskId: createResponse.taskId,
-        status: 'completed',
-        resultUrl: completionResponse.result?.image_url || completionResponse.result?.url || completionResponse.result?.output_url,
-        result: completionResponse.result
-      };
-      
-    } catch (error) {
-      logger.error('Face-swap process failed:', error);
-      throw error;
-    }
+  async createTask(targetImageUrl, sourceImageUrl, options = {}) {
+    return this.createFaceSwapTask(targetImageUrl, sourceImageUrl, options);
+  }
+
+  /**
+   * FaceSwapProvider: get the status of a task
+   */
+  async getStatus(taskId) {
+    return this.getTaskStatus(taskId);
+  }
+
+  /**
+   * FaceSwapProvider: wait until a task completes
+   */
+  async waitForCompletion(taskId, options = {}) {
+    return this.waitForTaskCompletion(taskId, options);
   }
 }
 
@@ -0,0 +1,199 @@
+/**
+ * Polling Service
+ * Receives updates with getUpdates long polling instead of the webhook (BOT_MODE=polling)
+ *
+ * Meant for local development: no public URL or tunnel is needed. Updates go
+ * through the same validation and rate limits as /webhook and then into
+ * telegramController.processUpdate. The offset is saved to a file after each
+ * update, so a restart continues where it stopped.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const telegramService = require('./telegramService');
+const validationMiddleware = require('../middleware/validationMiddleware');
+const rateLimitMiddleware = require('../middleware/rateLimitMiddleware');
+const { CONFIG, CACHE } = require('../config/constants');
+
+class PollingService {
+  constructor() {
+    this.offsetFile = process.env.POLLING_OFFSET_FILE ||
+      path.join(process.env.CACHE_DIR || os.tmpdir(), CACHE.DIRECTORY_NAME, CONFIG.POLLING_OFFSET_FILE);
+
+    this.running = false;
+    this.offset = null;
+    this.loop = null;
+    this.abortController = null;
+    this.retryDelay = CONFIG.POLLING_RETRY_DELAY;
+    this.wakeUp = null;
+  }
+
+  /**
+   * Check if the polling loop is running
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Delete the webhook and start the polling loop
+   * @param {Object} handler - Object with processUpdate(update) (the Telegram controller)
+   */
+  async start(handler) {
+    if (this.running) {
+      return;
+    }
+
+    if (!telegramService.isConfigured()) {
+      logger.warn('Polling not started - TelegramService not configured');
+      return;
+    }
+
+    // getUpdates is refused while a webhook is set
+    await telegramService.deleteWebhook();
+
+    this.handler = handler;
+    this.offset = await this.loadOffset();
+    this.running = true;
+    this.retryDelay = CONFIG.POLLING_RETRY_DELAY;
+
+    logger.info('📡 Long polling started', { offset: this.offset, offsetFile: this.offsetFile });
+
+    this.loop = this.run();
+  }
+
+  /**
+   * Stop polling: abort the open getUpdates and wait for the current update to finish
+   * Updates that weren't processed yet are fetched again on the next start
+   */
+  async stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+    this.abortController?.abort();
+    this.wakeUp?.();
+
+    await this.loop;
+    this.loop = null;
+
+    logger.info('Long polling stopped', { offset: this.offset });
+  }
+
+  /**
+   * Polling loop
+   */
+  async run() {
+    while (this.running) {
+      try {
+        this.abortController = new AbortController();
+
+        const updates = await telegramService.getUpdates({
+          offset: this.offset ?? undefined,
+          timeout: CONFIG.POLLING_TIMEOUT,
+          allowedUpdates: CONFIG.POLLING_ALLOWED_UPDATES,
+          signal: this.abortController.signal
+        });
+
+        this.retryDelay = CONFIG.POLLING_RETRY_DELAY;
+
+        for (const update of updates) {
+          if (!this.running) break;
+
+          await this.handleUpdate(update);
+
+          // Confirmed with the next getUpdates call; saved so a restart doesn't replay it
+          this.offset = update.update_id + 1;
+          await this.saveOffset();
+        }
+
+      } catch (error) {
+        if (!this.running) break;
+
+        logger.error(`getUpdates failed, retrying in ${this.retryDelay}ms:`, error.message);
+        await this.sleep(this.retryDelay);
+        this.retryDelay = Math.min(this.retryDelay * 2, CONFIG.POLLING_MAX_RETRY_DELAY);
+      }
+    }
+  }
+
+  /**
+   * Validate, rate-limit and process one update
+   * A rejected or failed update is logged and skipped, as the webhook answers it without a retry
+   * @param {Object} update - Telegram update
+   */
+  async handleUpdate(update) {
+    const validation = validationMiddleware.validateUpdate(update);
+    if (!validation.valid) {
+      logger.warn(`Polling update ${update?.update_id} rejected: ${validation.error}`, {
+        details: validation.details
+      });
+      return;
+    }
+
+    const rejection = rateLimitMiddleware.checkUpdate(update);
+    if (rejection) {
+      logger.warn(`Polling update ${update.update_id} rate limited: ${rejection.error}`);
+      return;
+    }
+
+    try {
+      await this.handler.processUpdate(update);
+    } catch (error) {
+      logger.error(`Polling update ${update.update_id} processing error:`, error);
+    }
+  }
+
+  /**
+   * Read the saved offset
+   * @returns {Promise<number|null>} - Next update_id to fetch, null if none saved
+   */
+  async loadOffset() {
+    try {
+      const { offset } = JSON.parse(await fs.readFile(this.offsetFile, 'utf8'));
+      return Number.isInteger(offset) ? offset : null;
+
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Failed to read polling offset from ${this.offsetFile}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Save the offset (written to a temp file and renamed, so a crash can't leave half a file)
+   */
+  async saveOffset() {
+    try {
+      const tempFile = `${this.offsetFile}.tmp`;
+
+      await fs.mkdir(path.dirname(this.offsetFile), { recursive: true });
+      await fs.writeFile(tempFile, JSON.stringify({ offset: this.offset, savedAt: new Date().toISOString() }));
+      await fs.rename(tempFile, this.offsetFile);
+
+    } catch (error) {
+      // Not fatal - Telegram still has the offset, and duplicates are filtered by update_id
+      logger.warn(`Failed to save polling offset: ${error.message}`);
+    }
+  }
+
+  /**
+   * Wait before retrying; stop() cuts the wait short
+   */
+  sleep(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new PollingService();
@@ -0,0 +1,307 @@
+/**
+ * Progress Service
+ * Live progress of a sticker generation in one Telegram message: stickers done,
+ * templates in flight, time left and a Cancel button, plus album previews of
+ * finished stickers
+ *
+ * Time left is estimated from recent durations of each template (a moving average
+ * kept in memory); templates without history use a default for their kind.
+ * Message edits are throttled to CONFIG.PROGRESS_UPDATE_INTERVAL because Telegram
+ * limits edits per chat; the latest state is always shown in the end.
+ * PROGRESS_PREVIEWS=false turns the previews off.
+ */
+
+const logger = require('../utils/logger');
+const telegramService = require('./telegramService');
+const imageService = require('./imageService');
+const { MESSAGES, CONFIG } = require('../config/constants');
+const { getTemplateFormat } = require('../config/templates');
+
+class ProgressTracker {
+  /**
+   * @param {ProgressService} service - Owner with the duration history
+   * @param {number} chatId - Chat ID
+   * @param {Array<Object>} templates - Templates of the generation, in processing order
+   * @param {Object} options - { batchSize } templates run at once, { replyMarkup } shown under
+   *                           the progress, { interval } between edits, { previews } on or off
+   */
+  constructor(service, chatId, templates, options = {}) {
+    this.service = service;
+    this.chatId = chatId;
+    this.templates = templates;
+    this.batchSize = options.batchSize || 1;
+    this.replyMarkup = options.replyMarkup || null;
+    this.interval = options.interval ?? CONFIG.PROGRESS_UPDATE_INTERVAL;
+    this.previews = options.previews ?? service.previewsEnabled;
+
+    this.messageId = null;
+    this.completed = 0;
+    this.finished = new Set();
+    this.inFlight = new Map(); // templateId -> { template, startedAt }
+    this.pendingPreviews = [];
+
+    this.lastEditAt = 0;
+    this.timer = null;
+    this.queue = Promise.resolve(); // edits and previews go out one at a time, in order
+    this.stopped = false;
+  }
+
+  /**
+   * Send the progress message
+   * @returns {Promise<number>} - Message ID
+   */
+  async start() {
+    const message = await telegramService.sendMessage(this.chatId, this.render(), this.messageOptions());
+    this.messageId = message.message_id;
+    this.lastEditAt = Date.now();
+    return this.messageId;
+  }
+
+  /**
+   * A template started processing
+   * @param {Object} template - Template
+   */
+  templateStarted(template) {
+    this.inFlight.set(template.id, { template, startedAt: Date.now() });
+    this.scheduleUpdate();
+  }
+
+  /**
+   * A template finished, with a sticker or with an error
+   * @param {Object} template - Template
+   * @param {Buffer|null} sticker - Finished sticker, null if the template failed
+   */
+  templateFinished(template, sticker) {
+    const started = this.inFlight.get(template.id);
+    this.inFlight.delete(template.id);
+    this.finished.add(template.id);
+
+    if (sticker) {
+      this.completed++;
+
+      if (started) {
+        this.service.recordTemplateDuration(template.id, Date.now() - started.startedAt);
+      }
+
+      // Video stickers have no still frame to show
+      if (this.previews && getTemplateFormat(template) === 'static') {
+        this.pendingPreviews.push(sticker);
+      }
+    }
+
+    this.scheduleUpdate();
+  }
+
+  /**
+   * Show the latest state now or as soon as the edit interval allows
+   */
+  scheduleUpdate() {
+    if (this.stopped || this.timer || this.messageId === null) {
+      return;
+    }
+
+    const delay = Math.max(0, this.lastEditAt + this.interval - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, delay);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Edit the progress message and send a full album of previews
+   * @returns {Promise<void>}
+   */
+  flush() {
+    this.lastEditAt = Date.now();
+    const text = this.render();
+
+    this.enqueue(async () => {
+      await telegramService.editMessage(this.chatId, this.messageId, text, this.messageOptions());
+    }, 'edit progress message');
+
+    if (this.pendingPreviews.length >= CONFIG.PROGRESS_PREVIEW_ALBUM_SIZE) {
+      this.sendPreviews();
+    }
+
+    return this.queue;
+  }
+
+  /**
+   * Stop updating and replace the progress with a final text (no Cancel button)
+   * @param {string} text - Final text
+   * @param {Object} options - { previews: false } drops the previews not sent yet
+   * @returns {Promise<void>}
+   */
+  async finish(text, { previews = true } = {}) {
+    this.stop();
+
+    // The remaining previews come before the final text
+    if (previews) {
+      this.sendPreviews();
+    } else {
+      this.pendingPreviews = [];
+    }
+
+    if (this.messageId !== null) {
+      this.enqueue(async () => {
+        await telegramService.editMessage(this.chatId, this.messageId, text);
+      }, 'edit progress message');
+    }
+
+    await this.queue;
+  }
+
+  /**
+   * Stop updating without touching the message
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Send the queued previews as an album (a single one as a photo)
+   */
+  sendPreviews() {
+    const stickers = this.pendingPreviews.splice(0, this.pendingPreviews.length);
+
+    for (let i = 0; i < stickers.length; i += CONFIG.PROGRESS_PREVIEW_ALBUM_SIZE) {
+      const album = stickers.slice(i, i + CONFIG.PROGRESS_PREVIEW_ALBUM_SIZE);
+
+      this.enqueue(async () => {
+        const photos = await Promise.all(album.map(sticker => imageService.createStickerPreview(sticker)));
+
+        if (photos.length === 1) {
+          await telegramService.sendPhoto(this.chatId, photos[0]);
+        } else {
+          await telegramService.sendMediaGroup(this.chatId, photos);
+        }
+      }, 'send sticker previews');
+    }
+  }
+
+  /**
+   * Run a Telegram call after the previous ones; failures only cost this update
+   */
+  enqueue(task, description) {
+    this.queue = this.queue
+      .then(task)
+      .catch(error => {
+        logger.warn(`Failed to ${description} in chat ${this.chatId}: ${error.message}`);
+      });
+  }
+
+  /**
+   * Current progress text
+   * @returns {string}
+   */
+  render() {
+    const inFlight = [...this.inFlight.values()].map(({ template }) =>
+      [template.emojis?.[0] || template.emoji, template.name].filter(Boolean).join(' '));
+
+    const done = this.finished.size >= this.templates.length;
+
+    return MESSAGES.PROCESSING_PROGRESS(this.completed, this.templates.length, {
+      inFlight,
+      timeLeft: done ? null : this.estimateTimeLeft(),
+      done
+    });
+  }
+
+  /**
+   * Time until the last template is done: templates run in batches, so each
+   * batch takes as long as its slowest template
+   * @returns {number} - Milliseconds
+   */
+  estimateTimeLeft() {
+    const now = Date.now();
+    let timeLeft = 0;
+
+    for (const { template, startedAt } of this.inFlight.values()) {
+      timeLeft = Math.max(timeLeft, this.service.estimateTemplateDuration(template) - (now - startedAt));
+    }
+
+    const waiting = this.templates.filter(template =>
+      !this.finished.has(template.id) && !this.inFlight.has(template.id));
+
+    for (let i = 0; i < waiting.length; i += this.batchSize) {
+      timeLeft += Math.max(...waiting.slice(i, i + this.batchSize)
+        .map(template => this.service.estimateTemplateDuration(template)));
+    }
+
+    return Math.max(0, timeLeft);
+  }
+
+  /**
+   * Telegram options of the progress message
+   */
+  messageOptions() {
+    return this.replyMarkup ? { reply_markup: this.replyMarkup } : {};
+  }
+}
+
+class ProgressService {
+  constructor() {
+    // templateId -> average processing time in ms
+    this.templateDurations = new Map();
+
+    this.previewsEnabled = process.env.PROGRESS_PREVIEWS !== 'false';
+
+    logger.info('ProgressService initialized', {
+      previews: this.previewsEnabled,
+      updateInterval: CONFIG.PROGRESS_UPDATE_INTERVAL
+    });
+  }
+
+  /**
+   * Start tracking a generation
+   * @param {number} chatId - Chat ID
+   * @param {Array<Object>} templates - Templates of the generation
+   * @param {Object} options - See ProgressTracker
+   * @returns {ProgressTracker}
+   */
+  createTracker(chatId, templates, options = {}) {
+    return new ProgressTracker(this, chatId, templates, options);
+  }
+
+  /**
+   * Remember how long a template took
+   * @param {string} templateId - Template ID
+   * @param {number} duration - Milliseconds
+   */
+  recordTemplateDuration(templateId, duration) {
+    const previous = this.templateDurations.get(templateId);
+
+    this.templateDurations.set(templateId, previous === undefined
+      ? duration
+      : previous + (duration - previous) * CONFIG.PROGRESS_DURATION_SMOOTHING);
+  }
+
+  /**
+   * Expected processing time of a template
+   * @param {Object} template - Template
+   * @returns {number} - Milliseconds
+   */
+  estimateTemplateDuration(template) {
+    const recorded = this.templateDurations.get(template.id);
+    if (recorded !== undefined) {
+      return recorded;
+    }
+
+    // Only static face swaps wait for the face-swap provider
+    const isFaceSwap = (template.type || 'face_swap') === 'face_swap' && getTemplateFormat(template) === 'static';
+    return isFaceSwap ? CONFIG.PROGRESS_DEFAULT_FACE_SWAP_DURATION : CONFIG.PROGRESS_DEFAULT_QUICK_DURATION;
+  }
+
+  /**
+   * Forget the duration history (used by tests)
+   */
+  reset() {
+    this.templateDurations.clear();
+  }
+}
+
+// Export singleton instance
+module.exports = new ProgressService();
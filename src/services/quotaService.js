@@ -0,0 +1,449 @@
+/**
+ * Quota Service
+ * Decides whether a user may start another sticker pack
+ *
+ * A user gets the limits of a named policy (CONFIG.QUOTA_POLICIES) counted over
+ * rolling 24-hour and 7-day windows. Per-user overrides can switch the policy,
+ * change single limits or lift them; allowlisted users are never limited.
+ * Over the limit, promo-code bonus credits are spent one per generation.
+ *
+ * A generation reserves its slot when it starts and commits it when the pack
+ * is ready; failed generations release the slot (and a spent credit).
+ */
+
+const { supabase } = require('../config/database');
+const logger = require('../utils/logger');
+const errorHandler = require('../utils/errorHandler');
+const metrics = require('../utils/metrics');
+const MemoryQuotaStore = require('../stores/memoryQuotaStore');
+const SupabaseQuotaStore = require('../stores/supabaseQuotaStore');
+const { CONFIG } = require('../config/constants');
+
+const quotaRejections = metrics.counter(
+  'quota_rejections_total',
+  'Generations refused by the quota (stage: photo = check on upload, reserve = start of generation)',
+  ['reason', 'stage']
+);
+
+class QuotaService {
+  constructor() {
+    this.store = supabase ? new SupabaseQuotaStore(supabase) : new MemoryQuotaStore();
+    this.policies = this.loadPolicies(process.env.QUOTA_POLICIES);
+    this.defaultPolicy = this.policies[process.env.QUOTA_POLICY] ? process.env.QUOTA_POLICY : CONFIG.DEFAULT_QUOTA_POLICY;
+    this.allowlist = this.parseAllowlist(process.env.QUOTA_ALLOWLIST);
+
+    if (process.env.QUOTA_POLICY && process.env.QUOTA_POLICY !== this.defaultPolicy) {
+      logger.error(`Unknown QUOTA_POLICY "${process.env.QUOTA_POLICY}", using "${this.defaultPolicy}"`);
+    }
+
+    logger.info('QuotaService initialized', {
+      store: this.store.constructor.name,
+      defaultPolicy: this.defaultPolicy,
+      policies: Object.keys(this.policies),
+      allowlisted: this.allowlist.size
+    });
+  }
+
+  /**
+   * Replace the quota store (used by tests to inject an in-memory store)
+   * @param {Object} store - Quota store implementation
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Check a limit value: non-negative integer or null (no cap)
+   */
+  isValidLimit(value) {
+    return value === null || (Number.isInteger(value) && value >= 0);
+  }
+
+  /**
+   * Validate a policy definition
+   * @param {string} name - Policy name
+   * @param {Object} policy - { daily, weekly }
+   * @throws {ValidationError} - If a limit is invalid
+   */
+  validatePolicy(name, policy) {
+    if (!policy || typeof policy !== 'object') {
+      throw errorHandler.createError(`Quota policy "${name}" must be an object`, 'ValidationError', 400);
+    }
+
+    for (const window of ['daily', 'weekly']) {
+      if (!this.isValidLimit(policy[window] ?? null)) {
+        throw errorHandler.createError(
+          `Quota policy "${name}": ${window} must be a non-negative integer or null`,
+          'ValidationError',
+          400
+        );
+      }
+    }
+  }
+
+  /**
+   * Built-in policies merged with QUOTA_POLICIES from the environment
+   * Invalid entries are logged and skipped so a typo can't lift all limits
+   * @param {string} json - { "name": { "daily": N, "weekly": M } }
+   * @returns {Object} - Policies by name
+   */
+  loadPolicies(json) {
+    const policies = {};
+
+    for (const [name, policy] of Object.entries(CONFIG.QUOTA_POLICIES)) {
+      policies[name] = { daily: policy.daily ?? null, weekly: policy.weekly ?? null };
+    }
+
+    if (!json) {
+      return policies;
+    }
+
+    let custom;
+    try {
+      custom = JSON.parse(json);
+    } catch (error) {
+      logger.error('QUOTA_POLICIES is not valid JSON, using built-in policies:', error.message);
+      return policies;
+    }
+
+    for (const [name, policy] of Object.entries(custom || {})) {
+      try {
+        this.validatePolicy(name, policy);
+        policies[name] = { daily: policy.daily ?? null, weekly: policy.weekly ?? null };
+      } catch (error) {
+        logger.error(`Skipping quota policy from QUOTA_POLICIES: ${error.message}`);
+      }
+    }
+
+    return policies;
+  }
+
+  /**
+   * Parse comma-separated user IDs
+   * @param {string} value - e.g. "123,456"
+   * @returns {Set<number>} - Allowlisted user IDs
+   */
+  parseAllowlist(value) {
+    return new Set(
+      (value || '')
+        .split(',')
+        .map(id => Number(id.trim()))
+        .filter(id => Number.isInteger(id) && id > 0)
+    );
+  }
+
+  /**
+   * Get a policy by name, falling back to the default one
+   * @param {string|null} name - Policy name
+   * @returns {Object} - { name, daily, weekly }
+   */
+  getPolicy(name) {
+    const policyName = name && this.policies[name] ? name : this.defaultPolicy;
+    return { name: policyName, ...this.policies[policyName] };
+  }
+
+  /**
+   * Resolve the effective limits of a user
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object>} - { policy, dailyLimit, weeklyLimit, unlimited }
+   */
+  async resolveLimits(userId) {
+    const override = await this.store.getUserQuota(userId);
+    const policy = this.getPolicy(override?.policy);
+
+    return {
+      policy: policy.name,
+      dailyLimit: override?.dailyLimit ?? policy.daily,
+      weeklyLimit: override?.weeklyLimit ?? policy.weekly,
+      unlimited: this.allowlist.has(userId) || !!override?.unlimited
+    };
+  }
+
+  /**
+   * Describe a store result for callers
+   */
+  buildStatus(limits, result) {
+    const remaining = [
+      limits.dailyLimit === null ? null : Math.max(0, limits.dailyLimit - result.dailyUsed),
+      limits.weeklyLimit === null ? null : Math.max(0, limits.weeklyLimit - result.weeklyUsed)
+    ].filter(value => value !== null);
+
+    return {
+      canGenerate: result.allowed,
+      reason: result.allowed
+        ? { credit: 'bonus_credit', unlimited: 'unlimited' }[result.source] || 'limit_available'
+        : result.reason,
+      policy: limits.policy,
+      limits: { daily: limits.dailyLimit, weekly: limits.weeklyLimit },
+      used: { daily: result.dailyUsed, weekly: result.weeklyUsed },
+      remainingLimit: limits.unlimited ? null : (remaining.length > 0 ? Math.min(...remaining) : null),
+      bonusCredits: result.bonusCredits,
+      retryAt: result.retryAt ? new Date(result.retryAt).toISOString() : null
+    };
+  }
+
+  /**
+   * Result used when the store can't be reached (fail-open)
+   */
+  buildFailOpenStatus(error) {
+    return {
+      canGenerate: true,
+      reason: 'check_failed',
+      policy: this.defaultPolicy,
+      limits: null,
+      used: null,
+      remainingLimit: null,
+      bonusCredits: 0,
+      retryAt: null,
+      reservationId: null,
+      error: error.message
+    };
+  }
+
+  /**
+   * Check whether a user can start a generation now (nothing is reserved)
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object>} - { canGenerate, reason, policy, limits, used, remainingLimit, bonusCredits, retryAt }
+   */
+  async getQuota(userId) {
+    try {
+      const limits = await this.resolveLimits(userId);
+      const result = await this.store.reserve({
+        userId,
+        ...limits,
+        windows: CONFIG.QUOTA_WINDOWS,
+        dryRun: true
+      });
+
+      return this.buildStatus(limits, result);
+
+    } catch (error) {
+      // Fail-open: a quota outage must not stop the bot
+      logger.error(`Failed to check quota for user ${userId}:`, error);
+      return this.buildFailOpenStatus(error);
+    }
+  }
+
+  /**
+   * Atomically check the quota and reserve one generation
+   * @param {number} userId - Telegram user ID
+   * @param {Object} details - { jobId }
+   * @returns {Promise<Object>} - getQuota() status plus reservationId and source
+   */
+  async reserve(userId, details = {}) {
+    try {
+      const limits = await this.resolveLimits(userId);
+      const result = await this.store.reserve({
+        userId,
+        ...limits,
+        windows: CONFIG.QUOTA_WINDOWS,
+        jobId: details.jobId || null
+      });
+
+      const status = {
+        ...this.buildStatus(limits, result),
+        reservationId: result.usageId || null,
+        source: result.source
+      };
+
+      logger.info(`Quota ${status.canGenerate ? 'reserved' : 'denied'} for user ${userId}`, {
+        policy: status.policy,
+        source: status.source,
+        reason: status.reason,
+        used: status.used
+      });
+
+      if (!status.canGenerate) {
+        this.recordRejection(status, 'reserve');
+      }
+
+      return status;
+
+    } catch (error) {
+      // Fail-open: a quota outage must not stop the bot
+      logger.error(`Failed to reserve quota for user ${userId}:`, error);
+      return this.buildFailOpenStatus(error);
+    }
+  }
+
+  /**
+   * Count a refused generation in the metrics
+   * @param {Object} status - Denied result of getQuota() or reserve()
+   * @param {string} stage - Where it was refused ('photo', 'reserve')
+   */
+  recordRejection(status, stage) {
+    quotaRejections.inc({ reason: status.reason, stage });
+  }
+
+  /**
+   * Count a reserved generation as used (pack is ready)
+   * @param {string} reservationId - ID from reserve()
+   * @returns {Promise<boolean>} - Success status
+   */
+  async commit(reservationId) {
+    try {
+      return await this.store.commit(reservationId);
+    } catch (error) {
+      logger.error(`Failed to commit quota reservation ${reservationId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Give a reserved generation back (generation failed or was cancelled)
+   * @param {string} reservationId - ID from reserve()
+   * @returns {Promise<boolean>} - Success status
+   */
+  async release(reservationId) {
+    try {
+      const released = await this.store.release(reservationId);
+
+      if (released) {
+        logger.info(`Quota reservation released: ${reservationId}`);
+      }
+
+      return released;
+    } catch (error) {
+      logger.error(`Failed to release quota reservation ${reservationId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Increment the generation counter without a reservation
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object>} - { totalGenerations, lastGeneration }
+   */
+  async recordGeneration(userId) {
+    return this.store.recordGeneration(userId);
+  }
+
+  /**
+   * Get the generation counter of a user
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object|null>} - { totalGenerations, lastGeneration } or null for new users
+   */
+  async getTotals(userId) {
+    return this.store.getTotals(userId);
+  }
+
+  /**
+   * Set per-user overrides
+   * @param {number} userId - Telegram user ID
+   * @param {Object} fields - { policy, dailyLimit, weeklyLimit, unlimited }; null resets a field to the policy
+   * @returns {Promise<Object>} - Stored settings
+   */
+  async setUserOverride(userId, fields) {
+    if (fields.policy !== undefined && fields.policy !== null && !this.policies[fields.policy]) {
+      throw errorHandler.createError(`Unknown quota policy: ${fields.policy}`, 'ValidationError', 400);
+    }
+
+    for (const key of ['dailyLimit', 'weeklyLimit']) {
+      if (fields[key] !== undefined && !this.isValidLimit(fields[key])) {
+        throw errorHandler.createError(`${key} must be a non-negative integer or null`, 'ValidationError', 400);
+      }
+    }
+
+    if (fields.unlimited !== undefined && typeof fields.unlimited !== 'boolean') {
+      throw errorHandler.createError('unlimited must be a boolean', 'ValidationError', 400);
+    }
+
+    const stored = await this.store.upsertUserQuota(userId, fields);
+
+    logger.info(`Quota override set for user ${userId}`, fields);
+
+    return stored;
+  }
+
+  /**
+   * Add bonus credits to a user
+   * @param {number} userId - Telegram user ID
+   * @param {number} credits - Credits to add (negative to take away)
+   * @returns {Promise<number>} - New balance
+   */
+  async addBonusCredits(userId, credits) {
+    if (!Number.isInteger(credits) || credits === 0) {
+      throw errorHandler.createError('Credits must be a non-zero integer', 'ValidationError', 400);
+    }
+
+    const balance = await this.store.addBonusCredits(userId, credits);
+
+    logger.info(`Bonus credits changed for user ${userId}`, { credits, balance });
+
+    return balance;
+  }
+
+  /**
+   * Start the user's windows over
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<number>} - Number of removed usage entries
+   */
+  async resetUsage(userId) {
+    return this.store.clearUsage(userId);
+  }
+
+  /**
+   * Normalize a promo code as typed by a user
+   * @param {string} code - Raw code
+   * @returns {string|null} - Upper-case code or null if it can't be valid
+   */
+  normalizePromoCode(code) {
+    const normalized = typeof code === 'string' ? code.trim().toUpperCase() : '';
+    return CONFIG.PROMO_CODE_PATTERN.test(normalized) ? normalized : null;
+  }
+
+  /**
+   * Create a promo code
+   * @param {string} code - Promo code
+   * @param {number} credits - Credits per redemption
+   * @param {Object} options - { maxRedemptions, expiresAt }
+   * @returns {Promise<Object>} - Stored promo code
+   */
+  async createPromoCode(code, credits, options = {}) {
+    const normalized = this.normalizePromoCode(code);
+
+    if (!normalized) {
+      throw errorHandler.createError('Promo code must be 3-32 letters, digits, "_" or "-"', 'ValidationError', 400);
+    }
+
+    if (!Number.isInteger(credits) || credits <= 0) {
+      throw errorHandler.createError('Credits must be a positive integer', 'ValidationError', 400);
+    }
+
+    return this.store.createPromoCode({
+      code: normalized,
+      credits,
+      maxRedemptions: options.maxRedemptions ?? null,
+      expiresAt: options.expiresAt ?? null
+    });
+  }
+
+  /**
+   * Redeem a promo code for a user
+   * @param {number} userId - Telegram user ID
+   * @param {string} code - Code as typed by the user
+   * @returns {Promise<Object>} - { ok, reason, credits, bonusCredits }
+   */
+  async redeemPromoCode(userId, code) {
+    const normalized = this.normalizePromoCode(code);
+
+    if (!normalized) {
+      return { ok: false, reason: 'not_found' };
+    }
+
+    try {
+      const result = await this.store.redeemPromoCode(userId, normalized);
+
+      logger.info(`Promo code ${normalized} redeemed by user ${userId}: ${result.ok ? 'ok' : result.reason}`);
+
+      return result;
+
+    } catch (error) {
+      logger.error(`Failed to redeem promo code for user ${userId}:`, error);
+      return { ok: false, reason: 'failed' };
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new QuotaService();
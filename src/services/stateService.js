@@ -0,0 +1,135 @@
+/**
+ * State Service
+ * Conversation state per chat with TTLs and checked, atomic transitions
+ *
+ * States survive restarts when Supabase is configured. Each state expires after
+ * BOT_STATE_TTLS (PROCESSING after CONFIG.MAX_PROCESSING_TIME), so a chat whose
+ * generation died can't stay stuck; an expired state reads as IDLE.
+ */
+
+const { supabase } = require('../config/database');
+const logger = require('../utils/logger');
+const errorHandler = require('../utils/errorHandler');
+const { botStateMachine } = require('../utils/stateMachine');
+const MemoryStateStore = require('../stores/memoryStateStore');
+const SupabaseStateStore = require('../stores/supabaseStateStore');
+const { BOT_STATES, BOT_STATE_TTLS } = require('../config/constants');
+
+class StateService {
+  constructor() {
+    this.store = supabase ? new SupabaseStateStore(supabase) : new MemoryStateStore();
+    this.machine = botStateMachine;
+
+    logger.info('StateService initialized', {
+      store: this.store.constructor.name
+    });
+  }
+
+  /**
+   * Replace the state store (used by tests to inject an in-memory store)
+   * @param {Object} store - State store implementation
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Lifetime of a state
+   * @param {string} state - State name
+   * @returns {number|null} - Milliseconds, null = no expiry
+   */
+  getTtl(state) {
+    return BOT_STATE_TTLS[state] ?? null;
+  }
+
+  /**
+   * Get the current state of a chat
+   * @param {number} chatId - Chat ID
+   * @returns {Promise<string>} - State, IDLE when unset, expired or on lookup failure
+   */
+  async getState(chatId) {
+    try {
+      const record = await this.store.get(chatId);
+      return record?.state || BOT_STATES.IDLE;
+
+    } catch (error) {
+      // Don't throw error - fail-open approach
+      logger.error(`Failed to get state for chat ${chatId}:`, error);
+      return BOT_STATES.IDLE;
+    }
+  }
+
+  /**
+   * Move a chat to a new state
+   * The move is checked against the state machine and applied with compare-and-set,
+   * so two updates racing from the same state can't both win.
+   * @param {number} chatId - Chat ID
+   * @param {string} next - New state
+   * @param {Object} options - { from } expected current state (read from the store if omitted)
+   * @returns {Promise<Object>} - { success, previous, state, reason }
+   */
+  async transition(chatId, next, options = {}) {
+    if (!this.machine.isState(next)) {
+      throw errorHandler.createError(`Unknown state: ${next}`, 'ValidationError', 400);
+    }
+
+    const previous = options.from || await this.getState(chatId);
+
+    if (!this.machine.canTransition(previous, next)) {
+      logger.warn(`Rejected state transition for chat ${chatId}: ${previous} -> ${next}`);
+      return { success: false, previous, state: previous, reason: 'illegal_transition' };
+    }
+
+    try {
+      const applied = await this.store.compareAndSet(chatId, previous, next, this.getTtl(next));
+
+      if (!applied) {
+        const state = await this.getState(chatId);
+        logger.info(`State of chat ${chatId} changed concurrently: expected ${previous}, found ${state}`);
+        return { success: false, previous, state, reason: 'conflict' };
+      }
+
+      return { success: true, previous, state: next, reason: null };
+
+    } catch (error) {
+      // Don't throw error - fail-open approach, the flow goes on without a persisted state
+      logger.error(`Failed to save state ${next} for chat ${chatId}:`, error);
+      return { success: true, previous, state: next, reason: 'store_unavailable' };
+    }
+  }
+
+  /**
+   * Move a chat to a new state, throwing if the transition is illegal or lost a race
+   * @param {number} chatId - Chat ID
+   * @param {string} state - New state
+   * @returns {Promise<string>} - New state
+   */
+  async setState(chatId, state) {
+    const result = await this.transition(chatId, state);
+
+    if (!result.success) {
+      throw errorHandler.createError(
+        `Cannot move chat ${chatId} from ${result.state} to ${state}`,
+        'ConflictError',
+        409
+      );
+    }
+
+    return result.state;
+  }
+
+  /**
+   * Put a chat back to IDLE whatever its state
+   * @param {number} chatId - Chat ID
+   */
+  async reset(chatId) {
+    try {
+      await this.store.set(chatId, BOT_STATES.IDLE, null);
+    } catch (error) {
+      logger.error(`Failed to reset state for chat ${chatId}:`, error);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new StateService();
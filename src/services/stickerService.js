@@ -7,6 +7,14 @@ const axios = require('axios');
 const FormData = require('form-data');
 const logger = require('../utils/logger');
 const errorHandler = require('../utils/errorHandler');
+const cancellation = require('../utils/cancellation');
+const { CONFIG } = require('../config/constants');
+
+// Upload file name and MIME type per sticker format
+const STICKER_FILE_TYPES = {
+  static: { filename: 'sticker.webp', contentType: 'image/webp' },
+  video: { filename: 'sticker.webm', contentType: 'video/webm' }
+};
 
 class StickerService {
   constructor() {
@@ -18,12 +26,20 @@ class StickerService {
       return;
     }
 
-    this.apiUrl = `https://api.telegram.org/bot${this.botToken}`;
+    this.setApiBaseUrl(process.env.TELEGRAM_API_URL || CONFIG.TELEGRAM_API_URL);
     this.isConfigured = true;
     
     logger.info('StickerService initialized successfully');
   }
 
+  /**
+   * Point the service at another Bot API server (local Bot API server or a test stand-in)
+   * @param {string} baseUrl - Server URL without the /bot<token> part
+   */
+  setApiBaseUrl(baseUrl) {
+    this.apiUrl = `${baseUrl.replace(/\/+$/, '')}/bot${this.botToken}`;
+  }
+
   /**
    * Check if the service is properly configured
    */
@@ -48,13 +64,65 @@ class StickerService {
     return packName;
   }
 
+  /**
+   * Check sticker format and return its upload file type
+   * @param {string} format - 'static' or 'video'
+   * @returns {Object} - { filename, contentType }
+   */
+  getStickerFileType(format) {
+    const fileType = STICKER_FILE_TYPES[format];
+
+    if (!fileType) {
+      throw errorHandler.createError(`Unsupported sticker format: ${format}`, 'ValidationError', 400);
+    }
+
+    return fileType;
+  }
+
+  /**
+   * Build an InputSticker object for createNewStickerSet / addStickerToSet
+   * @param {string} fileId - Uploaded sticker file ID
+   * @param {string|Array<string>} emoji - One emoji or a list (up to 20)
+   * @param {Object} stickerOptions - { format, keywords }
+   * @returns {Object} - InputSticker
+   */
+  buildInputSticker(fileId, emoji, stickerOptions = {}) {
+    const { format = 'static', keywords = [] } = stickerOptions;
+    const emojiList = (Array.isArray(emoji) ? emoji : [emoji]).slice(0, CONFIG.MAX_EMOJIS_PER_STICKER);
+
+    const inputSticker = {
+      sticker: fileId,
+      emoji_list: emojiList,
+      format
+    };
+
+    // Keep keywords within Telegram's count and total length limits
+    const keywordList = [];
+    let keywordsLength = 0;
+    for (const keyword of keywords.slice(0, CONFIG.MAX_KEYWORDS_PER_STICKER)) {
+      if (keywordsLength + keyword.length > CONFIG.MAX_KEYWORDS_LENGTH) break;
+      keywordList.push(keyword);
+      keywordsLength += keyword.length;
+    }
+
+    if (keywordList.length > 0) {
+      inputSticker.keywords = keywordList;
+    }
+
+    return inputSticker;
+  }
+
   /**
    * Upload sticker file to Telegram
    * @param {number} userId - User ID for the sticker
-   * @param {Buffer} imageBuffer - Image data as buffer (WebP format)
+   * @param {Buffer} imageBuffer - Sticker data (WebP for static, WebM for video)
+   * @param {string} format - Sticker format: 'static' or 'video'
+   * @param {Object} options - { signal } AbortSignal of the upload
    * @returns {Promise<string>} - File ID from Telegram
    */
-  async uploadStickerFile(userId, imageBuffer) {
+  async uploadStickerFile(userId, imageBuffer, format = 'static', options = {}) {
+    const { signal = null } = options;
+
     if (!this.isServiceConfigured()) {
       throw errorHandler.createError('Sticker service not configured', 'ConfigurationError', 500);
     }
@@ -66,27 +134,28 @@ class StickerService {
         throw errorHandler.createError('User ID and image buffer are required', 'ValidationError', 400);
       }
 
+      const fileType = this.getStickerFileType(format);
+
       logger.info(`Uploading sticker file for user ${userId}`, {
         userId,
-        bufferSize: imageBuffer.length
+        bufferSize: imageBuffer.length,
+        format
       });
 
       // Create form data for file upload
       const formData = new FormData();
       formData.append('user_id', userId.toString());
-      formData.append('sticker_format', 'static');
+      formData.append('sticker_format', format);
       
       // Append buffer directly as file
-      formData.append('sticker', imageBuffer, {
-        filename: 'sticker.webp',
-        contentType: 'image/webp'
-      });
+      formData.append('sticker', imageBuffer, fileType);
 
       const response = await axios.post(`${this.apiUrl}/uploadStickerFile`, formData, {
         headers: {
           ...formData.getHeaders()
         },
-        timeout: 30000
+        timeout: 30000,
+        signal
       });
 
       const duration = Date.now() - startTime;
@@ -110,10 +179,13 @@ class StickerService {
       const duration = Date.now() - startTime;
       logger.logApiCall('Telegram', 'uploadStickerFile', duration, false);
 
+      cancellation.throwIfAborted(signal);
+
       const telegramError = errorHandler.handleTelegramError(error, {
         userId,
         method: 'uploadStickerFile',
-        bufferSize: imageBuffer?.length
+        bufferSize: imageBuffer?.length,
+        format
       });
 
       throw telegramError;
@@ -125,11 +197,15 @@ class StickerService {
    * @param {number} userId - User ID
    * @param {string} packName - Unique pack name
    * @param {string} firstStickerFileId - File ID of the first sticker
-   * @param {string} emoji - Emoji for the sticker
+   * @param {string|Array<string>} emoji - Emoji (or emoji list) for the sticker
    * @param {string} title - Display title for the pack
+   * @param {Object} stickerOptions - { format, keywords } of the first sticker ('static' or 'video', set per sticker)
+   * @param {Object} options - { signal } AbortSignal of the request
    * @returns {Promise<boolean>} - Success status
    */
-  async createNewStickerSet(userId, packName, firstStickerFileId, emoji = '😄', title = 'Создать мемстикеры 🩵 @NewPeopleStickers_bot') {
+  async createNewStickerSet(userId, packName, firstStickerFileId, emoji = '😄', title = 'Создать мемстикеры 🩵 @NewPeopleStickers_bot', stickerOptions = {}, options = {}) {
+    const { signal = null } = options;
+
     if (!this.isServiceConfigured()) {
       throw errorHandler.createError('Sticker service not configured', 'ConfigurationError', 500);
     }
@@ -146,25 +222,25 @@ class StickerService {
         packName,
         firstStickerFileId,
         emoji,
-        title
+        title,
+        format: stickerOptions.format
       });
 
       const requestData = {
         user_id: userId,
         name: packName,
         title: title,
-        stickers: JSON.stringify([{
-          sticker: firstStickerFileId,
-          emoji_list: [emoji],
-          format: 'static'
-        }])
+        stickers: JSON.stringify([
+          this.buildInputSticker(firstStickerFileId, emoji, stickerOptions)
+        ])
       };
 
       const response = await axios.post(`${this.apiUrl}/createNewStickerSet`, requestData, {
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded'
         },
-        timeout: 30000
+        timeout: 30000,
+        signal
       });
 
       const duration = Date.now() - startTime;
@@ -194,6 +270,8 @@ class StickerService {
       const duration = Date.now() - startTime;
       logger.logApiCall('Telegram', 'createNewStickerSet', duration, false);
 
+      cancellation.throwIfAborted(signal);
+
       const telegramError = errorHandler.handleTelegramError(error, {
         userId,
         packName,
@@ -209,11 +287,15 @@ class StickerService {
    * @param {number} userId - User ID
    * @param {string} packName - Pack name to add sticker to
    * @param {string} stickerFileId - File ID of the sticker
-   * @param {string} emoji - Emoji for the sticker
+   * @param {string|Array<string>} emoji - Emoji (or emoji list) for the sticker
    * @param {number} maxRetries - Maximum number of retry attempts
+   * @param {Object} stickerOptions - { format, keywords }; format is 'static' or 'video' (sets may mix both)
+   * @param {Object} options - { signal } AbortSignal that stops the request and the retries
    * @returns {Promise<boolean>} - Success status
    */
-  async addStickerToSet(userId, packName, stickerFileId, emoji = '😄', maxRetries = 3) {
+  async addStickerToSet(userId, packName, stickerFileId, emoji = '😄', maxRetries = 3, stickerOptions = {}, options = {}) {
+    const { signal = null } = options;
+
     if (!this.isServiceConfigured()) {
       throw errorHandler.createError('Sticker service not configured', 'ConfigurationError', 500);
     }
@@ -246,24 +328,22 @@ class StickerService {
           packName,
           stickerFileId,
           emoji,
+          format: stickerOptions.format,
           attempt
         });
 
         const requestData = {
           user_id: userId,
           name: packName,
-          sticker: JSON.stringify({
-            sticker: stickerFileId,
-            emoji_list: [emoji],
-            format: 'static'
-          })
+          sticker: JSON.stringify(this.buildInputSticker(stickerFileId, emoji, stickerOptions))
         };
 
         const response = await axios.post(`${this.apiUrl}/addStickerToSet`, requestData, {
           headers: {
             'Content-Type': 'application/x-www-form-urlencoded'
           },
-          timeout: 30000
+          timeout: 30000,
+          signal
         });
 
         const duration = Date.now() - startTime;
@@ -287,6 +367,8 @@ class StickerService {
       } catch (error) {
         const duration = Date.now() - startTime;
         logger.logApiCall('Telegram', 'addStickerToSet', duration, false);
+
+        cancellation.throwIfAborted(signal);
         
         lastError = error;
         
@@ -319,7 +401,7 @@ class StickerService {
           delay
         });
         
-        await new Promise(resolve => setTimeout(resolve, delay));
+        await cancellation.delay(delay, signal);
       }
     }
 
@@ -433,6 +515,161 @@ class StickerService {
     }
   }
 
+  /**
+   * Check whether a Bot API error means the sticker set doesn't exist
+   * Telegram answers 400 STICKERSET_INVALID for those; other 400s share the status
+   * @param {Error} error - Error thrown by getStickerSet or a sticker set method
+   * @returns {boolean}
+   */
+  isStickerSetMissing(error) {
+    return error?.statusCode === 400 && /STICKERSET_INVALID/.test(error.description || '');
+  }
+
+  /**
+   * Call a sticker set management method of the Bot API
+   * @param {string} method - Bot API method name
+   * @param {Object|FormData} requestData - Request parameters
+   * @param {Object} context - Extra fields for logging and error handling
+   * @returns {Promise<*>} - Method result
+   */
+  async callStickerSetMethod(method, requestData, context = {}) {
+    if (!this.isServiceConfigured()) {
+      throw errorHandler.createError('Sticker service not configured', 'ConfigurationError', 500);
+    }
+
+    const startTime = Date.now();
+
+    try {
+      logger.info(`Calling ${method}`, context);
+
+      const headers = requestData instanceof FormData
+        ? requestData.getHeaders()
+        : { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+      const response = await axios.post(`${this.apiUrl}/${method}`, requestData, {
+        headers,
+        timeout: 30000
+      });
+
+      if (!response.data.ok) {
+        throw new Error(`Telegram API error: ${response.data.description}`);
+      }
+
+      logger.logApiCall('Telegram', method, Date.now() - startTime, true);
+
+      return response.data.result;
+
+    } catch (error) {
+      logger.logApiCall('Telegram', method, Date.now() - startTime, false);
+
+      throw errorHandler.handleTelegramError(error, {
+        ...context,
+        method
+      });
+    }
+  }
+
+  /**
+   * Change the title of a sticker set created by the bot
+   * @param {string} packName - Name of the sticker set
+   * @param {string} title - New title (1-64 characters)
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setStickerSetTitle(packName, title) {
+    if (!packName || !title || title.length > CONFIG.MAX_PACK_TITLE_LENGTH) {
+      throw errorHandler.createError(
+        `Pack name and title (1-${CONFIG.MAX_PACK_TITLE_LENGTH} characters) are required`,
+        'ValidationError',
+        400
+      );
+    }
+
+    await this.callStickerSetMethod('setStickerSetTitle', { name: packName, title }, { packName, title });
+    return true;
+  }
+
+  /**
+   * Delete a sticker set created by the bot
+   * @param {string} packName - Name of the sticker set
+   * @returns {Promise<boolean>} - Success status
+   */
+  async deleteStickerSet(packName) {
+    if (!packName) {
+      throw errorHandler.createError('Pack name is required', 'ValidationError', 400);
+    }
+
+    await this.callStickerSetMethod('deleteStickerSet', { name: packName }, { packName });
+    return true;
+  }
+
+  /**
+   * Delete a sticker from a set created by the bot
+   * @param {string} stickerFileId - File ID of the sticker
+   * @returns {Promise<boolean>} - Success status
+   */
+  async deleteStickerFromSet(stickerFileId) {
+    if (!stickerFileId) {
+      throw errorHandler.createError('Sticker file ID is required', 'ValidationError', 400);
+    }
+
+    await this.callStickerSetMethod('deleteStickerFromSet', { sticker: stickerFileId }, { stickerFileId });
+    return true;
+  }
+
+  /**
+   * Move a sticker in a set created by the bot
+   * @param {string} stickerFileId - File ID of the sticker
+   * @param {number} position - New zero-based position
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setStickerPositionInSet(stickerFileId, position) {
+    if (!stickerFileId || !Number.isInteger(position) || position < 0) {
+      throw errorHandler.createError('Sticker file ID and a non-negative position are required', 'ValidationError', 400);
+    }
+
+    await this.callStickerSetMethod('setStickerPositionInSet', { sticker: stickerFileId, position }, {
+      stickerFileId,
+      position
+    });
+    return true;
+  }
+
+  /**
+   * Set or drop the thumbnail of a sticker set
+   * Without a thumbnail Telegram shows the first sticker of the set
+   * @param {string} packName - Name of the sticker set
+   * @param {number} userId - Owner of the sticker set
+   * @param {Buffer|string|null} thumbnail - 100x100 WebP/WebM data, a file ID, or null to drop it
+   * @param {string} format - Thumbnail format: 'static' or 'video'
+   * @returns {Promise<boolean>} - Success status
+   */
+  async setStickerSetThumbnail(packName, userId, thumbnail = null, format = 'static') {
+    if (!packName || !userId) {
+      throw errorHandler.createError('Pack name and user ID are required', 'ValidationError', 400);
+    }
+
+    const fileType = this.getStickerFileType(format);
+    let requestData = { name: packName, user_id: userId, format };
+
+    if (Buffer.isBuffer(thumbnail)) {
+      requestData = new FormData();
+      requestData.append('name', packName);
+      requestData.append('user_id', userId.toString());
+      requestData.append('format', format);
+      requestData.append('thumbnail', thumbnail, fileType);
+    } else if (thumbnail) {
+      requestData.thumbnail = thumbnail;
+    }
+
+    await this.callStickerSetMethod('setStickerSetThumbnail', requestData, {
+      packName,
+      userId,
+      format,
+      dropThumbnail: !thumbnail
+    });
+    return true;
+  }
+
   /**
    * Generate sticker pack URL for sharing
    * @param {string} packName - Name of the sticker pack
@@ -450,20 +687,88 @@ class StickerService {
     return url;
   }
 
+  /**
+   * Add already uploaded stickers to a set one by one
+   * Sequential to avoid race conditions; failed stickers are skipped
+   * @param {number} userId - User ID
+   * @param {string} packName - Pack name
+   * @param {Array<string>} fileIds - Uploaded sticker file IDs
+   * @param {Array<string|Array<string>>} emojis - Emoji (or emoji list) for each sticker
+   * @param {Object} options - { formats, keywords } per sticker (static, no keywords by default),
+   *                           { signal } AbortSignal that stops before the next sticker
+   * @returns {Promise<number>} - Number of stickers added
+   */
+  async addStickersSequentially(userId, packName, fileIds, emojis, options = {}) {
+    const { formats = [], keywords = [], signal = null } = options;
+    let addedCount = 0;
+
+    for (let i = 0; i < fileIds.length; i++) {
+      cancellation.throwIfAborted(signal);
+
+      const fileId = fileIds[i];
+      const emoji = emojis[i];
+      const stickerOptions = { format: formats[i] || 'static', keywords: keywords[i] || [] };
+
+      try {
+        logger.info(`Adding sticker ${i + 1}/${fileIds.length} to set: ${packName}`, {
+          fileId,
+          emoji,
+          stickerIndex: i + 1
+        });
+
+        await this.addStickerToSet(userId, packName, fileId, emoji, 3, stickerOptions, { signal });
+        addedCount++;
+
+        // Add delay between requests to avoid rate limiting
+        if (i < fileIds.length - 1) {
+          await cancellation.delay(1000, signal); // 1 second delay
+        }
+
+      } catch (stickerError) {
+        if (stickerError.name === 'CancelledError') {
+          throw stickerError;
+        }
+
+        logger.error(`Failed to add sticker ${i + 1}/${fileIds.length} to set ${packName}:`, {
+          fileId,
+          emoji,
+          error: stickerError.message,
+          stickerIndex: i + 1
+        });
+
+        // Continue with other stickers instead of failing completely
+        // This allows partial pack creation if only one sticker fails
+        continue;
+      }
+    }
+
+    return addedCount;
+  }
+
   /**
    * Complete sticker pack creation workflow
    * @param {number} userId - User ID
    * @param {Array<Buffer>} stickerBuffers - Array of sticker image buffers
-   * @param {Array<string>} emojis - Array of emojis for each sticker
+   * @param {Array<string|Array<string>>} emojis - Emoji (or emoji list) for each sticker
    * @param {string} title - Pack title
+   * @param {Object} options - { existingPackName } to add to a user's pack instead of creating a new one,
+   *                           { formats } with 'static' or 'video' per sticker (all static by default),
+   *                           { keywords } search keyword list per sticker,
+   *                           { signal } AbortSignal: an aborted run deletes the set it created
+   *                           (or the stickers it added to the existing pack)
    * @returns {Promise<Object>} - Pack creation result
    */
-  async createCompleteStickerPack(userId, stickerBuffers, emojis, title = 'Создать мемстикеры 🩵 @NewPeopleStickers_bot') {
+  async createCompleteStickerPack(userId, stickerBuffers, emojis, title = 'Создать мемстикеры 🩵 @NewPeopleStickers_bot', options = {}) {
     if (!this.isServiceConfigured()) {
       throw errorHandler.createError('Sticker service not configured', 'ConfigurationError', 500);
     }
 
+    const { existingPackName = null, signal = null } = options;
+    const formats = options.formats || stickerBuffers.map(() => 'static');
+    const keywords = options.keywords || [];
     const startTime = Date.now();
+    let packName = null;
+    let setRequested = false;
 
     try {
       if (!userId || !Array.isArray(stickerBuffers) || stickerBuffers.length === 0) {
@@ -474,65 +779,52 @@ class StickerService {
         throw errorHandler.createError('Emojis array must match stickers count', 'ValidationError', 400);
       }
 
-      const packName = this.generatePackName(userId);
+      if (!Array.isArray(formats) || formats.length !== stickerBuffers.length) {
+        throw errorHandler.createError('Formats array must match stickers count', 'ValidationError', 400);
+      }
+
+      if (existingPackName) {
+        return await this.addStickersToExistingPack(userId, existingPackName, stickerBuffers, emojis, { formats, keywords, signal });
+      }
+
+      packName = this.generatePackName(userId);
       
       logger.info(`Creating complete sticker pack: ${packName}`, {
         userId,
         packName,
         stickerCount: stickerBuffers.length,
+        videoStickers: formats.filter(format => format === 'video').length,
         title
       });
 
       // Upload all stickers first
-      const uploadPromises = stickerBuffers.map(buffer => 
-        this.uploadStickerFile(userId, buffer)
+      const uploadPromises = stickerBuffers.map((buffer, index) => 
+        this.uploadStickerFile(userId, buffer, formats[index], { signal })
       );
 
       const fileIds = await Promise.all(uploadPromises);
       logger.info(`All stickers uploaded: ${fileIds.length} files`, { packName });
+      cancellation.throwIfAborted(signal);
 
-      // Create new sticker set with first sticker
-      await this.createNewStickerSet(userId, packName, fileIds[0], emojis[0], title);
+      // Create new sticker set with first sticker (an abort mid-request may still create it)
+      setRequested = true;
+      await this.createNewStickerSet(userId, packName, fileIds[0], emojis[0], title, {
+        format: formats[0],
+        keywords: keywords[0] || []
+      }, { signal });
 
       // Wait a bit for Telegram servers to sync the new sticker set
       logger.info(`Waiting 3 seconds for Telegram servers to sync sticker set: ${packName}`);
-      await new Promise(resolve => setTimeout(resolve, 3000));
+      await cancellation.delay(3000, signal);
 
       // Add remaining stickers to the set sequentially to avoid race conditions
       if (fileIds.length > 1) {
         logger.info(`Adding ${fileIds.length - 1} additional stickers to set sequentially`, { packName });
-        
-        for (let i = 1; i < fileIds.length; i++) {
-          const fileId = fileIds[i];
-          const emoji = emojis[i];
-          
-          try {
-            logger.info(`Adding sticker ${i + 1}/${fileIds.length} to set: ${packName}`, {
-              fileId,
-              emoji,
-              stickerIndex: i + 1
-            });
-            
-            await this.addStickerToSet(userId, packName, fileId, emoji);
-            
-            // Add delay between requests to avoid rate limiting
-            if (i < fileIds.length - 1) {
-              await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay
-            }
-            
-          } catch (stickerError) {
-            logger.error(`Failed to add sticker ${i + 1}/${fileIds.length} to set ${packName}:`, {
-              fileId,
-              emoji,
-              error: stickerError.message,
-              stickerIndex: i + 1
-            });
-            
-            // Continue with other stickers instead of failing completely
-            // This allows partial pack creation if only one sticker fails
-            continue;
-          }
-        }
+        await this.addStickersSequentially(userId, packName, fileIds.slice(1), emojis.slice(1), {
+          formats: formats.slice(1),
+          keywords: keywords.slice(1),
+          signal
+        });
       }
 
       const packUrl = this.generateStickerPackUrl(packName);
@@ -563,15 +855,191 @@ class StickerService {
         stickerCount: finalStickerCount,
         uploadedStickers: fileIds.length,
         fileIds,
-        title
+        title,
+        mode: 'create'
       };
 
     } catch (error) {
+      if (error.name === 'CancelledError') {
+        logger.info(`Sticker pack creation aborted for user ${userId}`, {
+          packName: packName || existingPackName,
+          reason: error.reason
+        });
+
+        if (setRequested) {
+          await this.deleteAbortedStickerSet(packName);
+        }
+        throw error;
+      }
+
       const duration = Date.now() - startTime;
       logger.error(`Failed to create complete sticker pack for user ${userId}:`, error);
       throw error;
     }
   }
+
+  /**
+   * Delete the set of an aborted pack creation, so the user isn't left with half a pack
+   * Failures are logged, not thrown
+   * @param {string} packName - Name of the sticker set
+   * @returns {Promise<boolean>} - Whether the set was deleted
+   */
+  async deleteAbortedStickerSet(packName) {
+    try {
+      await this.deleteStickerSet(packName);
+      logger.info(`Deleted sticker set of an aborted pack creation: ${packName}`);
+      return true;
+    } catch (error) {
+      logger.warn(`Failed to delete sticker set of an aborted pack creation ${packName}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Remove the stickers an aborted run added to an existing pack
+   * New stickers are appended, so everything past the previous count goes; failures are logged, not thrown
+   * @param {string} packName - Name of the sticker set
+   * @param {number} previousCount - Sticker count before the run
+   * @returns {Promise<number>} - Number of stickers removed
+   */
+  async removeAbortedStickers(packName, previousCount) {
+    let removed = 0;
+
+    try {
+      const stickerSet = await this.getStickerSet(packName);
+
+      for (const sticker of (stickerSet.stickers || []).slice(previousCount)) {
+        await this.deleteStickerFromSet(sticker.file_id);
+        removed++;
+      }
+
+      logger.info(`Removed ${removed} stickers of an aborted run from pack ${packName}`);
+    } catch (error) {
+      logger.warn(`Failed to remove stickers of an aborted run from pack ${packName}: ${error.message}`, {
+        removed
+      });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Add new stickers to a pack the user already has
+   * Skips createNewStickerSet and respects Telegram's per-pack sticker cap
+   * @param {number} userId - User ID (must be the pack owner)
+   * @param {string} packName - Existing pack name
+   * @param {Array<Buffer>} stickerBuffers - Array of sticker image buffers
+   * @param {Array<string|Array<string>>} emojis - Emoji (or emoji list) for each sticker
+   * @param {Object} options - { formats, keywords } per sticker (static, no keywords by default),
+   *                           { signal } AbortSignal: stickers added before the abort are removed again
+   * @returns {Promise<Object>} - Pack update result
+   */
+  async addStickersToExistingPack(userId, packName, stickerBuffers, emojis, options = {}) {
+    const { formats = [], keywords = [], signal = null } = options;
+    const startTime = Date.now();
+
+    let stickerSet;
+    try {
+      stickerSet = await this.getStickerSet(packName);
+    } catch (error) {
+      // Other errors (outages, other bad requests) must not make the caller fall back to a new pack
+      if (!this.isStickerSetMissing(error)) {
+        throw error;
+      }
+
+      const notFoundError = errorHandler.createError(
+        `Sticker pack not found: ${packName}`,
+        'PackNotFoundError',
+        404
+      );
+      notFoundError.packName = packName;
+      throw notFoundError;
+    }
+
+    const currentCount = stickerSet.stickers?.length || 0;
+    const availableSlots = Math.max(0, CONFIG.MAX_STICKERS_PER_PACK - currentCount);
+
+    if (availableSlots === 0) {
+      const fullError = errorHandler.createError(
+        `Sticker pack is full: ${packName} (${currentCount}/${CONFIG.MAX_STICKERS_PER_PACK})`,
+        'PackFullError',
+        400
+      );
+      fullError.packName = packName;
+      fullError.stickerCount = currentCount;
+      throw fullError;
+    }
+
+    const buffersToAdd = stickerBuffers.slice(0, availableSlots);
+    const skippedStickers = stickerBuffers.length - buffersToAdd.length;
+
+    logger.info(`Adding stickers to existing pack: ${packName}`, {
+      userId,
+      packName,
+      currentCount,
+      availableSlots,
+      stickersToAdd: buffersToAdd.length,
+      skippedStickers
+    });
+
+    const fileIds = await Promise.all(
+      buffersToAdd.map((buffer, index) => this.uploadStickerFile(userId, buffer, formats[index] || 'static', { signal }))
+    );
+    logger.info(`All stickers uploaded: ${fileIds.length} files`, { packName });
+
+    let addedStickers;
+    try {
+      addedStickers = await this.addStickersSequentially(
+        userId,
+        packName,
+        fileIds,
+        emojis.slice(0, fileIds.length),
+        {
+          formats: formats.slice(0, fileIds.length),
+          keywords: keywords.slice(0, fileIds.length),
+          signal
+        }
+      );
+    } catch (error) {
+      if (error.name === 'CancelledError') {
+        await this.removeAbortedStickers(packName, currentCount);
+      }
+      throw error;
+    }
+
+    let finalStickerCount = currentCount + addedStickers;
+    try {
+      const updatedSet = await this.getStickerSet(packName);
+      finalStickerCount = updatedSet.stickers ? updatedSet.stickers.length : finalStickerCount;
+    } catch (checkError) {
+      logger.warn(`Could not verify final sticker count for pack ${packName}:`, checkError.message);
+    }
+
+    const packUrl = this.generateStickerPackUrl(packName);
+
+    logger.info(`Existing sticker pack updated: ${packName}`, {
+      userId,
+      packName,
+      packUrl,
+      previousCount: currentCount,
+      addedStickers,
+      skippedStickers,
+      finalStickerCount,
+      duration: Date.now() - startTime
+    });
+
+    return {
+      packName,
+      packUrl,
+      stickerCount: finalStickerCount,
+      uploadedStickers: fileIds.length,
+      addedStickers,
+      skippedStickers,
+      fileIds,
+      title: stickerSet.title,
+      mode: 'update'
+    };
+  }
 }
 
 // Export singleton instance
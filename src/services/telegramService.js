@@ -8,6 +8,7 @@ const axios = require('axios');
 const logger = require('../utils/logger');
 const errorHandler = require('../utils/errorHandler');
 const validators = require('../utils/validators');
+const { CONFIG } = require('../config/constants');
 
 class TelegramService {
   constructor() {
@@ -19,13 +20,24 @@ class TelegramService {
       return;
     }
 
-    // Initialize bot without polling (we use webhooks)
-    this.bot = new TelegramBot(this.botToken, { polling: false });
-    this.apiUrl = `https://api.telegram.org/bot${this.botToken}`;
+    this.setApiBaseUrl(process.env.TELEGRAM_API_URL || CONFIG.TELEGRAM_API_URL);
     
     logger.info('TelegramService initialized successfully');
   }
 
+  /**
+   * Point the service at another Bot API server (local Bot API server or a test stand-in)
+   * @param {string} baseUrl - Server URL without the /bot<token> part
+   */
+  setApiBaseUrl(baseUrl) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiUrl = `${this.baseUrl}/bot${this.botToken}`;
+    this.fileUrl = `${this.baseUrl}/file/bot${this.botToken}`;
+
+    // Initialize bot without polling (updates come from the webhook or pollingService)
+    this.bot = new TelegramBot(this.botToken, { polling: false, baseApiUrl: this.baseUrl });
+  }
+
   /**
    * Check if the service is properly configured
    */
@@ -128,7 +140,7 @@ class TelegramService {
         null,
         2
       );
-      const fileUrl = `https://api.telegram.org/file/bot${this.botToken}/${file.file_path}`;
+      const fileUrl = `${this.fileUrl}/${file.file_path}`;
       
       const duration = Date.now() - startTime;
       logger.logApiCall('Telegram', 'getFile', duration, true);
@@ -278,6 +290,54 @@ class TelegramService {
     }
   }
 
+  /**
+   * Fetch updates with long polling (only works while no webhook is set)
+   * @param {Object} options - { offset, timeout (seconds), allowedUpdates, signal }
+   * @returns {Promise<Array<Object>>} - Updates, oldest first
+   */
+  async getUpdates(options = {}) {
+    if (!this.isConfigured()) {
+      throw errorHandler.createError('Telegram service not configured', 'ConfigurationError', 500);
+    }
+
+    const { offset, timeout = 0, allowedUpdates, signal } = options;
+    const startTime = Date.now();
+
+    try {
+      const response = await axios.post(`${this.apiUrl}/getUpdates`, {
+        offset,
+        timeout,
+        allowed_updates: allowedUpdates
+      }, {
+        // Telegram holds the request open for up to `timeout` seconds
+        timeout: (timeout + 10) * 1000,
+        signal
+      });
+      
+      const duration = Date.now() - startTime;
+      logger.logApiCall('Telegram', 'getUpdates', duration, true);
+      
+      return response.data.result || [];
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+
+      // Aborted because polling is stopping - not an API failure
+      if (axios.isCancel(error)) {
+        throw error;
+      }
+
+      logger.logApiCall('Telegram', 'getUpdates', duration, false);
+      
+      const telegramError = errorHandler.handleTelegramError(error, {
+        method: 'getUpdates',
+        offset
+      });
+      
+      throw telegramError;
+    }
+  }
+
   /**
    * Get bot information
    * @returns {Promise<Object>} - Bot info
@@ -424,6 +484,41 @@ class TelegramService {
     }
   }
 
+  /**
+   * Answer callback query (stops the loading indicator on the pressed button)
+   * @param {string} callbackQueryId - Callback query ID
+   * @param {Object} options - { text, show_alert }
+   * @returns {Promise<boolean>} - Success status
+   */
+  async answerCallbackQuery(callbackQueryId, options = {}) {
+    if (!this.isConfigured()) {
+      throw errorHandler.createError('Telegram service not configured', 'ConfigurationError', 500);
+    }
+
+    if (!callbackQueryId) {
+      throw errorHandler.createError('Callback query ID is required', 'ValidationError', 400);
+    }
+
+    const startTime = Date.now();
+
+    try {
+      await this.bot.answerCallbackQuery(callbackQueryId, { ...options });
+
+      const duration = Date.now() - startTime;
+      logger.logApiCall('Telegram', 'answerCallbackQuery', duration, true);
+
+      return true;
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      logger.logApiCall('Telegram', 'answerCallbackQuery', duration, false);
+
+      // Don't throw - queries expire after a few seconds and the answer is cosmetic
+      logger.warn(`Failed to answer callback query ${callbackQueryId}:`, error.message);
+      return false;
+    }
+  }
+
   /**
    * Send photo to a chat
    * @param {number} chatId - Chat ID to send photo to
@@ -478,6 +573,68 @@ class TelegramService {
       throw telegramError;
     }
   }
+
+  /**
+   * Send photos as one album
+   * @param {number} chatId - Chat ID to send the album to
+   * @param {Array<Buffer>} photoBuffers - 2 to 10 photos
+   * @param {Object} options - Additional options
+   * @returns {Promise<Array<Object>>} - Message objects from Telegram, one per photo
+   */
+  async sendMediaGroup(chatId, photoBuffers, options = {}) {
+    if (!this.isConfigured()) {
+      throw errorHandler.createError('Telegram service not configured', 'ConfigurationError', 500);
+    }
+
+    // Validate inputs
+    const chatIdValidation = validators.isValidChatId(chatId);
+    if (!chatIdValidation.valid) {
+      throw errorHandler.createError(chatIdValidation.error, 'ValidationError', 400);
+    }
+
+    if (!Array.isArray(photoBuffers) || photoBuffers.length < 2 || photoBuffers.length > 10 ||
+        !photoBuffers.every(photoBuffer => Buffer.isBuffer(photoBuffer))) {
+      throw errorHandler.createError('An album needs 2 to 10 photo buffers', 'ValidationError', 400);
+    }
+
+    const startTime = Date.now();
+    
+    try {
+      logger.info(`Sending album to chat ${chatId}`, {
+        photoCount: photoBuffers.length,
+        totalSize: photoBuffers.reduce((total, photoBuffer) => total + photoBuffer.length, 0)
+      });
+
+      const media = photoBuffers.map((photoBuffer, index) => ({
+        type: 'photo',
+        media: photoBuffer,
+        fileOptions: { filename: `preview_${index}.jpg`, contentType: 'image/jpeg' }
+      }));
+
+      const result = await errorHandler.safeExecuteWithRetries(
+        async () => await this.bot.sendMediaGroup(chatId, media, options),
+        null,
+        2
+      );
+      
+      const duration = Date.now() - startTime;
+      logger.logApiCall('Telegram', 'sendMediaGroup', duration, true);
+      
+      return result;
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      logger.logApiCall('Telegram', 'sendMediaGroup', duration, false);
+      
+      const telegramError = errorHandler.handleTelegramError(error, {
+        chatId,
+        photoCount: photoBuffers.length,
+        method: 'sendMediaGroup'
+      });
+      
+      throw telegramError;
+    }
+  }
 }
 
 // Export singleton instance
@@ -6,10 +6,10 @@
 const { supabase } = require('../config/database');
 const logger = require('../utils/logger');
 const errorHandler = require('../utils/errorHandler');
+const quotaService = require('./quotaService');
 
 class UserLimitsService {
   constructor() {
-    this.dailyLimit = 1; // 1 sticker pack per day per user
     this.isConfigured = !!supabase;
     
     if (this.isConfigured) {
@@ -27,7 +27,8 @@ class UserLimitsService {
   }
 
   /**
-   * Check if user can generate a new sticker pack today
+   * Check if user can generate a new sticker pack now
+   * Limits come from the user's quota policy (see quotaService)
    * @param {number} userId - Telegram user ID
    * @returns {Promise<Object>} - Limit check result
    */
@@ -41,74 +42,25 @@ class UserLimitsService {
 
       logger.info(`Checking user limit for user ${userId}`);
 
-      // If database is not configured, allow all requests (fail-open)
-      if (!this.isServiceConfigured()) {
-        logger.warn(`Database not configured, allowing request for user ${userId}`);
-        return {
-          canGenerate: true,
-          reason: 'database_not_configured',
-          remainingLimit: this.dailyLimit,
-          lastGeneration: null
-        };
-      }
-
-      const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-
-      // Query user limits from database
-      const { data: userLimit, error } = await supabase
-        .from('user_limits')
-        .select('*')
-        .eq('user_id', userId)
-        .single();
-
-      const duration = Date.now() - startTime;
-
-      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows found
-        logger.error(`Database error checking user limit for ${userId}:`, error);
-        
-        // Fail-open: allow request if database error
-        logger.warn(`Database error, allowing request for user ${userId}`);
-        return {
-          canGenerate: true,
-          reason: 'database_error',
-          remainingLimit: this.dailyLimit,
-          lastGeneration: null,
-          error: error.message
-        };
-      }
-
-      // User not found in database - first time user
-      if (!userLimit || error?.code === 'PGRST116') {
-        logger.info(`New user ${userId}, allowing first generation`, { duration });
-        return {
-          canGenerate: true,
-          reason: 'new_user',
-          remainingLimit: this.dailyLimit,
-          lastGeneration: null
-        };
-      }
-
-      // Check if last generation was today
-      const lastGenerationDate = userLimit.last_generation;
-      const canGenerate = lastGenerationDate !== today;
+      const quota = await quotaService.getQuota(userId);
+      const totals = await quotaService.getTotals(userId).catch(() => null);
 
       const result = {
-        canGenerate,
-        reason: canGenerate ? 'limit_available' : 'daily_limit_exceeded',
-        remainingLimit: canGenerate ? this.dailyLimit : 0,
-        lastGeneration: lastGenerationDate,
-        totalGenerations: userLimit.total_generations || 0
+        ...quota,
+        lastGeneration: totals?.lastGeneration || null,
+        totalGenerations: totals?.totalGenerations || 0
       };
 
       logger.info(`User limit check completed for ${userId}:`, {
-        ...result,
-        duration
+        canGenerate: result.canGenerate,
+        reason: result.reason,
+        policy: result.policy,
+        duration: Date.now() - startTime
       });
 
       return result;
 
     } catch (error) {
-      const duration = Date.now() - startTime;
       logger.error(`Failed to check user limit for ${userId}:`, error);
       
       // Fail-open: allow request if any error occurs
@@ -116,7 +68,7 @@ class UserLimitsService {
       return {
         canGenerate: true,
         reason: 'check_failed',
-        remainingLimit: this.dailyLimit,
+        remainingLimit: null,
         lastGeneration: null,
         error: error.message
       };
@@ -124,11 +76,42 @@ class UserLimitsService {
   }
 
   /**
-   * Record a generation for a user (update or insert user limit)
+   * Reserve a generation before it starts
+   * Check and reservation are atomic, so parallel requests can't both pass the limit
+   * @param {number} userId - Telegram user ID
+   * @param {Object} details - { jobId }
+   * @returns {Promise<Object>} - { canGenerate, reason, reservationId, retryAt, ... }
+   */
+  async reserveGeneration(userId, details = {}) {
+    if (!userId || typeof userId !== 'number') {
+      throw errorHandler.createError('Valid user ID is required', 'ValidationError', 400);
+    }
+
+    return quotaService.reserve(userId, details);
+  }
+
+  /**
+   * Give back a reserved generation that didn't produce a pack
+   * @param {string|null} reservationId - ID from reserveGeneration()
+   * @returns {Promise<boolean>} - Success status
+   */
+  async releaseGeneration(reservationId) {
+    if (!reservationId) {
+      return false;
+    }
+
+    return quotaService.release(reservationId);
+  }
+
+  /**
+   * Record a finished generation
+   * Commits the reservation if there is one; the counter is incremented atomically
    * @param {number} userId - Telegram user ID
+   * @param {string|null} reservationId - ID from reserveGeneration()
+   * @param {Object} options - { quotaExempt } only counts the generation (admin reruns)
    * @returns {Promise<boolean>} - Success status
    */
-  async recordGeneration(userId) {
+  async recordGeneration(userId, reservationId = null, options = {}) {
     const startTime = Date.now();
 
     try {
@@ -138,49 +121,31 @@ class UserLimitsService {
 
       logger.info(`Recording generation for user ${userId}`);
 
-      // If database is not configured, just log and return success (fail-open)
-      if (!this.isServiceConfigured()) {
-        logger.warn(`Database not configured, skipping record for user ${userId}`);
-        return true;
+      // Callers without a reservation still take a slot so the limit applies
+      if (!reservationId && !options.quotaExempt) {
+        const reservation = await quotaService.reserve(userId);
+        reservationId = reservation.reservationId;
       }
 
-      const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-      const now = new Date().toISOString();
-
-      // Use upsert (insert or update) operation
-      const { data, error } = await supabase
-        .from('user_limits')
-        .upsert({
-          user_id: userId,
-          last_generation: today,
-          total_generations: 1,
-          updated_at: now
-        }, {
-          onConflict: 'user_id',
-          ignoreDuplicates: false
-        })
-        .select();
+      if (reservationId) {
+        const committed = await quotaService.commit(reservationId);
 
-      const duration = Date.now() - startTime;
+        if (!committed) {
+          logger.warn(`Quota reservation ${reservationId} was not committed for user ${userId}`);
+        }
 
-      if (error) {
-        logger.error(`Database error recording generation for ${userId}:`, error);
-        
-        // Don't throw error - fail-open approach
-        // The generation can continue even if we can't record the limit
-        logger.warn(`Failed to record generation for user ${userId}, continuing anyway`);
-        return false;
+        return committed;
       }
 
+      await quotaService.recordGeneration(userId);
+
       logger.info(`Generation recorded successfully for user ${userId}`, {
-        duration,
-        recordedDate: today
+        duration: Date.now() - startTime
       });
 
       return true;
 
     } catch (error) {
-      const duration = Date.now() - startTime;
       logger.error(`Failed to record generation for user ${userId}:`, error);
       
       // Don't throw error - fail-open approach
@@ -317,13 +282,19 @@ class UserLimitsService {
         logger.error(`Error getting user logs for ${userId}:`, logsError);
       }
 
-      const today = new Date().toISOString().split('T')[0];
-      const canGenerateToday = !userLimit || userLimit.last_generation !== today;
+      const quota = await quotaService.getQuota(userId);
 
       const stats = {
         totalGenerations: userLimit?.total_generations || 0,
         lastGeneration: userLimit?.last_generation || null,
-        canGenerateToday,
+        canGenerateToday: quota.canGenerate,
+        quota: {
+          policy: quota.policy,
+          limits: quota.limits,
+          used: quota.used,
+          bonusCredits: quota.bonusCredits,
+          retryAt: quota.retryAt
+        },
         successfulGenerations: logs?.filter(log => log.status === 'completed').length || 0,
         failedGenerations: logs?.filter(log => log.status === 'failed').length || 0,
         recentLogs: logs?.slice(0, 5) || []
@@ -348,8 +319,45 @@ class UserLimitsService {
     }
   }
 
+  /**
+   * Get the generation log of a user, newest first (admin function)
+   * @param {number} userId - Telegram user ID
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array<Object>>} - Log entries (empty without a database)
+   */
+  async getGenerationHistory(userId, limit = 50) {
+    if (!userId || typeof userId !== 'number') {
+      throw errorHandler.createError('Valid user ID is required', 'ValidationError', 400);
+    }
+
+    if (!this.isServiceConfigured()) {
+      return [];
+    }
+
+    const { data: logs, error } = await supabase
+      .from('generation_logs')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'getGenerationHistory', userId });
+    }
+
+    return (logs || []).map(log => ({
+      id: log.id,
+      status: log.status,
+      error: log.error_message,
+      processingTime: log.processing_time_ms,
+      packName: log.sticker_pack_name,
+      createdAt: log.created_at
+    }));
+  }
+
   /**
    * Reset user limit (admin function)
+   * Clears the user's quota usage so a new pack can be created right away
    * @param {number} userId - Telegram user ID
    * @returns {Promise<boolean>} - Success status
    */
@@ -361,22 +369,10 @@ class UserLimitsService {
 
       logger.info(`Resetting user limit for ${userId}`);
 
-      if (!this.isServiceConfigured()) {
-        logger.warn(`Database not configured, cannot reset limit for user ${userId}`);
-        return false;
-      }
-
-      const { data, error } = await supabase
-        .from('user_limits')
-        .delete()
-        .eq('user_id', userId);
-
-      if (error) {
-        logger.error(`Error resetting user limit for ${userId}:`, error);
-        return false;
-      }
+      // Windows start over; the generation counter is kept
+      const removed = await quotaService.resetUsage(userId);
 
-      logger.info(`User limit reset successfully for ${userId}`);
+      logger.info(`User limit reset successfully for ${userId}`, { removedUsage: removed });
       return true;
 
     } catch (error) {
@@ -0,0 +1,138 @@
+/**
+ * User Packs Service
+ * Remembers which sticker packs the bot created for each user
+ */
+
+const { supabase } = require('../config/database');
+const logger = require('../utils/logger');
+const errorHandler = require('../utils/errorHandler');
+const MemoryUserPackStore = require('../stores/memoryUserPackStore');
+const SupabaseUserPackStore = require('../stores/supabaseUserPackStore');
+
+class UserPacksService {
+  constructor() {
+    this.store = supabase ? new SupabaseUserPackStore(supabase) : new MemoryUserPackStore();
+
+    logger.info('UserPacksService initialized', {
+      store: this.store.constructor.name
+    });
+  }
+
+  /**
+   * Replace the pack store (used by tests to inject an in-memory store)
+   * @param {Object} store - Pack store implementation
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Record a pack created or updated for a user
+   * @param {number} userId - Telegram user ID
+   * @param {string} packName - Sticker set name
+   * @param {Object} details - { title, stickerCount }
+   * @returns {Promise<boolean>} - Success status
+   */
+  async recordPack(userId, packName, details = {}) {
+    try {
+      if (!userId || typeof userId !== 'number') {
+        throw errorHandler.createError('Valid user ID is required', 'ValidationError', 400);
+      }
+
+      if (!packName) {
+        throw errorHandler.createError('Pack name is required', 'ValidationError', 400);
+      }
+
+      await this.store.upsert({
+        userId,
+        packName,
+        title: details.title,
+        stickerCount: details.stickerCount
+      });
+
+      logger.info(`Pack recorded for user ${userId}: ${packName}`, {
+        userId,
+        packName,
+        stickerCount: details.stickerCount
+      });
+
+      return true;
+
+    } catch (error) {
+      // Don't throw error - fail-open approach, the pack itself exists in Telegram
+      logger.error(`Failed to record pack ${packName} for user ${userId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get all packs the bot created for a user
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Array<Object>>} - Packs, most recently updated first
+   */
+  async getUserPacks(userId) {
+    try {
+      return await this.store.findByUser(userId);
+    } catch (error) {
+      logger.error(`Failed to get packs for user ${userId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the most recently updated pack for a user
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object|null>} - Pack or null if user has none
+   */
+  async getLatestPack(userId) {
+    const packs = await this.getUserPacks(userId);
+    return packs[0] || null;
+  }
+
+  /**
+   * Get a pack record by name
+   * @param {string} packName - Sticker set name
+   * @returns {Promise<Object|null>} - Pack or null if unknown
+   */
+  async getPack(packName) {
+    try {
+      return await this.store.get(packName);
+    } catch (error) {
+      logger.error(`Failed to get pack ${packName}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Forget a pack (after it was deleted in Telegram)
+   * @param {string} packName - Sticker set name
+   * @returns {Promise<boolean>} - Success status
+   */
+  async removePack(packName) {
+    try {
+      const removed = await this.store.delete(packName);
+
+      logger.info(`Pack record removed: ${packName}`, { packName, removed });
+
+      return true;
+
+    } catch (error) {
+      logger.error(`Failed to remove pack ${packName}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a pack belongs to a user
+   * @param {number} userId - Telegram user ID
+   * @param {string} packName - Sticker set name
+   * @returns {Promise<boolean>} - True if the stored owner is the user
+   */
+  async isPackOwner(userId, packName) {
+    const pack = await this.getPack(packName);
+    return !!pack && pack.userId === userId;
+  }
+}
+
+// Export singleton instance
+module.exports = new UserPacksService();
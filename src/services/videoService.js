@@ -0,0 +1,243 @@
+/**
+ * Video Service
+ * Encodes Telegram video stickers (WebM VP9) with an external ffmpeg binary
+ *
+ * ffmpeg is resolved from FFMPEG_PATH (or PATH). Without it video templates
+ * fail with a ConfigurationError and static stickers keep working.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const logger = require('../utils/logger');
+const errorHandler = require('../utils/errorHandler');
+const { CONFIG } = require('../config/constants');
+
+class VideoService {
+  constructor() {
+    this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+    this.ffprobePath = process.env.FFPROBE_PATH || 'ffprobe';
+    this.ffmpegAvailable = null;
+    this.ffprobeAvailable = null;
+
+    logger.info('VideoService initialized', {
+      ffmpegPath: this.ffmpegPath
+    });
+  }
+
+  /**
+   * Check that a binary runs (result is cached)
+   */
+  checkBinary(binaryPath) {
+    const result = spawnSync(binaryPath, ['-version'], { timeout: 5000, stdio: 'ignore' });
+    return !result.error && result.status === 0;
+  }
+
+  /**
+   * Check whether ffmpeg is installed
+   * @returns {boolean}
+   */
+  isAvailable() {
+    if (this.ffmpegAvailable === null) {
+      this.ffmpegAvailable = this.checkBinary(this.ffmpegPath);
+
+      if (!this.ffmpegAvailable) {
+        logger.warn(`ffmpeg not found at "${this.ffmpegPath}" - video stickers are disabled`);
+      }
+    }
+
+    return this.ffmpegAvailable;
+  }
+
+  /**
+   * Check whether ffprobe is installed (used for output validation only)
+   * @returns {boolean}
+   */
+  isProbeAvailable() {
+    if (this.ffprobeAvailable === null) {
+      this.ffprobeAvailable = this.checkBinary(this.ffprobePath);
+    }
+
+    return this.ffprobeAvailable;
+  }
+
+  /**
+   * Run a binary and collect stdout
+   * @param {string} binaryPath - ffmpeg or ffprobe
+   * @param {Array<string>} args - Command line arguments
+   * @param {Buffer|null} input - Data written to stdin
+   * @returns {Promise<Buffer>} - stdout
+   */
+  run(binaryPath, args, input = null) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(binaryPath, args, {
+        stdio: [input ? 'pipe' : 'ignore', 'pipe', 'pipe']
+      });
+
+      const stdout = [];
+      let stderr = '';
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`${path.basename(binaryPath)} timed out after ${CONFIG.VIDEO_ENCODE_TIMEOUT}ms`));
+      }, CONFIG.VIDEO_ENCODE_TIMEOUT);
+
+      child.stdout.on('data', chunk => stdout.push(chunk));
+      child.stderr.on('data', chunk => {
+        // Keep the tail only - ffmpeg reports progress on stderr
+        stderr = (stderr + chunk.toString()).slice(-2000);
+      });
+
+      child.on('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      child.on('close', code => {
+        clearTimeout(timer);
+
+        if (code === 0) {
+          resolve(Buffer.concat(stdout));
+        } else {
+          reject(new Error(`${path.basename(binaryPath)} exited with code ${code}: ${stderr.trim()}`));
+        }
+      });
+
+      if (input) {
+        // EPIPE here means ffmpeg already failed; the close handler reports it
+        child.stdin.on('error', () => {});
+        child.stdin.end(input);
+      }
+    });
+  }
+
+  /**
+   * Common VP9 output arguments for a sticker
+   */
+  buildOutputArgs({ bitrate, maxDuration }, outputPath) {
+    return [
+      '-t', String(maxDuration),
+      '-an',
+      '-c:v', 'libvpx-vp9',
+      '-pix_fmt', 'yuva420p',
+      '-b:v', `${Math.round(bitrate / 1000)}k`,
+      '-crf', '32',
+      '-deadline', 'good',
+      '-row-mt', '1',
+      '-f', 'webm',
+      '-y', outputPath
+    ];
+  }
+
+  /**
+   * Run ffmpeg in a temporary directory and read the WebM it produced
+   * WebM needs a seekable output to get duration in the header, so no stdout piping
+   */
+  async encode(buildArgs, input = null) {
+    if (!this.isAvailable()) {
+      throw errorHandler.createError(
+        'ffmpeg is not installed - set FFMPEG_PATH to enable video stickers',
+        'ConfigurationError',
+        500
+      );
+    }
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'video-sticker-'));
+
+    try {
+      const outputPath = path.join(workDir, 'sticker.webm');
+      const args = await buildArgs(workDir, outputPath);
+
+      await this.run(this.ffmpegPath, ['-hide_banner', '-loglevel', 'error', ...args], input);
+
+      return await fs.readFile(outputPath);
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Encode raw RGBA frames (already resized and sampled at a constant rate)
+   * @param {Object} frames - { data, width, height, fps }
+   * @param {Object} options - { bitrate (bits/s), maxDuration (s) }
+   * @returns {Promise<Buffer>} - WebM VP9 sticker
+   */
+  async encodeFrames({ data, width, height, fps }, options) {
+    return this.encode((workDir, outputPath) => [
+      '-f', 'rawvideo',
+      '-pix_fmt', 'rgba',
+      '-s', `${width}x${height}`,
+      '-r', String(fps),
+      '-i', 'pipe:0',
+      ...this.buildOutputArgs(options, outputPath)
+    ], data);
+  }
+
+  /**
+   * Encode a clip ffmpeg can decode itself (WebM, APNG, MP4)
+   * Longer side is scaled to maxSize, frame rate capped at maxFps
+   * @param {Buffer} inputBuffer - Source clip
+   * @param {Object} options - { maxSize, maxFps, bitrate (bits/s), maxDuration (s) }
+   * @returns {Promise<Buffer>} - WebM VP9 sticker
+   */
+  async encodeClip(inputBuffer, options) {
+    const { maxSize, maxFps } = options;
+
+    // -2 keeps the shorter side even, which yuva420p needs
+    const scale = `scale='if(gte(iw,ih),${maxSize},-2)':'if(gte(iw,ih),-2,${maxSize})'`;
+
+    return this.encode(async (workDir, outputPath) => {
+      const inputPath = path.join(workDir, 'source');
+      await fs.writeFile(inputPath, inputBuffer);
+
+      return [
+        '-i', inputPath,
+        '-vf', scale,
+        '-fpsmax', String(maxFps),
+        ...this.buildOutputArgs(options, outputPath)
+      ];
+    });
+  }
+
+  /**
+   * Read stream info of a video sticker
+   * @param {Buffer} videoBuffer - WebM data
+   * @returns {Promise<Object|null>} - { codec, width, height, duration, hasAudio } or null without ffprobe
+   */
+  async probe(videoBuffer) {
+    if (!this.isProbeAvailable()) {
+      return null;
+    }
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'video-probe-'));
+
+    try {
+      const inputPath = path.join(workDir, 'sticker.webm');
+      await fs.writeFile(inputPath, videoBuffer);
+
+      const output = await this.run(this.ffprobePath, [
+        '-v', 'error',
+        '-show_entries', 'stream=codec_type,codec_name,width,height:format=duration',
+        '-of', 'json',
+        inputPath
+      ]);
+
+      const info = JSON.parse(output.toString());
+      const video = (info.streams || []).find(stream => stream.codec_type === 'video');
+
+      return {
+        codec: video?.codec_name || null,
+        width: video?.width || 0,
+        height: video?.height || 0,
+        duration: parseFloat(info.format?.duration) || 0,
+        hasAudio: (info.streams || []).some(stream => stream.codec_type === 'audio')
+      };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new VideoService();
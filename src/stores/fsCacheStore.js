@@ -0,0 +1,256 @@
+/**
+ * Filesystem cache store
+ * Content-addressed blob cache with size-bounded LRU eviction
+ *
+ * Each entry is two files named by sha256(key): <hash>.bin with the data
+ * and <hash>.json with metadata. The .bin mtime records last access so
+ * LRU order survives restarts.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+class FsCacheStore {
+  /**
+   * @param {Object} options - { directory, maxSize (bytes), name (for logs) }
+   */
+  constructor({ directory, maxSize, name = 'cache' }) {
+    this.directory = directory;
+    this.maxSize = maxSize;
+    this.name = name;
+
+    // key -> { file, size, hash, meta }; Map order is LRU order (oldest first)
+    this.index = new Map();
+    this.totalSize = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Hash a buffer or string (sha256, hex)
+   */
+  static hash(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  /**
+   * Load the index from disk once
+   */
+  async ready() {
+    if (!this.loading) {
+      this.loading = this.loadIndex();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Scan the cache directory and rebuild the in-memory index
+   */
+  async loadIndex() {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const files = await fs.readdir(this.directory);
+    const entries = [];
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const base = file.slice(0, -'.json'.length);
+
+      try {
+        const meta = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+        const stat = await fs.stat(path.join(this.directory, `${base}.bin`));
+
+        entries.push({
+          key: meta.key,
+          file: base,
+          size: stat.size,
+          hash: meta.hash,
+          meta: meta.meta || {},
+          accessedAt: stat.mtimeMs
+        });
+      } catch (error) {
+        // Half-written entry (crash during set) - drop it
+        await this.removeFiles(base);
+      }
+    }
+
+    entries
+      .sort((a, b) => a.accessedAt - b.accessedAt)
+      .forEach(entry => {
+        this.index.set(entry.key, entry);
+        this.totalSize += entry.size;
+      });
+
+    logger.info(`Cache "${this.name}" loaded`, {
+      directory: this.directory,
+      entries: this.index.size,
+      totalSize: this.totalSize,
+      maxSize: this.maxSize
+    });
+
+    await this.evict();
+  }
+
+  /**
+   * Get cached data
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} - { data, meta } or null on miss
+   */
+  async get(key) {
+    await this.ready();
+
+    const entry = this.index.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    const binPath = path.join(this.directory, `${entry.file}.bin`);
+
+    try {
+      const data = await fs.readFile(binPath);
+
+      // Content check catches truncated or tampered files
+      if (FsCacheStore.hash(data) !== entry.hash) {
+        logger.warn(`Cache "${this.name}" entry corrupted, dropping: ${key}`);
+        await this.delete(key);
+        return null;
+      }
+
+      // Move to the most recently used end
+      this.index.delete(key);
+      this.index.set(key, entry);
+
+      const now = new Date();
+      await fs.utimes(binPath, now, now).catch(() => {});
+
+      return { data, meta: entry.meta };
+
+    } catch (error) {
+      logger.warn(`Cache "${this.name}" read failed for ${key}: ${error.message}`);
+      await this.delete(key);
+      return null;
+    }
+  }
+
+  /**
+   * Store data
+   * @param {string} key - Cache key
+   * @param {Buffer} data - Data to cache
+   * @param {Object} meta - Extra metadata stored with the entry
+   */
+  async set(key, data, meta = {}) {
+    await this.ready();
+
+    if (data.length > this.maxSize) {
+      logger.warn(`Cache "${this.name}" entry too large to cache: ${key} (${data.length} bytes)`);
+      return;
+    }
+
+    const file = FsCacheStore.hash(key);
+    const hash = FsCacheStore.hash(data);
+
+    // Write data before metadata: an entry without .json is ignored on load
+    await fs.writeFile(path.join(this.directory, `${file}.bin`), data);
+    await fs.writeFile(
+      path.join(this.directory, `${file}.json`),
+      JSON.stringify({ key, hash, meta, createdAt: new Date().toISOString() })
+    );
+
+    const existing = this.index.get(key);
+    if (existing) {
+      this.totalSize -= existing.size;
+      this.index.delete(key);
+    }
+
+    this.index.set(key, { key, file, size: data.length, hash, meta });
+    this.totalSize += data.length;
+
+    await this.evict();
+  }
+
+  /**
+   * Refresh an entry's position without reading it
+   * @param {string} key - Cache key
+   */
+  async touch(key) {
+    await this.ready();
+
+    const entry = this.index.get(key);
+    if (!entry) return;
+
+    this.index.delete(key);
+    this.index.set(key, entry);
+
+    const now = new Date();
+    await fs.utimes(path.join(this.directory, `${entry.file}.bin`), now, now).catch(() => {});
+  }
+
+  /**
+   * Check whether a key is cached
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>}
+   */
+  async has(key) {
+    await this.ready();
+    return this.index.has(key);
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    const entry = this.index.get(key);
+    if (!entry) return;
+
+    this.index.delete(key);
+    this.totalSize -= entry.size;
+    await this.removeFiles(entry.file);
+  }
+
+  /**
+   * Evict least recently used entries until the cache fits maxSize
+   */
+  async evict() {
+    while (this.totalSize > this.maxSize && this.index.size > 0) {
+      const [oldestKey] = this.index.keys();
+
+      logger.info(`Cache "${this.name}" evicting ${oldestKey}`);
+      await this.delete(oldestKey);
+    }
+  }
+
+  /**
+   * Delete entry files, ignoring missing ones
+   */
+  async removeFiles(file) {
+    await Promise.all([
+      fs.unlink(path.join(this.directory, `${file}.bin`)).catch(() => {}),
+      fs.unlink(path.join(this.directory, `${file}.json`)).catch(() => {})
+    ]);
+  }
+
+  /**
+   * Remove all entries (for testing)
+   */
+  async clear() {
+    await this.ready();
+
+    for (const key of [...this.index.keys()]) {
+      await this.delete(key);
+    }
+  }
+
+  /**
+   * Get cache statistics
+   */
+  getStats() {
+    return {
+      entries: this.index.size,
+      totalSize: this.totalSize,
+      maxSize: this.maxSize
+    };
+  }
+}
+
+module.exports = FsCacheStore;
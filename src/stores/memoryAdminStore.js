@@ -0,0 +1,84 @@
+/**
+ * In-memory admin store (bans and audit log)
+ * Used when Supabase is not configured and in tests
+ */
+
+class MemoryAdminStore {
+  constructor() {
+    this.bans = new Map();
+    this.auditLog = [];
+    this.nextAuditId = 1;
+  }
+
+  /**
+   * Get the ban record of a user
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object|null>} - { userId, reason, bannedBy, createdAt } or null
+   */
+  async getBan(userId) {
+    const ban = this.bans.get(userId);
+    return ban ? { ...ban } : null;
+  }
+
+  /**
+   * Insert or replace a ban
+   * @param {Object} ban - { userId, reason, bannedBy }
+   * @returns {Promise<Object>} - Stored ban
+   */
+  async saveBan(ban) {
+    const stored = {
+      userId: ban.userId,
+      reason: ban.reason ?? null,
+      bannedBy: ban.bannedBy,
+      createdAt: new Date().toISOString()
+    };
+
+    this.bans.set(ban.userId, stored);
+    return { ...stored };
+  }
+
+  /**
+   * Remove a ban
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<boolean>} - False if the user wasn't banned
+   */
+  async deleteBan(userId) {
+    return this.bans.delete(userId);
+  }
+
+  /**
+   * Append an audit log entry
+   * @param {Object} entry - { actor, action, targetUserId, details, ip }
+   * @returns {Promise<Object>} - Stored entry with id and createdAt
+   */
+  async appendAuditEntry(entry) {
+    const stored = {
+      id: this.nextAuditId++,
+      actor: entry.actor,
+      action: entry.action,
+      targetUserId: entry.targetUserId ?? null,
+      details: entry.details || {},
+      ip: entry.ip ?? null,
+      createdAt: new Date().toISOString()
+    };
+
+    this.auditLog.push(stored);
+    return { ...stored };
+  }
+
+  /**
+   * List audit log entries, newest first
+   * @param {Object} filter - { targetUserId, limit }
+   * @returns {Promise<Array<Object>>} - Entries
+   */
+  async listAuditEntries(filter = {}) {
+    return this.auditLog
+      .filter(entry => !filter.targetUserId || entry.targetUserId === filter.targetUserId)
+      .slice()
+      .reverse()
+      .slice(0, filter.limit)
+      .map(entry => ({ ...entry }));
+  }
+}
+
+module.exports = MemoryAdminStore;
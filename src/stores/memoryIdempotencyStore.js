@@ -0,0 +1,73 @@
+/**
+ * In-memory idempotency store
+ * Used when Supabase is not configured and in tests
+ *
+ * Keys are kept in insertion order; with a single TTL that is also expiry order,
+ * so expired keys and the overflow above maxEntries are dropped from the front.
+ */
+
+class MemoryIdempotencyStore {
+  /**
+   * @param {Object} options - { maxEntries, now } (now: clock returning milliseconds)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || Infinity;
+    this.now = options.now || (() => Date.now());
+    this.keys = new Map();
+  }
+
+  /**
+   * Claim a key if it isn't held yet
+   * @param {string} key - Idempotency key
+   * @param {number} ttl - How long the key is held in ms
+   * @returns {Promise<boolean>} - False if the key was already claimed
+   */
+  async claim(key, ttl) {
+    const now = this.now();
+    this.dropExpired(now);
+
+    const expiresAt = this.keys.get(key);
+    if (expiresAt !== undefined && expiresAt > now) {
+      return false;
+    }
+
+    this.keys.delete(key);
+    this.keys.set(key, now + ttl);
+
+    while (this.keys.size > this.maxEntries) {
+      this.keys.delete(this.keys.keys().next().value);
+    }
+
+    return true;
+  }
+
+  /**
+   * Release a key so it can be claimed again
+   * @param {string} key - Idempotency key
+   */
+  async release(key) {
+    this.keys.delete(key);
+  }
+
+  /**
+   * Remove expired keys
+   * @returns {Promise<number>} - Number of removed keys
+   */
+  async purgeExpired() {
+    return this.dropExpired(this.now());
+  }
+
+  dropExpired(now) {
+    let removed = 0;
+
+    for (const [key, expiresAt] of this.keys) {
+      if (expiresAt > now) break;
+      this.keys.delete(key);
+      removed++;
+    }
+
+    return removed;
+  }
+}
+
+module.exports = MemoryIdempotencyStore;
@@ -0,0 +1,120 @@
+/**
+ * In-memory generation job store
+ * Used when Supabase is not configured and in tests
+ */
+
+const crypto = require('crypto');
+const { JOB_STATUSES } = require('../config/constants');
+
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  /**
+   * Create a new job record
+   * @param {Object} data - Job fields (userId, chatId, photoFileId, ...)
+   * @returns {Promise<Object>} - Created job
+   */
+  async create(data) {
+    const now = new Date().toISOString();
+    const job = {
+      id: data.id || crypto.randomUUID(),
+      userId: data.userId,
+      chatId: data.chatId,
+      messageId: data.messageId || null,
+      photoFileId: data.photoFileId,
+      firstName: data.firstName || null,
+      status: JOB_STATUSES.PENDING,
+      options: data.options || {},
+      progress: {},
+      result: null,
+      error: null,
+      attempts: 0,
+      rerunJobId: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    return { ...job };
+  }
+
+  /**
+   * Get job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} - Job or null if not found
+   */
+  async get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? { ...job } : null;
+  }
+
+  /**
+   * Apply a partial update to a job
+   * @param {string} jobId - Job ID
+   * @param {Object} patch - Fields to update
+   * @returns {Promise<Object|null>} - Updated job or null if not found
+   */
+  async update(jobId, patch) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return null;
+    }
+
+    Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+    return { ...job };
+  }
+
+  /**
+   * Record the rerun of a job unless it already has one
+   * @param {string} jobId - Job ID
+   * @param {string} rerunJobId - ID of the rerun job
+   * @returns {Promise<boolean>} - false if the job is missing or was already rerun
+   */
+  async claimRerun(jobId, rerunJobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.rerunJobId) {
+      return false;
+    }
+
+    job.rerunJobId = rerunJobId;
+    job.updatedAt = new Date().toISOString();
+    return true;
+  }
+
+  /**
+   * Find jobs in any of the given statuses, oldest first
+   * @param {Array<string>} statuses - Job statuses
+   * @returns {Promise<Array<Object>>} - Matching jobs
+   */
+  async findByStatus(statuses) {
+    return [...this.jobs.values()]
+      .filter(job => statuses.includes(job.status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(job => ({ ...job }));
+  }
+
+  /**
+   * Find jobs for a user, newest first
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Array<Object>>} - User jobs
+   */
+  async findByUser(userId) {
+    return [...this.jobs.values()]
+      .filter(job => job.userId === userId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(job => ({ ...job }));
+  }
+
+  /**
+   * Remove all jobs (for testing)
+   */
+  clear() {
+    this.jobs.clear();
+  }
+}
+
+module.exports = MemoryJobStore;
@@ -0,0 +1,300 @@
+/**
+ * In-memory quota store
+ * Used when Supabase is not configured and in tests
+ *
+ * Every method runs without awaiting in between reads and writes,
+ * so a reservation is atomic within the process.
+ */
+
+const crypto = require('crypto');
+
+class MemoryQuotaStore {
+  /**
+   * @param {Object} options - { now } clock returning milliseconds (tests move time)
+   */
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.quotas = new Map();
+    this.usage = new Map();
+    this.totals = new Map();
+    this.promoCodes = new Map();
+    this.redemptions = new Set();
+  }
+
+  /**
+   * Get the settings record of a user, creating a default one
+   */
+  ensureQuota(userId) {
+    if (!this.quotas.has(userId)) {
+      this.quotas.set(userId, {
+        userId,
+        policy: null,
+        dailyLimit: null,
+        weeklyLimit: null,
+        unlimited: false,
+        bonusCredits: 0
+      });
+    }
+
+    return this.quotas.get(userId);
+  }
+
+  /**
+   * Get per-user quota settings
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object|null>} - { userId, policy, dailyLimit, weeklyLimit, unlimited, bonusCredits } or null
+   */
+  async getUserQuota(userId) {
+    const quota = this.quotas.get(userId);
+    return quota ? { ...quota } : null;
+  }
+
+  /**
+   * Insert or update per-user quota settings
+   * @param {number} userId - Telegram user ID
+   * @param {Object} fields - { policy, dailyLimit, weeklyLimit, unlimited } (undefined keeps the value)
+   * @returns {Promise<Object>} - Stored settings
+   */
+  async upsertUserQuota(userId, fields) {
+    const stored = this.ensureQuota(userId);
+
+    for (const key of ['policy', 'dailyLimit', 'weeklyLimit', 'unlimited']) {
+      if (fields[key] !== undefined) {
+        stored[key] = fields[key];
+      }
+    }
+
+    return { ...stored };
+  }
+
+  /**
+   * Add (or with a negative value take) bonus credits
+   * @param {number} userId - Telegram user ID
+   * @param {number} credits - Credits to add
+   * @returns {Promise<number>} - New balance (never below zero)
+   */
+  async addBonusCredits(userId, credits) {
+    const stored = this.ensureQuota(userId);
+
+    stored.bonusCredits = Math.max(0, stored.bonusCredits + credits);
+    return stored.bonusCredits;
+  }
+
+  /**
+   * Check the rolling windows and reserve one generation
+   * Policy usage is counted per window; over the limit a bonus credit is spent instead
+   * @param {Object} params - { userId, dailyLimit, weeklyLimit, unlimited, windows, jobId, dryRun }
+   * @returns {Promise<Object>} - { allowed, reason, source, usageId, dailyUsed, weeklyUsed, retryAt, bonusCredits }
+   */
+  async reserve(params) {
+    const { userId, dailyLimit, weeklyLimit, unlimited, windows, jobId = null, dryRun = false } = params;
+    const now = this.now();
+    const quota = this.quotas.get(userId);
+
+    // Oldest first, so the entry that frees a slot is found by index
+    const policyUsage = [...this.usage.values()]
+      .filter(usage => usage.userId === userId && usage.source === 'policy' && usage.createdAt > now - windows.weekly)
+      .map(usage => usage.createdAt)
+      .sort((a, b) => a - b);
+    const dailyUsage = policyUsage.filter(createdAt => createdAt > now - windows.daily);
+
+    const result = {
+      allowed: true,
+      reason: null,
+      source: 'policy',
+      usageId: null,
+      dailyUsed: dailyUsage.length,
+      weeklyUsed: policyUsage.length,
+      retryAt: null,
+      bonusCredits: quota?.bonusCredits || 0
+    };
+
+    if (unlimited) {
+      result.source = 'unlimited';
+    } else {
+      if (weeklyLimit !== null && policyUsage.length >= weeklyLimit) {
+        result.reason = 'weekly_limit_exceeded';
+        result.retryAt = policyUsage[policyUsage.length - weeklyLimit] + windows.weekly;
+      } else if (dailyLimit !== null && dailyUsage.length >= dailyLimit) {
+        result.reason = 'daily_limit_exceeded';
+        result.retryAt = dailyUsage[dailyUsage.length - dailyLimit] + windows.daily;
+      }
+
+      if (result.reason) {
+        if (result.bonusCredits <= 0) {
+          result.allowed = false;
+          return result;
+        }
+
+        result.source = 'credit';
+      }
+    }
+
+    if (dryRun) {
+      return result;
+    }
+
+    if (result.source === 'credit') {
+      quota.bonusCredits -= 1;
+      result.bonusCredits = quota.bonusCredits;
+    } else if (result.source === 'policy') {
+      result.dailyUsed += 1;
+      result.weeklyUsed += 1;
+    }
+
+    result.usageId = crypto.randomUUID();
+    this.usage.set(result.usageId, {
+      id: result.usageId,
+      userId,
+      source: result.source,
+      status: 'reserved',
+      jobId,
+      createdAt: now
+    });
+
+    return result;
+  }
+
+  /**
+   * Mark a reservation as consumed and count the generation
+   * @param {string} usageId - Reservation ID
+   * @returns {Promise<boolean>} - False if the reservation is unknown or already settled
+   */
+  async commit(usageId) {
+    const usage = this.usage.get(usageId);
+
+    if (!usage || usage.status !== 'reserved') {
+      return false;
+    }
+
+    usage.status = 'consumed';
+    this.incrementTotals(usage.userId);
+    return true;
+  }
+
+  /**
+   * Drop a reservation that didn't produce a pack; a spent credit is returned
+   * @param {string} usageId - Reservation ID
+   * @returns {Promise<boolean>} - False if the reservation is unknown or already consumed
+   */
+  async release(usageId) {
+    const usage = this.usage.get(usageId);
+
+    if (!usage || usage.status !== 'reserved') {
+      return false;
+    }
+
+    this.usage.delete(usageId);
+
+    if (usage.source === 'credit') {
+      this.ensureQuota(usage.userId).bonusCredits += 1;
+    }
+
+    return true;
+  }
+
+  /**
+   * Increment the user's generation counter
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object>} - { totalGenerations, lastGeneration }
+   */
+  async recordGeneration(userId) {
+    return { ...this.incrementTotals(userId) };
+  }
+
+  /**
+   * Increment the counter without yielding (shared by commit and recordGeneration)
+   */
+  incrementTotals(userId) {
+    const totals = this.totals.get(userId) || { totalGenerations: 0, lastGeneration: null };
+
+    totals.totalGenerations += 1;
+    totals.lastGeneration = new Date(this.now()).toISOString().split('T')[0];
+    this.totals.set(userId, totals);
+
+    return totals;
+  }
+
+  /**
+   * Get the user's generation counter
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object|null>} - { totalGenerations, lastGeneration } or null for new users
+   */
+  async getTotals(userId) {
+    const totals = this.totals.get(userId);
+    return totals ? { ...totals } : null;
+  }
+
+  /**
+   * Forget consumed usage so the windows start over (reservations of running jobs stay)
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<number>} - Number of removed entries
+   */
+  async clearUsage(userId) {
+    let removed = 0;
+
+    for (const [id, usage] of this.usage) {
+      if (usage.userId === userId && usage.status === 'consumed') {
+        this.usage.delete(id);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Create a promo code
+   * @param {Object} promo - { code, credits, maxRedemptions, expiresAt }
+   * @returns {Promise<Object>} - Stored promo code
+   */
+  async createPromoCode(promo) {
+    const stored = {
+      code: promo.code,
+      credits: promo.credits,
+      maxRedemptions: promo.maxRedemptions ?? null,
+      redemptions: 0,
+      expiresAt: promo.expiresAt ?? null
+    };
+
+    this.promoCodes.set(promo.code, stored);
+    return { ...stored };
+  }
+
+  /**
+   * Redeem a promo code once per user and add its credits
+   * @param {number} userId - Telegram user ID
+   * @param {string} code - Normalized promo code
+   * @returns {Promise<Object>} - { ok, reason, credits, bonusCredits }
+   */
+  async redeemPromoCode(userId, code) {
+    const promo = this.promoCodes.get(code);
+    const redemptionKey = `${code}:${userId}`;
+
+    if (!promo) {
+      return { ok: false, reason: 'not_found' };
+    }
+
+    if (promo.expiresAt && new Date(promo.expiresAt).getTime() <= this.now()) {
+      return { ok: false, reason: 'expired' };
+    }
+
+    if (this.redemptions.has(redemptionKey)) {
+      return { ok: false, reason: 'already_redeemed' };
+    }
+
+    if (promo.maxRedemptions !== null && promo.redemptions >= promo.maxRedemptions) {
+      return { ok: false, reason: 'exhausted' };
+    }
+
+    this.redemptions.add(redemptionKey);
+    promo.redemptions += 1;
+
+    const quota = this.ensureQuota(userId);
+    quota.bonusCredits += promo.credits;
+
+    return { ok: true, reason: null, credits: promo.credits, bonusCredits: quota.bonusCredits };
+  }
+}
+
+module.exports = MemoryQuotaStore;
@@ -0,0 +1,99 @@
+/**
+ * In-memory conversation state store
+ * Used when Supabase is not configured and in tests
+ *
+ * A chat without a record (or with an expired one) is IDLE.
+ * compareAndSet runs without awaiting between the read and the write,
+ * so transitions are atomic within the process.
+ */
+
+const { BOT_STATES } = require('../config/constants');
+
+class MemoryStateStore {
+  /**
+   * @param {Object} options - { now } clock returning milliseconds (tests move time)
+   */
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.states = new Map();
+  }
+
+  /**
+   * Get the live record of a chat, dropping it if expired
+   */
+  getRecord(chatId) {
+    const record = this.states.get(chatId);
+
+    if (record && record.expiresAt !== null && record.expiresAt <= this.now()) {
+      this.states.delete(chatId);
+      return null;
+    }
+
+    return record || null;
+  }
+
+  /**
+   * Get the state of a chat
+   * @param {number} chatId - Chat ID
+   * @returns {Promise<Object|null>} - { chatId, state, expiresAt, updatedAt } or null when IDLE
+   */
+  async get(chatId) {
+    const record = this.getRecord(chatId);
+
+    if (!record) return null;
+
+    return {
+      chatId,
+      state: record.state,
+      expiresAt: record.expiresAt === null ? null : new Date(record.expiresAt).toISOString(),
+      updatedAt: new Date(record.updatedAt).toISOString()
+    };
+  }
+
+  /**
+   * Move a chat to the next state if it is still in the expected one
+   * @param {number} chatId - Chat ID
+   * @param {string} expected - State the chat must be in
+   * @param {string} next - New state (IDLE removes the record)
+   * @param {number|null} ttl - Lifetime of the new state in ms, null = no expiry
+   * @returns {Promise<boolean>} - False if the chat was in another state
+   */
+  async compareAndSet(chatId, expected, next, ttl) {
+    const current = this.getRecord(chatId)?.state || BOT_STATES.IDLE;
+
+    if (current !== expected) {
+      return false;
+    }
+
+    this.write(chatId, next, ttl);
+    return true;
+  }
+
+  /**
+   * Set the state of a chat unconditionally
+   * @param {number} chatId - Chat ID
+   * @param {string} state - New state (IDLE removes the record)
+   * @param {number|null} ttl - Lifetime in ms, null = no expiry
+   */
+  async set(chatId, state, ttl) {
+    this.write(chatId, state, ttl);
+  }
+
+  write(chatId, state, ttl) {
+    if (state === BOT_STATES.IDLE) {
+      this.states.delete(chatId);
+      return;
+    }
+
+    const now = this.now();
+
+    this.states.set(chatId, {
+      chatId,
+      state,
+      expiresAt: ttl ? now + ttl : null,
+      updatedAt: now
+    });
+  }
+}
+
+module.exports = MemoryStateStore;
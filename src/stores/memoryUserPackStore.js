@@ -0,0 +1,72 @@
+/**
+ * In-memory user pack store
+ * Used when Supabase is not configured and in tests
+ */
+
+class MemoryUserPackStore {
+  constructor() {
+    this.packs = new Map();
+  }
+
+  /**
+   * Insert or update a pack record
+   * @param {Object} pack - { userId, packName, title, stickerCount }
+   * @returns {Promise<Object>} - Stored pack
+   */
+  async upsert(pack) {
+    const now = new Date().toISOString();
+    const existing = this.packs.get(pack.packName);
+
+    const stored = {
+      userId: pack.userId,
+      packName: pack.packName,
+      title: pack.title ?? existing?.title ?? null,
+      stickerCount: pack.stickerCount ?? existing?.stickerCount ?? 0,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    this.packs.set(pack.packName, stored);
+    return { ...stored };
+  }
+
+  /**
+   * Get pack by name
+   * @param {string} packName - Sticker set name
+   * @returns {Promise<Object|null>} - Pack or null if not found
+   */
+  async get(packName) {
+    const pack = this.packs.get(packName);
+    return pack ? { ...pack } : null;
+  }
+
+  /**
+   * Find packs for a user, most recently updated first
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Array<Object>>} - User packs
+   */
+  async findByUser(userId) {
+    return [...this.packs.values()]
+      .filter(pack => pack.userId === userId)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(pack => ({ ...pack }));
+  }
+
+  /**
+   * Delete pack record by name
+   * @param {string} packName - Sticker set name
+   * @returns {Promise<boolean>} - True if a record was removed
+   */
+  async delete(packName) {
+    return this.packs.delete(packName);
+  }
+
+  /**
+   * Remove all packs (for testing)
+   */
+  clear() {
+    this.packs.clear();
+  }
+}
+
+module.exports = MemoryUserPackStore;
@@ -0,0 +1,159 @@
+/**
+ * Supabase admin store
+ * Persists bans in user_bans and admin actions in admin_audit_log
+ */
+
+const errorHandler = require('../utils/errorHandler');
+
+class SupabaseAdminStore {
+  /**
+   * @param {Object} supabase - Supabase client
+   */
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  /**
+   * Convert a user_bans row to a ban object
+   */
+  fromBanRow(row) {
+    if (!row) return null;
+
+    return {
+      userId: Number(row.user_id),
+      reason: row.reason,
+      bannedBy: row.banned_by,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Convert an admin_audit_log row to an entry object
+   */
+  fromAuditRow(row) {
+    return {
+      id: Number(row.id),
+      actor: row.actor,
+      action: row.action,
+      targetUserId: row.target_user_id === null ? null : Number(row.target_user_id),
+      details: row.details || {},
+      ip: row.ip,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Get the ban record of a user
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object|null>} - { userId, reason, bannedBy, createdAt } or null
+   */
+  async getBan(userId) {
+    const { data: row, error } = await this.supabase
+      .from('user_bans')
+      .select('*')
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // PGRST116 = no rows found
+      throw errorHandler.handleDatabaseError(error, { method: 'getBan', userId });
+    }
+
+    return this.fromBanRow(row);
+  }
+
+  /**
+   * Insert or replace a ban
+   * @param {Object} ban - { userId, reason, bannedBy }
+   * @returns {Promise<Object>} - Stored ban
+   */
+  async saveBan(ban) {
+    const { data: rows, error } = await this.supabase
+      .from('user_bans')
+      .upsert({
+        user_id: ban.userId,
+        reason: ban.reason ?? null,
+        banned_by: ban.bannedBy,
+        created_at: new Date().toISOString()
+      }, {
+        onConflict: 'user_id',
+        ignoreDuplicates: false
+      })
+      .select();
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'saveBan', userId: ban.userId });
+    }
+
+    return this.fromBanRow(rows?.[0]);
+  }
+
+  /**
+   * Remove a ban
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<boolean>} - False if the user wasn't banned
+   */
+  async deleteBan(userId) {
+    const { data: rows, error } = await this.supabase
+      .from('user_bans')
+      .delete()
+      .eq('user_id', userId)
+      .select('user_id');
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'deleteBan', userId });
+    }
+
+    return (rows || []).length > 0;
+  }
+
+  /**
+   * Append an audit log entry
+   * @param {Object} entry - { actor, action, targetUserId, details, ip }
+   * @returns {Promise<Object>} - Stored entry with id and createdAt
+   */
+  async appendAuditEntry(entry) {
+    const { data: rows, error } = await this.supabase
+      .from('admin_audit_log')
+      .insert([{
+        actor: entry.actor,
+        action: entry.action,
+        target_user_id: entry.targetUserId ?? null,
+        details: entry.details || {},
+        ip: entry.ip ?? null
+      }])
+      .select();
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'appendAuditEntry', action: entry.action });
+    }
+
+    return this.fromAuditRow(rows[0]);
+  }
+
+  /**
+   * List audit log entries, newest first
+   * @param {Object} filter - { targetUserId, limit }
+   * @returns {Promise<Array<Object>>} - Entries
+   */
+  async listAuditEntries(filter = {}) {
+    let query = this.supabase
+      .from('admin_audit_log')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(filter.limit);
+
+    if (filter.targetUserId) {
+      query = query.eq('target_user_id', filter.targetUserId);
+    }
+
+    const { data: rows, error } = await query;
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'listAuditEntries' });
+    }
+
+    return (rows || []).map(row => this.fromAuditRow(row));
+  }
+}
+
+module.exports = SupabaseAdminStore;
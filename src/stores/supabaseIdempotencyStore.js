@@ -0,0 +1,69 @@
+/**
+ * Supabase idempotency store
+ * Keeps processed keys in processed_updates; claims go through claim_idempotency_key()
+ */
+
+const errorHandler = require('../utils/errorHandler');
+
+class SupabaseIdempotencyStore {
+  /**
+   * @param {Object} supabase - Supabase client
+   */
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  /**
+   * Claim a key if it isn't held yet
+   * @param {string} key - Idempotency key
+   * @param {number} ttl - How long the key is held in ms
+   * @returns {Promise<boolean>} - False if the key was already claimed
+   */
+  async claim(key, ttl) {
+    const { data, error } = await this.supabase.rpc('claim_idempotency_key', {
+      p_key: key,
+      p_ttl_seconds: Math.ceil(ttl / 1000)
+    });
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'claim_idempotency_key', key });
+    }
+
+    return data === true;
+  }
+
+  /**
+   * Release a key so it can be claimed again
+   * @param {string} key - Idempotency key
+   */
+  async release(key) {
+    const { error } = await this.supabase
+      .from('processed_updates')
+      .delete()
+      .eq('key', key);
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'releaseIdempotencyKey', key });
+    }
+  }
+
+  /**
+   * Remove expired keys
+   * @returns {Promise<number>} - Number of removed keys
+   */
+  async purgeExpired() {
+    const { data: rows, error } = await this.supabase
+      .from('processed_updates')
+      .delete()
+      .lte('expires_at', new Date().toISOString())
+      .select('key');
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'purgeExpiredIdempotencyKeys' });
+    }
+
+    return (rows || []).length;
+  }
+}
+
+module.exports = SupabaseIdempotencyStore;
@@ -0,0 +1,204 @@
+/**
+ * Supabase generation job store
+ * Persists jobs in the generation_jobs table so they survive restarts
+ */
+
+const errorHandler = require('../utils/errorHandler');
+const { JOB_STATUSES } = require('../config/constants');
+
+// JS field name -> generation_jobs column
+const COLUMNS = {
+  id: 'id',
+  userId: 'user_id',
+  chatId: 'chat_id',
+  messageId: 'message_id',
+  photoFileId: 'photo_file_id',
+  firstName: 'first_name',
+  status: 'status',
+  options: 'options',
+  progress: 'progress',
+  result: 'result',
+  error: 'error_message',
+  attempts: 'attempts',
+  rerunJobId: 'rerun_job_id',
+  startedAt: 'started_at',
+  completedAt: 'completed_at'
+};
+
+class SupabaseJobStore {
+  /**
+   * @param {Object} supabase - Supabase client
+   */
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.table = 'generation_jobs';
+  }
+
+  /**
+   * Convert a database row to a job object
+   */
+  fromRow(row) {
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      userId: Number(row.user_id),
+      chatId: Number(row.chat_id),
+      messageId: row.message_id ? Number(row.message_id) : null,
+      photoFileId: row.photo_file_id,
+      firstName: row.first_name,
+      status: row.status,
+      options: row.options || {},
+      progress: row.progress || {},
+      result: row.result,
+      error: row.error_message,
+      attempts: row.attempts || 0,
+      rerunJobId: row.rerun_job_id || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      startedAt: row.started_at,
+      completedAt: row.completed_at
+    };
+  }
+
+  /**
+   * Convert job fields to database columns
+   */
+  toRow(fields) {
+    const row = {};
+    for (const [key, value] of Object.entries(fields)) {
+      if (COLUMNS[key]) {
+        row[COLUMNS[key]] = value;
+      }
+    }
+    return row;
+  }
+
+  /**
+   * Create a new job record
+   * @param {Object} data - Job fields (userId, chatId, photoFileId, ...)
+   * @returns {Promise<Object>} - Created job
+   */
+  async create(data) {
+    const { data: rows, error } = await this.supabase
+      .from(this.table)
+      .insert([this.toRow({
+        ...data,
+        status: JOB_STATUSES.PENDING,
+        options: data.options || {},
+        progress: {},
+        attempts: 0
+      })])
+      .select();
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'createJob', userId: data.userId });
+    }
+
+    return this.fromRow(rows[0]);
+  }
+
+  /**
+   * Get job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} - Job or null if not found
+   */
+  async get(jobId) {
+    const { data: row, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('id', jobId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // PGRST116 = no rows found
+      throw errorHandler.handleDatabaseError(error, { method: 'getJob', jobId });
+    }
+
+    return this.fromRow(row);
+  }
+
+  /**
+   * Apply a partial update to a job
+   * @param {string} jobId - Job ID
+   * @param {Object} patch - Fields to update
+   * @returns {Promise<Object|null>} - Updated job or null if not found
+   */
+  async update(jobId, patch) {
+    const { data: rows, error } = await this.supabase
+      .from(this.table)
+      .update({
+        ...this.toRow(patch),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', jobId)
+      .select();
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'updateJob', jobId });
+    }
+
+    return this.fromRow(rows?.[0]);
+  }
+
+  /**
+   * Record the rerun of a job unless it already has one
+   * The filter on rerun_job_id makes the check and the write one statement
+   * @param {string} jobId - Job ID
+   * @param {string} rerunJobId - ID of the rerun job
+   * @returns {Promise<boolean>} - false if the job is missing or was already rerun
+   */
+  async claimRerun(jobId, rerunJobId) {
+    const { data: rows, error } = await this.supabase
+      .from(this.table)
+      .update({ rerun_job_id: rerunJobId, updated_at: new Date().toISOString() })
+      .eq('id', jobId)
+      .is('rerun_job_id', null)
+      .select('id');
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'claimRerun', jobId });
+    }
+
+    return (rows?.length || 0) > 0;
+  }
+
+  /**
+   * Find jobs in any of the given statuses, oldest first
+   * @param {Array<string>} statuses - Job statuses
+   * @returns {Promise<Array<Object>>} - Matching jobs
+   */
+  async findByStatus(statuses) {
+    const { data: rows, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .in('status', statuses)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'findJobsByStatus', statuses });
+    }
+
+    return (rows || []).map(row => this.fromRow(row));
+  }
+
+  /**
+   * Find jobs for a user, newest first
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Array<Object>>} - User jobs
+   */
+  async findByUser(userId) {
+    const { data: rows, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'findJobsByUser', userId });
+    }
+
+    return (rows || []).map(row => this.fromRow(row));
+  }
+}
+
+module.exports = SupabaseJobStore;
@@ -0,0 +1,261 @@
+/**
+ * Supabase quota store
+ * Check-and-reserve runs in SQL functions (sql/004_quotas.sql) under a per-user lock,
+ * so concurrent requests can't both pass the limit
+ */
+
+const errorHandler = require('../utils/errorHandler');
+
+class SupabaseQuotaStore {
+  /**
+   * @param {Object} supabase - Supabase client
+   */
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.table = 'user_quotas';
+  }
+
+  /**
+   * Call a SQL function and return its result
+   */
+  async rpc(fn, params, context = {}) {
+    const { data, error } = await this.supabase.rpc(fn, params);
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: fn, ...context });
+    }
+
+    return data;
+  }
+
+  /**
+   * Convert a user_quotas row to a settings object
+   */
+  fromRow(row) {
+    if (!row) return null;
+
+    return {
+      userId: Number(row.user_id),
+      policy: row.policy,
+      dailyLimit: row.daily_limit,
+      weeklyLimit: row.weekly_limit,
+      unlimited: !!row.unlimited,
+      bonusCredits: row.bonus_credits || 0
+    };
+  }
+
+  /**
+   * Get per-user quota settings
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object|null>} - { userId, policy, dailyLimit, weeklyLimit, unlimited, bonusCredits } or null
+   */
+  async getUserQuota(userId) {
+    const { data: row, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // PGRST116 = no rows found
+      throw errorHandler.handleDatabaseError(error, { method: 'getUserQuota', userId });
+    }
+
+    return this.fromRow(row);
+  }
+
+  /**
+   * Insert or update per-user quota settings
+   * @param {number} userId - Telegram user ID
+   * @param {Object} fields - { policy, dailyLimit, weeklyLimit, unlimited } (undefined keeps the value)
+   * @returns {Promise<Object>} - Stored settings
+   */
+  async upsertUserQuota(userId, fields) {
+    const row = {
+      user_id: userId,
+      updated_at: new Date().toISOString()
+    };
+
+    if (fields.policy !== undefined) row.policy = fields.policy;
+    if (fields.dailyLimit !== undefined) row.daily_limit = fields.dailyLimit;
+    if (fields.weeklyLimit !== undefined) row.weekly_limit = fields.weeklyLimit;
+    if (fields.unlimited !== undefined) row.unlimited = fields.unlimited;
+
+    const { data: rows, error } = await this.supabase
+      .from(this.table)
+      .upsert(row, {
+        onConflict: 'user_id',
+        ignoreDuplicates: false
+      })
+      .select();
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'upsertUserQuota', userId });
+    }
+
+    return this.fromRow(rows?.[0]);
+  }
+
+  /**
+   * Add (or with a negative value take) bonus credits
+   * @param {number} userId - Telegram user ID
+   * @param {number} credits - Credits to add
+   * @returns {Promise<number>} - New balance (never below zero)
+   */
+  async addBonusCredits(userId, credits) {
+    return this.rpc('add_bonus_credits', { p_user_id: userId, p_credits: credits }, { userId });
+  }
+
+  /**
+   * Check the rolling windows and reserve one generation
+   * @param {Object} params - { userId, dailyLimit, weeklyLimit, unlimited, windows, jobId, dryRun }
+   * @returns {Promise<Object>} - { allowed, reason, source, usageId, dailyUsed, weeklyUsed, retryAt, bonusCredits }
+   */
+  async reserve(params) {
+    const { userId, dailyLimit, weeklyLimit, unlimited, windows, jobId = null, dryRun = false } = params;
+
+    const result = await this.rpc('reserve_quota', {
+      p_user_id: userId,
+      p_daily_limit: dailyLimit,
+      p_weekly_limit: weeklyLimit,
+      p_unlimited: unlimited,
+      p_daily_window_seconds: Math.round(windows.daily / 1000),
+      p_weekly_window_seconds: Math.round(windows.weekly / 1000),
+      p_job_id: jobId,
+      p_dry_run: dryRun
+    }, { userId });
+
+    return {
+      allowed: !!result.allowed,
+      reason: result.reason,
+      source: result.source,
+      usageId: result.usage_id,
+      dailyUsed: result.daily_used,
+      weeklyUsed: result.weekly_used,
+      retryAt: result.retry_at ? Date.parse(result.retry_at) : null,
+      bonusCredits: result.bonus_credits || 0
+    };
+  }
+
+  /**
+   * Mark a reservation as consumed and count the generation
+   * @param {string} usageId - Reservation ID
+   * @returns {Promise<boolean>} - False if the reservation is unknown or already settled
+   */
+  async commit(usageId) {
+    return this.rpc('commit_quota', { p_usage_id: usageId }, { usageId });
+  }
+
+  /**
+   * Drop a reservation that didn't produce a pack; a spent credit is returned
+   * @param {string} usageId - Reservation ID
+   * @returns {Promise<boolean>} - False if the reservation is unknown or already consumed
+   */
+  async release(usageId) {
+    return this.rpc('release_quota', { p_usage_id: usageId }, { usageId });
+  }
+
+  /**
+   * Increment the user's generation counter
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object>} - { totalGenerations, lastGeneration }
+   */
+  async recordGeneration(userId) {
+    const totalGenerations = await this.rpc('record_generation', { p_user_id: userId }, { userId });
+
+    return {
+      totalGenerations,
+      lastGeneration: new Date().toISOString().split('T')[0]
+    };
+  }
+
+  /**
+   * Get the user's generation counter
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Object|null>} - { totalGenerations, lastGeneration } or null for new users
+   */
+  async getTotals(userId) {
+    const { data: row, error } = await this.supabase
+      .from('user_limits')
+      .select('total_generations, last_generation')
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // PGRST116 = no rows found
+      throw errorHandler.handleDatabaseError(error, { method: 'getGenerationTotals', userId });
+    }
+
+    return row ? {
+      totalGenerations: row.total_generations || 0,
+      lastGeneration: row.last_generation
+    } : null;
+  }
+
+  /**
+   * Forget consumed usage so the windows start over (reservations of running jobs stay)
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<number>} - Number of removed entries
+   */
+  async clearUsage(userId) {
+    const { data: rows, error } = await this.supabase
+      .from('quota_usage')
+      .delete()
+      .eq('user_id', userId)
+      .eq('status', 'consumed')
+      .select('id');
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'clearQuotaUsage', userId });
+    }
+
+    return (rows || []).length;
+  }
+
+  /**
+   * Create a promo code
+   * @param {Object} promo - { code, credits, maxRedemptions, expiresAt }
+   * @returns {Promise<Object>} - Stored promo code
+   */
+  async createPromoCode(promo) {
+    const { data: rows, error } = await this.supabase
+      .from('promo_codes')
+      .insert([{
+        code: promo.code,
+        credits: promo.credits,
+        max_redemptions: promo.maxRedemptions ?? null,
+        expires_at: promo.expiresAt ?? null
+      }])
+      .select();
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'createPromoCode', code: promo.code });
+    }
+
+    const row = rows[0];
+    return {
+      code: row.code,
+      credits: row.credits,
+      maxRedemptions: row.max_redemptions,
+      redemptions: row.redemptions,
+      expiresAt: row.expires_at
+    };
+  }
+
+  /**
+   * Redeem a promo code once per user and add its credits
+   * @param {number} userId - Telegram user ID
+   * @param {string} code - Normalized promo code
+   * @returns {Promise<Object>} - { ok, reason, credits, bonusCredits }
+   */
+  async redeemPromoCode(userId, code) {
+    const result = await this.rpc('redeem_promo_code', { p_user_id: userId, p_code: code }, { userId });
+
+    return {
+      ok: !!result.ok,
+      reason: result.reason,
+      credits: result.credits,
+      bonusCredits: result.bonus_credits
+    };
+  }
+}
+
+module.exports = SupabaseQuotaStore;
@@ -0,0 +1,92 @@
+/**
+ * Supabase conversation state store
+ * Persists states in bot_states; transitions go through transition_bot_state()
+ */
+
+const errorHandler = require('../utils/errorHandler');
+const { BOT_STATES } = require('../config/constants');
+
+class SupabaseStateStore {
+  /**
+   * @param {Object} supabase - Supabase client
+   */
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  /**
+   * Get the state of a chat
+   * @param {number} chatId - Chat ID
+   * @returns {Promise<Object|null>} - { chatId, state, expiresAt, updatedAt } or null when IDLE
+   */
+  async get(chatId) {
+    const { data: row, error } = await this.supabase
+      .from('bot_states')
+      .select('*')
+      .eq('chat_id', chatId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // PGRST116 = no rows found
+      throw errorHandler.handleDatabaseError(error, { method: 'getState', chatId });
+    }
+
+    if (!row || (row.expires_at && new Date(row.expires_at).getTime() <= Date.now())) {
+      return null;
+    }
+
+    return {
+      chatId: Number(row.chat_id),
+      state: row.state,
+      expiresAt: row.expires_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Move a chat to the next state if it is still in the expected one
+   * @param {number} chatId - Chat ID
+   * @param {string} expected - State the chat must be in
+   * @param {string} next - New state (IDLE removes the record)
+   * @param {number|null} ttl - Lifetime of the new state in ms, null = no expiry
+   * @returns {Promise<boolean>} - False if the chat was in another state
+   */
+  async compareAndSet(chatId, expected, next, ttl) {
+    const { data, error } = await this.supabase.rpc('transition_bot_state', {
+      p_chat_id: chatId,
+      p_expected: expected,
+      p_next: next,
+      p_ttl_seconds: ttl ? Math.ceil(ttl / 1000) : null
+    });
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'transition_bot_state', chatId, expected, next });
+    }
+
+    return data === true;
+  }
+
+  /**
+   * Set the state of a chat unconditionally
+   * @param {number} chatId - Chat ID
+   * @param {string} state - New state (IDLE removes the record)
+   * @param {number|null} ttl - Lifetime in ms, null = no expiry
+   */
+  async set(chatId, state, ttl) {
+    const query = state === BOT_STATES.IDLE
+      ? this.supabase.from('bot_states').delete().eq('chat_id', chatId)
+      : this.supabase.from('bot_states').upsert({
+        chat_id: chatId,
+        state,
+        expires_at: ttl ? new Date(Date.now() + ttl).toISOString() : null,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'chat_id' });
+
+    const { error } = await query;
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'setState', chatId, state });
+    }
+  }
+}
+
+module.exports = SupabaseStateStore;
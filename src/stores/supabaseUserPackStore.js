@@ -0,0 +1,121 @@
+/**
+ * Supabase user pack store
+ * Persists pack ownership in the user_packs table
+ */
+
+const errorHandler = require('../utils/errorHandler');
+
+class SupabaseUserPackStore {
+  /**
+   * @param {Object} supabase - Supabase client
+   */
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.table = 'user_packs';
+  }
+
+  /**
+   * Convert a database row to a pack object
+   */
+  fromRow(row) {
+    if (!row) return null;
+
+    return {
+      userId: Number(row.user_id),
+      packName: row.pack_name,
+      title: row.title,
+      stickerCount: row.sticker_count || 0,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Insert or update a pack record
+   * @param {Object} pack - { userId, packName, title, stickerCount }
+   * @returns {Promise<Object>} - Stored pack
+   */
+  async upsert(pack) {
+    const row = {
+      user_id: pack.userId,
+      pack_name: pack.packName,
+      updated_at: new Date().toISOString()
+    };
+
+    if (pack.title !== undefined) row.title = pack.title;
+    if (pack.stickerCount !== undefined) row.sticker_count = pack.stickerCount;
+
+    const { data: rows, error } = await this.supabase
+      .from(this.table)
+      .upsert(row, {
+        onConflict: 'pack_name',
+        ignoreDuplicates: false
+      })
+      .select();
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'upsertUserPack', packName: pack.packName });
+    }
+
+    return this.fromRow(rows?.[0]);
+  }
+
+  /**
+   * Get pack by name
+   * @param {string} packName - Sticker set name
+   * @returns {Promise<Object|null>} - Pack or null if not found
+   */
+  async get(packName) {
+    const { data: row, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('pack_name', packName)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // PGRST116 = no rows found
+      throw errorHandler.handleDatabaseError(error, { method: 'getUserPack', packName });
+    }
+
+    return this.fromRow(row);
+  }
+
+  /**
+   * Find packs for a user, most recently updated first
+   * @param {number} userId - Telegram user ID
+   * @returns {Promise<Array<Object>>} - User packs
+   */
+  async findByUser(userId) {
+    const { data: rows, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('user_id', userId)
+      .order('updated_at', { ascending: false });
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'findUserPacks', userId });
+    }
+
+    return (rows || []).map(row => this.fromRow(row));
+  }
+
+  /**
+   * Delete pack record by name
+   * @param {string} packName - Sticker set name
+   * @returns {Promise<boolean>} - True if a record was removed
+   */
+  async delete(packName) {
+    const { data: rows, error } = await this.supabase
+      .from(this.table)
+      .delete()
+      .eq('pack_name', packName)
+      .select();
+
+    if (error) {
+      throw errorHandler.handleDatabaseError(error, { method: 'deleteUserPack', packName });
+    }
+
+    return (rows || []).length > 0;
+  }
+}
+
+module.exports = SupabaseUserPackStore;
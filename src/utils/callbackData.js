@@ -0,0 +1,109 @@
+/**
+ * Callback data utility
+ * Signs and verifies inline keyboard callback_data so users can't forge button presses
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+const errorHandler = require('./errorHandler');
+const { VALIDATION } = require('../config/constants');
+
+const SEPARATOR = ':';
+const ARGS_SEPARATOR = ',';
+const SIGNATURE_LENGTH = 10; // base64url chars (60 bits of HMAC-SHA256)
+
+class CallbackData {
+  constructor() {
+    this.secret = process.env.CALLBACK_DATA_SECRET || process.env.TELEGRAM_BOT_TOKEN;
+
+    if (!this.secret || this.secret === 'your_telegram_bot_token') {
+      // Buttons sent before a restart stop working, which is acceptable for a fallback
+      logger.warn('CALLBACK_DATA_SECRET not configured, using a random per-process secret');
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+
+  /**
+   * Compute signature for callback payload bound to a user
+   * @param {string} payload - action and args part of callback data
+   * @param {number} userId - Telegram user ID allowed to press the button
+   * @returns {string} - Truncated base64url HMAC
+   */
+  sign(payload, userId) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${userId}${SEPARATOR}${payload}`)
+      .digest('base64url')
+      .slice(0, SIGNATURE_LENGTH);
+  }
+
+  /**
+   * Build signed callback_data for an inline keyboard button
+   * @param {string} action - Route name (letters, digits, underscore)
+   * @param {Array<string|number>} args - Route arguments
+   * @param {number} userId - Telegram user ID allowed to press the button
+   * @returns {string} - callback_data value
+   */
+  encode(action, args = [], userId) {
+    if (!action || !/^\w+$/.test(action)) {
+      throw errorHandler.createError(`Invalid callback action: ${action}`, 'ValidationError', 400);
+    }
+
+    const argsString = args.map(String).join(ARGS_SEPARATOR);
+
+    if (argsString.includes(SEPARATOR)) {
+      throw errorHandler.createError(`Callback arguments must not contain "${SEPARATOR}"`, 'ValidationError', 400);
+    }
+
+    const payload = `${action}${SEPARATOR}${argsString}`;
+    const data = `${payload}${SEPARATOR}${this.sign(payload, userId)}`;
+
+    // Telegram limits callback_data to 64 bytes, not characters
+    if (Buffer.byteLength(data, 'utf8') > VALIDATION.MAX_CALLBACK_DATA_LENGTH) {
+      throw errorHandler.createError(
+        `Callback data too long (max ${VALIDATION.MAX_CALLBACK_DATA_LENGTH} bytes): ${action}`,
+        'ValidationError',
+        400
+      );
+    }
+
+    return data;
+  }
+
+  /**
+   * Verify and parse callback_data from a callback query
+   * @param {string} data - callback_data value
+   * @param {number} userId - Telegram user ID who pressed the button
+   * @returns {Object|null} - { action, args } or null if data is malformed or forged
+   */
+  decode(data, userId) {
+    if (!data || typeof data !== 'string') {
+      return null;
+    }
+
+    if (Buffer.byteLength(data, 'utf8') > VALIDATION.MAX_CALLBACK_DATA_LENGTH) {
+      return null;
+    }
+
+    const parts = data.split(SEPARATOR);
+    if (parts.length !== 3) {
+      return null;
+    }
+
+    const [action, argsString, signature] = parts;
+    const expected = this.sign(`${action}${SEPARATOR}${argsString}`, userId);
+
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return null;
+    }
+
+    return {
+      action,
+      args: argsString ? argsString.split(ARGS_SEPARATOR) : []
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new CallbackData();
@@ -0,0 +1,109 @@
+/**
+ * Cancellation utility
+ * Generations are cancelled with a standard AbortController: the controller owns it,
+ * services take its AbortSignal ({ signal } option) and pass it on to axios and to
+ * provider polling. The abort reason is a CancelledError that says why
+ * ('user' for the Cancel button or /cancel, 'timeout' for the pipeline deadline),
+ * so every layer rethrows the same error and the controller can tell the two apart.
+ */
+
+const errorHandler = require('./errorHandler');
+
+const CANCEL_REASONS = {
+  USER: 'user',
+  TIMEOUT: 'timeout'
+};
+
+class Cancellation {
+  constructor() {
+    this.REASONS = CANCEL_REASONS;
+  }
+
+  /**
+   * Create the error a generation is aborted with
+   * @param {string} reason - 'user' or 'timeout'
+   * @param {string} message - Error message
+   * @returns {Error} - CancelledError with { reason }
+   */
+  createCancelledError(reason = CANCEL_REASONS.USER, message = 'Operation cancelled') {
+    const error = errorHandler.createError(message, 'CancelledError', reason === CANCEL_REASONS.TIMEOUT ? 504 : 499);
+    error.reason = reason;
+    return error;
+  }
+
+  /**
+   * Abort a controller once the deadline passes
+   * @param {AbortController} abortController - Controller of the operation
+   * @param {number} timeout - Milliseconds
+   * @returns {Object} - Timer, cleared with clearTimeout when the operation ends in time
+   */
+  setDeadline(abortController, timeout) {
+    const timer = setTimeout(() => {
+      abortController.abort(this.createCancelledError(
+        CANCEL_REASONS.TIMEOUT,
+        `Deadline of ${timeout}ms exceeded`
+      ));
+    }, timeout);
+    timer.unref?.();
+    return timer;
+  }
+
+  /**
+   * The error to throw for an aborted signal
+   * @param {AbortSignal} signal - Aborted signal
+   * @returns {Error} - The abort reason if it is a CancelledError, a generic one otherwise
+   */
+  getAbortError(signal) {
+    const reason = signal?.reason;
+    return this.isCancelledError(reason) ? reason : this.createCancelledError();
+  }
+
+  /**
+   * Throw the abort error if the signal is aborted
+   * Also used in catch blocks: a request that failed because of the abort (axios
+   * CanceledError, closed socket) is reported as the cancellation, not as a failure
+   * @param {AbortSignal|null} signal - Signal to check
+   */
+  throwIfAborted(signal) {
+    if (signal?.aborted) {
+      throw this.getAbortError(signal);
+    }
+  }
+
+  /**
+   * Check if an error is a cancellation
+   * @param {*} error - Error to check
+   * @returns {boolean}
+   */
+  isCancelledError(error) {
+    return error instanceof Error && error.name === 'CancelledError';
+  }
+
+  /**
+   * Wait, or fail with the abort error as soon as the signal is aborted
+   * @param {number} ms - Wait time
+   * @param {AbortSignal|null} signal - Cancellation signal
+   * @returns {Promise<void>}
+   */
+  delay(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this.getAbortError(signal));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.getAbortError(signal));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new Cancellation();
@@ -39,6 +39,10 @@ class ErrorHandler {
     } else if (error.name === 'NotFoundError') {
       statusCode = 404;
       message = 'Not found';
+    } else if (error.name === 'ConflictError') {
+      statusCode = 409;
+      message = 'Conflict';
+      details = { conflict: error.message };
     } else if (error.name === 'TooManyRequestsError') {
       statusCode = 429;
       message = 'Too many requests';
@@ -111,14 +115,20 @@ class ErrorHandler {
     const statusCode = error.response?.status || 500;
     const telegramMessage = telegramErrorCodes[statusCode] || 'Unknown Telegram API error';
     
+    const description = error.response?.data?.description || null;
+
     logger.error('Telegram API error:', {
       statusCode,
       message: error.message,
       telegramMessage,
+      description,
       context
     });
 
-    return this.createError(telegramMessage, 'TelegramApiError', statusCode);
+    const telegramError = this.createError(telegramMessage, 'TelegramApiError', statusCode);
+    // Telegram's own description (e.g. 'Bad Request: STICKERSET_INVALID') tells apart errors sharing a status
+    telegramError.description = description;
+    return telegramError;
   }
 
   /**
@@ -219,16 +229,22 @@ class ErrorHandler {
 
   /**
    * Enhanced safe execution with retries
+   * @param {Object} options - { signal } AbortSignal: an aborted call is not retried
    */
-  async safeExecuteWithRetries(asyncFunction, fallbackFunction = null, maxRetries = 3) {
+  async safeExecuteWithRetries(asyncFunction, fallbackFunction = null, maxRetries = 3, options = {}) {
+    const { signal = null } = options;
     let lastError;
-    
+
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         return await asyncFunction();
       } catch (error) {
         lastError = error;
-        
+
+        if (signal?.aborted) {
+          throw error;
+        }
+
         logger.warn(`Safe execute attempt ${attempt}/${maxRetries} failed:`, {
           error: error.message,
           attempt
@@ -3,6 +3,25 @@
  * Provides structured logging with timestamps and levels
  */
 
+const metrics = require('./metrics');
+
+// Durations passed to logApiCall/logPerformance are aggregated here as well as logged
+const apiCallDuration = metrics.histogram(
+  'api_call_duration_seconds',
+  'External API call latency by service and method',
+  ['service', 'method', 'status']
+);
+const operationDuration = metrics.histogram(
+  'operation_duration_seconds',
+  'Duration of operations reported through logPerformance',
+  ['operation']
+);
+const businessMetric = metrics.gauge(
+  'business_metric',
+  'Last value reported through logMetric',
+  ['metric']
+);
+
 class Logger {
   constructor() {
     this.isDevelopment = process.env.NODE_ENV === 'development';
@@ -101,6 +120,8 @@ class Logger {
   logApiCall(service, endpoint, duration, success = true, metadata = {}) {
     const status = success ? 'SUCCESS' : 'FAILED';
     const level = success ? 'info' : 'error';
+
+    apiCallDuration.observe({ service, method: endpoint, status: success ? 'success' : 'error' }, duration / 1000);
     
     this[level](`API Call: ${service} ${endpoint} - ${status} - ${duration}ms`, {
       category: 'api_call',
@@ -117,6 +138,8 @@ class Logger {
    * Log performance metrics
    */
   logPerformance(operation, duration, metadata = {}) {
+    operationDuration.observe({ operation }, duration / 1000);
+
     this.info(`Performance: ${operation} - ${duration}ms`, {
       category: 'performance',
       operation,
@@ -153,6 +176,10 @@ class Logger {
    * Log business metrics
    */
   logMetric(metricName, value, metadata = {}) {
+    if (typeof value === 'number') {
+      businessMetric.set({ metric: metricName }, value);
+    }
+
     this.info(`Metric: ${metricName} = ${value}`, {
       category: 'metric',
       metricName,
@@ -0,0 +1,388 @@
+/**
+ * In-process metrics registry
+ * Counters, gauges and histograms rendered in Prometheus text format (or JSON)
+ *
+ * Metrics are registered by name; registering the same name again returns
+ * the existing metric, so modules can declare what they record at load time.
+ */
+
+const METRIC_PREFIX = 'stickerbot_';
+
+// Seconds; covers fast Bot API calls up to slow face-swap tasks
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+/**
+ * Escape a label value for the text format
+ */
+const escapeLabelValue = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * Format a number the way Prometheus expects (+Inf, -Inf, NaN)
+ */
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+};
+
+/**
+ * Render a label set, e.g. {service="Telegram",method="getMe"}
+ */
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+
+  if (entries.length === 0) {
+    return '';
+  }
+
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+class Metric {
+  /**
+   * @param {string} name - Metric name (without prefix)
+   * @param {string} help - Help text
+   * @param {string[]} labelNames - Allowed label names
+   */
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = `${METRIC_PREFIX}${name}`;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Pick the known labels in declared order; missing labels become empty strings
+   */
+  normalizeLabels(labels = {}) {
+    const normalized = {};
+
+    for (const name of this.labelNames) {
+      normalized[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Get (or create) the series for a label set
+   */
+  getSeries(labels, create) {
+    const normalized = this.normalizeLabels(labels);
+    const key = JSON.stringify(normalized);
+
+    if (!this.series.has(key)) {
+      this.series.set(key, create(normalized));
+    }
+
+    return this.series.get(key);
+  }
+
+  /**
+   * Drop all recorded values (tests)
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  renderHeader() {
+    return [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  /**
+   * Increase the counter
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount (must not be negative)
+   */
+  inc(labels = {}, value = 1) {
+    if (!(value >= 0)) {
+      return;
+    }
+
+    this.getSeries(labels, normalized => ({ labels: normalized, value: 0 })).value += value;
+  }
+
+  /**
+   * Current value for a label set (0 if never incremented)
+   */
+  get(labels = {}) {
+    return this.series.get(JSON.stringify(this.normalizeLabels(labels)))?.value || 0;
+  }
+
+  render() {
+    const lines = this.renderHeader();
+
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+
+    return lines;
+  }
+
+  toJSON() {
+    return [...this.series.values()].map(({ labels, value }) => ({ labels, value }));
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  /**
+   * Set the gauge value
+   */
+  set(labels = {}, value) {
+    this.getSeries(labels, normalized => ({ labels: normalized, value: 0 })).value = value;
+  }
+
+  /**
+   * Increase (or with a negative value decrease) the gauge
+   */
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, normalized => ({ labels: normalized, value: 0 })).value += value;
+  }
+
+  /**
+   * Current value for a label set (0 if never set)
+   */
+  get(labels = {}) {
+    return this.series.get(JSON.stringify(this.normalizeLabels(labels)))?.value || 0;
+  }
+
+  render() {
+    const lines = this.renderHeader();
+
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+
+    return lines;
+  }
+
+  toJSON() {
+    return [...this.series.values()].map(({ labels, value }) => ({ labels, value }));
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value (seconds for durations)
+   */
+  observe(labels = {}, value) {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      return;
+    }
+
+    const series = this.getSeries(labels, normalized => ({
+      labels: normalized,
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0
+    }));
+
+    // Counts are stored per bucket and made cumulative on render
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) {
+      series.counts[index] += 1;
+    }
+
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /**
+   * Start a timer; calling the returned function records the elapsed seconds
+   * @param {Object} labels - Label values known at start
+   * @returns {Function} - (extraLabels) => elapsed seconds
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  /**
+   * Recorded { count, sum } for a label set
+   */
+  get(labels = {}) {
+    const series = this.series.get(JSON.stringify(this.normalizeLabels(labels)));
+    return series ? { count: series.count, sum: series.sum } : { count: 0, sum: 0 };
+  }
+
+  render() {
+    const lines = this.renderHeader();
+
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      let cumulative = 0;
+
+      this.buckets.forEach((bound, index) => {
+        cumulative += counts[index];
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${cumulative}`);
+      });
+
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+
+    return lines;
+  }
+
+  toJSON() {
+    return [...this.series.values()].map(({ labels, counts, sum, count }) => {
+      let cumulative = 0;
+      const buckets = {};
+
+      this.buckets.forEach((bound, index) => {
+        cumulative += counts[index];
+        buckets[bound] = cumulative;
+      });
+
+      return { labels, count, sum, buckets };
+    });
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = [];
+    this.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+  }
+
+  /**
+   * Register a metric, or return the one already registered under the name
+   */
+  register(MetricClass, name, help, labelNames, ...args) {
+    const existing = this.metrics.get(name);
+
+    if (existing) {
+      if (!(existing instanceof MetricClass)) {
+        throw new Error(`Metric ${name} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+
+    const metric = new MetricClass(name, help, labelNames, ...args);
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  /**
+   * @param {string} name - Metric name without the stickerbot_ prefix
+   * @param {string} help - Help text
+   * @param {string[]} labelNames - Label names
+   * @returns {Counter}
+   */
+  counter(name, help, labelNames = []) {
+    return this.register(Counter, name, help, labelNames);
+  }
+
+  /**
+   * @param {string} name - Metric name without the stickerbot_ prefix
+   * @param {string} help - Help text
+   * @param {string[]} labelNames - Label names
+   * @returns {Gauge}
+   */
+  gauge(name, help, labelNames = []) {
+    return this.register(Gauge, name, help, labelNames);
+  }
+
+  /**
+   * @param {string} name - Metric name without the stickerbot_ prefix
+   * @param {string} help - Help text
+   * @param {string[]} labelNames - Label names
+   * @param {number[]} buckets - Upper bounds (seconds for durations)
+   * @returns {Histogram}
+   */
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this.register(Histogram, name, help, labelNames, buckets);
+  }
+
+  /**
+   * Add a function that refreshes gauges right before each scrape
+   * (queue depth, memory, cached dependency probes)
+   * @param {Function} collector - Sync or async function
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Run collectors; a failing collector doesn't break the scrape
+   */
+  async collect() {
+    await Promise.all(this.collectors.map(async collector => {
+      try {
+        await collector();
+      } catch (error) {
+        // Keep the last known gauge values
+      }
+    }));
+  }
+
+  /**
+   * Render all metrics in Prometheus text exposition format
+   * @returns {Promise<string>}
+   */
+  async renderPrometheus() {
+    await this.collect();
+
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * All metrics as a plain object
+   * @returns {Promise<Object>}
+   */
+  async toJSON() {
+    await this.collect();
+
+    const result = {};
+    for (const metric of this.metrics.values()) {
+      result[metric.name] = {
+        type: metric.type,
+        help: metric.help,
+        values: metric.toJSON()
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Clear recorded values, keeping registrations (tests)
+   */
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+}
+
+// Export singleton instance
+module.exports = new MetricsRegistry();
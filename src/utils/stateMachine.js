@@ -0,0 +1,71 @@
+/**
+ * State machine definition for the conversation flow
+ * Checks transitions against a state -> next states table (BOT_STATE_TRANSITIONS)
+ */
+
+const errorHandler = require('./errorHandler');
+const { BOT_STATE_TRANSITIONS } = require('../config/constants');
+
+class StateMachine {
+  /**
+   * @param {Object} transitions - state -> array of allowed next states
+   */
+  constructor(transitions) {
+    this.transitions = new Map(
+      Object.entries(transitions).map(([state, next]) => [state, new Set(next)])
+    );
+  }
+
+  /**
+   * Check if a state is defined
+   * @param {string} state - State name
+   * @returns {boolean}
+   */
+  isState(state) {
+    return this.transitions.has(state);
+  }
+
+  /**
+   * Check if a transition is allowed
+   * Staying in the same state is always allowed
+   * @param {string} from - Current state
+   * @param {string} to - Next state
+   * @returns {boolean}
+   */
+  canTransition(from, to) {
+    if (!this.isState(from) || !this.isState(to)) {
+      return false;
+    }
+
+    return from === to || this.transitions.get(from).has(to);
+  }
+
+  /**
+   * Throw if a transition is not allowed
+   * @param {string} from - Current state
+   * @param {string} to - Next state
+   */
+  assertTransition(from, to) {
+    if (!this.isState(to)) {
+      throw errorHandler.createError(`Unknown state: ${to}`, 'ValidationError', 400);
+    }
+
+    if (!this.canTransition(from, to)) {
+      throw errorHandler.createError(`Illegal state transition: ${from} -> ${to}`, 'ConflictError', 409);
+    }
+  }
+
+  /**
+   * Get the states reachable from a state
+   * @param {string} from - Current state
+   * @returns {Array<string>}
+   */
+  getNextStates(from) {
+    return this.isState(from) ? [...this.transitions.get(from)] : [];
+  }
+}
+
+module.exports = {
+  StateMachine,
+  botStateMachine: new StateMachine(BOT_STATE_TRANSITIONS)
+};
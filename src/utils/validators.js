@@ -6,6 +6,19 @@
 const { CONFIG } = require('../config/constants');
 const logger = require('./logger');
 
+// One emoji: flag pair, keycap, tag-sequence flag, or pictograph with optional
+// variation selector / skin tone, joined into ZWJ sequences
+const EMOJI_PART = '(?!\\p{Regional_Indicator})(?:\\p{Extended_Pictographic}|\\p{Emoji_Presentation})(?:\\uFE0F|\\p{Emoji_Modifier})?';
+const EMOJI_REGEX = new RegExp(
+  '^(?:' +
+    '\\p{Regional_Indicator}{2}' +
+    '|[#*0-9]\\uFE0F?\\u20E3' +
+    '|\\p{Extended_Pictographic}[\\u{E0020}-\\u{E007E}]+\\u{E007F}' +
+    `|${EMOJI_PART}(?:\\u200D${EMOJI_PART})*` +
+  ')$',
+  'u'
+);
+
 class Validators {
   /**
    * Validate user ID (Telegram user ID)
@@ -233,6 +246,16 @@ class Validators {
       }
     }
 
+    // HEIC/HEIF/AVIF are ISO-BMFF files: 'ftyp' box with the brand at offset 8
+    if (!detectedFormat && buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp') {
+      const brand = buffer.toString('latin1', 8, 12);
+      if (['avif', 'avis'].includes(brand)) {
+        detectedFormat = 'image/avif';
+      } else if (['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'].includes(brand)) {
+        detectedFormat = 'image/heif';
+      }
+    }
+
     if (!detectedFormat) {
       return { valid: false, error: 'Unsupported image format' };
     }
@@ -268,22 +291,63 @@ class Validators {
 
   /**
    * Validate emoji for sticker
+   * Accepts exactly one emoji, including multi-codepoint ones:
+   * ZWJ sequences (👨‍👩‍👧), skin tones (👍🏽), flags (🇷🇺, 🏴󠁧󠁢󠁳󠁣󠁴󠁿) and keycaps (1️⃣)
    */
   isValidEmoji(emoji) {
     if (!emoji || typeof emoji !== 'string') {
       return { valid: false, error: 'Emoji is required' };
     }
 
-    // Basic emoji validation (this is simplified)
-    // In practice, you might want to use a more comprehensive emoji validation library
-    const emojiRegex = /[\u{1F600}-\u{1F64F}]|[\u{1F300}-\u{1F5FF}]|[\u{1F680}-\u{1F6FF}]|[\u{1F1E0}-\u{1F1FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]/u;
-    
-    if (!emojiRegex.test(emoji)) {
+    if (!EMOJI_REGEX.test(emoji)) {
       return { valid: false, error: 'Invalid emoji format' };
     }
 
-    if (emoji.length > 4) { // Some emojis can be compound
-      return { valid: false, error: 'Emoji is too long' };
+    return { valid: true };
+  }
+
+  /**
+   * Validate emoji list for a sticker (Telegram allows 1-20)
+   */
+  isValidEmojiList(emojis) {
+    if (!Array.isArray(emojis) || emojis.length === 0) {
+      return { valid: false, error: 'At least one emoji is required' };
+    }
+
+    if (emojis.length > CONFIG.MAX_EMOJIS_PER_STICKER) {
+      return { valid: false, error: `Too many emojis: ${emojis.length}. Max: ${CONFIG.MAX_EMOJIS_PER_STICKER}` };
+    }
+
+    for (const emoji of emojis) {
+      const result = this.isValidEmoji(emoji);
+      if (!result.valid) {
+        return { valid: false, error: `${result.error}: ${emoji}` };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate search keywords for a sticker
+   * Telegram allows up to 20 keywords with a total length of 64 characters
+   */
+  isValidStickerKeywords(keywords) {
+    if (!Array.isArray(keywords)) {
+      return { valid: false, error: 'Keywords must be a list' };
+    }
+
+    if (keywords.length > CONFIG.MAX_KEYWORDS_PER_STICKER) {
+      return { valid: false, error: `Too many keywords: ${keywords.length}. Max: ${CONFIG.MAX_KEYWORDS_PER_STICKER}` };
+    }
+
+    if (!keywords.every(keyword => typeof keyword === 'string' && keyword.trim().length > 0)) {
+      return { valid: false, error: 'Keywords must be non-empty strings' };
+    }
+
+    const totalLength = keywords.reduce((sum, keyword) => sum + keyword.length, 0);
+    if (totalLength > CONFIG.MAX_KEYWORDS_LENGTH) {
+      return { valid: false, error: `Keywords too long: ${totalLength} characters. Max: ${CONFIG.MAX_KEYWORDS_LENGTH}` };
     }
 
     return { valid: true };
@@ -68,7 +68,7 @@ async function runTests() {
     { path: '/ping', description: 'Ping Check (Railway)' },
     { path: '/ready', description: 'Ready Check' },
     { path: '/health', description: 'Health Check' },
-    { path: '/metrics', description: 'Metrics Check' },
+    { path: '/metrics?format=json', description: 'Metrics Check' },
     { path: '/', description: 'Root Endpoint' }
   ];
 
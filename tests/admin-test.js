@@ -0,0 +1,300 @@
+/**
+ * Admin API Test Script
+ * Tests user lookup, quota actions, bans, reruns and the audit log,
+ * then checks over HTTP that every /admin route requires the API key
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+const axios = require('axios');
+const adminController = require('../src/controllers/adminController');
+const adminService = require('../src/services/adminService');
+const quotaService = require('../src/services/quotaService');
+const jobQueueService = require('../src/services/jobQueueService');
+const telegramService = require('../src/services/telegramService');
+const telegramController = require('../src/controllers/telegramController');
+const MemoryAdminStore = require('../src/stores/memoryAdminStore');
+const MemoryQuotaStore = require('../src/stores/memoryQuotaStore');
+const MemoryJobStore = require('../src/stores/memoryJobStore');
+const { MESSAGES, JOB_STATUSES } = require('../src/config/constants');
+const { check, report } = require('./helpers/check');
+
+const USER_ID = 424242;
+const API_KEY = 'admin-test-key';
+
+// Express request/response doubles
+const createRequest = ({ params = {}, query = {}, body = {}, headers = {} } = {}) => ({
+  params,
+  query,
+  body,
+  ip: '127.0.0.1',
+  get: (name) => headers[name] ?? headers[name.toLowerCase()]
+});
+
+const createResponse = () => {
+  const res = { statusCode: null, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const call = async (handler, request) => {
+  const res = createResponse();
+  try {
+    await handler.call(adminController, createRequest(request), res);
+  } catch (error) {
+    res.error = error;
+  }
+  return res;
+};
+
+// Stubbed Telegram API
+const sent = [];
+const answers = [];
+telegramService.isConfigured = () => true;
+telegramService.sendMessage = async (chatId, text) => {
+  sent.push({ chatId, text });
+  return { message_id: sent.length };
+};
+telegramService.answerCallbackQuery = async (callbackQueryId, options = {}) => {
+  answers.push({ callbackQueryId, ...options });
+  return true;
+};
+
+/**
+ * Start the app in a child process and wait until it listens
+ */
+const startServer = (port) => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    env: { ...process.env, PORT: String(port), API_KEY, NODE_ENV: 'test', TELEGRAM_BOT_TOKEN: '', SUPABASE_URL: '' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  const timer = setTimeout(() => reject(new Error('Server did not start')), 15000);
+  child.stdout.on('data', (chunk) => {
+    if (chunk.toString().includes('server running on port')) {
+      clearTimeout(timer);
+      resolve(child);
+    }
+  });
+  child.on('exit', (code) => {
+    clearTimeout(timer);
+    reject(new Error(`Server exited with code ${code}`));
+  });
+});
+
+async function testAdmin() {
+  console.log('🛡 Testing Admin API');
+  console.log('====================\n');
+
+  const adminStore = new MemoryAdminStore();
+  adminService.setStore(adminStore);
+  quotaService.setStore(new MemoryQuotaStore());
+  jobQueueService.setStore(new MemoryJobStore());
+
+  const admin = { 'X-Admin-User': 'alice' };
+
+  // Test 1: Lookup
+  console.log('1. Testing user lookup...');
+  {
+    const res = await call(adminController.getUser, { params: { userId: String(USER_ID) }, headers: admin });
+    check('Lookup returns the profile', res.statusCode === 200 && res.body.data.userId === USER_ID && res.body.data.quota.canGenerate);
+    check('Lookup is audited with the actor', adminStore.auditLog[0]?.action === 'user_lookup' && adminStore.auditLog[0]?.actor === 'alice');
+
+    const invalid = await call(adminController.getUser, { params: { userId: '12abc' } });
+    check('Malformed user ID is rejected', invalid.error?.name === 'ValidationError');
+
+    const history = await call(adminController.getUserHistory, { params: { userId: String(USER_ID) }, query: { limit: '5' } });
+    check('History lists generations and jobs', history.statusCode === 200 && Array.isArray(history.body.data.generations) && Array.isArray(history.body.data.jobs));
+
+    const badLimit = await call(adminController.getUserHistory, { params: { userId: String(USER_ID) }, query: { limit: '100000' } });
+    check('Oversized limit is rejected', badLimit.error?.name === 'ValidationError');
+  }
+  console.log();
+
+  // Test 2: Quota actions
+  console.log('2. Testing quota actions...');
+  {
+    await quotaService.reserve(USER_ID).then(reservation => quotaService.commit(reservation.reservationId));
+    check('User starts over the limit', !(await quotaService.getQuota(USER_ID)).canGenerate);
+
+    const reset = await call(adminController.resetQuota, { params: { userId: String(USER_ID) } });
+    check('Reset frees the quota', reset.statusCode === 200 && reset.body.data.quota.canGenerate);
+
+    const credits = await call(adminController.grantCredits, { params: { userId: String(USER_ID) }, body: { credits: 3 } });
+    check('Credits extend the quota', credits.statusCode === 200 && credits.body.data.bonusCredits === 3);
+
+    const badCredits = await call(adminController.grantCredits, { params: { userId: String(USER_ID) }, body: { credits: 'lots' } });
+    check('Invalid credits are rejected', badCredits.error?.name === 'ValidationError');
+
+    const override = await call(adminController.updateQuota, { params: { userId: String(USER_ID) }, body: { policy: 'plus', ignored: true } });
+    check('Override switches the policy', override.statusCode === 200 && override.body.data.quota.policy === 'plus');
+
+    const empty = await call(adminController.updateQuota, { params: { userId: String(USER_ID) }, body: {} });
+    check('Empty override is rejected', empty.error?.name === 'ValidationError');
+
+    const actions = adminStore.auditLog.map(entry => entry.action);
+    check('Quota actions are audited', ['quota_reset', 'credits_granted', 'quota_updated'].every(action => actions.includes(action)));
+    check('Rejected actions are not audited', actions.filter(action => action === 'credits_granted').length === 1);
+  }
+  console.log();
+
+  // Test 3: Bans
+  console.log('3. Testing ban and unban...');
+  {
+    const ban = await call(adminController.banUser, { params: { userId: String(USER_ID) }, body: { reason: 'spam' }, headers: admin });
+    check('User is banned', ban.statusCode === 200 && ban.body.data.reason === 'spam' && ban.body.data.bannedBy === 'alice');
+
+    sent.length = 0;
+    const message = { message_id: 1, chat: { id: USER_ID }, from: { id: USER_ID, first_name: 'Test' } };
+    await telegramController.processMessage({ ...message, text: '/start' });
+    await telegramController.processMessage({ ...message, text: 'hello' });
+    check('Banned user gets a notice for commands only', sent.length === 1 && sent[0].text === MESSAGES.USER_BANNED);
+
+    await telegramController.processCallbackQuery({
+      id: 'cbq_banned',
+      from: { id: USER_ID },
+      message: { message_id: 2, chat: { id: USER_ID } },
+      data: 'anything'
+    });
+    check('Banned user callback is answered with a notice', answers.at(-1)?.text === MESSAGES.USER_BANNED);
+
+    const lookup = await call(adminController.getUser, { params: { userId: String(USER_ID) } });
+    check('Lookup shows the ban', lookup.body.data.banned === true);
+
+    const tooLong = await call(adminController.banUser, { params: { userId: '1' }, body: { reason: 'x'.repeat(501) } });
+    check('Overlong reason is rejected', tooLong.error?.name === 'ValidationError');
+
+    const unban = await call(adminController.unbanUser, { params: { userId: String(USER_ID) } });
+    check('User is unbanned', unban.statusCode === 200 && unban.body.data.wasBanned === true);
+
+    sent.length = 0;
+    await telegramController.processMessage({ ...message, text: '/help' });
+    check('Unbanned user is served again', sent.length === 1 && sent[0].text !== MESSAGES.USER_BANNED);
+  }
+  console.log();
+
+  // Test 4: Reruns
+  console.log('4. Testing generation rerun...');
+  {
+    const processed = [];
+    jobQueueService.setProcessor(async (job) => {
+      processed.push(job);
+      return { success: true };
+    });
+
+    const store = jobQueueService.store;
+    const failedJob = await store.create({
+      userId: USER_ID,
+      chatId: USER_ID,
+      photoFileId: 'photo_1',
+      firstName: 'Test',
+      options: { templateIds: ['a', 'b'], quotaReservationId: 'old-reservation' }
+    });
+    await store.update(failedJob.id, { status: JOB_STATUSES.FAILED, error: 'Piapi down' });
+
+    const rerun = await call(adminController.rerunJob, { params: { jobId: failedJob.id } });
+    await jobQueueService.waitForIdle();
+
+    check('Rerun is queued', rerun.statusCode === 202 && rerun.body.data.rerunOf === failedJob.id);
+    check('Rerun keeps the photo and options', processed[0]?.photoFileId === 'photo_1' && processed[0]?.options.templateIds.join() === 'a,b');
+    check('Rerun does not use the quota', processed[0]?.options.quotaExempt === true && !processed[0]?.options.quotaReservationId);
+
+    const again = await call(adminController.rerunJob, { params: { jobId: rerun.body.data.jobId } });
+    check('Only failed jobs can be rerun', again.error?.name === 'ConflictError');
+
+    const original = await store.get(failedJob.id);
+    check('Original job records its rerun', original.rerunJobId === rerun.body.data.jobId && original.status === JOB_STATUSES.FAILED);
+
+    const twice = await call(adminController.rerunJob, { params: { jobId: failedJob.id } });
+    check('A job is rerun only once', twice.error?.name === 'ConflictError' && twice.error.message.includes(rerun.body.data.jobId));
+
+    // Two admins pressing rerun at the same time queue one job
+    const otherJob = await store.create({ userId: USER_ID, chatId: USER_ID, photoFileId: 'photo_2', options: {} });
+    await store.update(otherJob.id, { status: JOB_STATUSES.FAILED, error: 'Piapi down' });
+    const racing = await Promise.all([
+      call(adminController.rerunJob, { params: { jobId: otherJob.id } }),
+      call(adminController.rerunJob, { params: { jobId: otherJob.id } })
+    ]);
+    await jobQueueService.waitForIdle();
+    check('Concurrent reruns queue one job',
+      racing.filter(response => response.statusCode === 202).length === 1 &&
+      racing.filter(response => response.error?.name === 'ConflictError').length === 1 &&
+      processed.filter(job => job.photoFileId === 'photo_2').length === 1);
+
+    const missing = await call(adminController.rerunJob, { params: { jobId: 'no-such-job' } });
+    check('Unknown job is reported', missing.error?.name === 'NotFoundError');
+
+    const entries = await call(adminController.getAuditLog, { query: { userId: String(USER_ID), limit: '3' } });
+    check('Audit log is newest first', entries.body.data.length === 3 && entries.body.data[0].action === 'job_rerun');
+  }
+  console.log();
+
+  // Test 5: Authentication over HTTP
+  console.log('5. Testing route authentication...');
+  {
+    const port = 40000 + Math.floor(Math.random() * 10000);
+    const baseUrl = `http://127.0.0.1:${port}`;
+    let server;
+
+    try {
+      server = await startServer(port);
+
+      const request = (method, url, headers = {}) => axios({
+        method,
+        url: `${baseUrl}${url}`,
+        headers,
+        data: method === 'get' || method === 'delete' ? undefined : {},
+        timeout: 5000,
+        validateStatus: () => true
+      });
+
+      const protectedRoutes = [
+        ['get', '/admin/config'],
+        ['get', '/admin/test-piapi'],
+        ['get', '/admin/piapi-info'],
+        ['get', '/admin/piapi-auth-test'],
+        ['get', `/admin/users/${USER_ID}`],
+        ['get', `/admin/users/${USER_ID}/history`],
+        ['post', `/admin/users/${USER_ID}/quota/reset`],
+        ['post', `/admin/users/${USER_ID}/quota/credits`],
+        ['patch', `/admin/users/${USER_ID}/quota`],
+        ['post', `/admin/users/${USER_ID}/ban`],
+        ['delete', `/admin/users/${USER_ID}/ban`],
+        ['post', '/admin/jobs/some-job/rerun'],
+        ['get', '/admin/audit-log']
+      ];
+
+      const unauthorized = [];
+      for (const [method, url] of protectedRoutes) {
+        const response = await request(method, url);
+        if (response.status !== 401) unauthorized.push(`${method.toUpperCase()} ${url} -> ${response.status}`);
+      }
+      check('All admin routes require the API key', unauthorized.length === 0, unauthorized.join(', '));
+
+      const withKey = await request('get', `/admin/users/${USER_ID}`, { 'X-API-Key': API_KEY });
+      check('Lookup works with the API key', withKey.status === 200 && withKey.data.data.userId === USER_ID);
+
+      const badId = await request('get', '/admin/users/abc', { 'X-API-Key': API_KEY });
+      check('Validation errors are 400', badId.status === 400);
+
+      const missingJob = await request('post', '/admin/jobs/no-such-job/rerun', { 'X-API-Key': API_KEY });
+      check('Unknown job is 404', missingJob.status === 404);
+
+    } catch (error) {
+      check('Server started', false, error.message);
+    } finally {
+      if (server && server.exitCode === null) {
+        server.kill('SIGTERM');
+      }
+    }
+  }
+  console.log();
+
+  report('Admin API');
+}
+
+testAdmin().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,151 @@
+/**
+ * Cache Test Script
+ * Tests the filesystem LRU store, template preloading and face-swap result reuse
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const FsCacheStore = require('../src/stores/fsCacheStore');
+const cacheService = require('../src/services/cacheService');
+const imageService = require('../src/services/imageService');
+const faceSwapService = require('../src/services/faceSwapService');
+const controller = require('../src/controllers/telegramController');
+const { check, report } = require('./helpers/check');
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+
+const createStore = (name, maxSize) => new FsCacheStore({
+  directory: path.join(tempRoot, name),
+  maxSize,
+  name
+});
+
+const solidImage = (width, height, color) => sharp({
+  create: { width, height, channels: 3, background: color }
+}).png().toBuffer();
+
+async function testCache() {
+  console.log('🗄️ Testing Cache');
+  console.log('================\n');
+
+  // Test 1: Store basics and LRU eviction
+  console.log('1. Testing filesystem LRU store...');
+  {
+    const store = createStore('lru', 250);
+
+    await store.set('a', Buffer.alloc(100, 1), { label: 'a' });
+    await store.set('b', Buffer.alloc(100, 2));
+    const hitA = await store.get('a'); // a becomes most recently used
+    await store.set('c', Buffer.alloc(100, 3)); // evicts b
+
+    check('Hit returns data and meta', hitA?.data.length === 100 && hitA.meta.label === 'a');
+    check('Least recently used entry is evicted', !(await store.has('b')));
+    check('Recently used entries survive', (await store.has('a')) && (await store.has('c')));
+    check('Size stays within bound', store.getStats().totalSize <= 250, `${store.getStats().totalSize} bytes`);
+
+    // Index is rebuilt from disk by a new instance
+    const reopened = createStore('lru', 250);
+    check('Entries survive restart', (await reopened.get('c'))?.data[0] === 3);
+
+    // Corrupted file is detected by content hash
+    const entry = reopened.index.get('a');
+    fs.writeFileSync(path.join(reopened.directory, `${entry.file}.bin`), Buffer.alloc(100, 9));
+    check('Corrupted entry is a miss', (await reopened.get('a')) === null);
+  }
+  console.log();
+
+  // Test 2: Template images (level 1)
+  console.log('2. Testing template image cache...');
+  {
+    cacheService.setStores({
+      templateStore: createStore('templates', 10 * 1024 * 1024),
+      resultStore: createStore('results', 10 * 1024 * 1024)
+    });
+
+    const templateImage = await solidImage(400, 300, { r: 0, g: 0, b: 255 });
+    const templates = [
+      { id: '1', imageUrl: 'https://example.com/meme-1.png' },
+      { id: '2', imageUrl: 'https://example.com/meme-2.png' }
+    ];
+
+    const requests = [];
+    const originalDownload = imageService.downloadImageIfChanged;
+    imageService.downloadImageIfChanged = async (imageUrl, etag) => {
+      requests.push({ imageUrl, etag });
+      return etag === '"v1"'
+        ? { buffer: null, etag, notModified: true }
+        : { buffer: templateImage, etag: '"v1"', notModified: false };
+    };
+
+    try {
+      const first = await cacheService.preloadTemplates(templates);
+      const second = await cacheService.preloadTemplates(templates);
+
+      check('First preload downloads templates', first.downloaded === 2, JSON.stringify(first));
+      check('Second preload revalidates by ETag', second.unchanged === 2 && requests[2].etag === '"v1"', JSON.stringify(second));
+
+      const requestCount = requests.length;
+      const image = await cacheService.getTemplateImage(templates[0]);
+      check('Cached template needs no request', requests.length === requestCount && image.equals(templateImage));
+
+      const moved = await cacheService.getTemplateImage({ id: '1', imageUrl: 'https://example.com/meme-1-new.png' });
+      check('Changed template URL is refetched', requests.length === requestCount + 1 && !!moved);
+    } finally {
+      imageService.downloadImageIfChanged = originalDownload;
+    }
+  }
+  console.log();
+
+  // Test 3: Face-swap results (level 2)
+  console.log('3. Testing face-swap result cache...');
+  {
+    const key = cacheService.buildResultKey('photo', '1', { provider: 'local', quality: 'high' });
+    check('Key ignores option order',
+      key === cacheService.buildResultKey('photo', '1', { quality: 'high', provider: 'local' }));
+    check('Key depends on template',
+      key !== cacheService.buildResultKey('photo', '2', { provider: 'local', quality: 'high' }));
+
+    const templateImage = await solidImage(400, 300, { r: 0, g: 0, b: 255 });
+    const userPhoto = await solidImage(600, 800, { r: 255, g: 0, b: 0 });
+    const template = { id: '3', name: 'Test', emoji: '😄', imageUrl: 'https://example.com/meme-3.png' };
+
+    const originalDownload = imageService.downloadImageFromUrl;
+    imageService.downloadImageFromUrl = async () => templateImage;
+    faceSwapService.setProvider('local');
+
+    const provider = faceSwapService.getProvider();
+    const originalCreateTask = provider.createTask.bind(provider);
+    let providerCalls = 0;
+    provider.createTask = async (...args) => {
+      providerCalls++;
+      return originalCreateTask(...args);
+    };
+
+    try {
+      const first = await controller.processTemplate(template, userPhoto, 0, 0, 424242);
+      const second = await controller.processTemplate(template, userPhoto, 0, 0, 424242);
+
+      check('Repeat run skips the provider', providerCalls === 1, `${providerCalls} provider calls`);
+      check('Cached sticker is identical', first.equals(second));
+
+      const otherPhoto = await solidImage(600, 800, { r: 0, g: 255, b: 0 });
+      await controller.processTemplate(template, otherPhoto, 0, 0, 424242);
+      check('Different photo is not a hit', providerCalls === 2);
+    } finally {
+      imageService.downloadImageFromUrl = originalDownload;
+    }
+  }
+  console.log();
+
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+
+  report('Cache');
+}
+
+testCache().catch(error => {
+  console.error('❌ Test script failed:', error);
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+  process.exit(1);
+});
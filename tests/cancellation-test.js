@@ -0,0 +1,387 @@
+/**
+ * Cancellation Test Script
+ * Tests the generation AbortSignal: aborted downloads and Piapi calls, the pipeline
+ * deadline, /cancel and the cleanup of sticker sets left behind by an abort
+ */
+
+const http = require('http');
+
+const API_KEY = 'fake-piapi-api-key';
+const BOT_TOKEN = '123456789:cancellation-fake-bot-token';
+
+process.env.PIAPI_API_KEY = API_KEY;
+process.env.FACE_SWAP_PROVIDER = 'piapi';
+process.env.TELEGRAM_BOT_TOKEN = BOT_TOKEN;
+// Keep results out of the shared cache directory
+process.env.CACHE_ENABLED = 'false';
+
+const sharp = require('sharp');
+const FakePiapiApi = require('./fakes/piapiApi');
+const FakeTelegramBotApi = require('./fakes/telegramBotApi');
+const telegramService = require('../src/services/telegramService');
+const piapiService = require('../src/services/piapiService');
+const faceSwapService = require('../src/services/faceSwapService');
+const imageService = require('../src/services/imageService');
+const stickerService = require('../src/services/stickerService');
+const jobQueueService = require('../src/services/jobQueueService');
+const userLimitsService = require('../src/services/userLimitsService');
+const stateService = require('../src/services/stateService');
+const MemoryStateStore = require('../src/stores/memoryStateStore');
+const MemoryJobStore = require('../src/stores/memoryJobStore');
+const cancellation = require('../src/utils/cancellation');
+const errorHandler = require('../src/utils/errorHandler');
+const controller = require('../src/controllers/telegramController');
+const { getAllTemplates, TEMPLATE_CONFIG } = require('../src/config/templates');
+const { MESSAGES, BOT_STATES, JOB_STATUSES } = require('../src/config/constants');
+const { check, report } = require('./helpers/check');
+
+const USER_ID = 757575;
+
+// Record outgoing Telegram messages instead of hitting the API
+const sent = [];
+const edits = [];
+let nextMessageId = 9000;
+
+telegramService.isConfigured = () => true;
+telegramService.sendMessage = async (chatId, text, options = {}) => {
+  const message = { message_id: nextMessageId++, chat: { id: chatId }, text, options };
+  sent.push(message);
+  return message;
+};
+telegramService.editMessage = async (chatId, messageId, text, options = {}) => {
+  edits.push({ chatId, messageId, text, options });
+  return { message_id: messageId };
+};
+telegramService.sendMediaGroup = async (chatId, buffers) => buffers.map(() => ({ message_id: nextMessageId++ }));
+telegramService.sendPhoto = async () => ({ message_id: nextMessageId++ });
+telegramService.answerCallbackQuery = async () => true;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const waitFor = async (condition, timeout = 5000) => {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (await condition()) return true;
+    await sleep(20);
+  }
+  return false;
+};
+
+const settle = (promise) => promise.then(() => null, error => error);
+
+const sendCommand = (text) => controller.processMessage({
+  message_id: nextMessageId++,
+  from: { id: USER_ID, first_name: 'Test' },
+  chat: { id: USER_ID },
+  text
+});
+
+async function testCancellation() {
+  console.log('🛑 Testing Cancellation');
+  console.log('=======================\n');
+
+  const piapi = new FakePiapiApi({ apiKey: API_KEY });
+  piapiService.setBaseUrl(await piapi.start());
+  faceSwapService.setProvider(piapiService);
+
+  const botApi = new FakeTelegramBotApi({ token: BOT_TOKEN });
+  stickerService.setApiBaseUrl(await botApi.start());
+
+  // A download server that never answers
+  const openRequests = [];
+  const hangingServer = http.createServer((req) => openRequests.push(req));
+  await new Promise(resolve => hangingServer.listen(0, '127.0.0.1', resolve));
+  const hangingUrl = `http://127.0.0.1:${hangingServer.address().port}/result.png`;
+
+  const sticker = await sharp({
+    create: { width: 512, height: 512, channels: 4, background: { r: 0, g: 0, b: 255, alpha: 1 } }
+  }).webp().toBuffer();
+  piapi.resultImage = await sharp(sticker).png().toBuffer();
+
+  const maxProcessingTime = TEMPLATE_CONFIG.MAX_PROCESSING_TIME;
+  let released = [];
+  let logged = [];
+
+  stateService.setStore(new MemoryStateStore());
+  imageService.processImageForStickers = async () => piapi.resultImage;
+  imageService.analyzeFace = async () => ({ passed: true, faceCount: 1 });
+  userLimitsService.releaseGeneration = async (reservationId) => {
+    released.push(reservationId);
+  };
+  userLimitsService.logGeneration = async (userId, result) => {
+    logged.push(result);
+  };
+
+  const faceSwapTemplates = getAllTemplates().filter(item => item.type === 'face_swap').slice(0, 5);
+  const startStuckGeneration = (options = {}) => {
+    faceSwapTemplates.forEach(() => piapi.scriptTask([{ status: 'processing', progress: 50 }]));
+    return controller.generateStickerPack(USER_ID, USER_ID, 'AgACAgIAAxkBAAIC_cancel_photo', 'Test', {
+      templateIds: faceSwapTemplates.map(item => item.id),
+      quotaReservationId: 'reservation-stuck',
+      ...options
+    });
+  };
+
+  try {
+    // Test 1: Cancellation helpers
+    console.log('1. Testing cancellation helpers...');
+    {
+      const userError = cancellation.createCancelledError();
+      const timeoutError = cancellation.createCancelledError(cancellation.REASONS.TIMEOUT);
+      check('User cancellation is a CancelledError', cancellation.isCancelledError(userError) && userError.reason === 'user');
+      check('Timeouts say so', timeoutError.reason === 'timeout' && timeoutError.statusCode === 504);
+
+      const abortController = new AbortController();
+      const waiting = settle(cancellation.delay(60000, abortController.signal));
+      abortController.abort(userError);
+      check('Delay ends on abort with the abort reason', (await waiting) === userError);
+
+      const plainAbort = new AbortController();
+      plainAbort.abort();
+      const plainError = await settle(cancellation.delay(10, plainAbort.signal));
+      check('Plain aborts become CancelledError', cancellation.isCancelledError(plainError) && plainError.reason === 'user');
+
+      const deadlineController = new AbortController();
+      const timer = cancellation.setDeadline(deadlineController, 50);
+      await sleep(100);
+      clearTimeout(timer);
+      check('Deadline aborts with a timeout', deadlineController.signal.reason?.reason === 'timeout',
+        deadlineController.signal.reason?.message);
+
+      let attempts = 0;
+      const retried = new AbortController();
+      retried.abort();
+      const startedAt = Date.now();
+      await settle(errorHandler.safeExecuteWithRetries(async () => {
+        attempts++;
+        throw new Error('aborted');
+      }, null, 3, { signal: retried.signal }));
+      check('Aborted calls are not retried', attempts === 1 && Date.now() - startedAt < 500, `${attempts} attempts`);
+    }
+    console.log();
+
+    // Test 2: Aborting a download
+    console.log('2. Testing aborted downloads...');
+    {
+      const abortController = new AbortController();
+      const download = settle(imageService.downloadImageFromUrl(hangingUrl, { signal: abortController.signal }));
+      await waitFor(() => openRequests.length === 1);
+
+      const abortedAt = Date.now();
+      abortController.abort(cancellation.createCancelledError());
+      const error = await download;
+
+      check('Download ends with CancelledError', error?.name === 'CancelledError', error?.message);
+      check('Download stops right away', Date.now() - abortedAt < 1000, `${Date.now() - abortedAt}ms`);
+      await waitFor(() => openRequests[0].destroyed);
+      check('Connection is closed', openRequests[0].destroyed);
+      check('Download is not retried', openRequests.length === 1, `${openRequests.length} requests`);
+    }
+    console.log();
+
+    // Test 3: Aborted Piapi calls
+    console.log('3. Testing aborted Piapi calls...');
+    {
+      piapi.reset();
+      const abortController = new AbortController();
+      abortController.abort(cancellation.createCancelledError());
+
+      const error = await settle(piapiService.createFaceSwapTask('data:image/png;base64,AAAA', 'data:image/png;base64,AAAA', {
+        signal: abortController.signal
+      }));
+      check('Task creation ends with CancelledError', error?.name === 'CancelledError');
+      check('No task is created after the abort', piapi.createdTasks().length === 0);
+
+      piapi.scriptTask([{ status: 'processing', progress: 10 }]);
+      const task = await piapiService.createFaceSwapTask('data:image/png;base64,AAAA', 'data:image/png;base64,AAAA');
+      const deadlineController = new AbortController();
+      const timer = cancellation.setDeadline(deadlineController, 300);
+      const waitError = await settle(piapiService.waitForTaskCompletion(task.taskId, {
+        pollInterval: 5000,
+        signal: deadlineController.signal
+      }));
+      clearTimeout(timer);
+
+      check('Deadline stops waiting as a timeout', waitError?.reason === 'timeout', waitError?.message);
+      check('Timed out task is cancelled on Piapi', piapi.createdTasks().find(created => created.id === task.taskId)?.cancelled === true);
+
+      // Aborted while waiting to retry a failed status check
+      piapi.scriptTask([{ status: 'processing', progress: 10 }]);
+      const retried = await piapiService.createFaceSwapTask('data:image/png;base64,AAAA', 'data:image/png;base64,AAAA');
+      // Three failures use up the retries of the status check itself
+      piapi.respondNext('getTask', { httpStatus: 500, times: 3 });
+      const retryController = new AbortController();
+      const retryWait = settle(piapiService.waitForTaskCompletion(retried.taskId, {
+        pollInterval: 5000,
+        signal: retryController.signal
+      }));
+      await waitFor(() => piapi.requests.filter(request => request.endpoint === 'getTask').length === 3, 10000);
+      await sleep(100);
+
+      const abortedAt = Date.now();
+      retryController.abort(cancellation.createCancelledError());
+      const retryError = await retryWait;
+
+      check('Retry wait ends with CancelledError', retryError?.name === 'CancelledError', retryError?.message);
+      check('Retry wait stops right away', Date.now() - abortedAt < 1000, `${Date.now() - abortedAt}ms`);
+      check('Task waiting for a retry is cancelled on Piapi',
+        piapi.createdTasks().find(created => created.id === retried.taskId)?.cancelled === true);
+    }
+    console.log();
+
+    // Test 4: Sticker set cleanup
+    console.log('4. Testing sticker set cleanup...');
+    {
+      botApi.reset();
+      const abortController = new AbortController();
+      const creation = settle(stickerService.createCompleteStickerPack(USER_ID, [sticker, sticker], ['😎', '😎'], 'Aborted', {
+        signal: abortController.signal
+      }));
+
+      await waitFor(() => botApi.stickerSetsOf(USER_ID).length === 1);
+      abortController.abort(cancellation.createCancelledError());
+      const error = await creation;
+
+      check('Pack creation ends with CancelledError', error?.name === 'CancelledError', error?.message);
+      check('Half-made set is deleted', botApi.stickerSetsOf(USER_ID).length === 0 && botApi.callsTo('deleteStickerSet').length === 1);
+      check('Remaining stickers are never added', botApi.callsTo('addStickerToSet').length === 0);
+
+      const fileId = await stickerService.uploadStickerFile(USER_ID, sticker, 'static');
+      const packName = stickerService.generatePackName(USER_ID);
+      await stickerService.createNewStickerSet(USER_ID, packName, fileId, '😎', 'Existing', { format: 'static' });
+
+      const updateController = new AbortController();
+      const update = settle(stickerService.createCompleteStickerPack(USER_ID, [sticker, sticker, sticker], ['😄', '😄', '😄'], 'Existing', {
+        existingPackName: packName,
+        signal: updateController.signal
+      }));
+
+      await waitFor(() => botApi.callsTo('addStickerToSet').length === 1);
+      updateController.abort(cancellation.createCancelledError());
+      const updateError = await update;
+
+      check('Pack update ends with CancelledError', updateError?.name === 'CancelledError', updateError?.message);
+      check('Added stickers are removed', botApi.stickerSets.get(packName)?.stickers.length === 1,
+        `${botApi.stickerSets.get(packName)?.stickers.length} stickers`);
+      check('Existing pack is kept', botApi.stickerSetsOf(USER_ID).length === 1);
+    }
+    console.log();
+
+    // Test 5: Pipeline deadline
+    console.log('5. Testing the pipeline deadline...');
+    {
+      piapi.reset();
+      edits.length = 0;
+      released = [];
+      logged = [];
+      TEMPLATE_CONFIG.MAX_PROCESSING_TIME = 1500;
+      await stateService.transition(USER_ID, BOT_STATES.PROCESSING);
+
+      const startedAt = Date.now();
+      const result = await startStuckGeneration();
+
+      check('Generation ends as timed out', result.reason === 'timeout', result.reason);
+      check('Deadline is enforced', Date.now() - startedAt < 5000, `${Date.now() - startedAt}ms`);
+      check('Tasks in flight are cancelled on Piapi', piapi.createdTasks().length > 0 && piapi.createdTasks().every(task => task.cancelled),
+        `${piapi.createdTasks().filter(task => task.cancelled).length}/${piapi.createdTasks().length}`);
+      check('Quota reservation is released', released.length === 1 && released[0] === 'reservation-stuck');
+      check('Timeout is logged', logged.at(-1) === 'timeout');
+      check('Progress says the time ran out', edits.at(-1)?.text === MESSAGES.GENERATION_TIMED_OUT(1), edits.at(-1)?.text);
+      check('User can send a new photo', (await stateService.getState(USER_ID)) === BOT_STATES.IDLE);
+
+      TEMPLATE_CONFIG.MAX_PROCESSING_TIME = maxProcessingTime;
+    }
+    console.log();
+
+    // Test 6: /cancel
+    console.log('6. Testing /cancel...');
+    {
+      piapi.reset();
+      sent.length = 0;
+      released = [];
+      logged = [];
+      await stateService.transition(USER_ID, BOT_STATES.PROCESSING);
+
+      const generation = startStuckGeneration();
+      await waitFor(() => piapi.createdTasks().length === 3);
+      await sendCommand('/cancel');
+      check('Running generation is being cancelled', sent.at(-1)?.text === MESSAGES.GENERATION_CANCELLING);
+
+      const result = await generation;
+      check('Generation ends as cancelled', result.reason === 'cancelled', result.reason);
+      check('Quota reservation is released', released.length === 1);
+
+      // Cancelling while the pack is being made
+      const originalCreatePack = stickerService.createCompleteStickerPack;
+      let packSignal = null;
+      stickerService.createCompleteStickerPack = async (userId, buffers, emojis, title, options) => {
+        packSignal = options.signal;
+        await cancellation.delay(60000, options.signal);
+      };
+      imageService.downloadImageFromUrl = async () => piapi.resultImage;
+      piapi.reset();
+      released = [];
+      await stateService.transition(USER_ID, BOT_STATES.PROCESSING);
+
+      const packGeneration = controller.generateStickerPack(USER_ID, USER_ID, 'AgACAgIAAxkBAAIC_cancel_photo', 'Test', {
+        templateIds: faceSwapTemplates.slice(0, 1).map(item => item.id),
+        quotaReservationId: 'reservation-pack'
+      });
+      await waitFor(() => packSignal !== null, 20000);
+      await sendCommand('/cancel');
+      const packResult = await packGeneration;
+      stickerService.createCompleteStickerPack = originalCreatePack;
+
+      check('Pack creation gets the signal', packSignal?.aborted === true);
+      check('/cancel works while the pack is made', packResult.reason === 'cancelled', packResult.reason);
+      check('Its reservation is released', released.length === 1 && released[0] === 'reservation-pack');
+
+      // A job still waiting in the queue
+      jobQueueService.setStore(new MemoryJobStore());
+      jobQueueService.stop();
+      released = [];
+      sent.length = 0;
+      await stateService.transition(USER_ID, BOT_STATES.PROCESSING);
+
+      const job = await jobQueueService.enqueue({
+        userId: USER_ID,
+        chatId: USER_ID,
+        messageId: 1,
+        photoFileId: 'AgACAgIAAxkBAAIC_queued_photo',
+        firstName: 'Test',
+        options: { quotaReservationId: 'reservation-queued' }
+      });
+      await sendCommand('/cancel');
+
+      const cancelledJob = await jobQueueService.getJob(job.id);
+      check('Queued job is cancelled', cancelledJob.status === JOB_STATUSES.FAILED && cancelledJob.error === 'cancelled');
+      check('Queue is empty', jobQueueService.getQueueStats().pending === 0);
+      check('Queued reservation is released', released.length === 1 && released[0] === 'reservation-queued');
+      check('User is told', sent.at(-1)?.text === MESSAGES.GENERATION_CANCELLED);
+      check('User can send a new photo', (await stateService.getState(USER_ID)) === BOT_STATES.IDLE);
+
+      // An open picker
+      controller.pendingSelections.set(USER_ID, { userId: USER_ID });
+      await stateService.transition(USER_ID, BOT_STATES.PROCESSING);
+      await sendCommand('/cancel');
+      check('Picker is closed', !controller.pendingSelections.has(USER_ID) && sent.at(-1)?.text === MESSAGES.SELECTION_CANCELLED);
+
+      await sendCommand('/cancel');
+      check('Nothing to cancel', sent.at(-1)?.text === MESSAGES.NOTHING_TO_CANCEL);
+    }
+    console.log();
+  } finally {
+    TEMPLATE_CONFIG.MAX_PROCESSING_TIME = maxProcessingTime;
+    await piapi.stop();
+    await botApi.stop();
+    openRequests.forEach(req => req.socket.destroy());
+    hangingServer.close();
+  }
+
+  report('Cancellation');
+}
+
+testCancellation().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,309 @@
+/**
+ * Caption Overlay Test Script
+ * Tests the "captions" manifest field, placeholder filling and sanitizing, text rendering
+ * (fonts, wrapping, auto-fit, stroke), overlay templates in processTemplate and the
+ * phrase typed after a photo
+ */
+
+// Keep results out of the shared cache directory
+process.env.CACHE_ENABLED = 'false';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const telegramService = require('../src/services/telegramService');
+const imageService = require('../src/services/imageService');
+const jobQueueService = require('../src/services/jobQueueService');
+const MemoryJobStore = require('../src/stores/memoryJobStore');
+const callbackData = require('../src/utils/callbackData');
+const controller = require('../src/controllers/telegramController');
+const templates = require('../src/config/templates');
+const { resolveCaptions, normalizeCaptions, sanitizeCaptionText, usesPhrase } = require('../src/config/captions');
+const { CONFIG, MESSAGES } = require('../src/config/constants');
+const { check, report } = require('./helpers/check');
+
+const USER_ID = 838383;
+const CHAT_ID = 838383;
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'caption-test-'));
+
+// Record outgoing Telegram calls instead of hitting the API
+const sent = [];
+let nextMessageId = 5000;
+
+telegramService.isConfigured = () => true;
+telegramService.sendMessage = async (chatId, text, options = {}) => {
+  const message = { message_id: nextMessageId++, chat: { id: chatId }, text, options };
+  sent.push(message);
+  return message;
+};
+telegramService.editMessage = async (chatId, messageId, text, options = {}) => {
+  sent.push({ message_id: messageId, chat: { id: chatId }, text, options, edited: true });
+  return { message_id: messageId };
+};
+telegramService.answerCallbackQuery = async () => true;
+
+const rejects = (template) => {
+  try {
+    templates.validateTemplate(template);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+const BLUE = { r: 48, g: 112, b: 192, alpha: 1 };
+
+const plainImage = (width, height) => sharp({
+  create: { width, height, channels: 4, background: BLUE }
+}).png().toBuffer();
+
+// Pixels in a row range that are close to the given color
+const countColor = async (buffer, color, fromRow, toRow) => {
+  const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  let count = 0;
+  for (let y = Math.max(0, fromRow); y < Math.min(info.height, toRow); y++) {
+    for (let x = 0; x < info.width; x++) {
+      const offset = (y * info.width + x) * 4;
+      if (Math.abs(data[offset] - color[0]) < 30 && Math.abs(data[offset + 1] - color[1]) < 30 &&
+          Math.abs(data[offset + 2] - color[2]) < 30) {
+        count++;
+      }
+    }
+  }
+  return count;
+};
+
+// First and last rows that differ from the plain background
+const changedRows = async (buffer) => {
+  const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  let first = -1;
+  let last = -1;
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      const offset = (y * info.width + x) * 4;
+      if (Math.abs(data[offset] - BLUE.r) + Math.abs(data[offset + 1] - BLUE.g) + Math.abs(data[offset + 2] - BLUE.b) > 30) {
+        if (first < 0) first = y;
+        last = y;
+        break;
+      }
+    }
+  }
+  return { first, last };
+};
+
+const resolve = (captions, context) => resolveCaptions(normalizeCaptions(captions), context);
+
+async function testCaptionOverlay() {
+  console.log('✍️ Testing Caption Overlays');
+  console.log('===========================\n');
+
+  const base = {
+    id: 'cap', name: 'Caption', description: 'Caption overlay', emojis: ['✍️'], asset: 'cap.png', type: 'overlay'
+  };
+
+  try {
+    // Test 1: Manifest field
+    console.log('1. Testing the captions manifest field...');
+    {
+      check('Overlay with captions is accepted', rejects({ ...base, captions: [{ text: 'Привет, {name}!', position: 'top' }] }) === null);
+      check('Overlay needs captions', /captions/.test(rejects(base) || ''));
+      check('Captions need an overlay template', !!rejects({ ...base, type: 'face_swap', captions: [{ text: 'Hi' }] }));
+      check('Unknown placeholder is rejected', /placeholders/.test(rejects({ ...base, captions: [{ text: '{age}' }] }) || ''));
+      check('Unknown style is rejected', !!rejects({ ...base, captions: [{ text: 'Hi', style: 'comic' }] }));
+      check('Unknown position is rejected', !!rejects({ ...base, captions: [{ text: 'Hi', position: 'left' }] }));
+      check('Two captions at one position are rejected', !!rejects({ ...base, captions: [{ text: 'A' }, { text: 'B' }] }));
+      check('Too many captions are rejected', !!rejects({
+        ...base,
+        captions: Array.from({ length: CONFIG.CAPTION_MAX_COUNT + 1 }, (_, i) => ({ text: `${i}` }))
+      }));
+      check('Too long text is rejected', !!rejects({ ...base, captions: [{ text: 'x'.repeat(CONFIG.CAPTION_MAX_LENGTH + 1) }] }));
+      check('Caption without text is rejected', !!rejects({ ...base, captions: [{ fallback: 'Hi' }] }));
+      check('Animated overlays are rejected', !!rejects({ ...base, asset: 'cap.webm', format: 'video', captions: [{ text: 'Hi' }] }));
+
+      fs.writeFileSync(path.join(tempRoot, 'cap.png'), await plainImage(512, 512));
+      const manifestPath = path.join(tempRoot, 'templates.json');
+      fs.writeFileSync(manifestPath, JSON.stringify({
+        templates: [{ ...base, captions: [{ text: '{phrase}', fallback: 'Ну и ну' }] }]
+      }));
+      const [loaded] = templates.loadTemplateManifest(manifestPath).templates;
+
+      check('Defaults are filled in', loaded.captions[0].position === 'bottom' && loaded.captions[0].style === 'meme',
+        JSON.stringify(loaded.captions));
+      check('Phrase templates are recognized', usesPhrase(loaded) && !usesPhrase({ ...loaded, captions: [{ text: '{name}' }] }));
+      check('Bundled templates use no phrase', !templates.getAllTemplates().some(usesPhrase));
+    }
+    console.log();
+
+    // Test 2: Placeholders and sanitizing
+    console.log('2. Testing placeholders and sanitizing...');
+    {
+      const [greeting] = resolve([{ text: 'Привет, {name}!', style: 'outline' }], { name: 'Аня' });
+      check('Name is filled in', greeting?.text === 'Привет, Аня!', greeting?.text);
+
+      const [meme] = resolve([{ text: '{name} в деле' }], { name: 'ёжик' });
+      check('Meme style is upper case, Cyrillic included', meme?.text === 'ЁЖИК В ДЕЛЕ', meme?.text);
+
+      const [fallback] = resolve([{ text: 'Привет, {name}!', fallback: 'Привет!', style: 'plain' }], {});
+      check('Missing name uses the fallback', fallback?.text === 'Привет!', fallback?.text);
+      check('Missing name without fallback drops the caption', resolve([{ text: 'Привет, {name}!' }], {}).length === 0);
+
+      const [cleaned] = resolve([{ text: '{phrase}', style: 'plain' }], { phrase: '  <Ура>\u0007   🎉\n  победа  ' });
+      check('Angle brackets, control characters and emoji are dropped', cleaned?.text === 'Ура победа',
+        JSON.stringify(cleaned?.text));
+      check('Emoji-only phrase leaves nothing', resolve([{ text: '{phrase}' }], { phrase: '🎉🔥' }).length === 0);
+      check('Long text is cut', sanitizeCaptionText('слово '.repeat(30)).length <= CONFIG.CAPTION_MAX_LENGTH);
+      check('Long name is cut', resolve([{ text: '{name}', style: 'plain' }], { name: 'Я'.repeat(60) })[0]?.text.length === CONFIG.CAPTION_NAME_MAX_LENGTH);
+    }
+    console.log();
+
+    // Test 3: Rendering
+    console.log('3. Testing caption rendering...');
+    {
+      const image = await plainImage(512, 512);
+      const band = Math.round(512 * CONFIG.CAPTION_MAX_HEIGHT);
+
+      const top = await imageService.renderCaptions(image, resolve([{ text: 'Котик', position: 'top' }]));
+      const topMetadata = await sharp(top).metadata();
+      const topRows = await changedRows(top);
+      check('Result keeps the image size', topMetadata.width === 512 && topMetadata.height === 512);
+      check('Top caption sits in the top band', topRows.first >= 0 && topRows.last < band, JSON.stringify(topRows));
+      check('Meme text is white', await countColor(top, [255, 255, 255], 0, band) > 500);
+      check('Meme stroke is black', await countColor(top, [0, 0, 0], 0, band) > 300);
+
+      const bottom = await imageService.renderCaptions(image, resolve([{ text: 'Котик', position: 'bottom', style: 'label' }]));
+      const bottomRows = await changedRows(bottom);
+      check('Bottom caption sits in the bottom band', bottomRows.first >= 512 - band && bottomRows.last < 512, JSON.stringify(bottomRows));
+      check('Label text is dark on a white stroke', await countColor(bottom, [26, 26, 26], 512 - band, 512) > 300 &&
+        await countColor(bottom, [255, 255, 255], 512 - band, 512) > 300);
+
+      const plain = await imageService.renderCaptions(image, resolve([{ text: 'Котик', position: 'center', style: 'plain' }]));
+      const plainRows = await changedRows(plain);
+      check('Centered caption is in the middle', plainRows.first > band && plainRows.last < 512 - band, JSON.stringify(plainRows));
+      check('Plain style has no stroke', await countColor(plain, [255, 255, 255], 0, 512) === 0);
+
+      const long = 'очень длинная подпись которая не влезает в одну строку и ещё немного';
+      const wrapped = await imageService.renderCaptions(image, resolve([{ text: '{phrase}', position: 'top' }], { phrase: long }));
+      const wrappedRows = await changedRows(wrapped);
+      check('Long text wraps and shrinks into its band', wrappedRows.last < band && wrappedRows.last - wrappedRows.first > band / 2,
+        JSON.stringify(wrappedRows));
+
+      const short = await changedRows(await imageService.renderCaptions(image, resolve([{ text: 'Да', position: 'top' }])));
+      check('Short text stays at the largest size', short.last - short.first < CONFIG.CAPTION_MAX_FONT_SIZE * 1.5,
+        JSON.stringify(short));
+
+      const both = await imageService.renderCaptions(image, resolve([
+        { text: 'Когда', position: 'top' },
+        { text: 'пятница', position: 'bottom' }
+      ]));
+      check('Top and bottom captions together', await countColor(both, [255, 255, 255], 0, band) > 300 &&
+        await countColor(both, [255, 255, 255], 512 - band, 512) > 300);
+
+      const ampersand = await imageService.renderCaptions(image, resolve([{ text: '{phrase}' }], { phrase: 'Том & Джерри' }));
+      check('Ampersand is drawn, not parsed as markup', (await changedRows(ampersand)).first > 0);
+
+      const large = await imageService.renderCaptions(await plainImage(1024, 600), resolve([{ text: 'Котик', position: 'top' }]));
+      const largeRows = await changedRows(large);
+      check('Text scales with the image', largeRows.last - largeRows.first > (topRows.last - topRows.first) * 1.6,
+        `${largeRows.last - largeRows.first} vs ${topRows.last - topRows.first}`);
+    }
+    console.log();
+
+    // Test 4: processTemplate
+    console.log('4. Testing overlay templates in processTemplate...');
+    {
+      const [template] = templates.loadTemplateManifest(path.join(tempRoot, 'templates.json')).templates;
+      const userPhoto = await plainImage(600, 800);
+
+      const sticker = await controller.processTemplate(template, userPhoto, 0, 0, USER_ID, {
+        captionContext: { name: 'Аня', phrase: 'Поехали' }
+      });
+      const metadata = await sharp(sticker).metadata();
+      check('Overlay sticker is a 512px WebP', metadata.format === 'webp' && Math.max(metadata.width, metadata.height) === 512,
+        `${metadata.width}x${metadata.height}`);
+      check('Phrase is drawn on the sticker', await countColor(sticker, [255, 255, 255], 512 - 160, 512) > 300);
+
+      const fallback = await controller.processTemplate(template, userPhoto, 0, 0, USER_ID);
+      check('Fallback caption is drawn without a phrase', await countColor(fallback, [255, 255, 255], 512 - 160, 512) > 300);
+
+      const renderCaptions = imageService.renderCaptions;
+      imageService.renderCaptions = async () => {
+        throw new Error('font missing');
+      };
+      try {
+        const bare = await controller.processTemplate(template, userPhoto, 0, 0, USER_ID, { captionContext: { phrase: 'Поехали' } });
+        check('Failed rendering keeps the base image', !!bare && await countColor(bare, [255, 255, 255], 0, 512) === 0);
+      } finally {
+        imageService.renderCaptions = renderCaptions;
+      }
+    }
+    console.log();
+
+    // Test 5: Phrase after the photo
+    console.log('5. Testing the phrase typed after the photo...');
+    {
+      const store = new MemoryJobStore();
+      jobQueueService.setStore(store);
+      jobQueueService.stop(); // Keep the queued job pending for inspection
+
+      await controller.handleTextMessage(CHAT_ID, 'просто текст', USER_ID);
+      check('Text without a photo asks for a photo', sent.at(-1).text === MESSAGES.SEND_PHOTO_ONLY);
+
+      templates.reloadTemplates(path.join(tempRoot, 'templates.json'));
+
+      await controller.handlePhotoMessage(CHAT_ID, USER_ID, [{ file_id: 'AgACAgIAAxkBAAIC_caption_photo', width: 640, height: 480 }], 'Аня', 1);
+      const picker = sent.at(-1);
+      check('Picker asks for a phrase', /фразу/.test(picker.text));
+
+      await controller.handleTextMessage(CHAT_ID, '🎉🎉', USER_ID);
+      check('Emoji-only phrase is refused', sent.at(-1).text === MESSAGES.CAPTION_PHRASE_INVALID(CONFIG.CAPTION_MAX_LENGTH));
+
+      await controller.handleTextMessage(CHAT_ID, 'а'.repeat(CONFIG.CAPTION_MAX_LENGTH + 1), USER_ID);
+      check('Too long phrase is refused', sent.at(-1).text === MESSAGES.CAPTION_PHRASE_INVALID(CONFIG.CAPTION_MAX_LENGTH));
+
+      await controller.handleTextMessage(CHAT_ID, '  Я & <i>кот</i>  ', USER_ID);
+      check('Phrase is confirmed with HTML escaped', sent.at(-1).text.includes('&amp;') && !sent.at(-1).text.includes('<i>'),
+        sent.at(-1).text);
+
+      const confirm = picker.options.reply_markup.inline_keyboard.flat()
+        .find(button => callbackData.decode(button.callback_data, USER_ID)?.action === 'tpl_all');
+      await controller.processCallbackQuery({
+        id: 'cbq_caption',
+        from: { id: USER_ID, first_name: 'Аня' },
+        message: { message_id: picker.message_id, chat: { id: CHAT_ID } },
+        data: confirm.callback_data
+      });
+
+      const [job] = await store.findByUser(USER_ID);
+      check('Job keeps the phrase', job?.options?.phrase === sanitizeCaptionText('  Я & <i>кот</i>  ', Infinity), job?.options?.phrase);
+
+      const generateStickerPack = controller.generateStickerPack;
+      let generationOptions = null;
+      controller.generateStickerPack = async (chatId, userId, photoFileId, firstName, options) => {
+        generationOptions = options;
+        return { success: true };
+      };
+      try {
+        await controller.runGenerationJob(job);
+      } finally {
+        controller.generateStickerPack = generateStickerPack;
+      }
+      check('Generation gets the phrase', generationOptions?.phrase === job?.options?.phrase);
+
+      await controller.handleTextMessage(CHAT_ID, 'ещё фраза', USER_ID);
+      check('Text after the picker closed asks for a photo', sent.at(-1).text === MESSAGES.SEND_PHOTO_ONLY);
+    }
+    console.log();
+  } finally {
+    templates.reloadTemplates();
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  report('Caption overlay');
+}
+
+testCaptionOverlay().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
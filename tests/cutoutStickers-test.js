@@ -0,0 +1,228 @@
+/**
+ * Cut-out Sticker Test Script
+ * Tests the "cutout" manifest field, sticker styling (trim, outline, shadow),
+ * both background removers and the fail-open path in processTemplate
+ */
+
+const API_KEY = 'fake-piapi-api-key';
+
+process.env.PIAPI_API_KEY = API_KEY;
+process.env.FACE_SWAP_PROVIDER = 'piapi';
+// Keep results out of the shared cache directory
+process.env.CACHE_ENABLED = 'false';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const FakePiapiApi = require('./fakes/piapiApi');
+const piapiService = require('../src/services/piapiService');
+const faceSwapService = require('../src/services/faceSwapService');
+const imageService = require('../src/services/imageService');
+const backgroundRemovalService = require('../src/services/backgroundRemovalService');
+const controller = require('../src/controllers/telegramController');
+const templates = require('../src/config/templates');
+const { CONFIG } = require('../src/config/constants');
+const { check, report } = require('./helpers/check');
+
+const USER_ID = 737373;
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'cutout-test-'));
+
+const rejects = (template) => {
+  try {
+    templates.validateTemplate(template);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+const errorOf = async (promise) => {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+};
+
+// Red disc in the middle of a plain background (or of nothing, for a finished cutout)
+const disc = (size, background) => sharp({
+  create: { width: size, height: size, channels: 4, background }
+}).composite([{
+  input: Buffer.from(`<svg width="${size}" height="${size}"><circle cx="${size / 2}" cy="${size / 2}" r="${size / 4}" fill="red"/></svg>`)
+}]).png().toBuffer();
+
+const pixelAt = async (buffer, x, y) => {
+  const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const offset = (y * info.width + x) * 4;
+  return { r: data[offset], g: data[offset + 1], b: data[offset + 2], a: data[offset + 3] };
+};
+
+// Dark see-through pixels: only the drop shadow makes those
+const shadowPixels = async (buffer) => {
+  const { data } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+  let count = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] > 0 && data[i + 3] < 128 && data[i] < 40 && data[i + 1] < 40) count++;
+  }
+  return count;
+};
+
+async function testCutoutStickers() {
+  console.log('✂️ Testing Cut-out Stickers');
+  console.log('===========================\n');
+
+  const fake = new FakePiapiApi({ apiKey: API_KEY });
+  piapiService.setBaseUrl(await fake.start());
+  faceSwapService.setProvider(piapiService);
+
+  const GREEN = { r: 0, g: 160, b: 60, alpha: 1 };
+  const swapped = await disc(512, GREEN);
+  const removed = await disc(512, { r: 0, g: 0, b: 0, alpha: 0 });
+  fake.resultImages = { 'face-swap': swapped, 'background-remove': removed };
+
+  try {
+    // Test 1: Manifest field
+    console.log('1. Testing the cutout manifest field...');
+    {
+      const base = {
+        id: 'cut', name: 'Cut', description: 'Cut-out', emojis: ['✂️'], asset: 'cut.png', type: 'face_swap'
+      };
+
+      check('Plain true is accepted', rejects({ ...base, cutout: true }) === null);
+      check('Settings object is accepted', rejects({ ...base, cutout: { outline: 12, shadow: false } }) === null);
+      check('Unknown setting is rejected', /cutout/.test(rejects({ ...base, cutout: { glow: true } }) || ''));
+      check('Too wide outline is rejected', !!rejects({ ...base, cutout: { outline: CONFIG.CUTOUT_MAX_OUTLINE + 1 } }));
+      check('Fractional outline is rejected', !!rejects({ ...base, cutout: { outline: 2.5 } }));
+      check('Non-boolean shadow is rejected', !!rejects({ ...base, cutout: { shadow: 'yes' } }));
+      check('String value is rejected', !!rejects({ ...base, cutout: 'yes' }));
+      check('Ready stickers cannot be cut out', !!rejects({ ...base, type: 'ready_sticker', cutout: true }));
+      check('Animated templates cannot be cut out', !!rejects({ ...base, asset: 'cut.webm', format: 'video', cutout: true }));
+
+      fs.writeFileSync(path.join(tempRoot, 'cut.png'), swapped);
+      const manifestPath = path.join(tempRoot, 'templates.json');
+      fs.writeFileSync(manifestPath, JSON.stringify({
+        templates: [
+          { ...base, id: 'a', cutout: true },
+          { ...base, id: 'b', cutout: { outline: 0 } },
+          { ...base, id: 'c' }
+        ]
+      }));
+      const [a, b, c] = templates.loadTemplateManifest(manifestPath).templates;
+
+      check('true gets the default look', a.cutout?.outline === CONFIG.CUTOUT_DEFAULT_OUTLINE && a.cutout?.shadow === CONFIG.CUTOUT_DEFAULT_SHADOW,
+        JSON.stringify(a.cutout));
+      check('Missing settings get defaults', b.cutout?.outline === 0 && b.cutout?.shadow === CONFIG.CUTOUT_DEFAULT_SHADOW);
+      check('Other templates stay rectangular', c.cutout === null);
+      check('Bundled templates stay rectangular', templates.getAllTemplates().every(template => template.cutout === null));
+    }
+    console.log();
+
+    // Test 2: Styling
+    console.log('2. Testing cut-out styling...');
+    {
+      const styled = await imageService.styleCutout(removed, { outline: 8, shadow: true });
+      const metadata = await sharp(styled).metadata();
+      check('Result is a 512px PNG with alpha', metadata.format === 'png' && metadata.width === 512 && metadata.height === 512 && metadata.hasAlpha,
+        `${metadata.width}x${metadata.height}`);
+
+      const center = await pixelAt(styled, 256, 256);
+      check('Subject is opaque', center.a === 255 && center.r > 200);
+      check('Corners are transparent', (await pixelAt(styled, 0, 0)).a === 0 && (await pixelAt(styled, 511, 0)).a === 0);
+
+      // The disc is trimmed and scaled up, so its top edge lands near the top of the canvas
+      const { data, info } = await sharp(styled).raw().toBuffer({ resolveWithObject: true });
+      let top = 0;
+      while (data[(top * info.width + 256) * 4 + 3] === 0) top++;
+      const stroke = await pixelAt(styled, 256, top + 3);
+      check('Subject is trimmed to the canvas', top < 24, `starts at ${top}px`);
+      check('Outline is white', stroke.r > 240 && stroke.g > 240 && stroke.b > 240 && stroke.a > 200, JSON.stringify(stroke));
+
+      const shadowSide = await pixelAt(styled, 500, 256);
+      const plain = await imageService.styleCutout(removed, { outline: 8, shadow: false });
+      check('Shadow falls down and right', shadowSide.a > 0 && shadowSide.r < 40, JSON.stringify(shadowSide));
+      check('No shadow when turned off', await shadowPixels(plain) === 0 && await shadowPixels(styled) > 1000);
+
+      const bare = await imageService.styleCutout(removed, { outline: 0, shadow: false });
+      const bareEdge = await pixelAt(bare, 256, 2);
+      check('No outline when turned off', bareEdge.g < 60, JSON.stringify(bareEdge));
+
+      const nothing = await sharp({ create: { width: 64, height: 64, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } }).png().toBuffer();
+      const empty = await errorOf(imageService.styleCutout(nothing));
+      check('Fully transparent result is an error', empty?.name === 'ProcessingError', empty?.name);
+    }
+    console.log();
+
+    // Test 3: Local remover
+    console.log('3. Testing the local remover...');
+    {
+      backgroundRemovalService.setProvider('local');
+
+      const flooded = await backgroundRemovalService.removeWithFloodFill(swapped);
+      check('Plain background is removed', (await pixelAt(flooded, 5, 5)).a === 0);
+      check('Subject is kept', (await pixelAt(flooded, 256, 256)).a === 255);
+
+      const cutout = await backgroundRemovalService.createCutout(swapped, { outline: 8, shadow: true });
+      check('Cutout is styled', (await pixelAt(cutout, 0, 0)).a === 0 && (await pixelAt(cutout, 256, 256)).r > 200);
+      check('Unknown remover is refused', (await errorOf(Promise.resolve().then(() => backgroundRemovalService.setProvider('magic'))))?.name === 'ConfigurationError');
+    }
+    console.log();
+
+    // Test 4: Piapi remover
+    console.log('4. Testing the Piapi remover...');
+    {
+      backgroundRemovalService.setProvider('piapi');
+      const isRemoval = (input) => !!input.image;
+
+      fake.scriptTask([{ status: 'completed' }], { match: isRemoval });
+      const cutout = await backgroundRemovalService.createCutout(swapped, { outline: 8, shadow: false });
+      const request = fake.createdTasks().at(-1).request;
+      check('Background-remove task is created', request.task_type === 'background-remove' && request.input.image.startsWith('data:image/png'));
+      check('Task result is styled', (await pixelAt(cutout, 0, 0)).a === 0 && (await pixelAt(cutout, 256, 256)).r > 200);
+
+      fake.scriptTask([{ status: 'completed', output: {} }], { match: isRemoval });
+      const noOutput = await errorOf(backgroundRemovalService.createCutout(swapped, { outline: 8, shadow: false }));
+      check('Task without a result is an error', noOutput?.name === 'TaskFailedError', noOutput?.name);
+    }
+    console.log();
+
+    // Test 5: processTemplate
+    console.log('5. Testing processTemplate...');
+    {
+      const template = { ...templates.getAllTemplates()[0], cutout: { outline: 8, shadow: true } };
+      const userPhoto = await sharp({ create: { width: 600, height: 800, channels: 3, background: 'blue' } }).png().toBuffer();
+      const isSwap = (input) => !!input.swap_image;
+      const isRemoval = (input) => !!input.image;
+
+      fake.scriptTask([{ status: 'completed' }], { match: isSwap });
+      fake.scriptTask([{ status: 'completed' }], { match: isRemoval });
+      const sticker = await controller.processTemplate(template, userPhoto, 0, 0, USER_ID);
+      const metadata = await sharp(sticker).metadata();
+      check('Cut-out sticker is a WebP with alpha', metadata.format === 'webp' && metadata.hasAlpha);
+      check('Sticker background is transparent', (await pixelAt(sticker, 2, 2)).a === 0);
+
+      fake.scriptTask([{ status: 'completed' }], { match: isSwap });
+      fake.scriptTask([{ status: 'failed', error: 'segmentation failed' }], { match: isRemoval });
+      const fallback = await controller.processTemplate(template, userPhoto, 0, 0, USER_ID);
+      const corner = await pixelAt(fallback, 2, 2);
+      check('Failed removal keeps the face-swap result', corner.a === 255 && corner.g > 120 && corner.r < 60, JSON.stringify(corner));
+
+      const rectangular = await controller.processTemplate({ ...template, cutout: null }, userPhoto, 0, 0, USER_ID);
+      check('Other templates skip background removal', (await pixelAt(rectangular, 2, 2)).a === 255 &&
+        fake.createdTasks().at(-1).request.task_type === 'face-swap');
+    }
+    console.log();
+  } finally {
+    await fake.stop();
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  }
+
+  report('Cut-out sticker');
+}
+
+testCutoutStickers().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
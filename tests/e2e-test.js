@@ -0,0 +1,508 @@
+/**
+ * End-to-End Test Script
+ * Runs the bot (index.js) against the fake Telegram Bot API server, posts
+ * webhook updates for each scenario and checks the resulting sticker packs
+ *
+ * Fully offline: local face-swap provider, in-memory stores and a template
+ * manifest with local assets only
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const FormData = require('form-data');
+const sharp = require('sharp');
+const { spawn } = require('child_process');
+const FakeTelegramBotApi = require('./fakes/telegramBotApi');
+
+const BOT_TOKEN = '123456789:E2E-fake-bot-token';
+const WEBHOOK_SECRET = 'e2e-webhook-secret';
+const ALLOWLISTED_USER = 820002;
+
+process.env.TELEGRAM_BOT_TOKEN = BOT_TOKEN;
+const { MESSAGES } = require('../src/config/constants');
+const { check, failureCount, report } = require('./helpers/check');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'e2e-test-'));
+const fake = new FakeTelegramBotApi({ token: BOT_TOKEN });
+
+// Three face-swap templates with local assets (no downloads)
+const TEMPLATES = [
+  { id: 'e2e-1', name: 'E2E One', emojis: ['😄', '😆'], asset: 'meme-1.png' },
+  { id: 'e2e-2', name: 'E2E Two', emojis: ['😎'], asset: 'meme-2.png' },
+  { id: 'e2e-3', name: 'E2E Three', emojis: ['🤪'], asset: 'meme-3.png' }
+];
+
+const writeManifest = () => {
+  for (const template of TEMPLATES) {
+    fs.copyFileSync(path.join(__dirname, '..', 'assets', 'memes', template.asset), path.join(tempDir, template.asset));
+  }
+
+  const manifestPath = path.join(tempDir, 'templates.json');
+  fs.writeFileSync(manifestPath, JSON.stringify({
+    version: 1,
+    templates: TEMPLATES.map((template, index) => ({
+      ...template,
+      description: 'End-to-end test template',
+      type: 'face_swap',
+      order: index
+    }))
+  }));
+
+  return manifestPath;
+};
+
+const waitFor = async (condition, timeout = 60000) => {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeout) return false;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return true;
+};
+
+// ---------------------------------------------------------------------------
+// Updates
+// ---------------------------------------------------------------------------
+
+let nextUpdateId = 1000;
+let photoBuffer = null;
+let blankPhotoBuffer = null;
+let groupPhotoBuffer = null;
+let originalFileBuffer = null;
+
+const createUser = (userId) => ({ id: userId, is_bot: false, first_name: 'E2E', language_code: 'ru' });
+
+const buildMessageUpdate = (userId, content) => ({
+  update_id: nextUpdateId++,
+  message: {
+    message_id: nextUpdateId,
+    date: Math.floor(Date.now() / 1000),
+    chat: { id: userId, type: 'private' },
+    from: createUser(userId),
+    ...content
+  }
+});
+
+const buildCallbackUpdate = (userId, message, data) => ({
+  update_id: nextUpdateId++,
+  callback_query: {
+    id: String(nextUpdateId),
+    from: createUser(userId),
+    message: { message_id: message.message_id, date: message.date, chat: message.chat },
+    chat_instance: String(userId),
+    data
+  }
+});
+
+/**
+ * Find an inline button by the start of its text on the newest message that has it
+ */
+const findButton = (userId, textPrefix) => {
+  const messages = fake.messagesTo(userId).slice().reverse();
+
+  for (const message of messages) {
+    const buttons = message.reply_markup?.inline_keyboard?.flat() || [];
+    const button = buttons.find(candidate => candidate.text.startsWith(textPrefix) && candidate.callback_data);
+    if (button) return { message, button };
+  }
+
+  return null;
+};
+
+// ---------------------------------------------------------------------------
+// Scenarios
+// ---------------------------------------------------------------------------
+
+const packReady = /Ваши стикеры готовы/;
+const packButtonUrl = (message) => message?.reply_markup?.inline_keyboard?.flat().find(button => button.url)?.url;
+const emojisOf = (set) => set.stickers.map(sticker => sticker.emoji_list);
+
+const SCENARIOS = [
+  {
+    name: 'New pack from a photo',
+    userId: 820001,
+    steps: [
+      { text: '/start' },
+      { photo: true },
+      { press: '🚀' },
+      { waitFor: packReady }
+    ],
+    expect: (userId) => {
+      const sets = fake.stickerSetsOf(userId);
+      const set = sets[0];
+
+      check('One pack is created', sets.length === 1, `${sets.length} packs`);
+      check('Pack name belongs to the bot', set?.name.endsWith('_by_NewPeopleStickers_bot'));
+      check('Pack has a sticker per template', set?.stickers.length === 3, `${set?.stickers.length} stickers`);
+      check('Stickers keep template order and emojis',
+        JSON.stringify(emojisOf(set)) === JSON.stringify(TEMPLATES.map(template => template.emojis)));
+      check('Stickers are static', set?.stickers.every(sticker => !sticker.is_video));
+      check('Button links to the pack', packButtonUrl(fake.messagesTo(userId).at(-1)) === `https://t.me/addstickers/${set?.name}`);
+      check('Picker answered the button press', fake.callsTo('answerCallbackQuery').length > 0);
+
+      const messages = fake.messagesTo(userId);
+      check('Finished stickers are previewed in an album', messages.filter(message => message.media_group_id).length === 3);
+      check('Progress message ends without the Cancel button',
+        messages.some(message => message.text?.includes('Создаю стикер-пак') && !message.reply_markup));
+    }
+  },
+  {
+    name: 'Deselected template is left out',
+    userId: 820003,
+    steps: [
+      { photo: true },
+      { press: '✅ 😎' },
+      { press: '🚀 Создать стикеры (2)' },
+      { waitFor: packReady }
+    ],
+    expect: (userId) => {
+      const set = fake.stickerSetsOf(userId)[0];
+
+      check('Pack has the two selected templates', set?.stickers.length === 2, `${set?.stickers.length} stickers`);
+      check('Deselected emoji is missing', !emojisOf(set || { stickers: [] }).flat().includes('😎'));
+    }
+  },
+  {
+    name: 'Stickers are added to the existing pack',
+    userId: ALLOWLISTED_USER,
+    steps: [
+      { photo: true },
+      { press: '🚀' },
+      { waitFor: packReady },
+      { text: '/addtopack' },
+      { waitFor: /Режим: добавить в существующий пак/ },
+      { photo: true },
+      { press: '🚀' },
+      { waitFor: /Стикеры добавлены в ваш пак/ }
+    ],
+    expect: (userId) => {
+      const sets = fake.stickerSetsOf(userId);
+
+      check('No second pack is created', sets.length === 1, `${sets.length} packs`);
+      check('Pack holds both generations', sets[0]?.stickers.length === 6, `${sets[0]?.stickers.length} stickers`);
+      check('Reply counts the new stickers', fake.messagesTo(userId).at(-1).text.includes('Добавлено новых стикеров: 3'));
+    }
+  },
+  {
+    name: 'Bot API outage keeps the existing pack',
+    userId: ALLOWLISTED_USER,
+    steps: [
+      { text: '/addtopack' },
+      { waitFor: /Режим: добавить в существующий пак/ },
+      { fail: { method: 'getStickerSet', errorCode: 500, description: 'Internal Server Error' } },
+      { photo: true },
+      { press: '🚀' },
+      { waitFor: /Ошибка при обработке/ }
+    ],
+    expect: (userId) => {
+      const sets = fake.stickerSetsOf(userId);
+
+      check('No second pack is created', sets.length === 1, `${sets.length} packs`);
+      check('Existing pack is unchanged', sets[0]?.stickers.length === 6, `${sets[0]?.stickers.length} stickers`);
+      check('No new set is requested',
+        fake.callsTo('createNewStickerSet').filter(params => Number(params.user_id) === userId).length === 1);
+    }
+  },
+  {
+    name: 'Rate-limited addStickerToSet is retried',
+    userId: 820004,
+    failures: [
+      { method: 'addStickerToSet', errorCode: 429, description: 'Too Many Requests: retry after 1', retryAfter: 1 }
+    ],
+    steps: [
+      { photo: true },
+      { press: '🚀' },
+      { waitFor: packReady }
+    ],
+    expect: (userId) => {
+      const set = fake.stickerSetsOf(userId)[0];
+      check('Pack is complete after the retry', set?.stickers.length === 3, `${set?.stickers.length} stickers`);
+    }
+  },
+  {
+    name: 'Photo without a face is turned away',
+    userId: 820006,
+    steps: [
+      { photo: 'blank' },
+      { waitFor: /Фото не подходит для стикеров/ }
+    ],
+    expect: (userId) => {
+      check('No pack is created', fake.stickerSetsOf(userId).length === 0);
+      check('No template picker is shown', fake.messagesTo(userId).every(message => !message.reply_markup));
+      check('User is told what is wrong', fake.messagesTo(userId).at(-1).text === MESSAGES.FACE_CHECK_FAILED('no_face'));
+    }
+  },
+  {
+    name: 'Face is chosen in a group photo',
+    userId: 820007,
+    steps: [
+      { photo: 'group' },
+      { waitFor: /На фото несколько лиц/ },
+      { press: '👤 2' },
+      { press: '🚀' },
+      { waitFor: packReady }
+    ],
+    expect: (userId) => {
+      const picker = fake.messagesTo(userId).find(message => message.photo);
+
+      check('Preview is sent with a button per face', picker?.reply_markup?.inline_keyboard.flat().length === 2);
+      check('Pack is created from the chosen face', fake.stickerSetsOf(userId)[0]?.stickers.length === 3);
+    }
+  },
+  {
+    name: 'Original sent as a file',
+    userId: 820008,
+    steps: [
+      { document: { fileName: 'IMG_0042.JPG', mimeType: 'image/jpeg' } },
+      { press: '🚀' },
+      { waitFor: packReady }
+    ],
+    expect: (userId) => {
+      check('Pack is created from the file', fake.stickerSetsOf(userId)[0]?.stickers.length === 3);
+    }
+  },
+  {
+    name: 'Other files get a hint',
+    userId: 820009,
+    steps: [
+      { document: { fileName: 'contract.pdf', mimeType: 'application/pdf', data: Buffer.from('%PDF-1.7') } },
+      { waitFor: /Этот файл не подходит/ }
+    ],
+    expect: (userId) => {
+      check('User is told which files work', fake.messagesTo(userId).at(-1).text === MESSAGES.UNSUPPORTED_DOCUMENT);
+    }
+  },
+  {
+    name: 'Failed pack creation is reported',
+    userId: 820005,
+    failures: [
+      { method: 'createNewStickerSet', errorCode: 500, description: 'Internal Server Error' }
+    ],
+    steps: [
+      { photo: true },
+      { press: '🚀' },
+      { waitFor: /Ошибка при обработке/ }
+    ],
+    expect: (userId) => {
+      check('No pack is left behind', fake.stickerSetsOf(userId).length === 0);
+      check('User gets the error message', fake.messagesTo(userId).at(-1).text === MESSAGES.PROCESSING_ERROR);
+    }
+  }
+];
+
+const runScenario = async (scenario, postUpdate) => {
+  const { userId } = scenario;
+  let since = fake.nextMessageId;
+
+  for (const failure of scenario.failures || []) {
+    fake.failNext(failure.method, failure);
+  }
+
+  // The webhook is answered before the update is handled, and the bot replies to every message
+  const postMessage = async (content) => {
+    const replies = fake.messagesTo(userId).length;
+    await postUpdate(buildMessageUpdate(userId, content));
+
+    if (!await waitFor(() => fake.messagesTo(userId).length > replies)) {
+      throw new Error(`No reply to the ${Object.keys(content).join(', ')} message of user ${userId}`);
+    }
+  };
+
+  for (const step of scenario.steps) {
+    if (step.text) {
+      await postMessage({ text: step.text });
+
+    } else if (step.photo) {
+      const buffer = { blank: blankPhotoBuffer, group: groupPhotoBuffer }[step.photo] || photoBuffer;
+      const photo = fake.addPhoto(buffer, { width: 640, height: 640 });
+      await postMessage({ photo });
+
+    } else if (step.document) {
+      const document = fake.addDocument(step.document.data || originalFileBuffer, step.document);
+      await postMessage({ document });
+
+    } else if (step.fail) {
+      fake.failNext(step.fail.method, step.fail);
+
+    } else if (step.press) {
+      const found = await waitFor(() => findButton(userId, step.press), 5000);
+      if (!found) {
+        throw new Error(`No button "${step.press}" for user ${userId}`);
+      }
+
+      const { message, button } = findButton(userId, step.press);
+      await postUpdate(buildCallbackUpdate(userId, message, button.callback_data));
+
+    } else if (step.waitFor) {
+      const matches = () => fake.messagesTo(userId).some(message =>
+        message.message_id >= since && step.waitFor.test(message.text || message.caption || ''));
+
+      if (!await waitFor(matches)) {
+        const last = fake.messagesTo(userId).at(-1)?.text;
+        throw new Error(`Timed out waiting for ${step.waitFor} (last message: ${last})`);
+      }
+
+      since = fake.nextMessageId;
+    }
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Runner
+// ---------------------------------------------------------------------------
+
+async function testEndToEnd() {
+  console.log('🧪 Testing End-to-End Against a Fake Bot API');
+  console.log('=============================================\n');
+
+  const baseUrl = await fake.start();
+  // A real face, so the pre-flight face check lets the photo through
+  photoBuffer = await sharp(path.join(__dirname, '..', 'assets', 'memes', 'meme-5.png'))
+    .resize(640, 640)
+    .jpeg()
+    .toBuffer();
+  blankPhotoBuffer = await sharp({
+    create: { width: 640, height: 640, channels: 3, background: { r: 210, g: 170, b: 140 } }
+  }).jpeg().toBuffer();
+  // Stored sideways the way phone cameras do, upright only after the EXIF orientation
+  originalFileBuffer = await sharp(path.join(__dirname, '..', 'assets', 'memes', 'meme-5.png'))
+    .rotate(-90)
+    .withMetadata({ orientation: 6 })
+    .jpeg()
+    .toBuffer();
+  groupPhotoBuffer = await sharp({
+    create: { width: 1024, height: 512, channels: 3, background: 'white' }
+  }).composite([
+    { input: path.join(__dirname, '..', 'assets', 'memes', 'meme-3.png'), left: 0, top: 0 },
+    { input: path.join(__dirname, '..', 'assets', 'memes', 'meme-5.png'), left: 512, top: 0 }
+  ]).jpeg().toBuffer();
+
+  const port = 40000 + Math.floor(Math.random() * 10000);
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      NODE_ENV: 'test',
+      BOT_MODE: 'webhook',
+      TELEGRAM_BOT_TOKEN: BOT_TOKEN,
+      TELEGRAM_API_URL: baseUrl,
+      TELEGRAM_WEBHOOK_URL: 'https://bot.example.test',
+      TELEGRAM_WEBHOOK_SECRET: WEBHOOK_SECRET,
+      FACE_SWAP_PROVIDER: 'local',
+      TEMPLATES_MANIFEST: writeManifest(),
+      CACHE_DIR: path.join(tempDir, 'cache'),
+      QUOTA_ALLOWLIST: String(ALLOWLISTED_USER),
+      SUPABASE_URL: '',
+      PIAPI_API_KEY: ''
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk.toString(); });
+  child.stderr.on('data', chunk => { output += chunk.toString(); });
+
+  const postUpdate = async (update) => {
+    const response = await axios.post(`http://127.0.0.1:${port}/webhook`, update, {
+      headers: { 'X-Telegram-Bot-Api-Secret-Token': WEBHOOK_SECRET },
+      validateStatus: () => true
+    });
+
+    if (response.status !== 200) {
+      throw new Error(`Webhook answered ${response.status}: ${JSON.stringify(response.data)}`);
+    }
+  };
+
+  try {
+    // Startup
+    console.log('1. Testing startup...');
+    {
+      const started = await waitFor(() => output.includes('server running on port'), 15000);
+      check('Server starts', started);
+
+      const webhookSet = await waitFor(() => fake.webhook !== null, 5000);
+      check('Webhook is registered', webhookSet && fake.webhook.url === 'https://bot.example.test/webhook', fake.webhook?.url);
+
+      if (!started) {
+        throw new Error('Bot did not start');
+      }
+    }
+    console.log();
+
+    // Scenarios
+    let index = 2;
+    for (const scenario of SCENARIOS) {
+      console.log(`${index++}. ${scenario.name}...`);
+
+      try {
+        await runScenario(scenario, postUpdate);
+        scenario.expect(scenario.userId);
+      } catch (error) {
+        check('Scenario runs to the end', false, error.message);
+      }
+
+      console.log();
+    }
+
+    // Fake server behaviour the scenarios rely on
+    console.log(`${index}. Testing Bot API error responses...`);
+    {
+      const api = axios.create({ baseURL: `${baseUrl}/bot${BOT_TOKEN}`, validateStatus: () => true });
+
+      const unknownSet = await api.get('/getStickerSet', { params: { name: 'missing_by_NewPeopleStickers_bot' } });
+      check('Unknown set is STICKERSET_INVALID',
+        unknownSet.status === 400 && unknownSet.data.description === 'Bad Request: STICKERSET_INVALID');
+
+      const badToken = await axios.get(`${baseUrl}/botwrong:token/getMe`, { validateStatus: () => true });
+      check('Wrong token is 401', badToken.status === 401 && badToken.data.ok === false);
+
+      const pngUpload = await api.post('/uploadStickerFile', { user_id: 1, sticker_format: 'static', sticker: 'x' });
+      check('Upload without a file is rejected', pngUpload.status === 400);
+
+      const smallSticker = new FormData();
+      smallSticker.append('user_id', '1');
+      smallSticker.append('sticker_format', 'static');
+      smallSticker.append('sticker', await sharp({ create: { width: 300, height: 300, channels: 4, background: 'red' } }).webp().toBuffer(),
+        { filename: 'sticker.webp', contentType: 'image/webp' });
+      const smallUpload = await api.post('/uploadStickerFile', smallSticker, { headers: smallSticker.getHeaders() });
+      check('Sticker without a 512px side is rejected', smallUpload.data.description === 'Bad Request: STICKER_PNG_DIMENSIONS',
+        smallUpload.data.description);
+
+      const message = fake.messages[0];
+      const notModified = await api.post('/editMessageText', {
+        chat_id: message.chat.id,
+        message_id: message.message_id,
+        text: message.text,
+        reply_markup: message.reply_markup
+      });
+      check('Unchanged edit is "message is not modified"', notModified.data.description?.includes('message is not modified'));
+    }
+    console.log();
+
+  } finally {
+    const exited = new Promise(resolve => child.on('exit', resolve));
+    child.kill('SIGTERM');
+
+    const code = await Promise.race([exited, new Promise(resolve => setTimeout(() => resolve('timeout'), 12000))]);
+    if (code === 'timeout') {
+      child.kill('SIGKILL');
+    }
+
+    await fake.stop();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  if (failureCount() > 0) {
+    console.log('Bot output (last lines):');
+    console.log(output.split('\n').slice(-40).join('\n'));
+  }
+
+  report('End-to-end');
+}
+
+testEndToEnd().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
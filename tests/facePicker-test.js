@@ -0,0 +1,223 @@
+/**
+ * Face Picker Test Script
+ * Tests group photos: numbered face preview, face choice buttons, and the
+ * chosen face crop being the only face that reaches the face swap
+ */
+
+// Keep results out of the shared cache directory
+process.env.CACHE_ENABLED = 'false';
+
+const path = require('path');
+const sharp = require('sharp');
+const callbackData = require('../src/utils/callbackData');
+const imageService = require('../src/services/imageService');
+const telegramService = require('../src/services/telegramService');
+const jobQueueService = require('../src/services/jobQueueService');
+const userLimitsService = require('../src/services/userLimitsService');
+const MemoryJobStore = require('../src/stores/memoryJobStore');
+const controller = require('../src/controllers/telegramController');
+const { MESSAGES, BOT_STATES } = require('../src/config/constants');
+const { check, report } = require('./helpers/check');
+
+const USER_ID = 434343;
+const CHAT_ID = 434343;
+
+const meme = (number) => sharp(path.join(__dirname, '..', 'assets', 'memes', `meme-${number}.png`));
+
+// Record outgoing Telegram calls instead of hitting the API
+const sent = [];
+const answers = [];
+const photos = new Map();
+let nextMessageId = 2000;
+
+telegramService.isConfigured = () => true;
+telegramService.sendMessage = async (chatId, text, options = {}) => {
+  const message = { message_id: nextMessageId++, chat: { id: chatId }, text, options };
+  sent.push(message);
+  return message;
+};
+telegramService.sendPhoto = async (chatId, photo, options = {}) => {
+  const message = { message_id: nextMessageId++, chat: { id: chatId }, photo, options };
+  sent.push(message);
+  return message;
+};
+telegramService.editMessage = async (chatId, messageId, text, options = {}) => {
+  sent.push({ message_id: messageId, chat: { id: chatId }, text, options, edited: true });
+  return { message_id: messageId };
+};
+telegramService.answerCallbackQuery = async (callbackQueryId, options = {}) => {
+  answers.push({ callbackQueryId, ...options });
+  return true;
+};
+imageService.downloadImageFromTelegram = async (fileId) => photos.get(fileId);
+
+const createCallbackQuery = (data, messageId) => ({
+  id: `cbq_${Math.random().toString(36).slice(2)}`,
+  from: { id: USER_ID, first_name: 'Test' },
+  message: { message_id: messageId, chat: { id: CHAT_ID } },
+  data
+});
+
+const buttonsOf = (message) => message.options.reply_markup?.inline_keyboard.flat() || [];
+
+let nextPhotoMessageId = 1;
+const sendPhoto = async (fileId, userId = USER_ID) => {
+  await controller.handlePhotoMessage(userId, userId, [{ file_id: fileId, width: 1024, height: 512 }], 'Test', nextPhotoMessageId++);
+  return sent[sent.length - 1];
+};
+
+async function testFacePicker() {
+  console.log('👥 Testing Face Picker');
+  console.log('======================\n');
+
+  const left = await meme(3).png().toBuffer();
+  const right = await meme(5).png().toBuffer();
+  const groupPhoto = await sharp({ create: { width: 1024, height: 512, channels: 3, background: 'white' } })
+    .composite([{ input: left, left: 0, top: 0 }, { input: right, left: 512, top: 0 }])
+    .jpeg()
+    .toBuffer();
+  // A big face with a tiny one in the background
+  const backgroundPhoto = await sharp({ create: { width: 1024, height: 512, channels: 3, background: 'white' } })
+    .composite([{ input: await meme(3).resize(160).png().toBuffer(), left: 40, top: 40 }, { input: right, left: 512, top: 0 }])
+    .jpeg()
+    .toBuffer();
+
+  photos.set('AgACAgIAAxkBAAIC_group_photo', groupPhoto);
+  photos.set('AgACAgIAAxkBAAIC_blank_photo', await sharp({ create: { width: 640, height: 640, channels: 3, background: 'gray' } }).jpeg().toBuffer());
+  photos.set('AgACAgIAAxkBAAIC_background_photo', backgroundPhoto);
+
+  const store = new MemoryJobStore();
+  jobQueueService.setStore(store);
+  jobQueueService.stop(); // Keep the queued job pending for inspection
+
+  // Test 1: Image helpers
+  console.log('1. Testing face analysis, preview and crop...');
+  {
+    const analysis = await imageService.analyzeFace(groupPhoto);
+    check('Two good faces need a choice', analysis.reason === 'multiple_faces' && analysis.faces.every(face => !face.failure));
+
+    const rightFace = analysis.faces.find(face => face.relativeBox.x > 0.5);
+    const chosen = await imageService.analyzeFace(groupPhoto, { faceBox: rightFace.relativeBox });
+    check('Chosen face passes on its own', chosen.passed && chosen.face.relativeBox.x > 0.5);
+
+    const missing = await imageService.analyzeFace(groupPhoto, { faceBox: { x: 0.45, y: 0.9, width: 0.05, height: 0.05 } });
+    check('Box without a face fails', missing.reason === 'no_face');
+
+    const background = await imageService.analyzeFace(backgroundPhoto);
+    check('Tiny background face is ignored', background.passed && background.faceCount === 2 && background.face.relativeBox.x > 0.5,
+      `${background.reason}, ${background.faceCount} faces`);
+
+    const preview = await imageService.drawFacePreview(groupPhoto, analysis.faces.map(face => face.relativeBox));
+    const previewMetadata = await sharp(preview).metadata();
+    check('Preview is a JPEG of the whole photo', previewMetadata.format === 'jpeg' && previewMetadata.width === 1024 && previewMetadata.height === 512);
+
+    const { data: plain } = await sharp(groupPhoto).raw().toBuffer({ resolveWithObject: true });
+    const { data: drawn } = await sharp(preview).raw().toBuffer({ resolveWithObject: true });
+    let changed = 0;
+    for (let i = 0; i < plain.length; i += 3) {
+      if (Math.abs(plain[i] - drawn[i]) > 60) changed++;
+    }
+    check('Boxes are drawn on the preview', changed > 1000, `${changed} pixels changed`);
+
+    const prepared = await imageService.prepareImageForFaceSwap(groupPhoto, { faceBox: rightFace.relativeBox });
+    const preparedMetadata = await sharp(prepared).metadata();
+    const cropped = await imageService.analyzeFace(prepared);
+    check('Crop keeps only the chosen face', cropped.passed && cropped.faceCount === 1, `${cropped.faceCount} faces`);
+    check('Crop is smaller than the photo', preparedMetadata.width < 1024 && preparedMetadata.format === 'jpeg');
+  }
+  console.log();
+
+  // Test 2: Picker flow
+  console.log('2. Testing face picker flow...');
+  {
+    const picker = await sendPhoto('AgACAgIAAxkBAAIC_group_photo');
+    const buttons = buttonsOf(picker);
+
+    check('Numbered preview is sent as a photo', Buffer.isBuffer(picker.photo) && picker.options.caption === MESSAGES.FACE_PICKER(2));
+    check('One button per face', buttons.map(button => button.text).join() === '👤 1,👤 2', buttons.map(button => button.text).join());
+    check('State is choosing a face', (await controller.getUserState(CHAT_ID)) === BOT_STATES.CHOOSING_FACE);
+
+    // Template buttons can't be pressed before a face is chosen
+    await controller.processCallbackQuery(createCallbackQuery(callbackData.encode('tpl_go', [], USER_ID), picker.message_id));
+    check('Template buttons wait for the face', answers.at(-1)?.text === MESSAGES.TEMPLATE_PICKER_EXPIRED && (await store.findByUser(USER_ID)).length === 0);
+
+    await controller.processCallbackQuery(createCallbackQuery(buttons[1].callback_data, picker.message_id));
+    const templatePicker = sent[sent.length - 1];
+    check('Choice is confirmed', answers.at(-1)?.text === MESSAGES.FACE_CHOSEN(2));
+    check('Template picker follows', templatePicker.text?.startsWith('🎭') && buttonsOf(templatePicker).length > 0);
+    check('State is choosing templates', (await controller.getUserState(CHAT_ID)) === BOT_STATES.CHOOSING_TEMPLATES);
+
+    await controller.processCallbackQuery(createCallbackQuery(buttons[0].callback_data, picker.message_id));
+    check('Face buttons are single-use', answers.at(-1)?.text === MESSAGES.TEMPLATE_PICKER_EXPIRED);
+
+    const confirm = buttonsOf(templatePicker).find(button => callbackData.decode(button.callback_data, USER_ID)?.action === 'tpl_go');
+    await controller.processCallbackQuery(createCallbackQuery(confirm.callback_data, templatePicker.message_id));
+
+    const [job] = await store.findByUser(USER_ID);
+    check('Job carries the chosen face', job?.options?.faceBox?.x > 0.5, JSON.stringify(job?.options?.faceBox));
+
+    await controller.setUserState(CHAT_ID, BOT_STATES.IDLE);
+  }
+  console.log();
+
+  // Test 3: Photos that don't need the picker
+  console.log('3. Testing photos without a choice...');
+  {
+    // The first user has spent today's limit on the queued job
+    const userId = USER_ID + 1;
+
+    const rejected = await sendPhoto('AgACAgIAAxkBAAIC_blank_photo', userId);
+    check('Photo without a face is turned away at once', rejected.text === MESSAGES.FACE_CHECK_FAILED('no_face'));
+    check('State is unchanged', (await controller.getUserState(userId)) === BOT_STATES.IDLE);
+
+    const templatePicker = await sendPhoto('AgACAgIAAxkBAAIC_background_photo', userId);
+    check('One good face goes straight to templates', templatePicker.text?.startsWith('🎭'));
+    check('Background face is left out', controller.pendingSelections.get(userId)?.faceBox?.x > 0.5);
+
+    await controller.setUserState(userId, BOT_STATES.IDLE);
+  }
+  console.log();
+
+  // Test 4: Generation uses the crop
+  console.log('4. Testing the swap source...');
+  {
+    const sources = [];
+    const originalProcessTemplate = controller.processTemplate;
+    userLimitsService.releaseGeneration = async () => {};
+    userLimitsService.logGeneration = async () => {};
+    imageService.processImageForStickers = async () => groupPhoto;
+    controller.processTemplate = async (template, userPhotoBuffer) => {
+      sources.push(userPhotoBuffer);
+      throw new Error('stop after capturing the source');
+    };
+
+    const analysis = await imageService.analyzeFace(groupPhoto);
+    const leftFace = analysis.faces.find(face => face.relativeBox.x < 0.5);
+
+    try {
+      await controller.generateStickerPack(CHAT_ID, USER_ID, 'AgACAgIAAxkBAAIC_group_photo', 'Test', {
+        templateIds: ['1'],
+        faceBox: leftFace.relativeBox
+      });
+    } catch (error) {
+      // Every template was stopped on purpose
+    } finally {
+      controller.processTemplate = originalProcessTemplate;
+    }
+
+    const source = sources[0] && await imageService.analyzeFace(sources[0]);
+    check('Every template gets the crop', sources.length === 1 && source?.faceCount === 1, `${source?.faceCount} faces`);
+    check('Crop is the chosen face', source?.face && Math.abs(source.face.pose.roll - leftFace.pose.roll) <= 5,
+      `roll ${source?.face?.pose.roll} vs ${leftFace.pose.roll}`);
+
+    await controller.setUserState(CHAT_ID, BOT_STATES.IDLE);
+  }
+  console.log();
+
+  report('Face picker');
+}
+
+testFacePicker().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,246 @@
+/**
+ * Face Pre-flight Test Script
+ * Tests the local face check in imageService (face count, size, brightness,
+ * blur, head pose, confidence), that generateStickerPack rejects bad photos
+ * before any face-swap call, and that an incoming photo is checked once,
+ * after the webhook is answered
+ */
+
+// Keep results out of the shared cache directory
+process.env.CACHE_ENABLED = 'false';
+
+const path = require('path');
+const sharp = require('sharp');
+const imageService = require('../src/services/imageService');
+const faceDetectionService = require('../src/services/faceDetectionService');
+const faceSwapService = require('../src/services/faceSwapService');
+const telegramService = require('../src/services/telegramService');
+const stateService = require('../src/services/stateService');
+const userLimitsService = require('../src/services/userLimitsService');
+const idempotencyService = require('../src/services/idempotencyService');
+const jobQueueService = require('../src/services/jobQueueService');
+const controller = require('../src/controllers/telegramController');
+const MemoryStateStore = require('../src/stores/memoryStateStore');
+const MemoryIdempotencyStore = require('../src/stores/memoryIdempotencyStore');
+const MemoryJobStore = require('../src/stores/memoryJobStore');
+const { MESSAGES, VALIDATION } = require('../src/config/constants');
+const { check, report } = require('./helpers/check');
+
+const USER_ID = 727272;
+
+const meme = (number) => sharp(path.join(__dirname, '..', 'assets', 'memes', `meme-${number}.png`));
+
+const describe = (analysis) => {
+  const face = analysis.faces[0];
+  return face
+    ? `${analysis.faceCount} face(s), score ${face.score.toFixed(2)}, size ${face.sizeRatio.toFixed(2)}, ` +
+      `brightness ${Math.round(face.brightness)}, sharpness ${Math.round(face.sharpness)}, ` +
+      `pose ${face.pose.yaw}/${face.pose.pitch}/${face.pose.roll}`
+    : `${analysis.faceCount} faces`;
+};
+
+async function testFacePreflight() {
+  console.log('🙂 Testing Face Pre-flight Check');
+  console.log('================================\n');
+
+  const portrait = await meme(5).jpeg().toBuffer();
+  const otherPortrait = await meme(3).png().toBuffer();
+
+  // Test 1: Good photos
+  console.log('1. Testing photos that pass...');
+  {
+    for (const [label, photo] of [['Frontal portrait', portrait], ['Tilted portrait', otherPortrait]]) {
+      const analysis = await imageService.analyzeFace(photo);
+      check(label, analysis.passed && !analysis.skipped, describe(analysis));
+    }
+
+    const analysis = await imageService.analyzeFace(portrait);
+    const [face] = analysis.faces;
+    check('Face box is inside the frame',
+      face.box.x >= 0 && face.box.y >= 0 &&
+      face.box.x + face.box.width <= analysis.frame.width + 1 &&
+      face.box.y + face.box.height <= analysis.frame.height + 1);
+    check('Facing the camera gives a small yaw and roll', Math.abs(face.pose.yaw) < 15 && Math.abs(face.pose.roll) < 10);
+  }
+  console.log();
+
+  // Test 2: Rejections
+  console.log('2. Testing rejection reasons...');
+  {
+    const side = await meme(5).png().toBuffer();
+
+    const cases = [
+      ['No face', await sharp({ create: { width: 600, height: 800, channels: 3, background: 'red' } }).jpeg().toBuffer(), 'no_face'],
+      ['Two people', await sharp({ create: { width: 1024, height: 512, channels: 3, background: 'white' } })
+        .composite([{ input: otherPortrait, left: 0, top: 0 }, { input: side, left: 512, top: 0 }])
+        .png()
+        .toBuffer(), 'multiple_faces'],
+      ['Face far from the camera', await meme(5).resize(160)
+        .extend({ top: 400, bottom: 400, left: 400, right: 400, background: 'white' })
+        .png()
+        .toBuffer(), 'face_too_small'],
+      ['Underexposed', await meme(1).linear(0.15, 0).png().toBuffer(), 'too_dark'],
+      ['Overexposed', await meme(3).linear(0.3, 200).png().toBuffer(), 'too_bright'],
+      ['Out of focus', await meme(3).blur(3).png().toBuffer(), 'blurry'],
+      ['Head tilted', await meme(5).rotate(40, { background: 'white' }).png().toBuffer(), 'head_turned']
+    ];
+
+    for (const [label, photo, expected] of cases) {
+      const analysis = await imageService.analyzeFace(photo);
+      check(label, !analysis.passed && analysis.reason === expected, `${analysis.reason}; ${describe(analysis)}`);
+    }
+
+    // No photo here scores below 0.8, so raise the bar instead
+    const minConfidence = VALIDATION.MIN_FACE_CONFIDENCE;
+    VALIDATION.MIN_FACE_CONFIDENCE = 1.01;
+    const analysis = await imageService.analyzeFace(portrait);
+    VALIDATION.MIN_FACE_CONFIDENCE = minConfidence;
+    check('Unsure detection', analysis.reason === 'low_confidence', analysis.reason);
+
+    const reasons = ['no_face', 'multiple_faces', 'face_too_small', 'too_dark', 'too_bright', 'blurry', 'head_turned', 'low_confidence'];
+    check('Every reason has its own hint', new Set(reasons.map(MESSAGES.FACE_CHECK_FAILED)).size === reasons.length);
+  }
+  console.log();
+
+  // Test 3: Fail-open
+  console.log('3. Testing a broken or disabled detector...');
+  {
+    const originalDetect = faceDetectionService.detectFaces;
+    faceDetectionService.detectFaces = async () => {
+      throw new Error('model file missing');
+    };
+    const broken = await imageService.analyzeFace(portrait);
+    faceDetectionService.detectFaces = originalDetect;
+    check('Detector error lets the photo through', broken.passed && broken.skipped);
+
+    faceDetectionService.enabled = false;
+    const disabled = await imageService.analyzeFace(Buffer.from('not an image'));
+    faceDetectionService.enabled = true;
+    check('Disabled check lets the photo through', disabled.passed && disabled.skipped);
+  }
+  console.log();
+
+  // Test 4: Generation
+  console.log('4. Testing generateStickerPack with a rejected photo...');
+  {
+    const sent = [];
+    let faceSwapCalls = 0;
+    let released = 0;
+
+    telegramService.isConfigured = () => true;
+    telegramService.sendMessage = async (chatId, text) => {
+      sent.push(text);
+      return { message_id: sent.length };
+    };
+    telegramService.editMessage = async () => ({});
+    faceSwapService.processFaceSwap = async () => {
+      faceSwapCalls++;
+      throw new Error('face swap must not be called');
+    };
+    userLimitsService.releaseGeneration = async () => {
+      released++;
+    };
+    userLimitsService.logGeneration = async () => {};
+    stateService.setStore(new MemoryStateStore());
+
+    const blurry = await meme(3).blur(3).png().toBuffer();
+    imageService.processImageForStickers = async () => blurry;
+
+    const result = await controller.generateStickerPack(USER_ID, USER_ID, 'AgACAgIAAxkBAAIC_preflight_photo', 'Test', {
+      quotaReservationId: 'reservation-1'
+    });
+
+    check('Generation stops with a face error', result.reason === 'face_detection_failed', result.reason);
+    check('No face-swap call is made', faceSwapCalls === 0, `${faceSwapCalls} calls`);
+    check('User gets the specific reason', sent.at(-1) === MESSAGES.FACE_CHECK_FAILED('blurry'));
+    check('Quota reservation is released', released === 1);
+  }
+  console.log();
+
+  // Test 5: Incoming photo
+  console.log('5. Testing the check of an incoming photo...');
+  {
+    const sent = [];
+    let analyzeCalls = 0;
+    let releaseDownload = null;
+
+    telegramService.sendMessage = async (chatId, text) => {
+      sent.push(text);
+      return { message_id: sent.length };
+    };
+    userLimitsService.checkUserLimit = async () => ({ canGenerate: true });
+    idempotencyService.setStore(new MemoryIdempotencyStore());
+    jobQueueService.setStore(new MemoryJobStore());
+    stateService.setStore(new MemoryStateStore());
+
+    // The download waits until the test lets it finish
+    imageService.downloadImageFromTelegram = () => new Promise(resolve => {
+      releaseDownload = () => resolve(portrait);
+    });
+    const originalAnalyze = imageService.analyzeFace.bind(imageService);
+    imageService.analyzeFace = async (...args) => {
+      analyzeCalls++;
+      return originalAnalyze(...args);
+    };
+
+    const postUpdate = (updateId, content) => {
+      const res = { statusCode: null, body: null };
+      res.status = (code) => { res.statusCode = code; return res; };
+      res.json = (body) => { res.body = body; return res; };
+
+      const message = { message_id: updateId, chat: { id: USER_ID }, from: { id: USER_ID, first_name: 'Test' }, ...content };
+      return { res, handled: controller.handleWebhook({ body: { update_id: updateId, message } }, res) };
+    };
+
+    const photoUpdate = postUpdate(7001, {
+      photo: [{ file_id: 'AgACAgIAAxkBAAIC_incoming_photo', file_unique_id: 'incoming', width: 512, height: 512 }]
+    });
+
+    for (let i = 0; i < 50 && !releaseDownload; i++) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    check('Webhook is answered before the photo is downloaded',
+      photoUpdate.res.statusCode === 200 && photoUpdate.res.body?.ok === true && !!releaseDownload);
+
+    // A later update of the same chat waits for the photo
+    const helpUpdate = postUpdate(7002, { text: '/help' });
+    for (let i = 0; i < 50; i++) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    check('Later update of the chat is answered but waits', helpUpdate.res.body?.ok === true && sent.length === 0);
+
+    releaseDownload();
+    await Promise.all([photoUpdate.handled, helpUpdate.handled]);
+    check('Updates of a chat are handled in order', sent.length === 2 && sent[1] === MESSAGES.HELP);
+
+    const selection = controller.pendingSelections.get(USER_ID);
+    check('Photo is checked after the answer', analyzeCalls === 1 && selection?.faceChecked === true);
+
+    // Templates fail fast: only the way to them matters here
+    const originalProcessTemplate = controller.processTemplate;
+    let templateCalls = 0;
+    controller.processTemplate = async () => {
+      templateCalls++;
+      throw new Error('template skipped');
+    };
+    imageService.processImageForStickers = async () => portrait;
+
+    // Every template fails, so the run ends with too few stickers
+    await controller.generateStickerPack(USER_ID, USER_ID, selection.photo.file_id, 'Test', { faceChecked: true })
+      .catch(() => null);
+    controller.processTemplate = originalProcessTemplate;
+
+    check('Generation doesn\'t check a checked photo again', analyzeCalls === 1, `${analyzeCalls} checks`);
+    check('Checked photo goes on to the templates', templateCalls > 0, `${templateCalls} templates`);
+
+    controller.pendingSelections.delete(USER_ID);
+  }
+  console.log();
+
+  report('Face pre-flight');
+}
+
+testFacePreflight().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
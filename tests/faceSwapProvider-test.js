@@ -0,0 +1,119 @@
+/**
+ * Face Swap Provider Test Script
+ * Tests the local sharp provider and runs processTemplate fully offline
+ */
+
+// Keep results out of the shared cache directory
+process.env.CACHE_ENABLED = 'false';
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const faceSwapService = require('../src/services/faceSwapService');
+const imageService = require('../src/services/imageService');
+const piapiService = require('../src/services/piapiService');
+const FaceSwapProvider = require('../src/providers/faceSwapProvider');
+const LocalFaceSwapProvider = require('../src/providers/localFaceSwapProvider');
+const controller = require('../src/controllers/telegramController');
+const { check, report } = require('./helpers/check');
+
+const solidImage = (width, height, color) => sharp({
+  create: { width, height, channels: 3, background: color }
+}).png().toBuffer();
+
+const toDataUrl = (buffer) => `data:image/png;base64,${buffer.toString('base64')}`;
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+async function testFaceSwapProviders() {
+  console.log('🎭 Testing Face Swap Providers');
+  console.log('==============================\n');
+
+  const template = await solidImage(400, 300, { r: 0, g: 0, b: 255 });
+  const userPhoto = await solidImage(600, 800, { r: 255, g: 0, b: 0 });
+
+  // Test 1: Interface
+  console.log('1. Testing provider interface...');
+  {
+    check('Piapi service is a provider', piapiService instanceof FaceSwapProvider);
+    check('Local provider is a provider', new LocalFaceSwapProvider() instanceof FaceSwapProvider);
+    ['createTask', 'getStatus', 'waitForCompletion', 'processFaceSwap'].forEach(method => {
+      check(`Piapi implements ${method}`, typeof piapiService[method] === 'function');
+    });
+  }
+  console.log();
+
+  // Test 2: Local compositing
+  console.log('2. Testing local compositing...');
+  {
+    const provider = new LocalFaceSwapProvider();
+
+    const task = await provider.createTask(toDataUrl(template), toDataUrl(userPhoto));
+    check('Task is created', !!task.taskId && task.status === 'processing');
+
+    const completion = await provider.waitForCompletion(task.taskId);
+    const metadata = await sharp(completion.resultBuffer).metadata();
+    check('Task completes', completion.status === 'completed');
+    check('Result keeps template size', metadata.width === 400 && metadata.height === 300,
+      `${metadata.width}x${metadata.height}`);
+
+    // Face center (default target region) is red, corner stays blue
+    const { data, info } = await sharp(completion.resultBuffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    const pixel = (x, y) => data.slice((y * info.width + x) * 3, (y * info.width + x) * 3 + 3);
+    check('Face is pasted on the template', pixel(200, 105)[0] > 200 && pixel(200, 105)[2] < 50);
+    check('Rest of the template is untouched', pixel(5, 5)[2] > 200 && pixel(5, 5)[0] < 50);
+
+    const again = await provider.processFaceSwap(toDataUrl(template), toDataUrl(userPhoto));
+    check('Output is deterministic', sha256(again.resultBuffer) === sha256(completion.resultBuffer));
+    check('Finished tasks are forgotten', provider.tasks.size === 0);
+  }
+  console.log();
+
+  // Test 3: Face detection failure
+  console.log('3. Testing face detection failure...');
+  {
+    const provider = new LocalFaceSwapProvider();
+    const tinyPhoto = await solidImage(40, 40, { r: 255, g: 0, b: 0 });
+
+    try {
+      await provider.processFaceSwap(toDataUrl(template), toDataUrl(tinyPhoto));
+      check('Tiny photo fails', false);
+    } catch (error) {
+      check('Tiny photo raises FaceDetectionError', error.name === 'FaceDetectionError', error.name);
+      check('Error is flagged for the controller', error.isFaceDetectionError === true);
+    }
+  }
+  console.log();
+
+  // Test 4: Offline pipeline through processTemplate
+  console.log('4. Testing processTemplate with the local provider...');
+  {
+    const originalDownload = imageService.downloadImageFromUrl;
+    imageService.downloadImageFromUrl = async () => template;
+    faceSwapService.setProvider('local');
+
+    try {
+      const sticker = await controller.processTemplate(
+        { id: '1', name: 'Test', emoji: '😄', imageUrl: 'https://example.com/meme-1.png' },
+        userPhoto,
+        0,
+        0,
+        424242
+      );
+      const metadata = await sharp(sticker).metadata();
+
+      check('Provider is local', faceSwapService.getProviderName() === 'local');
+      check('Sticker is WebP', metadata.format === 'webp', metadata.format);
+      check('Sticker fits 512px', Math.max(metadata.width, metadata.height) <= 512);
+    } finally {
+      imageService.downloadImageFromUrl = originalDownload;
+    }
+  }
+  console.log();
+
+  report('Face swap provider');
+}
+
+testFaceSwapProviders().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
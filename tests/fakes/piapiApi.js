@@ -0,0 +1,268 @@
+/**
+ * Fake Piapi server
+ * Stand-in for api.piapi.ai with scriptable face-swap and background-remove task lifecycles
+ *
+ * Each created task walks through a list of steps, one per status check; the
+ * last step repeats. A step is a task patch ({ status, progress, output, error })
+ * or a raw HTTP answer ({ httpStatus, body } / { raw }) for malformed payloads.
+ * Point the service at it with PIAPI_BASE_URL=<baseUrl> or piapiService.setBaseUrl(baseUrl).
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+// Completes on the third status check, like a normal task
+const DEFAULT_LIFECYCLE = [
+  { status: 'pending', progress: 0 },
+  { status: 'processing', progress: 50 },
+  { status: 'completed', progress: 100 }
+];
+
+class FakePiapiApi {
+  /**
+   * @param {Object} options - { apiKey } the client must send, { resultImage } served as the task output,
+   *   { resultImages } per task type ({ 'background-remove': buffer }) overriding resultImage
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || 'fake-piapi-api-key';
+    this.resultImage = options.resultImage || null;
+    this.resultImages = options.resultImages || {};
+    this.server = null;
+    this.baseUrl = null;
+    this.reset();
+  }
+
+  /**
+   * Forget tasks, scripts and queued responses
+   */
+  reset() {
+    this.tasks = new Map();    // task_id -> { id, request, steps, polls, cancelled }
+    this.scripts = [];         // { steps, match } for tasks not created yet
+    this.responses = new Map(); // 'createTask' | 'getTask' -> queued HTTP answers
+    this.requests = [];        // { endpoint, body }
+  }
+
+  /**
+   * Start listening on a free local port
+   * @returns {Promise<string>} - Base URL for PIAPI_BASE_URL
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        this.send(res, 500, { code: 500, message: `Internal error: ${error.message}` });
+      });
+    });
+
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+
+    return this.baseUrl;
+  }
+
+  /**
+   * Stop the server
+   */
+  async stop() {
+    if (!this.server) return;
+
+    this.server.closeAllConnections?.();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Script the lifecycle of a task that is created later
+   * @param {Array<Object>} steps - Answers to successive status checks
+   * @param {Object} options - { match(input) } to pick the task by its input, first unmatched task otherwise
+   */
+  scriptTask(steps, options = {}) {
+    this.scripts.push({ steps, match: options.match || null });
+  }
+
+  /**
+   * Answer the next calls of an endpoint with a fixed response (429/5xx bursts, malformed bodies)
+   * @param {string} endpoint - 'createTask', 'getTask' or 'cancelTask'
+   * @param {Object} response - { httpStatus, body } or { raw }, { times } to repeat it
+   */
+  respondNext(endpoint, { times = 1, ...response } = {}) {
+    const queue = this.responses.get(endpoint) || [];
+    for (let i = 0; i < times; i++) queue.push(response);
+    this.responses.set(endpoint, queue);
+  }
+
+  /**
+   * Tasks created so far, oldest first
+   */
+  createdTasks() {
+    return [...this.tasks.values()];
+  }
+
+  // ---------------------------------------------------------------------------
+  // HTTP
+  // ---------------------------------------------------------------------------
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, this.baseUrl);
+
+    const resultMatch = /^\/results\/([^/]+)\.png$/.exec(url.pathname);
+    if (req.method === 'GET' && resultMatch) {
+      const task = this.tasks.get(resultMatch[1]);
+      const image = task && (this.resultImages[task.request.task_type] || this.resultImage);
+      if (!image) {
+        return this.send(res, 404, { code: 404, message: 'Not Found' });
+      }
+
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': image.length });
+      return res.end(image);
+    }
+
+    if (req.headers['x-api-key'] !== this.apiKey) {
+      return this.send(res, 401, { code: 401, data: {}, message: 'Invalid API key' });
+    }
+
+    const taskMatch = /^\/api\/v1\/task(?:\/([^/]+))?$/.exec(url.pathname);
+    if (!taskMatch) {
+      return this.send(res, 404, { code: 404, message: 'Not Found' });
+    }
+
+    const [, taskId] = taskMatch;
+
+    if (req.method === 'POST' && !taskId) {
+      const body = await this.readJson(req);
+      this.requests.push({ endpoint: 'createTask', body });
+
+      if (this.answerQueued('createTask', res)) return;
+      return this.createTask(body, res);
+    }
+
+    if (req.method === 'GET' && taskId) {
+      this.requests.push({ endpoint: 'getTask', taskId });
+
+      if (this.answerQueued('getTask', res)) return;
+      return this.getTask(taskId, res);
+    }
+
+    if (req.method === 'DELETE' && taskId) {
+      this.requests.push({ endpoint: 'cancelTask', taskId });
+
+      if (this.answerQueued('cancelTask', res)) return;
+      return this.cancelTask(taskId, res);
+    }
+
+    return this.send(res, 405, { code: 405, message: 'Method Not Allowed' });
+  }
+
+  /**
+   * Cancelled tasks report "failed" from then on, like Piapi's cancelled tasks
+   */
+  cancelTask(taskId, res) {
+    const task = this.tasks.get(taskId);
+
+    if (!task) {
+      return this.send(res, 404, { code: 404, data: {}, message: 'task not found' });
+    }
+
+    task.cancelled = true;
+    task.steps = [{ status: 'failed', error: { code: 10000, message: 'task cancelled' } }];
+    task.polls = 0;
+
+    return this.send(res, 200, { code: 200, data: { task_id: taskId }, message: 'success' });
+  }
+
+  createTask(body, res) {
+    if (body?.task_type === 'background-remove') {
+      if (!body.input?.image) {
+        return this.send(res, 400, { code: 400, data: {}, message: 'invalid request: input.image is required' });
+      }
+    } else if (!body?.input?.target_image || !body?.input?.swap_image) {
+      return this.send(res, 400, { code: 400, data: {}, message: 'invalid request: input.target_image and input.swap_image are required' });
+    }
+
+    const scriptIndex = this.scripts.findIndex(script => !script.match || script.match(body.input));
+    const [script] = scriptIndex === -1 ? [null] : this.scripts.splice(scriptIndex, 1);
+
+    const task = {
+      id: crypto.randomUUID(),
+      request: body,
+      steps: script ? script.steps : DEFAULT_LIFECYCLE,
+      polls: 0
+    };
+    this.tasks.set(task.id, task);
+
+    return this.send(res, 200, { code: 200, data: this.taskData(task, { status: 'pending' }), message: 'success' });
+  }
+
+  getTask(taskId, res) {
+    const task = this.tasks.get(taskId);
+
+    if (!task) {
+      return this.send(res, 404, { code: 404, data: {}, message: 'task not found' });
+    }
+
+    const step = task.steps[Math.min(task.polls, task.steps.length - 1)];
+    task.polls++;
+
+    if (step.raw !== undefined || step.httpStatus !== undefined) {
+      return this.answer(res, step);
+    }
+
+    return this.send(res, 200, { code: 200, data: this.taskData(task, step), message: 'success' });
+  }
+
+  /**
+   * Task object in Piapi's shape; completed tasks get an output image URL by default
+   */
+  taskData(task, step) {
+    const output = step.output !== undefined
+      ? step.output
+      : step.status === 'completed' || step.status === 'success'
+        ? { image_url: `${this.baseUrl}/results/${task.id}.png` }
+        : null;
+
+    return {
+      task_id: task.id,
+      model: task.request.model,
+      task_type: task.request.task_type,
+      status: step.status,
+      ...(step.progress !== undefined && { progress: step.progress }),
+      input: task.request.input,
+      output,
+      error: step.error !== undefined ? step.error : { code: 0, message: '' }
+    };
+  }
+
+  answerQueued(endpoint, res) {
+    const response = this.responses.get(endpoint)?.shift();
+    if (!response) return false;
+
+    this.answer(res, response);
+    return true;
+  }
+
+  answer(res, { httpStatus = 200, body, raw }) {
+    if (raw !== undefined) {
+      res.writeHead(httpStatus, { 'Content-Type': 'application/json' });
+      return res.end(raw);
+    }
+
+    return this.send(res, httpStatus, body !== undefined ? body : { code: httpStatus, data: {}, message: http.STATUS_CODES[httpStatus] });
+  }
+
+  async readJson(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString() || '{}');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = FakePiapiApi;
@@ -0,0 +1,629 @@
+/**
+ * Fake Telegram Bot API server
+ * Stand-in for api.telegram.org in offline end-to-end tests
+ *
+ * Implements the methods the bot uses with Telegram's response envelope
+ * ({ ok, result } / { ok: false, error_code, description }) and the errors
+ * Telegram returns for bad requests. Point the bot at it with
+ * TELEGRAM_API_URL=<baseUrl> or setApiBaseUrl(baseUrl) on the services.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const BOT_USERNAME = 'NewPeopleStickers_bot';
+const MAX_STICKERS_PER_SET = 120;
+
+// Sticker upload limits per format
+const STICKER_FILES = {
+  static: { maxSize: 512 * 1024, isValid: (data) => data.slice(0, 4).toString() === 'RIFF' && data.slice(8, 12).toString() === 'WEBP' },
+  video: { maxSize: 256 * 1024, isValid: (data) => data.slice(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3])) }
+};
+
+// Static stickers need one side of exactly 512px
+const STICKER_SIDE = 512;
+
+/**
+ * Canvas size from a WebP header (VP8X, lossy VP8 or lossless VP8L), null if unknown
+ */
+const webpDimensions = (data) => {
+  const chunk = data.slice(12, 16).toString();
+
+  if (chunk === 'VP8X' && data.length >= 30) {
+    return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+  }
+  if (chunk === 'VP8 ' && data.length >= 30) {
+    return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && data.length >= 25) {
+    const bits = data.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+
+  return null;
+};
+
+/**
+ * Error answered by a Bot API method
+ */
+class BotApiError extends Error {
+  constructor(errorCode, description, parameters = null) {
+    super(description);
+    this.errorCode = errorCode;
+    this.parameters = parameters;
+  }
+}
+
+const badRequest = (description) => new BotApiError(400, `Bad Request: ${description}`);
+
+/**
+ * Parse a multipart/form-data body: text fields become strings,
+ * files become { filename, contentType, data }
+ */
+const parseMultipart = (body, boundary) => {
+  const fields = {};
+  const delimiter = Buffer.from(`--${boundary}`);
+  let start = body.indexOf(delimiter);
+
+  while (start !== -1) {
+    const partStart = start + delimiter.length + 2; // skip CRLF after the delimiter
+    const end = body.indexOf(delimiter, partStart);
+    if (end === -1) break;
+
+    const part = body.slice(partStart, end - 2); // drop CRLF before the next delimiter
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.slice(0, headerEnd).toString();
+    const data = part.slice(headerEnd + 4);
+
+    const name = /name="([^"]+)"/.exec(headers)?.[1];
+    const filename = /filename="([^"]*)"/.exec(headers)?.[1];
+    const contentType = /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1];
+
+    if (name) {
+      fields[name] = filename !== undefined ? { filename, contentType, data } : data.toString();
+    }
+
+    start = end;
+  }
+
+  return fields;
+};
+
+/**
+ * Parse a JSON-encoded parameter (form requests send objects as JSON strings)
+ */
+const parseJson = (value, name) => {
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw badRequest(`can't parse ${name} JSON object`);
+  }
+};
+
+class FakeTelegramBotApi {
+  /**
+   * @param {Object} options - { token } the bot must use
+   */
+  constructor(options = {}) {
+    this.token = options.token || '123456789:FAKE-telegram-bot-token';
+    this.server = null;
+    this.baseUrl = null;
+    this.reset();
+  }
+
+  /**
+   * Forget everything recorded so far
+   */
+  reset() {
+    this.files = new Map();       // file_id -> { file_id, file_unique_id, file_path, file_size, data }
+    this.messages = [];           // sent messages, edits are applied in place
+    this.stickerSets = new Map(); // name -> { name, title, ownerId, stickers }
+    this.requests = [];           // { method, params }
+    this.failures = new Map();    // method -> queued errors
+    this.blockedChats = new Set();
+    this.webhook = null;
+    this.nextMessageId = 1;
+  }
+
+  /**
+   * Start listening on a free local port
+   * @returns {Promise<string>} - Base URL for TELEGRAM_API_URL
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        this.send(res, 500, { ok: false, error_code: 500, description: `Internal Server Error: ${error.message}` });
+      });
+    });
+
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+
+    return this.baseUrl;
+  }
+
+  /**
+   * Stop the server
+   */
+  async stop() {
+    if (!this.server) return;
+
+    this.server.closeAllConnections?.();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Make the next call of a method fail
+   * @param {string} method - Bot API method
+   * @param {Object} error - { errorCode, description, retryAfter }
+   */
+  failNext(method, { errorCode = 400, description = 'Bad Request', retryAfter } = {}) {
+    const queue = this.failures.get(method) || [];
+    queue.push(new BotApiError(errorCode, description, retryAfter ? { retry_after: retryAfter } : null));
+    this.failures.set(method, queue);
+  }
+
+  /**
+   * Answer 403 to messages for a chat, as for a user who blocked the bot
+   */
+  blockChat(chatId) {
+    this.blockedChats.add(Number(chatId));
+  }
+
+  /**
+   * Store a photo as if a user had sent it
+   * @param {Buffer} data - Image bytes
+   * @param {Object} size - { width, height }
+   * @returns {Array<Object>} - PhotoSize array for message.photo
+   */
+  addPhoto(data, { width, height }) {
+    const file = this.storeFile(data, 'photos', 'jpg', 'AgACAgIAAxkBAAI');
+    return [{ file_id: file.file_id, file_unique_id: file.file_unique_id, file_size: file.file_size, width, height }];
+  }
+
+  /**
+   * Store a file as if a user had sent it as a document
+   * @param {Buffer} data - File bytes
+   * @param {Object} info - { fileName, mimeType }, mimeType may be left out as some clients do
+   * @returns {Object} - Document for message.document
+   */
+  addDocument(data, { fileName, mimeType }) {
+    const file = this.storeFile(data, 'documents', fileName.split('.').pop().toLowerCase(), 'BQACAgIAAxkBAAI');
+    return { file_id: file.file_id, file_unique_id: file.file_unique_id, file_size: file.file_size, file_name: fileName, mime_type: mimeType };
+  }
+
+  /**
+   * Calls made to a method
+   */
+  callsTo(method) {
+    return this.requests.filter(request => request.method === method).map(request => request.params);
+  }
+
+  /**
+   * Messages sent to a chat, oldest first
+   */
+  messagesTo(chatId) {
+    return this.messages.filter(message => message.chat.id === Number(chatId));
+  }
+
+  /**
+   * Sticker sets created by a user
+   */
+  stickerSetsOf(userId) {
+    return [...this.stickerSets.values()].filter(set => set.ownerId === Number(userId));
+  }
+
+  // ---------------------------------------------------------------------------
+  // HTTP
+  // ---------------------------------------------------------------------------
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, this.baseUrl);
+    const match = /^\/(file\/)?bot([^/]+)\/(.+)$/.exec(url.pathname);
+
+    if (!match) {
+      return this.send(res, 404, { ok: false, error_code: 404, description: 'Not Found' });
+    }
+
+    const [, isFile, token, rest] = match;
+
+    if (token !== this.token) {
+      return this.send(res, 401, { ok: false, error_code: 401, description: 'Unauthorized' });
+    }
+
+    if (isFile) {
+      const file = [...this.files.values()].find(stored => stored.file_path === decodeURIComponent(rest));
+      if (!file) {
+        return this.send(res, 404, { ok: false, error_code: 404, description: 'Not Found' });
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': file.data.length });
+      return res.end(file.data);
+    }
+
+    // Method names are case-insensitive (node-telegram-bot-api calls setWebHook)
+    const [method, handler] = Object.entries(this.methods())
+      .find(([name]) => name.toLowerCase() === rest.toLowerCase()) || [rest, null];
+
+    const params = { ...Object.fromEntries(url.searchParams), ...await this.readParams(req) };
+    this.requests.push({ method, params });
+
+    if (!handler) {
+      return this.send(res, 404, { ok: false, error_code: 404, description: 'Not Found' });
+    }
+
+    try {
+      const failure = this.failures.get(method)?.shift();
+      if (failure) throw failure;
+
+      const result = await handler(params);
+      return this.send(res, 200, { ok: true, result });
+
+    } catch (error) {
+      if (!(error instanceof BotApiError)) throw error;
+
+      return this.send(res, error.errorCode, {
+        ok: false,
+        error_code: error.errorCode,
+        description: error.message,
+        ...(error.parameters && { parameters: error.parameters })
+      });
+    }
+  }
+
+  async readParams(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks);
+
+    if (body.length === 0) return {};
+
+    const contentType = req.headers['content-type'] || '';
+
+    if (contentType.startsWith('multipart/form-data')) {
+      return parseMultipart(body, /boundary=([^;]+)/.exec(contentType)[1]);
+    }
+
+    if (contentType.startsWith('application/json')) {
+      return JSON.parse(body.toString());
+    }
+
+    return Object.fromEntries(new URLSearchParams(body.toString()));
+  }
+
+  send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Bot API methods
+  // ---------------------------------------------------------------------------
+
+  methods() {
+    return {
+      getMe: () => ({ id: Number(this.token.split(':')[0]), is_bot: true, first_name: 'New People Stickers', username: BOT_USERNAME }),
+
+      setWebhook: (params) => {
+        if (!params.url?.startsWith('https://')) {
+          throw badRequest('bad webhook: An HTTPS URL must be provided for webhook');
+        }
+
+        this.webhook = {
+          url: params.url,
+          secretToken: params.secret_token || null,
+          allowedUpdates: parseJson(params.allowed_updates, 'allowed_updates') || null
+        };
+        return true;
+      },
+
+      deleteWebhook: () => {
+        this.webhook = null;
+        return true;
+      },
+
+      getWebhookInfo: () => ({
+        url: this.webhook?.url || '',
+        has_custom_certificate: false,
+        pending_update_count: 0,
+        ...(this.webhook?.allowedUpdates && { allowed_updates: this.webhook.allowedUpdates })
+      }),
+
+      sendMessage: (params) => {
+        const chatId = this.requireChat(params);
+
+        if (!params.text) {
+          throw badRequest('message text is empty');
+        }
+
+        if (params.text.length > 4096) {
+          throw badRequest('message is too long');
+        }
+
+        return this.storeMessage(chatId, { text: params.text, reply_markup: parseJson(params.reply_markup, 'reply_markup') });
+      },
+
+      editMessageText: (params) => {
+        const message = this.messages.find(stored =>
+          stored.chat.id === Number(params.chat_id) && stored.message_id === Number(params.message_id));
+
+        if (!message) {
+          throw badRequest('message to edit not found');
+        }
+
+        if (!params.text) {
+          throw badRequest('message text is empty');
+        }
+
+        const replyMarkup = parseJson(params.reply_markup, 'reply_markup');
+        if (message.text === params.text && JSON.stringify(message.reply_markup) === JSON.stringify(replyMarkup)) {
+          throw badRequest('message is not modified: specified new message content and reply markup are exactly the same as a current content and reply markup of the message');
+        }
+
+        message.text = params.text;
+        message.reply_markup = replyMarkup;
+        message.edit_date = Math.floor(Date.now() / 1000);
+        return message;
+      },
+
+      sendPhoto: (params) => {
+        const chatId = this.requireChat(params);
+
+        if (!params.photo) {
+          throw badRequest('there is no photo in the request');
+        }
+
+        const photo = typeof params.photo === 'string'
+          ? this.requireFile(params.photo)
+          : this.storeFile(params.photo.data, 'photos', 'jpg', 'AgACAgIAAxkBAAI');
+
+        return this.storeMessage(chatId, {
+          photo: [{ file_id: photo.file_id, file_unique_id: photo.file_unique_id, file_size: photo.file_size }],
+          caption: params.caption,
+          reply_markup: parseJson(params.reply_markup, 'reply_markup')
+        });
+      },
+
+      sendMediaGroup: (params) => {
+        const chatId = this.requireChat(params);
+        const media = parseJson(params.media, 'media');
+
+        if (!Array.isArray(media) || media.length < 2 || media.length > 10) {
+          throw badRequest('wrong number of messages in the media group');
+        }
+
+        // Albums share a media_group_id, one message per photo
+        const mediaGroupId = String(Date.now());
+
+        return media.map(item => {
+          const attachment = /^attach:\/\/(.+)$/.exec(item.media || '')?.[1];
+          const photo = attachment
+            ? params[attachment]?.data && this.storeFile(params[attachment].data, 'photos', 'jpg', 'AgACAgIAAxkBAAI')
+            : this.requireFile(item.media);
+
+          if (item.type !== 'photo' || !photo) {
+            throw badRequest('wrong file identifier/HTTP URL specified');
+          }
+
+          return this.storeMessage(chatId, {
+            media_group_id: mediaGroupId,
+            photo: [{ file_id: photo.file_id, file_unique_id: photo.file_unique_id, file_size: photo.file_size }]
+          });
+        });
+      },
+
+      sendChatAction: (params) => {
+        this.requireChat(params);
+        return true;
+      },
+
+      answerCallbackQuery: (params) => {
+        if (!params.callback_query_id) {
+          throw badRequest('query is too old and response timeout expired or query ID is invalid');
+        }
+        return true;
+      },
+
+      getFile: (params) => {
+        const { data, ...file } = this.requireFile(params.file_id);
+        return file;
+      },
+
+      uploadStickerFile: (params) => {
+        if (!params.user_id) {
+          throw badRequest('user_id is empty');
+        }
+
+        const format = STICKER_FILES[params.sticker_format];
+        if (!format) {
+          throw badRequest('invalid sticker_format specified');
+        }
+
+        if (!params.sticker?.data) {
+          throw badRequest('there is no sticker in the request');
+        }
+
+        if (!format.isValid(params.sticker.data)) {
+          throw badRequest('wrong file type');
+        }
+
+        if (params.sticker.data.length > format.maxSize) {
+          throw badRequest('file is too big');
+        }
+
+        const dimensions = params.sticker_format === 'static' && webpDimensions(params.sticker.data);
+        if (dimensions && Math.max(dimensions.width, dimensions.height) !== STICKER_SIDE) {
+          throw badRequest('STICKER_PNG_DIMENSIONS');
+        }
+
+        const { data, ...file } = this.storeFile(params.sticker.data, 'stickers', params.sticker_format === 'video' ? 'webm' : 'webp', 'CAACAgIAAxkBAAI');
+        return file;
+      },
+
+      createNewStickerSet: (params) => {
+        const name = params.name || '';
+
+        if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(name) || name.includes('__') ||
+            !name.toLowerCase().endsWith(`_by_${BOT_USERNAME.toLowerCase()}`) || name.length > 64) {
+          throw badRequest('invalid sticker set name is specified');
+        }
+
+        if (this.stickerSets.has(name)) {
+          throw badRequest('sticker set name is already occupied');
+        }
+
+        if (!params.title || params.title.length > 64) {
+          throw badRequest('invalid sticker set title is specified');
+        }
+
+        const stickers = parseJson(params.stickers, 'stickers');
+        if (!Array.isArray(stickers) || stickers.length === 0 || stickers.length > 50) {
+          throw badRequest('invalid stickers specified');
+        }
+
+        const set = { name, title: params.title, ownerId: Number(params.user_id), stickers: [] };
+        stickers.forEach(inputSticker => set.stickers.push(this.buildSticker(set, inputSticker)));
+        this.stickerSets.set(name, set);
+
+        return true;
+      },
+
+      addStickerToSet: (params) => {
+        const set = this.stickerSets.get(params.name);
+
+        if (!set || set.ownerId !== Number(params.user_id)) {
+          throw badRequest('STICKERSET_INVALID');
+        }
+
+        if (set.stickers.length >= MAX_STICKERS_PER_SET) {
+          throw badRequest('STICKERS_TOO_MUCH');
+        }
+
+        set.stickers.push(this.buildSticker(set, parseJson(params.sticker, 'sticker')));
+        return true;
+      },
+
+      deleteStickerSet: (params) => {
+        if (!this.stickerSets.delete(params.name)) {
+          throw badRequest('STICKERSET_INVALID');
+        }
+
+        return true;
+      },
+
+      deleteStickerFromSet: (params) => {
+        const set = [...this.stickerSets.values()]
+          .find(candidate => candidate.stickers.some(sticker => sticker.file_id === params.sticker));
+
+        if (!set) {
+          throw badRequest('STICKER_INVALID');
+        }
+
+        set.stickers = set.stickers.filter(sticker => sticker.file_id !== params.sticker);
+        return true;
+      },
+
+      getStickerSet: (params) => {
+        const set = this.stickerSets.get(params.name);
+
+        if (!set) {
+          throw badRequest('STICKERSET_INVALID');
+        }
+
+        return {
+          name: set.name,
+          title: set.title,
+          sticker_type: 'regular',
+          stickers: set.stickers.map(({ emoji_list, keywords, ...sticker }) => sticker)
+        };
+      }
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  requireChat(params) {
+    const chatId = Number(params.chat_id);
+
+    if (!params.chat_id || !Number.isInteger(chatId)) {
+      throw badRequest('chat not found');
+    }
+
+    if (this.blockedChats.has(chatId)) {
+      throw new BotApiError(403, 'Forbidden: bot was blocked by the user');
+    }
+
+    return chatId;
+  }
+
+  requireFile(fileId) {
+    const file = this.files.get(fileId);
+
+    if (!file) {
+      throw badRequest('invalid file_id');
+    }
+
+    return file;
+  }
+
+  storeFile(data, directory, extension, idPrefix) {
+    const uniqueId = crypto.randomBytes(8).toString('hex');
+    const file = {
+      file_id: `${idPrefix}${crypto.randomBytes(16).toString('hex')}`,
+      file_unique_id: `AQAD${uniqueId}`,
+      file_size: data.length,
+      file_path: `${directory}/file_${this.files.size}.${extension}`,
+      data
+    };
+
+    this.files.set(file.file_id, file);
+    return file;
+  }
+
+  storeMessage(chatId, content) {
+    const message = {
+      message_id: this.nextMessageId++,
+      from: { id: Number(this.token.split(':')[0]), is_bot: true, first_name: 'New People Stickers', username: BOT_USERNAME },
+      chat: { id: chatId, type: 'private' },
+      date: Math.floor(Date.now() / 1000),
+      ...Object.fromEntries(Object.entries(content).filter(([, value]) => value !== undefined && value !== null))
+    };
+
+    this.messages.push(message);
+    return message;
+  }
+
+  buildSticker(set, inputSticker) {
+    const file = this.files.get(inputSticker?.sticker);
+
+    if (!file) {
+      throw badRequest('wrong file identifier/HTTP URL specified');
+    }
+
+    if (!Array.isArray(inputSticker.emoji_list) || inputSticker.emoji_list.length === 0) {
+      throw badRequest('invalid sticker emojis');
+    }
+
+    return {
+      file_id: file.file_id,
+      file_unique_id: file.file_unique_id,
+      type: 'regular',
+      width: 512,
+      height: 512,
+      is_animated: false,
+      is_video: inputSticker.format === 'video',
+      emoji: inputSticker.emoji_list[0],
+      set_name: set.name,
+      file_size: file.file_size,
+      emoji_list: inputSticker.emoji_list,
+      keywords: inputSticker.keywords || []
+    };
+  }
+}
+
+module.exports = FakeTelegramBotApi;
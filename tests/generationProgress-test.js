@@ -0,0 +1,310 @@
+/**
+ * Generation Progress Test Script
+ * Tests the live progress message (time-left estimate, throttled edits, templates
+ * in flight), sticker preview albums and the Cancel button that cancels Piapi tasks
+ */
+
+const API_KEY = 'fake-piapi-api-key';
+
+process.env.PIAPI_API_KEY = API_KEY;
+process.env.FACE_SWAP_PROVIDER = 'piapi';
+// Keep results out of the shared cache directory
+process.env.CACHE_ENABLED = 'false';
+
+const sharp = require('sharp');
+const FakePiapiApi = require('./fakes/piapiApi');
+const telegramService = require('../src/services/telegramService');
+const piapiService = require('../src/services/piapiService');
+const faceSwapService = require('../src/services/faceSwapService');
+const imageService = require('../src/services/imageService');
+const progressService = require('../src/services/progressService');
+const stickerService = require('../src/services/stickerService');
+const userLimitsService = require('../src/services/userLimitsService');
+const stateService = require('../src/services/stateService');
+const MemoryStateStore = require('../src/stores/memoryStateStore');
+const callbackData = require('../src/utils/callbackData');
+const controller = require('../src/controllers/telegramController');
+const { getAllTemplates } = require('../src/config/templates');
+const { CONFIG, MESSAGES, BOT_STATES } = require('../src/config/constants');
+const { check, report } = require('./helpers/check');
+
+const USER_ID = 747474;
+
+// Record outgoing Telegram calls instead of hitting the API
+const sent = [];
+const edits = [];
+const albums = [];
+const photos = [];
+const answers = [];
+let nextMessageId = 7000;
+
+telegramService.isConfigured = () => true;
+telegramService.sendMessage = async (chatId, text, options = {}) => {
+  const message = { message_id: nextMessageId++, chat: { id: chatId }, text, options };
+  sent.push(message);
+  return message;
+};
+telegramService.editMessage = async (chatId, messageId, text, options = {}) => {
+  edits.push({ chatId, messageId, text, options, at: Date.now() });
+  return { message_id: messageId };
+};
+telegramService.sendMediaGroup = async (chatId, buffers) => {
+  albums.push(buffers);
+  return buffers.map(() => ({ message_id: nextMessageId++ }));
+};
+telegramService.sendPhoto = async (chatId, buffer) => {
+  photos.push(buffer);
+  return { message_id: nextMessageId++ };
+};
+telegramService.answerCallbackQuery = async (callbackQueryId, options = {}) => {
+  answers.push(options);
+  return true;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const waitFor = async (condition, timeout = 5000) => {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (await condition()) return true;
+    await sleep(20);
+  }
+  return false;
+};
+
+const template = (id, extra = {}) => ({ id, name: `Шаблон ${id}`, emojis: ['😎'], type: 'face_swap', ...extra });
+
+async function testGenerationProgress() {
+  console.log('⏳ Testing Generation Progress');
+  console.log('==============================\n');
+
+  const fake = new FakePiapiApi({ apiKey: API_KEY });
+  piapiService.setBaseUrl(await fake.start());
+  faceSwapService.setProvider(piapiService);
+
+  const sticker = await sharp({
+    create: { width: 512, height: 512, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } }
+  }).composite([{
+    input: Buffer.from('<svg width="512" height="512"><circle cx="256" cy="256" r="200" fill="red"/></svg>')
+  }]).webp().toBuffer();
+  fake.resultImage = await sharp(sticker).png().toBuffer();
+
+  try {
+    // Test 1: Time left
+    console.log('1. Testing the time-left estimate...');
+    {
+      progressService.reset();
+
+      check('Face swaps without history use the default',
+        progressService.estimateTemplateDuration(template('a')) === CONFIG.PROGRESS_DEFAULT_FACE_SWAP_DURATION);
+      check('Ready stickers are quick',
+        progressService.estimateTemplateDuration(template('b', { type: 'ready_sticker' })) === CONFIG.PROGRESS_DEFAULT_QUICK_DURATION);
+
+      progressService.recordTemplateDuration('a', 10000);
+      progressService.recordTemplateDuration('a', 20000);
+      const expected = 10000 + 10000 * CONFIG.PROGRESS_DURATION_SMOOTHING;
+      check('History is a moving average', progressService.estimateTemplateDuration(template('a')) === expected,
+        `${progressService.estimateTemplateDuration(template('a'))}ms`);
+
+      progressService.recordTemplateDuration('c', 30000);
+      progressService.recordTemplateDuration('d', 5000);
+      const tracker = progressService.createTracker(USER_ID, [template('a'), template('c'), template('d')], { batchSize: 2 });
+      check('Batches take as long as their slowest template', tracker.estimateTimeLeft() === 30000 + 5000,
+        `${tracker.estimateTimeLeft()}ms`);
+
+      tracker.templateStarted(template('a'));
+      tracker.templateStarted(template('c'));
+      tracker.templateFinished(template('a'), null);
+      check('Finished templates no longer count', Math.round(tracker.estimateTimeLeft() / 1000) === 35);
+
+      const text = tracker.render();
+      check('Progress names the template in flight', text.includes('😎 Шаблон c') && !text.includes('Шаблон a'), text);
+      check('Progress shows the time left', /Осталось около 1 мин|Осталось меньше минуты/.test(text));
+      tracker.stop();
+    }
+    console.log();
+
+    // Test 2: Throttled edits
+    console.log('2. Testing throttled edits...');
+    {
+      progressService.reset();
+      edits.length = 0;
+
+      const templates = Array.from({ length: 6 }, (_, i) => template(`t${i}`));
+      const replyMarkup = { inline_keyboard: [[{ text: 'X', callback_data: 'x' }]] };
+      const tracker = progressService.createTracker(USER_ID, templates, { batchSize: 3, replyMarkup, interval: 300, previews: false });
+      const messageId = await tracker.start();
+
+      check('Progress message has the keyboard', sent.at(-1).options.reply_markup === replyMarkup);
+
+      for (const item of templates) {
+        tracker.templateStarted(item);
+        tracker.templateFinished(item, sticker);
+      }
+      await sleep(100);
+      check('Burst of updates waits for the interval', edits.length === 0, `${edits.length} edits`);
+
+      await waitFor(() => edits.length > 0, 2000);
+      await sleep(400);
+      check('One edit after the interval', edits.length === 1, `${edits.length} edits`);
+      check('Edit shows the latest state', edits[0]?.text === MESSAGES.PROCESSING_PROGRESS(6, 6, { done: true }));
+      check('Edit keeps the keyboard', edits[0]?.options.reply_markup === replyMarkup && edits[0]?.messageId === messageId);
+
+      await tracker.finish(MESSAGES.CREATING_PACK);
+      check('Final text drops the keyboard', edits.at(-1).text === MESSAGES.CREATING_PACK && !edits.at(-1).options.reply_markup);
+
+      const count = edits.length;
+      tracker.templateStarted(template('late'));
+      await sleep(400);
+      check('No edits after finishing', edits.length === count);
+    }
+    console.log();
+
+    // Test 3: Previews
+    console.log('3. Testing sticker previews...');
+    {
+      albums.length = 0;
+      photos.length = 0;
+
+      const templates = Array.from({ length: CONFIG.PROGRESS_PREVIEW_ALBUM_SIZE + 2 }, (_, i) => template(`p${i}`));
+      templates.push(template('video', { asset: 'video.webm', format: 'video' }));
+      const tracker = progressService.createTracker(USER_ID, templates, { interval: 0, previews: true });
+      await tracker.start();
+
+      for (const item of templates.slice(0, CONFIG.PROGRESS_PREVIEW_ALBUM_SIZE)) {
+        tracker.templateFinished(item, sticker);
+      }
+      await waitFor(() => albums.length > 0, 2000);
+      check('Full album is sent as stickers finish', albums.length === 1 && albums[0].length === CONFIG.PROGRESS_PREVIEW_ALBUM_SIZE);
+
+      const preview = await sharp(albums[0][0]).metadata();
+      check('Previews are small JPEGs', preview.format === 'jpeg' && Math.max(preview.width, preview.height) === CONFIG.PROGRESS_PREVIEW_SIZE,
+        `${preview.format} ${preview.width}x${preview.height}`);
+      const { data } = await sharp(albums[0][0]).raw().toBuffer({ resolveWithObject: true });
+      check('Transparency becomes white', data[0] > 240 && data[1] > 240 && data[2] > 240);
+
+      tracker.templateFinished(templates[CONFIG.PROGRESS_PREVIEW_ALBUM_SIZE], sticker);
+      tracker.templateFinished(templates.at(-1), sticker);
+      await tracker.finish(MESSAGES.CREATING_PACK);
+      check('The rest is sent when processing ends', albums.length === 1 && photos.length === 1,
+        `${albums.length} albums, ${photos.length} photos`);
+
+      const dropped = progressService.createTracker(USER_ID, templates, { interval: 60000, previews: true });
+      await dropped.start();
+      dropped.templateFinished(templates[0], sticker);
+      await dropped.finish(MESSAGES.PROCESSING_STOPPED, { previews: false });
+      check('Failed generations send no previews', photos.length === 1);
+
+      telegramService.sendMediaGroup = async () => {
+        throw new Error('Too Many Requests');
+      };
+      const failing = progressService.createTracker(USER_ID, templates, { interval: 0, previews: true });
+      await failing.start();
+      templates.slice(0, CONFIG.PROGRESS_PREVIEW_ALBUM_SIZE).forEach(item => failing.templateFinished(item, sticker));
+      await failing.finish(MESSAGES.CREATING_PACK);
+      check('Preview errors don\'t stop the progress', edits.at(-1).text === MESSAGES.CREATING_PACK);
+      telegramService.sendMediaGroup = async (chatId, buffers) => {
+        albums.push(buffers);
+        return [];
+      };
+    }
+    console.log();
+
+    // Test 4: Cancelling a Piapi task
+    console.log('4. Testing Piapi task cancellation...');
+    {
+      fake.scriptTask([{ status: 'processing', progress: 10 }]);
+      const task = await piapiService.createFaceSwapTask('data:image/png;base64,AAAA', 'data:image/png;base64,AAAA');
+
+      const abortController = new AbortController();
+      const waiting = piapiService.waitForTaskCompletion(task.taskId, { pollInterval: 5000, signal: abortController.signal })
+        .then(() => null, error => error);
+      await waitFor(() => fake.requests.some(request => request.endpoint === 'getTask'));
+
+      const abortedAt = Date.now();
+      abortController.abort();
+      const error = await waiting;
+
+      check('Waiting ends with CancelledError', error?.name === 'CancelledError', error?.name);
+      check('Abort doesn\'t wait for the next poll', Date.now() - abortedAt < 1000, `${Date.now() - abortedAt}ms`);
+      check('Task is cancelled on Piapi', fake.createdTasks().find(created => created.id === task.taskId)?.cancelled === true);
+
+      fake.respondNext('cancelTask', { httpStatus: 500 });
+      check('Failed cancel is not an error', await piapiService.cancelTask(task.taskId) === false);
+    }
+    console.log();
+
+    // Test 5: Cancel button
+    console.log('5. Testing the Cancel button...');
+    {
+      fake.reset();
+      sent.length = 0;
+      edits.length = 0;
+      let released = 0;
+      let packs = 0;
+
+      stateService.setStore(new MemoryStateStore());
+      await stateService.transition(USER_ID, BOT_STATES.PROCESSING);
+      imageService.processImageForStickers = async () => fake.resultImage;
+      imageService.analyzeFace = async () => ({ passed: true, faceCount: 1 });
+      userLimitsService.releaseGeneration = async () => {
+        released++;
+      };
+      userLimitsService.logGeneration = async () => {};
+      stickerService.createCompleteStickerPack = async () => {
+        packs++;
+        throw new Error('pack must not be created');
+      };
+
+      // Face swaps never finish on their own
+      const faceSwapTemplates = getAllTemplates().filter(item => item.type === 'face_swap').slice(0, 5);
+      faceSwapTemplates.forEach(() => fake.scriptTask([{ status: 'processing', progress: 50 }]));
+
+      const generation = controller.generateStickerPack(USER_ID, USER_ID, 'AgACAgIAAxkBAAIC_progress_photo', 'Test', {
+        templateIds: faceSwapTemplates.map(item => item.id),
+        quotaReservationId: 'reservation-1'
+      });
+
+      await waitFor(() => fake.createdTasks().length === 3);
+      const progressMessage = sent.find(message => message.options.reply_markup);
+      const cancelButton = progressMessage?.options.reply_markup.inline_keyboard.flat()
+        .find(button => callbackData.decode(button.callback_data, USER_ID)?.action === 'gen_cancel');
+      check('Progress message has a Cancel button', !!cancelButton);
+
+      const press = () => controller.processCallbackQuery({
+        id: `cbq_${Math.random().toString(36).slice(2)}`,
+        from: { id: USER_ID, first_name: 'Test' },
+        message: { message_id: progressMessage.message_id, chat: { id: USER_ID } },
+        data: cancelButton.callback_data
+      });
+
+      const pressedAt = Date.now();
+      await press();
+      check('Press is acknowledged', answers.at(-1)?.text === MESSAGES.GENERATION_CANCELLING);
+
+      const result = await generation;
+      check('Generation ends as cancelled', result.reason === 'cancelled', result.reason);
+      check('Cancel takes effect without waiting for the tasks', Date.now() - pressedAt < 3000, `${Date.now() - pressedAt}ms`);
+      check('Tasks in flight are cancelled on Piapi', fake.createdTasks().every(task => task.cancelled),
+        `${fake.createdTasks().filter(task => task.cancelled).length}/${fake.createdTasks().length}`);
+      check('Next batch never starts', fake.createdTasks().length === 3, `${fake.createdTasks().length} tasks`);
+      check('No pack is created', packs === 0);
+      check('Quota reservation is released', released === 1);
+      check('Progress says cancelled', edits.at(-1)?.text === MESSAGES.GENERATION_CANCELLED && !edits.at(-1)?.options.reply_markup);
+      check('User can send a new photo', (await stateService.getState(USER_ID)) === BOT_STATES.IDLE);
+
+      await press();
+      check('Old button no longer cancels', answers.at(-1)?.text === MESSAGES.CANCEL_UNAVAILABLE);
+    }
+    console.log();
+  } finally {
+    await fake.stop();
+  }
+
+  report('Generation progress');
+}
+
+testGenerationProgress().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,40 @@
+/**
+ * Check helpers shared by the test scripts
+ * Every script runs in its own process, so failed checks are counted per script
+ */
+
+let failures = 0;
+
+/**
+ * Print the outcome of a single check and count it if it failed
+ * @param {string} label - What is checked
+ * @param {boolean} condition - Whether the check passed
+ * @param {string} details - Extra context shown after the mark
+ */
+const check = (label, condition, details = '') => {
+  console.log(`   ${label}: ${condition ? '✅' : '❌'}${details ? ` (${details})` : ''}`);
+  if (!condition) failures++;
+};
+
+/**
+ * Number of failed checks so far
+ * @returns {number}
+ */
+const failureCount = () => failures;
+
+/**
+ * Print the summary line of a script and set a non-zero exit code if any check failed
+ * @param {string} name - Tested area as it reads in the summary, e.g. 'Job queue'
+ */
+const report = (name) => {
+  console.log(failures === 0 ? `🎉 ${name} tests passed!` : `❌ ${failures} ${name} checks failed`);
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+};
+
+module.exports = {
+  check,
+  failureCount,
+  report
+};
@@ -0,0 +1,179 @@
+/**
+ * Update Deduplication Test Script
+ * Tests the idempotency store, duplicate webhook updates and repeated photo jobs
+ */
+
+const idempotencyService = require('../src/services/idempotencyService');
+const stateService = require('../src/services/stateService');
+const quotaService = require('../src/services/quotaService');
+const jobQueueService = require('../src/services/jobQueueService');
+const telegramService = require('../src/services/telegramService');
+const controller = require('../src/controllers/telegramController');
+const metrics = require('../src/utils/metrics');
+const MemoryIdempotencyStore = require('../src/stores/memoryIdempotencyStore');
+const MemoryStateStore = require('../src/stores/memoryStateStore');
+const MemoryQuotaStore = require('../src/stores/memoryQuotaStore');
+const MemoryJobStore = require('../src/stores/memoryJobStore');
+const { CONFIG, MESSAGES } = require('../src/config/constants');
+const { getAllTemplates } = require('../src/config/templates');
+const { check, report } = require('./helpers/check');
+
+const USER_ID = 626262;
+
+// Record outgoing Telegram calls instead of hitting the API
+const sent = [];
+let nextMessageId = 1;
+
+telegramService.isConfigured = () => true;
+telegramService.sendMessage = async (chatId, text, options = {}) => {
+  const message = { message_id: nextMessageId++, chat: { id: chatId }, text, options };
+  sent.push(message);
+  return message;
+};
+telegramService.editMessage = async (chatId, messageId, text) => {
+  sent.push({ message_id: messageId, chat: { id: chatId }, text, edited: true });
+  return { message_id: messageId };
+};
+
+const createResponse = () => {
+  const res = { statusCode: null, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const postUpdate = async (update) => {
+  const res = createResponse();
+  await controller.handleWebhook({ body: update }, res);
+  return res;
+};
+
+const duplicateCount = (kind) =>
+  metrics.counter('duplicate_updates_total', '', ['kind']).get({ kind }) || 0;
+
+const createSelection = (messageId, pickerMessageId) => ({
+  userId: USER_ID,
+  firstName: 'Test',
+  languageCode: null,
+  messageId,
+  photo: { file_id: `AgACAgIAAxkBAAIC_dedup_${messageId}`, width: 640, height: 480 },
+  photoCount: 1,
+  selectedIds: new Set(getAllTemplates().map(template => template.id)),
+  pickerMessageId,
+  createdAt: Date.now()
+});
+
+async function testIdempotency() {
+  console.log('🔂 Testing Update Deduplication');
+  console.log('===============================\n');
+
+  // Test 1: Store
+  console.log('1. Testing idempotency store...');
+  {
+    let now = 1000000;
+    const store = new MemoryIdempotencyStore({ maxEntries: 3, now: () => now });
+
+    check('First claim succeeds', await store.claim('update:1', 1000));
+    check('Second claim is a duplicate', !(await store.claim('update:1', 1000)));
+
+    now += 1001;
+    check('Key can be claimed after retention', await store.claim('update:1', 1000));
+
+    await store.claim('update:2', 1000);
+    await store.claim('update:3', 1000);
+    await store.claim('update:4', 1000);
+    check('Store keeps at most maxEntries keys', store.keys.size === 3);
+    check('Oldest key is evicted first', !store.keys.has('update:1') && store.keys.has('update:4'));
+
+    await store.release('update:4');
+    check('Released key can be claimed again', await store.claim('update:4', 1000));
+
+    now += 1001;
+    check('Purge drops expired keys', await store.purgeExpired() === 3 && store.keys.size === 0);
+  }
+  console.log();
+
+  // Test 2: Service
+  console.log('2. Testing service...');
+  {
+    idempotencyService.setStore({
+      claim: async () => { throw new Error('database down'); },
+      release: async () => { throw new Error('database down'); },
+      purgeExpired: async () => 0
+    });
+    check('Store failure processes the update (fail-open)', await idempotencyService.claimUpdate(1));
+
+    idempotencyService.setStore(new MemoryIdempotencyStore({ maxEntries: CONFIG.UPDATE_DEDUP_MAX_ENTRIES }));
+    const before = duplicateCount('update');
+    await idempotencyService.claimUpdate(10);
+    await idempotencyService.claimUpdate(10);
+    check('Duplicate is counted in metrics', duplicateCount('update') === before + 1);
+  }
+  console.log();
+
+  // Test 3: Webhook
+  console.log('3. Testing duplicate webhook updates...');
+  {
+    const update = {
+      update_id: 900001,
+      message: { message_id: 1, chat: { id: USER_ID }, from: { id: USER_ID, first_name: 'Test' }, text: '/help' }
+    };
+
+    sent.length = 0;
+    const first = await postUpdate(update);
+    const second = await postUpdate(update);
+
+    check('First delivery is processed', first.body.ok === true && !first.body.duplicate);
+    check('Redelivery is acknowledged with 200', second.statusCode === 200 && second.body.duplicate === true);
+    check('Redelivery is not processed again', sent.length === 1, `${sent.length} replies`);
+
+    await postUpdate({ ...update, update_id: 900002 });
+    check('Next update is processed', sent.length === 2);
+  }
+  console.log();
+
+  // Test 4: Photo jobs
+  console.log('4. Testing repeated photo jobs...');
+  {
+    stateService.setStore(new MemoryStateStore());
+    jobQueueService.setStore(new MemoryJobStore());
+    jobQueueService.stop(); // Keep queued jobs pending for inspection
+    const quotaStore = new MemoryQuotaStore();
+    quotaService.setStore(quotaStore);
+    await quotaService.addBonusCredits(USER_ID, 5);
+
+    // A photo that reached us twice opens two pickers
+    const photo = [{ file_id: 'AgACAgIAAxkBAAIC_dedup_photo', width: 640, height: 480 }];
+    await controller.handlePhotoMessage(USER_ID, USER_ID, photo, 'Test', 42);
+    await controller.startGeneration(USER_ID, createSelection(42, sent.at(-1).message_id));
+
+    await stateService.reset(USER_ID);
+    await controller.handlePhotoMessage(USER_ID, USER_ID, photo, 'Test', 42);
+    const before = duplicateCount('photo');
+    await controller.startGeneration(USER_ID, createSelection(42, sent.at(-1).message_id));
+
+    const jobs = await jobQueueService.getUserJobs(USER_ID);
+    check('Same photo message queues one job', jobs.length === 1, `${jobs.length} jobs`);
+    check('Second picker explains the photo is in use', sent.at(-1).text === MESSAGES.PHOTO_ALREADY_USED);
+    check('Duplicate photo is counted in metrics', duplicateCount('photo') === before + 1);
+
+    const reservations = [...quotaStore.usage.values()].filter(usage => usage.userId === USER_ID);
+    check('Duplicate photo takes no quota', reservations.length === 1, `${reservations.length} reservations`);
+
+    // A photo whose generation never started can be used again
+    await stateService.reset(USER_ID);
+    await quotaService.setUserOverride(USER_ID, { dailyLimit: 0 });
+    await quotaService.addBonusCredits(USER_ID, -10);
+    await controller.handlePhotoMessage(USER_ID, USER_ID, photo, 'Test', 43);
+    await controller.startGeneration(USER_ID, createSelection(43, sent.at(-1).message_id));
+    check('Claim is released when the quota refuses', await idempotencyService.claimPhotoJob(USER_ID, 43));
+  }
+  console.log();
+
+  report('Update deduplication');
+}
+
+testIdempotency().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,230 @@
+/**
+ * Image Input Test Script
+ * Tests photos sent as documents and the input formats decoded by
+ * imageService.normalizeImage (HEIC/HEIF, WebP, AVIF, EXIF orientation, metadata stripping),
+ * and that the face swap gets the original at full resolution
+ */
+
+// Keep results out of the shared cache directory
+process.env.CACHE_ENABLED = 'false';
+
+const sharp = require('sharp');
+const imageService = require('../src/services/imageService');
+const telegramService = require('../src/services/telegramService');
+const userLimitsService = require('../src/services/userLimitsService');
+const validationMiddleware = require('../src/middleware/validationMiddleware');
+const validators = require('../src/utils/validators');
+const controller = require('../src/controllers/telegramController');
+const { MESSAGES, CONFIG } = require('../src/config/constants');
+const { check, report } = require('./helpers/check');
+
+const USER_ID = 565656;
+
+// Left half red, right half blue, so rotation is visible in the pixels
+const halves = (width, height) => sharp({ create: { width, height, channels: 3, background: 'red' } })
+  .composite([{
+    input: { create: { width: width / 2, height, channels: 3, background: 'blue' } },
+    left: width / 2,
+    top: 0
+  }]);
+
+const pixelAt = async (buffer, x, y) => {
+  const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+  const offset = (y * info.width + x) * info.channels;
+  return { r: data[offset], g: data[offset + 1], b: data[offset + 2] };
+};
+
+const isRed = ({ r, b }) => r > 200 && b < 60;
+const isBlue = ({ r, b }) => b > 200 && r < 60;
+
+const expectValidationError = async (promise) => {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+};
+
+async function testImageInput() {
+  console.log('🖼️ Testing Image Input Formats');
+  console.log('==============================\n');
+
+  // Test 1: Decoding and orientation
+  console.log('1. Testing format decoding...');
+  {
+    // Stored sideways; EXIF orientation 6 turns it 90° clockwise for display
+    const sideways = await halves(800, 600)
+      .withExif({ IFD0: { Make: 'Apple', Model: 'iPhone 15' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '55/1 45/1 0/1' } })
+      .withMetadata({ orientation: 6 })
+      .jpeg()
+      .toBuffer();
+    const sidewaysMetadata = await sharp(sideways).metadata();
+    check('Test photo has orientation and EXIF', sidewaysMetadata.orientation === 6 && !!sidewaysMetadata.exif);
+
+    const upright = await imageService.normalizeImage(sideways);
+    const uprightMetadata = await sharp(upright.buffer).metadata();
+    check('Orientation is applied to the pixels', upright.width === 600 && upright.height === 800, `${upright.width}x${upright.height}`);
+    check('Top is the left side of the sensor', isRed(await pixelAt(upright.buffer, 300, 100)) && isBlue(await pixelAt(upright.buffer, 300, 700)));
+    check('EXIF and GPS are stripped', !uprightMetadata.exif && !uprightMetadata.orientation && !uprightMetadata.xmp);
+    check('Result is a JPEG', uprightMetadata.format === 'jpeg' && upright.format === 'jpeg');
+
+    const webp = await imageService.normalizeImage(await halves(640, 480).webp().toBuffer());
+    check('WebP is decoded', webp.format === 'webp' && (await sharp(webp.buffer).metadata()).format === 'jpeg');
+
+    const avif = await imageService.normalizeImage(await halves(640, 480).avif().toBuffer());
+    check('AVIF is decoded', avif.format === 'avif' && avif.width === 640 && isBlue(await pixelAt(avif.buffer, 600, 240)));
+
+    const cutout = await imageService.normalizeImage(await sharp({
+      create: { width: 400, height: 400, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } }
+    }).png().toBuffer());
+    const cutoutMetadata = await sharp(cutout.buffer).metadata();
+    check('Transparent PNG keeps its alpha', cutoutMetadata.format === 'png' && cutoutMetadata.hasAlpha);
+
+    const huge = await imageService.normalizeImage(await sharp({
+      create: { width: 6000, height: 3000, channels: 3, background: 'gray' }
+    }).jpeg().toBuffer());
+    check('Huge originals are scaled down', huge.width === CONFIG.MAX_INPUT_DIMENSION && huge.height === CONFIG.MAX_INPUT_DIMENSION / 2,
+      `${huge.width}x${huge.height}`);
+
+    const small = await imageService.normalizeImage(await halves(800, 600).jpeg().toBuffer());
+    check('Full resolution is kept', small.width === 800 && small.height === 600);
+  }
+  console.log();
+
+  // Test 2: HEIC
+  console.log('2. Testing HEIC...');
+  {
+    // No HEVC encoder is available to make a real sample, so the HEIC branch is fed an
+    // AVIF file relabeled with the 'heic' brand: libvips then reports it as HEVC
+    const heic = await halves(640, 480).avif().toBuffer();
+    heic.write('heic', 8, 'latin1');
+
+    check('HEIC is recognized by its signature', validators.isValidImageBuffer(heic).format === 'image/heif');
+    check('AVIF is recognized by its signature',
+      validators.isValidImageBuffer(await halves(64, 64).avif().toBuffer()).format === 'image/avif');
+
+    const originalDecodeHeic = imageService.decodeHeic;
+    let decoded = 0;
+    imageService.decodeHeic = async () => {
+      decoded++;
+      const { data, info } = await halves(480, 640).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+      return { width: info.width, height: info.height, data };
+    };
+    const normalized = await imageService.normalizeImage(heic);
+    imageService.decodeHeic = originalDecodeHeic;
+
+    check('HEIC goes through the HEIC decoder', decoded === 1 && normalized.format === 'heic');
+    check('Decoded HEIC becomes a JPEG', (await sharp(normalized.buffer).metadata()).format === 'jpeg' && normalized.width === 480);
+
+    const broken = await expectValidationError(imageService.normalizeImage(heic));
+    check('Undecodable HEIC is a validation error', broken?.name === 'ValidationError', broken?.message);
+  }
+  console.log();
+
+  // Test 3: Unsupported input
+  console.log('3. Testing unsupported input...');
+  {
+    const gif = await expectValidationError(imageService.normalizeImage(await halves(64, 64).gif().toBuffer()));
+    check('GIF is rejected', gif?.name === 'ValidationError');
+
+    const pdf = await expectValidationError(imageService.normalizeImage(Buffer.from('%PDF-1.7\n%âãÏÓ\n')));
+    check('Non-image is rejected', pdf?.name === 'ValidationError');
+  }
+  console.log();
+
+  // Test 4: Documents in the bot
+  console.log('4. Testing documents in the bot...');
+  {
+    const sent = [];
+    const photoCalls = [];
+    const originalHandlePhotoMessage = controller.handlePhotoMessage;
+
+    telegramService.isConfigured = () => true;
+    telegramService.sendMessage = async (chatId, text) => {
+      sent.push(text);
+      return { message_id: sent.length };
+    };
+    controller.handlePhotoMessage = async (...args) => {
+      photoCalls.push(args);
+    };
+
+    const documentMessage = (document) => ({
+      message_id: 10 + photoCalls.length + sent.length,
+      chat: { id: USER_ID, type: 'private' },
+      from: { id: USER_ID, first_name: 'Test', language_code: 'ru' },
+      date: Math.floor(Date.now() / 1000),
+      document: { file_id: 'BQACAgIAAxkBAAIC_document', file_unique_id: 'AgADdoc', ...document }
+    });
+
+    await controller.processMessage(documentMessage({ file_name: 'IMG_0001.HEIC', mime_type: 'image/heic', file_size: 2500000 }));
+    const [call] = photoCalls;
+    check('Image document goes into the photo flow', photoCalls.length === 1 && call[2][0].file_id === 'BQACAgIAAxkBAAIC_document' && call[2][0].isDocument);
+    check('Message and language are kept', call?.[4] === 10 && call?.[5] === 'ru');
+
+    await controller.processMessage(documentMessage({ file_name: 'photo.webp' }));
+    check('Document without a MIME type is judged by its name', photoCalls.length === 2);
+
+    await controller.processMessage(documentMessage({ file_name: 'contract.pdf', mime_type: 'application/pdf' }));
+    check('Other documents get a hint', photoCalls.length === 2 && sent.at(-1) === MESSAGES.UNSUPPORTED_DOCUMENT);
+
+    await controller.processMessage(documentMessage({ file_name: 'huge.jpg', mime_type: 'image/jpeg', file_size: CONFIG.MAX_IMAGE_SIZE + 1 }));
+    check('Too large files get a hint', photoCalls.length === 2 && sent.at(-1) === MESSAGES.DOCUMENT_TOO_LARGE);
+
+    controller.handlePhotoMessage = originalHandlePhotoMessage;
+
+    // Wrong type or size reaches the bot so it can answer; a bad file ID doesn't
+    const update = (document) => ({ update_id: 1, message: documentMessage(document) });
+    check('PDF passes the update validation', validationMiddleware.validateUpdate(update({ mime_type: 'application/pdf' })).valid);
+    check('HEIC passes the update validation', validationMiddleware.validateUpdate(update({ mime_type: 'image/heic' })).valid);
+    check('Broken file ID is still rejected', !validationMiddleware.validateUpdate(update({ file_id: '', mime_type: 'image/heic' })).valid);
+  }
+  console.log();
+
+  // Test 5: Sticker pipeline
+  console.log('5. Testing the sticker pipeline with a rotated original...');
+  {
+    const sideways = await halves(1200, 900).withMetadata({ orientation: 6 }).jpeg().toBuffer();
+    imageService.downloadImageFromTelegram = async () => sideways;
+
+    const photo = await imageService.processImageForStickers('BQACAgIAAxkBAAIC_document');
+    const metadata = await sharp(photo).metadata();
+    check('Sticker source is upright', metadata.width < metadata.height, `${metadata.width}x${metadata.height}`);
+    check('Sticker source keeps the full resolution', metadata.width === 900 && metadata.height === 1200,
+      `${metadata.width}x${metadata.height}`);
+
+    // The 512px sticker layout comes after the face swap, which gets up to 1024px
+    const sources = [];
+    const originalProcessTemplate = controller.processTemplate;
+    telegramService.editMessage = async () => ({});
+    userLimitsService.releaseGeneration = async () => {};
+    userLimitsService.logGeneration = async () => {};
+    controller.processTemplate = async (template, userPhotoBuffer) => {
+      sources.push(userPhotoBuffer);
+      throw new Error('stop after capturing the source');
+    };
+
+    try {
+      await controller.generateStickerPack(USER_ID, USER_ID, 'BQACAgIAAxkBAAIC_document', 'Test', {
+        templateIds: ['1'],
+        faceChecked: true
+      });
+    } catch (error) {
+      // Every template was stopped on purpose
+    } finally {
+      controller.processTemplate = originalProcessTemplate;
+    }
+
+    const source = sources[0] && await sharp(sources[0]).metadata();
+    check('Face swap gets the original scaled to 1024px', source?.width === 768 && source?.height === 1024,
+      `${source?.width}x${source?.height}`);
+  }
+  console.log();
+
+  report('Image input');
+}
+
+testImageInput().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
@@ -176,7 +176,7 @@ async function testImageService() {
     console.log('6. Testing sticker optimization features...');
     
     console.log('   ✅ Maximum size constraint (512x512)');
-    console.log('   ✅ File size target (500KB)');
+    console.log('   ✅ File size target (512KB)');
     console.log('   ✅ Quality adjustment algorithm');
     console.log('   ✅ Aspect ratio preservation');
     console.log('   ✅ Multiple optimization attempts');
@@ -225,7 +225,7 @@ async function testIntegrationScenarios() {
   console.log('   □ Corrupted files → should be rejected gracefully');
   console.log('   □ Very large files (> 10MB) → should be rejected');
   console.log('   □ Extreme aspect ratios → should generate warnings');
-  console.log('   □ WebP output → should be < 500KB for stickers');
+  console.log('   □ WebP output → should be ≤ 512KB for stickers');
   console.log('   □ WebP output → should be ≤ 512x512 pixels');
 }
 
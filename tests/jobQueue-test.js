@@ -0,0 +1,154 @@
+/**
+ * Job Queue Service Test Script
+ * Tests persistent job queue, concurrency limits and resume logic using the in-memory store
+ */
+
+const jobQueueService = require('../src/services/jobQueueService');
+const MemoryJobStore = require('../src/stores/memoryJobStore');
+const { JOB_STATUSES, PERFORMANCE } = require('../src/config/constants');
+const { check, report } = require('./helpers/check');
+
+const createSubmission = (index) => ({
+  userId: 100000 + index,
+  chatId: 200000 + index,
+  messageId: index,
+  photoFileId: `AgACAgIAAxkBAAIC_test_photo_${index}`,
+  firstName: `Test ${index}`
+});
+
+async function testJobQueue() {
+  console.log('📋 Testing Job Queue Service');
+  console.log('============================\n');
+
+  // Test 1: Concurrency limit
+  console.log('1. Testing bounded worker concurrency...');
+  {
+    const store = new MemoryJobStore();
+    jobQueueService.setStore(store);
+
+    let running = 0;
+    let maxRunning = 0;
+
+    jobQueueService.setProcessor(async (job) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      running--;
+      return { success: true, packName: `pack_${job.userId}` };
+    });
+
+    const jobs = [];
+    for (let i = 0; i < 7; i++) {
+      jobs.push(await jobQueueService.enqueue(createSubmission(i)));
+    }
+
+    await jobQueueService.waitForIdle();
+
+    const completed = await store.findByStatus([JOB_STATUSES.COMPLETED]);
+    check('All jobs completed', completed.length === jobs.length, `${completed.length}/${jobs.length}`);
+    check('Concurrency limit honored', maxRunning <= PERFORMANCE.MAX_CONCURRENT_JOBS,
+      `max ${maxRunning}, limit ${PERFORMANCE.MAX_CONCURRENT_JOBS}`);
+    check('Result stored', completed[0].result?.packName === `pack_${completed[0].userId}`);
+  }
+  console.log();
+
+  // Test 2: Per-template progress
+  console.log('2. Testing per-template progress recording...');
+  {
+    const store = new MemoryJobStore();
+    jobQueueService.setStore(store);
+
+    jobQueueService.setProcessor(async (job) => {
+      await Promise.all(['1', '2', '3'].map(templateId =>
+        jobQueueService.recordTemplateProgress(job.id, templateId, templateId === '2' ? 'failed' : 'completed')
+      ));
+      return { success: true };
+    });
+
+    const job = await jobQueueService.enqueue(createSubmission(1));
+    await jobQueueService.waitForIdle();
+
+    const stored = await store.get(job.id);
+    check('All templates recorded', Object.keys(stored.progress).length === 3);
+    check('Failed template recorded', stored.progress['2']?.status === 'failed');
+  }
+  console.log();
+
+  // Test 3: Failures
+  console.log('3. Testing failed jobs...');
+  {
+    const store = new MemoryJobStore();
+    jobQueueService.setStore(store);
+
+    jobQueueService.setProcessor(async (job) => {
+      if (job.userId === 100001) {
+        throw new Error('Simulated generation failure');
+      }
+      return { success: false, reason: 'face_detection_failed' };
+    });
+
+    const thrown = await jobQueueService.enqueue(createSubmission(1));
+    const unsuccessful = await jobQueueService.enqueue(createSubmission(2));
+    await jobQueueService.waitForIdle();
+
+    const thrownJob = await store.get(thrown.id);
+    const unsuccessfulJob = await store.get(unsuccessful.id);
+    check('Thrown error marks job failed', thrownJob.status === JOB_STATUSES.FAILED, thrownJob.error);
+    check('Unsuccessful result marks job failed', unsuccessfulJob.status === JOB_STATUSES.FAILED, unsuccessfulJob.error);
+  }
+  console.log();
+
+  // Test 4: Resume after restart
+  console.log('4. Testing resume of interrupted jobs...');
+  {
+    const store = new MemoryJobStore();
+    jobQueueService.setStore(store);
+
+    // Simulate jobs left behind by a crashed process
+    const interrupted = await store.create(createSubmission(1));
+    await store.update(interrupted.id, { status: JOB_STATUSES.PROCESSING, attempts: 1 });
+    const pending = await store.create(createSubmission(2));
+    const exhausted = await store.create(createSubmission(3));
+    await store.update(exhausted.id, { status: JOB_STATUSES.PROCESSING, attempts: PERFORMANCE.MAX_JOB_ATTEMPTS });
+
+    const seenAttempts = {};
+    jobQueueService.setProcessor(async (job) => {
+      seenAttempts[job.id] = job.attempts;
+      return { success: true };
+    });
+
+    const resumed = await jobQueueService.resumePendingJobs();
+    await jobQueueService.waitForIdle();
+
+    check('Resumed count', resumed === 2, `${resumed}`);
+    check('Interrupted job completed', (await store.get(interrupted.id)).status === JOB_STATUSES.COMPLETED);
+    check('Interrupted job attempt incremented', seenAttempts[interrupted.id] === 2);
+    check('Pending job completed', (await store.get(pending.id)).status === JOB_STATUSES.COMPLETED);
+    check('Exhausted job failed', (await store.get(exhausted.id)).status === JOB_STATUSES.FAILED);
+  }
+  console.log();
+
+  // Test 5: Stop/start
+  console.log('5. Testing stop and start...');
+  {
+    const store = new MemoryJobStore();
+    jobQueueService.setStore(store);
+    jobQueueService.setProcessor(async () => ({ success: true }));
+
+    jobQueueService.stop();
+    const job = await jobQueueService.enqueue(createSubmission(1));
+    check('Stopped queue keeps job pending', (await store.get(job.id)).status === JOB_STATUSES.PENDING);
+
+    jobQueueService.start();
+    await jobQueueService.waitForIdle();
+    check('Started queue processes job', (await store.get(job.id)).status === JOB_STATUSES.COMPLETED);
+  }
+  console.log();
+
+  report('Job queue');
+}
+
+testJobQueue().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
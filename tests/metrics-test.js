@@ -0,0 +1,151 @@
+/**
+ * Metrics Test Script
+ * Tests the metrics registry, Prometheus rendering, pipeline instrumentation
+ * and the cached dependency probes behind /metrics
+ */
+
+const metrics = require('../src/utils/metrics');
+const logger = require('../src/utils/logger');
+const healthController = require('../src/controllers/healthController');
+const quotaService = require('../src/services/quotaService');
+const jobQueueService = require('../src/services/jobQueueService');
+const MemoryQuotaStore = require('../src/stores/memoryQuotaStore');
+const MemoryJobStore = require('../src/stores/memoryJobStore');
+const { check, report } = require('./helpers/check');
+
+// Minimal Express response double
+const createResponse = () => {
+  const res = { statusCode: null, headers: {}, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.set = (name, value) => { res.headers[name.toLowerCase()] = value; return res; };
+  res.send = (body) => { res.body = body; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+async function testMetrics() {
+  console.log('📈 Testing Metrics');
+  console.log('==================\n');
+
+  // Test 1: Registry and text format
+  console.log('1. Testing registry and Prometheus format...');
+  {
+    const counter = metrics.counter('test_events_total', 'Test events', ['kind']);
+    counter.inc({ kind: 'a' });
+    counter.inc({ kind: 'a' }, 2);
+    counter.inc({ kind: 'b "quoted"\nline' });
+    counter.inc({ kind: 'a' }, -5);
+
+    check('Same name returns the same metric', metrics.counter('test_events_total', 'Test events', ['kind']) === counter);
+    check('Counter adds up and ignores negatives', counter.get({ kind: 'a' }) === 3);
+
+    let typeClash = false;
+    try {
+      metrics.gauge('test_events_total', 'Clash');
+    } catch (error) {
+      typeClash = true;
+    }
+    check('Re-registering with another type fails', typeClash);
+
+    const histogram = metrics.histogram('test_duration_seconds', 'Test durations', ['step'], [0.1, 1]);
+    histogram.observe({ step: 'x' }, 0.05);
+    histogram.observe({ step: 'x' }, 0.5);
+    histogram.observe({ step: 'x' }, 5);
+
+    const text = await metrics.renderPrometheus();
+    check('HELP and TYPE lines', text.includes('# HELP stickerbot_test_events_total Test events') && text.includes('# TYPE stickerbot_test_events_total counter'));
+    check('Counter sample', text.includes('stickerbot_test_events_total{kind="a"} 3'));
+    check('Label values are escaped', text.includes('stickerbot_test_events_total{kind="b \\"quoted\\"\\nline"} 1'));
+    check('Histogram buckets are cumulative', text.includes('stickerbot_test_duration_seconds_bucket{step="x",le="0.1"} 1') &&
+      text.includes('stickerbot_test_duration_seconds_bucket{step="x",le="1"} 2') &&
+      text.includes('stickerbot_test_duration_seconds_bucket{step="x",le="+Inf"} 3'));
+    check('Histogram sum and count', text.includes('stickerbot_test_duration_seconds_sum{step="x"} 5.55') &&
+      text.includes('stickerbot_test_duration_seconds_count{step="x"} 3'));
+    check('Output ends with a newline', text.endsWith('\n'));
+
+    const json = await metrics.toJSON();
+    check('JSON view has the same data', json.stickerbot_test_duration_seconds.values[0].buckets['1'] === 2);
+  }
+  console.log();
+
+  // Test 2: Instrumentation
+  console.log('2. Testing pipeline instrumentation...');
+  {
+    logger.logApiCall('Telegram', 'sendMessage', 120, true);
+    logger.logApiCall('Telegram', 'sendMessage', 80, true);
+    logger.logApiCall('Piapi', 'createTask', 2500, false);
+
+    const apiDuration = metrics.histogram('api_call_duration_seconds', '', ['service', 'method', 'status']);
+    const sent = apiDuration.get({ service: 'Telegram', method: 'sendMessage', status: 'success' });
+    check('API calls are aggregated by service and method', sent.count === 2 && Math.abs(sent.sum - 0.2) < 1e-9);
+    check('Failed API calls are labelled', apiDuration.get({ service: 'Piapi', method: 'createTask', status: 'error' }).count === 1);
+
+    quotaService.setStore(new MemoryQuotaStore());
+    await quotaService.reserve(7001);
+    await quotaService.reserve(7001);
+    const rejections = metrics.counter('quota_rejections_total', '', ['reason', 'stage']);
+    check('Quota rejections are counted', rejections.get({ reason: 'daily_limit_exceeded', stage: 'reserve' }) === 1);
+
+    // A job that never finishes keeps the queue busy while we scrape
+    let releaseJob;
+    jobQueueService.setStore(new MemoryJobStore());
+    jobQueueService.setProcessor(() => new Promise(resolve => { releaseJob = resolve; }));
+    await jobQueueService.enqueue({ userId: 7002, chatId: 7002, photoFileId: 'photo' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    const text = await metrics.renderPrometheus();
+    check('Queue depth is exported', text.includes('stickerbot_queue_jobs{state="active"} 1'));
+
+    releaseJob({ success: true });
+    await jobQueueService.waitForIdle();
+    const jobsFinished = metrics.counter('jobs_finished_total', '', ['status']);
+    check('Finished jobs are counted', jobsFinished.get({ status: 'completed' }) === 1);
+  }
+  console.log();
+
+  // Test 3: /metrics endpoint with cached probes
+  console.log('3. Testing /metrics endpoint...');
+  {
+    let probeCalls = 0;
+    healthController.probes = {
+      database: async () => { probeCalls++; return 'ok'; },
+      telegram: async () => { probeCalls++; await new Promise(resolve => setTimeout(resolve, 20)); return 'error'; },
+      piapi: async () => { probeCalls++; return 'not_configured'; }
+    };
+    healthController.probeCache.clear();
+
+    const res = createResponse();
+    await Promise.all([
+      healthController.metricsCheck({ query: {} }, res),
+      healthController.metricsCheck({ query: {} }, createResponse())
+    ]);
+    await healthController.metricsCheck({ query: {} }, createResponse());
+
+    check('Prometheus text by default', res.statusCode === 200 && res.headers['content-type'].startsWith('text/plain; version=0.0.4'));
+    check('Probes run once for several scrapes', probeCalls === 3, `${probeCalls} probe calls`);
+    check('Dependency gauges are exported', res.body.includes('stickerbot_dependency_up{dependency="database"} 1') &&
+      res.body.includes('stickerbot_dependency_up{dependency="telegram"} 0'));
+    check('Unconfigured dependencies are left out', !res.body.includes('dependency="piapi"'));
+    check('Process gauges are exported', res.body.includes('stickerbot_process_memory_bytes{type="rss"}'));
+
+    const jsonRes = createResponse();
+    await healthController.metricsCheck({ query: { format: 'json' } }, jsonRes);
+    check('JSON behind ?format=json', jsonRes.body.database === 'ok' && jsonRes.body.telegram === 'error' && !!jsonRes.body.metrics?.stickerbot_queue_jobs);
+    check('JSON reports probe times', typeof jsonRes.body.checkedAt?.database === 'string');
+
+    // Expire the cache
+    for (const [name, cached] of healthController.probeCache) {
+      healthController.probeCache.set(name, { ...cached, checkedAt: 0 });
+    }
+    await healthController.metricsCheck({ query: {} }, createResponse());
+    check('Stale probes are refreshed', probeCalls === 6, `${probeCalls} probe calls`);
+  }
+  console.log();
+
+  report('Metrics');
+}
+
+testMetrics().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,340 @@
+/**
+ * Pack Management Test Script
+ * Tests /mypacks, /renamepack and /deletepack with Telegram calls stubbed out
+ */
+
+// Sticker service needs a token to build API URLs; requests are stubbed below
+process.env.TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || 'test-token';
+
+const axios = require('axios');
+const callbackData = require('../src/utils/callbackData');
+const telegramService = require('../src/services/telegramService');
+const userPacksService = require('../src/services/userPacksService');
+const MemoryUserPackStore = require('../src/stores/memoryUserPackStore');
+const controller = require('../src/controllers/telegramController');
+const { MESSAGES } = require('../src/config/constants');
+const { check, report } = require('./helpers/check');
+
+const USER_ID = 515151;
+const OTHER_USER_ID = 525252;
+const CHAT_ID = 515151;
+const PACK_NAME = 'newpeople_515151_12345678_abcdef_by_NewPeopleStickers_bot';
+const OTHER_PACK_NAME = 'newpeople_525252_12345678_abcdef_by_NewPeopleStickers_bot';
+
+// Record outgoing Telegram calls instead of hitting the API
+const sent = [];
+const answers = [];
+let nextMessageId = 2000;
+
+telegramService.isConfigured = () => true;
+telegramService.sendMessage = async (chatId, text, options = {}) => {
+  const message = { message_id: nextMessageId++, chat: { id: chatId }, text, options };
+  sent.push(message);
+  return message;
+};
+telegramService.editMessage = async (chatId, messageId, text, options = {}) => {
+  sent.push({ message_id: messageId, chat: { id: chatId }, text, options, edited: true });
+  return { message_id: messageId };
+};
+telegramService.answerCallbackQuery = async (callbackQueryId, options = {}) => {
+  answers.push({ callbackQueryId, ...options });
+  return true;
+};
+
+// Fake sticker sets served by the stubbed Bot API
+const stickerSets = new Map();
+const apiCalls = [];
+
+const telegramError = (description, status = 400) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data: { ok: false, description } };
+  return error;
+};
+
+// Error thrown by the next stubbed Bot API call, if any
+let nextFailure = null;
+const takeFailure = () => {
+  const error = nextFailure;
+  nextFailure = null;
+  return error;
+};
+
+const findSetBySticker = (fileId) =>
+  [...stickerSets.values()].find(set => set.stickers.some(sticker => sticker.file_id === fileId));
+
+axios.get = async (url, { params }) => {
+  const failure = takeFailure();
+  if (failure) throw failure;
+
+  const set = stickerSets.get(params.name);
+  if (!set) throw telegramError('Bad Request: STICKERSET_INVALID');
+  return { data: { ok: true, result: { ...set, stickers: [...set.stickers] } } };
+};
+
+axios.post = async (url, data) => {
+  const method = url.split('/').pop();
+  apiCalls.push({ method, data });
+
+  const failure = takeFailure();
+  if (failure) throw failure;
+
+  if (method === 'setStickerSetTitle') {
+    stickerSets.get(data.name).title = data.title;
+  } else if (method === 'deleteStickerSet') {
+    if (!stickerSets.delete(data.name)) throw telegramError('Bad Request: STICKERSET_INVALID');
+  } else if (method === 'deleteStickerFromSet') {
+    const set = findSetBySticker(data.sticker);
+    set.stickers = set.stickers.filter(sticker => sticker.file_id !== data.sticker);
+  } else if (method === 'setStickerPositionInSet') {
+    const set = findSetBySticker(data.sticker);
+    const sticker = set.stickers.find(candidate => candidate.file_id === data.sticker);
+    set.stickers = set.stickers.filter(candidate => candidate !== sticker);
+    set.stickers.splice(data.position, 0, sticker);
+  }
+
+  return { data: { ok: true, result: true } };
+};
+
+const createStickerSet = (name, title, count) => {
+  stickerSets.set(name, {
+    name,
+    title,
+    stickers: Array.from({ length: count }, (_, i) => ({
+      file_id: `${name}_file_${i}`,
+      file_unique_id: `uniq${i}`,
+      is_video: false
+    }))
+  });
+};
+
+const createMessage = (text) => ({
+  message_id: nextMessageId++,
+  chat: { id: CHAT_ID },
+  from: { id: USER_ID, first_name: 'Test' },
+  text
+});
+
+const createCallbackQuery = (data, messageId, userId = USER_ID) => ({
+  id: `cbq_${Math.random().toString(36).slice(2)}`,
+  from: { id: userId, first_name: 'Test' },
+  message: { message_id: messageId, chat: { id: CHAT_ID } },
+  data
+});
+
+const lastMessage = () => sent[sent.length - 1];
+const lastAnswer = () => answers[answers.length - 1];
+const buttons = (message) => message.options?.reply_markup?.inline_keyboard?.flat() || [];
+const findButton = (message, text) => buttons(message).find(button => button.text.includes(text));
+
+// Press a button of the last message and return the answer
+const press = async (text, userId = USER_ID) => {
+  const message = lastMessage();
+  const button = findButton(message, text);
+  if (!button) throw new Error(`Button "${text}" not found in: ${message.text}`);
+  await controller.processCallbackQuery(createCallbackQuery(button.callback_data, message.message_id, userId));
+  return lastAnswer();
+};
+
+async function testPackManagement() {
+  console.log('📦 Testing Pack Management');
+  console.log('==========================\n');
+
+  const store = new MemoryUserPackStore();
+  userPacksService.setStore(store);
+
+  createStickerSet(PACK_NAME, 'Мой пак', 3);
+  createStickerSet(OTHER_PACK_NAME, 'Чужой пак', 2);
+  await userPacksService.recordPack(USER_ID, PACK_NAME, { title: 'Мой пак', stickerCount: 3 });
+  await userPacksService.recordPack(OTHER_USER_ID, OTHER_PACK_NAME, { title: 'Чужой пак', stickerCount: 2 });
+
+  // Test 1: Listing packs
+  console.log('1. Testing /mypacks...');
+  {
+    await controller.processMessage(createMessage('/mypacks'));
+    const list = lastMessage();
+
+    check('Pack list is sent', list.text === MESSAGES.MY_PACKS(1));
+    check('Only own packs are listed', buttons(list).length === 1 && buttons(list)[0].text.includes('Мой пак'));
+    check('Button data fits 64 bytes', buttons(list).every(button => Buffer.byteLength(button.callback_data) <= 64));
+
+    await press('Мой пак');
+    const menu = lastMessage();
+    check('Pack menu shows sticker count', menu.edited && menu.text.includes('3/120'), menu.text);
+    check('Pack menu links the pack', menu.text.includes(`t.me/addstickers/${PACK_NAME}`));
+    check('Sticker actions are offered', !!findButton(menu, 'Удалить последний стикер') && !!findButton(menu, 'обложку'));
+
+    await controller.processMessage({ ...createMessage('/mypacks'), from: { id: 999, first_name: 'Empty' } });
+    check('User without packs is told so', lastMessage().text === MESSAGES.NO_EXISTING_PACK);
+  }
+  console.log();
+
+  // Test 2: Authorization
+  console.log('2. Testing authorization...');
+  {
+    const otherRef = controller.getPackRef(OTHER_PACK_NAME);
+    const forged = callbackData.encode('pk_delok', [otherRef], USER_ID);
+    await controller.processCallbackQuery(createCallbackQuery(forged, 1));
+
+    check('Foreign pack is refused', lastAnswer().text === MESSAGES.PACK_NOT_AVAILABLE);
+    check('Foreign pack is not deleted', stickerSets.has(OTHER_PACK_NAME) && !apiCalls.some(call => call.method === 'deleteStickerSet'));
+
+    await controller.processMessage(createMessage('/mypacks'));
+    const answer = await press('Мой пак', OTHER_USER_ID);
+    check('Button of another user is rejected', answer.text === MESSAGES.CALLBACK_INVALID);
+  }
+  console.log();
+
+  // Test 3: Renaming
+  console.log('3. Testing /renamepack...');
+  {
+    await controller.processMessage(createMessage('/renamepack'));
+    check('Rename asks to pick a pack', lastMessage().text === MESSAGES.CHOOSE_PACK_TO_RENAME);
+
+    await press('Мой пак');
+    check('Rename asks for a title', lastMessage().text === MESSAGES.PACK_RENAME_PROMPT('Мой пак'));
+
+    await controller.processMessage(createMessage('x'.repeat(65)));
+    check('Too long title is rejected', lastMessage().text === MESSAGES.PACK_TITLE_INVALID);
+
+    await controller.processMessage(createMessage('  Коты <b>& мемы</b> '));
+    const renamed = apiCalls.filter(call => call.method === 'setStickerSetTitle');
+    check('Title is sanitized', renamed.length === 1 && renamed[0].data.title === 'Коты b& мемы/b', renamed[0]?.data.title);
+    check('Title is escaped in the reply', lastMessage().text === MESSAGES.PACK_RENAMED('Коты b& мемы/b') && lastMessage().text.includes('&amp;'));
+    check('Stored title is updated', (await userPacksService.getPack(PACK_NAME)).title === 'Коты b& мемы/b');
+
+    await controller.processMessage(createMessage('просто текст'));
+    check('Next text is not a title again', lastMessage().text === MESSAGES.SEND_PHOTO_ONLY);
+
+    await controller.processMessage(createMessage('/renamepack'));
+    await press('Коты');
+    await controller.processMessage(createMessage('/help'));
+    await controller.processMessage(createMessage('Другое'));
+    check('Command cancels a waiting rename', apiCalls.filter(call => call.method === 'setStickerSetTitle').length === 1);
+  }
+  console.log();
+
+  // Test 4: Sticker actions
+  console.log('4. Testing sticker actions...');
+  {
+    await controller.processMessage(createMessage('/mypacks'));
+    await press('Коты');
+
+    const coverAnswer = await press('обложку');
+    const stickers = stickerSets.get(PACK_NAME).stickers;
+    const thumbnailCall = apiCalls.find(call => call.method === 'setStickerSetThumbnail');
+    check('Last sticker moves to the front', stickers[0].file_unique_id === 'uniq2', stickers.map(s => s.file_unique_id).join());
+    check('Custom thumbnail is dropped', thumbnailCall && !thumbnailCall.data.thumbnail && thumbnailCall.data.user_id === USER_ID);
+    check('Cover change is confirmed', coverAnswer.text === MESSAGES.PACK_COVER_UPDATED);
+
+    await press('Удалить последний стикер');
+    check('Sticker deletion asks for confirmation', lastMessage().text.startsWith('⚠️') && !apiCalls.some(call => call.method === 'deleteStickerFromSet'));
+
+    await press('Отмена');
+    check('Cancel returns to the menu', lastMessage().text.includes('3/120'));
+
+    await press('Удалить последний стикер');
+    const deleteAnswer = await press('Да, удалить стикер');
+    check('Last sticker is deleted', stickerSets.get(PACK_NAME).stickers.length === 2 &&
+      !stickerSets.get(PACK_NAME).stickers.some(sticker => sticker.file_unique_id === 'uniq1'));
+    check('Deletion is confirmed', deleteAnswer.text === MESSAGES.STICKER_DELETED);
+    check('Stored sticker count is updated', (await userPacksService.getPack(PACK_NAME)).stickerCount === 2);
+    check('Menu is refreshed', lastMessage().text.includes('2/120'));
+  }
+  console.log();
+
+  // Test 5: Deleting packs
+  console.log('5. Testing /deletepack...');
+  {
+    await controller.processMessage(createMessage('/deletepack'));
+    check('Delete asks to pick a pack', lastMessage().text === MESSAGES.CHOOSE_PACK_TO_DELETE);
+
+    await press('Коты');
+    check('Delete asks for confirmation', lastMessage().text.startsWith('⚠️') && stickerSets.has(PACK_NAME));
+
+    const confirmMessage = lastMessage();
+    await press('Да, удалить пак');
+    check('Pack is deleted in Telegram', !stickerSets.has(PACK_NAME));
+    check('Pack record is removed', (await userPacksService.getPack(PACK_NAME)) === null);
+    check('Deletion is reported', lastMessage().text.startsWith('🗑'));
+
+    // Pressing the stale confirmation again must not reach Telegram
+    const deleteCalls = apiCalls.filter(call => call.method === 'deleteStickerSet').length;
+    sent.push(confirmMessage);
+    await press('Да, удалить пак');
+    check('Deleted pack is no longer available', lastAnswer().text === MESSAGES.PACK_NOT_AVAILABLE &&
+      apiCalls.filter(call => call.method === 'deleteStickerSet').length === deleteCalls);
+
+    // Pack deleted outside the bot is forgotten when opened
+    await userPacksService.recordPack(USER_ID, 'gone_by_NewPeopleStickers_bot', { title: 'Пропавший' });
+    await controller.processMessage(createMessage('/mypacks'));
+    await press('Пропавший');
+    check('Missing pack is reported', lastMessage().text === MESSAGES.PACK_GONE);
+    check('Missing pack record is removed', (await userPacksService.getUserPacks(USER_ID)).length === 0);
+
+    // Other Bot API errors don't mean the pack is gone
+    const FLAKY_PACK_NAME = 'flaky_by_NewPeopleStickers_bot';
+    createStickerSet(FLAKY_PACK_NAME, 'Нестабильный', 2);
+    await userPacksService.recordPack(USER_ID, FLAKY_PACK_NAME, { title: 'Нестабильный' });
+
+    await controller.processMessage(createMessage('/mypacks'));
+    nextFailure = telegramError('Bad Request: not enough rights to get the sticker set');
+    const openAnswer = await press('Нестабильный');
+    check('Rejected request is reported as a failed action', openAnswer.text === MESSAGES.PACK_ACTION_FAILED);
+    check('Pack record survives a rejected request', (await userPacksService.getPack(FLAKY_PACK_NAME)) !== null);
+
+    await controller.processMessage(createMessage('/deletepack'));
+    await press('Нестабильный');
+    nextFailure = telegramError('Internal Server Error', 500);
+    const deleteAnswer = await press('Да, удалить пак');
+    check('Outage during deletion is reported as a failed action', deleteAnswer.text === MESSAGES.PACK_ACTION_FAILED);
+    check('Pack survives an outage during deletion', stickerSets.has(FLAKY_PACK_NAME) &&
+      (await userPacksService.getPack(FLAKY_PACK_NAME)) !== null);
+
+    stickerSets.delete(FLAKY_PACK_NAME);
+    await userPacksService.removePack(FLAKY_PACK_NAME);
+  }
+  console.log();
+
+  // Test 6: Service wrappers
+  console.log('6. Testing sticker service wrappers...');
+  {
+    const stickerService = require('../src/services/stickerService');
+
+    let rejected = false;
+    try {
+      await stickerService.setStickerSetTitle(OTHER_PACK_NAME, 'x'.repeat(65));
+    } catch (error) {
+      rejected = error.name === 'ValidationError';
+    }
+    check('Long title is rejected before the API call', rejected);
+
+    rejected = false;
+    try {
+      await stickerService.setStickerPositionInSet('file', -1);
+    } catch (error) {
+      rejected = error.name === 'ValidationError';
+    }
+    check('Negative position is rejected', rejected);
+
+    await stickerService.setStickerSetThumbnail(OTHER_PACK_NAME, OTHER_USER_ID, Buffer.from('webp'), 'static');
+    const upload = apiCalls[apiCalls.length - 1].data;
+    check('Thumbnail data is uploaded as a file', typeof upload.getBuffer === 'function' &&
+      upload.getBuffer().toString('latin1').includes('filename="sticker.webp"'));
+
+    rejected = false;
+    try {
+      await stickerService.deleteStickerSet('missing_by_NewPeopleStickers_bot');
+    } catch (error) {
+      rejected = error.name === 'TelegramApiError' && error.statusCode === 400;
+    }
+    check('Telegram errors keep their status', rejected);
+  }
+  console.log();
+
+  report('Pack management');
+}
+
+testPackManagement().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,266 @@
+/**
+ * Piapi Task Lifecycle Test Script
+ * Runs piapiService and processTemplate against the fake Piapi server:
+ * task lifecycles, failure shapes, timeouts, 429/5xx bursts, malformed
+ * payloads, and the fallback / face-detection abort logic of the controller
+ */
+
+const API_KEY = 'fake-piapi-api-key';
+
+process.env.PIAPI_API_KEY = API_KEY;
+process.env.FACE_SWAP_PROVIDER = 'piapi';
+// Keep results out of the shared cache directory
+process.env.CACHE_ENABLED = 'false';
+
+const crypto = require('crypto');
+const path = require('path');
+const sharp = require('sharp');
+const FakePiapiApi = require('./fakes/piapiApi');
+const piapiService = require('../src/services/piapiService');
+const faceSwapService = require('../src/services/faceSwapService');
+const imageService = require('../src/services/imageService');
+const telegramService = require('../src/services/telegramService');
+const stateService = require('../src/services/stateService');
+const controller = require('../src/controllers/telegramController');
+const MemoryStateStore = require('../src/stores/memoryStateStore');
+const { getAllTemplates, TEMPLATE_CONFIG } = require('../src/config/templates');
+const { MESSAGES } = require('../src/config/constants');
+const { check, report } = require('./helpers/check');
+
+const USER_ID = 717171;
+const FAST_WAIT = { pollInterval: 10, maxWaitTime: 2000 };
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const solidImage = (width, height, color) => sharp({
+  create: { width, height, channels: 3, background: color }
+}).png().toBuffer();
+
+const toDataUrl = (buffer) => `data:image/png;base64,${buffer.toString('base64')}`;
+
+/**
+ * Run a promise and return the error it rejects with (null if it resolves)
+ */
+const errorOf = async (promise) => {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+};
+
+async function testPiapiLifecycle() {
+  console.log('🛰  Testing Piapi Task Lifecycles');
+  console.log('================================\n');
+
+  const fake = new FakePiapiApi({ apiKey: API_KEY });
+  piapiService.setBaseUrl(await fake.start());
+  faceSwapService.setProvider(piapiService);
+
+  fake.resultImage = await solidImage(512, 512, { r: 0, g: 200, b: 0 });
+  const templateImage = toDataUrl(await solidImage(400, 400, { r: 0, g: 0, b: 255 }));
+  const userPhoto = await solidImage(600, 800, { r: 255, g: 0, b: 0 });
+
+  try {
+    // Test 1: Lifecycle
+    console.log('1. Testing pending -> processing -> completed...');
+    {
+      const statuses = [];
+      const task = await piapiService.createFaceSwapTask(templateImage, toDataUrl(userPhoto));
+      const completion = await piapiService.waitForTaskCompletion(task.taskId, {
+        ...FAST_WAIT,
+        onProgress: (status) => statuses.push(status.status)
+      });
+
+      check('Task is created pending', task.status === 'pending');
+      check('Every status is reported', statuses.join(',') === 'pending,processing,completed', statuses.join(','));
+      check('Completed task has the output', completion.result?.image_url?.startsWith(fake.baseUrl));
+
+      const request = fake.createdTasks().at(-1).request;
+      check('Request uses the face-swap model', request.model === 'Qubico/image-toolkit' && request.task_type === 'face-swap');
+
+      fake.scriptTask([{ status: 'success' }]);
+      const result = await piapiService.processFaceSwap(templateImage, toDataUrl(userPhoto), { waitOptions: FAST_WAIT });
+      check('"success" counts as completed', result.status === 'completed' && !!result.resultUrl);
+    }
+    console.log();
+
+    // Test 2: Failed tasks
+    console.log('2. Testing failed task shapes...');
+    {
+      const cases = [
+        { label: 'String face error', step: { status: 'failed', error: 'no face detected in swap_image' }, expected: 'FaceDetectionError' },
+        { label: 'Object face error code', step: { status: 'failed', error: { code: 'FACE_NOT_DETECTED' } }, expected: 'FaceDetectionError' },
+        { label: 'Face error type', step: { status: 'error', error: { type: 'face_detection_error', message: 'Processing failed' } }, expected: 'FaceDetectionError' },
+        { label: 'Russian low-confidence message', step: { status: 'failed', error: 'Низкая уверенность распознавания' }, expected: 'FaceDetectionError' },
+        { label: 'Russian message in description', step: { status: 'failed', error: { description: 'Лицо не найдено на фото' } }, expected: 'FaceDetectionError' },
+        { label: 'Other object error', step: { status: 'error', error: { code: 'INVALID_IMAGE', message: 'Image format not supported' } }, expected: 'TaskFailedError' },
+        { label: 'Failure without a reason', step: { status: 'failed', error: null }, expected: 'TaskFailedError' }
+      ];
+
+      for (const { label, step, expected } of cases) {
+        fake.scriptTask([{ status: 'processing' }, step]);
+        const task = await piapiService.createFaceSwapTask(templateImage, toDataUrl(userPhoto));
+        const error = await errorOf(piapiService.waitForTaskCompletion(task.taskId, FAST_WAIT));
+
+        check(label, error?.name === expected, error?.name);
+      }
+
+      const failedTask = fake.createdTasks().at(-1);
+      check('Failed task is not polled again', failedTask.polls === 2, `${failedTask.polls} polls`);
+
+      const error = await errorOf(piapiService.processFaceSwap(templateImage, toDataUrl(userPhoto), {
+        waitOptions: FAST_WAIT
+      }).then(() => null, error => error));
+      check('Default lifecycle still completes after failures', error === null);
+    }
+    console.log();
+
+    // Test 3: Timeouts
+    console.log('3. Testing timeouts...');
+    {
+      fake.scriptTask([{ status: 'processing', progress: 10 }]);
+      const task = await piapiService.createFaceSwapTask(templateImage, toDataUrl(userPhoto));
+      const error = await errorOf(piapiService.waitForTaskCompletion(task.taskId, { pollInterval: 20, maxWaitTime: 200 }));
+
+      check('Stuck task raises TaskTimeoutError', error?.name === 'TaskTimeoutError', error?.name);
+      check('Timeout is a 408', error?.statusCode === 408);
+    }
+    console.log();
+
+    // Test 4: HTTP error bursts
+    console.log('4. Testing 429 and 5xx bursts...');
+    {
+      fake.requests.length = 0;
+      fake.respondNext('createTask', { httpStatus: 429, times: 2 });
+      const task = await piapiService.createFaceSwapTask(templateImage, toDataUrl(userPhoto), { retryDelay: 10 });
+      const attempts = fake.requests.filter(request => request.endpoint === 'createTask').length;
+      check('Task creation survives a 429 burst', !!task.taskId && attempts === 3, `${attempts} attempts`);
+
+      fake.respondNext('createTask', { httpStatus: 429, times: 3 });
+      const exhausted = await errorOf(piapiService.createFaceSwapTask(templateImage, toDataUrl(userPhoto), { retryDelay: 10 }));
+      check('Endless 429 gives up with PiapiApiError', exhausted?.name === 'PiapiApiError' && exhausted.statusCode === 429);
+
+      fake.requests.length = 0;
+      fake.respondNext('createTask', { httpStatus: 400, body: { code: 400, message: 'invalid input' } });
+      const rejected = await errorOf(piapiService.createFaceSwapTask(templateImage, toDataUrl(userPhoto), { retryDelay: 10 }));
+      check('400 is not retried', rejected?.statusCode === 400 && fake.requests.length === 1);
+
+      fake.scriptTask([{ status: 'completed' }]);
+      const burstTask = await piapiService.createFaceSwapTask(templateImage, toDataUrl(userPhoto));
+      fake.respondNext('getTask', { httpStatus: 503, times: 2 });
+      const completion = await piapiService.waitForTaskCompletion(burstTask.taskId, FAST_WAIT);
+      check('Status checks survive a 503 burst', completion.status === 'completed');
+
+      fake.respondNext('getTask', { httpStatus: 500, times: 4 });
+      const unreachable = await errorOf(piapiService.waitForTaskCompletion(burstTask.taskId, { ...FAST_WAIT, maxRetries: 2 }));
+      check('Persistent 5xx gives up with PiapiApiError', unreachable?.name === 'PiapiApiError', unreachable?.name);
+    }
+    console.log();
+
+    // Test 5: Malformed payloads
+    console.log('5. Testing malformed payloads...');
+    {
+      fake.respondNext('createTask', { raw: 'upstream <html> error page' });
+      const notJson = await errorOf(piapiService.createFaceSwapTask(templateImage, toDataUrl(userPhoto), { maxRetries: 1 }));
+      check('Non-JSON creation answer fails', notJson?.name === 'PiapiApiError');
+
+      fake.respondNext('createTask', { body: { code: 500, data: null, message: 'internal error' } });
+      const errorCode = await errorOf(piapiService.createFaceSwapTask(templateImage, toDataUrl(userPhoto), { maxRetries: 1 }));
+      check('Error code in a 200 answer fails', errorCode?.name === 'PiapiApiError');
+
+      fake.respondNext('createTask', { body: { code: 200, data: {}, message: 'success' } });
+      const noTaskId = await errorOf(piapiService.createFaceSwapTask(templateImage, toDataUrl(userPhoto), { maxRetries: 1 }));
+      check('Answer without task_id fails', noTaskId?.name === 'PiapiApiError');
+
+      fake.scriptTask([{ raw: '{"code":200,"data":' }, { status: 'completed' }]);
+      const truncated = await piapiService.createFaceSwapTask(templateImage, toDataUrl(userPhoto));
+      const recovered = await errorOf(piapiService.waitForTaskCompletion(truncated.taskId, FAST_WAIT));
+      check('Truncated status answer is polled again', recovered === null);
+
+      fake.scriptTask([{ httpStatus: 200, body: { code: 200, data: null } }]);
+      const empty = await piapiService.createFaceSwapTask(templateImage, toDataUrl(userPhoto));
+      const emptyError = await errorOf(piapiService.waitForTaskCompletion(empty.taskId, { pollInterval: 20, maxWaitTime: 200 }));
+      check('Status without data ends in a timeout', emptyError?.name === 'TaskTimeoutError', emptyError?.name);
+    }
+    console.log();
+
+    // Test 6: processTemplate fallback and abort
+    console.log('6. Testing processTemplate fallback and face-detection abort...');
+    {
+      const template = getAllTemplates()[0];
+      const forTemplate = (input) => input.target_image === template.imageUrl;
+      const fallback = sha256(await controller.processFallbackTemplate(template, userPhoto));
+
+      fake.scriptTask([{ status: 'completed' }], { match: forTemplate });
+      const swapped = await controller.processTemplate(template, userPhoto, 0, 0, USER_ID);
+      const metadata = await sharp(swapped).metadata();
+      check('Completed task gives a WebP sticker', metadata.format === 'webp');
+      check('Sticker comes from the task result', sha256(swapped) !== fallback);
+      check('Template URL and user photo are sent',
+        fake.createdTasks().at(-1).request.input.swap_image.startsWith('data:image/'));
+
+      fake.scriptTask([{ status: 'failed', error: { message: 'Image format not supported' } }], { match: forTemplate });
+      const afterFailure = await controller.processTemplate(template, userPhoto, 0, 0, USER_ID);
+      check('Failed task falls back to the template', sha256(afterFailure) === fallback);
+
+      fake.scriptTask([{ status: 'completed', output: {} }], { match: forTemplate });
+      const noOutput = await controller.processTemplate(template, userPhoto, 0, 0, USER_ID);
+      check('Completed task without output falls back', sha256(noOutput) === fallback);
+
+      fake.scriptTask([{ status: 'failed', error: 'no face detected' }], { match: forTemplate });
+      const laterTemplate = await controller.processTemplate(template, userPhoto, 0, 1, USER_ID);
+      check('Face error on a later template falls back', sha256(laterTemplate) === fallback);
+
+      fake.scriptTask([{ status: 'failed', error: 'no face detected' }], { match: forTemplate });
+      const abort = await errorOf(controller.processTemplate(template, userPhoto, 0, 0, USER_ID));
+      check('Face error on the first template aborts', abort?.name === 'FaceDetectionError', abort?.name);
+      check('Provider error is kept', abort?.originalError?.isFaceDetectionError === true);
+    }
+    console.log();
+
+    // Test 7: Whole pack stops on the first face error
+    console.log('7. Testing generateStickerPack abort...');
+    {
+      const sent = [];
+      telegramService.isConfigured = () => true;
+      telegramService.sendMessage = async (chatId, text) => {
+        sent.push(text);
+        return { message_id: sent.length };
+      };
+      telegramService.editMessage = async () => ({});
+      // A real face, so the pre-flight check passes and the Piapi task is what fails
+      const facePhoto = await sharp(path.join(__dirname, '..', 'assets', 'memes', 'meme-5.png')).png().toBuffer();
+      imageService.processImageForStickers = async () => facePhoto;
+      stateService.setStore(new MemoryStateStore());
+
+      const templates = getAllTemplates();
+      fake.reset();
+      fake.scriptTask([{ status: 'failed', error: { code: 'FACE_NOT_DETECTED' } }], {
+        match: (input) => input.target_image === templates[0].imageUrl
+      });
+      for (let i = 1; i < templates.length; i++) {
+        fake.scriptTask([{ status: 'completed' }]);
+      }
+
+      const result = await controller.generateStickerPack(USER_ID, USER_ID, 'AgACAgIAAxkBAAIC_piapi_photo', 'Test');
+      const created = fake.createdTasks().length;
+
+      check('Generation reports the face error', result.reason === 'face_detection_failed', result.reason);
+      check('User is asked for another photo', sent.at(-1) === MESSAGES.FACE_NOT_DETECTED);
+      check('Later batches are not started', created <= TEMPLATE_CONFIG.BATCH_SIZE, `${created} tasks`);
+    }
+    console.log();
+
+  } finally {
+    await fake.stop();
+  }
+
+  report('Piapi lifecycle');
+}
+
+testPiapiLifecycle().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
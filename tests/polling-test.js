@@ -0,0 +1,188 @@
+/**
+ * Long Polling Test Script
+ * Tests BOT_MODE=polling: webhook removal, the getUpdates loop, offset persistence,
+ * validation and rate limits on polled updates, and graceful stop on SIGTERM
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const pollingService = require('../src/services/pollingService');
+const telegramService = require('../src/services/telegramService');
+const idempotencyService = require('../src/services/idempotencyService');
+const rateLimitMiddleware = require('../src/middleware/rateLimitMiddleware');
+const controller = require('../src/controllers/telegramController');
+const MemoryIdempotencyStore = require('../src/stores/memoryIdempotencyStore');
+const { CONFIG } = require('../src/config/constants');
+const { check, report } = require('./helpers/check');
+
+const USER_ID = 737373;
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'polling-test-'));
+
+// Fake Bot API: getUpdates answers from a queue, then holds the request until aborted
+const sent = [];
+const getUpdatesCalls = [];
+const responses = [];
+let webhookDeleted = 0;
+
+telegramService.isConfigured = () => true;
+telegramService.sendMessage = async (chatId, text) => {
+  sent.push({ chatId, text });
+  return { message_id: sent.length };
+};
+telegramService.deleteWebhook = async () => {
+  webhookDeleted++;
+  return true;
+};
+telegramService.getUpdates = async (options) => {
+  getUpdatesCalls.push(options);
+  const next = responses.shift();
+
+  if (next instanceof Error) throw next;
+  if (next) return next;
+
+  return new Promise((resolve, reject) => {
+    options.signal.addEventListener('abort', () => reject(new Error('aborted')));
+  });
+};
+
+const message = (updateId, text, userId = USER_ID) => ({
+  update_id: updateId,
+  message: {
+    message_id: updateId,
+    date: Math.floor(Date.now() / 1000),
+    chat: { id: userId, type: 'private' },
+    from: { id: userId, is_bot: false, first_name: 'Test' },
+    text
+  }
+});
+
+const waitFor = async (condition, timeout = 3000) => {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeout) return false;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return true;
+};
+
+const readOffset = (file) => JSON.parse(fs.readFileSync(file, 'utf8')).offset;
+
+async function testPolling() {
+  console.log('📡 Testing Long Polling');
+  console.log('=======================\n');
+
+  idempotencyService.setStore(new MemoryIdempotencyStore());
+  CONFIG.POLLING_RETRY_DELAY = 20;
+
+  // Test 1: Start and process
+  console.log('1. Testing the polling loop...');
+  {
+    pollingService.offsetFile = path.join(tempDir, 'nested', 'offset.json');
+    fs.mkdirSync(path.dirname(pollingService.offsetFile), { recursive: true });
+    fs.writeFileSync(pollingService.offsetFile, JSON.stringify({ offset: 500 }));
+
+    responses.push([message(500, '/help'), message(501, '/start')]);
+    await pollingService.start(controller);
+
+    check('Webhook is deleted first', webhookDeleted === 1);
+    check('Saved offset is resumed', getUpdatesCalls[0]?.offset === 500);
+    check('Long polling timeout is used', getUpdatesCalls[0]?.timeout === CONFIG.POLLING_TIMEOUT);
+
+    await waitFor(() => getUpdatesCalls.length === 2);
+    check('Updates are processed', sent.length === 2, `${sent.length} replies`);
+    check('Next request confirms the offset', getUpdatesCalls[1]?.offset === 502);
+    check('Offset is saved to the file', readOffset(pollingService.offsetFile) === 502);
+
+    await pollingService.stop();
+    check('Stop ends the loop', !pollingService.isRunning());
+  }
+  console.log();
+
+  // Test 2: Validation, rate limits, duplicates
+  console.log('2. Testing validation and limits on polled updates...');
+  {
+    sent.length = 0;
+    getUpdatesCalls.length = 0;
+    rateLimitMiddleware.reset();
+
+    // 501 is redelivered as if the offset had not been confirmed
+    const spam = [503, 504, 505, 506].map(id => message(id, 'hello', USER_ID + 1));
+    responses.push([
+      message(501, '/start'),
+      { update_id: 502, message: { message_id: 1, text: 'no chat or sender' } },
+      ...spam
+    ]);
+
+    await pollingService.start(controller);
+    await waitFor(() => getUpdatesCalls.length === 2);
+
+    const replies = sent.filter(reply => reply.chatId === USER_ID + 1).length;
+    check('Invalid update is skipped', !sent.some(reply => reply.chatId === undefined));
+    check('Repeated message is stopped by anti-spam', replies === 3, `${replies} replies`);
+    check('Already processed update is skipped', !sent.some(reply => reply.chatId === USER_ID));
+    check('Offset moves past skipped updates', getUpdatesCalls[1]?.offset === 507, `offset ${getUpdatesCalls[1]?.offset}`);
+
+    await pollingService.stop();
+  }
+  console.log();
+
+  // Test 3: Errors
+  console.log('3. Testing retry after getUpdates errors...');
+  {
+    getUpdatesCalls.length = 0;
+    responses.push(new Error('ETIMEDOUT'), new Error('ETIMEDOUT'), [message(507, '/help')]);
+
+    sent.length = 0;
+    await pollingService.start(controller);
+    const recovered = await waitFor(() => sent.length === 1);
+
+    check('Loop recovers after failures', recovered && getUpdatesCalls.length >= 3);
+    check('Retry delay resets after success', pollingService.retryDelay === CONFIG.POLLING_RETRY_DELAY);
+
+    const stopStarted = Date.now();
+    await pollingService.stop();
+    check('Stop aborts the open long poll', Date.now() - stopStarted < 1000);
+  }
+  console.log();
+
+  // Test 4: SIGTERM
+  console.log('4. Testing graceful stop on SIGTERM...');
+  {
+    const port = 40000 + Math.floor(Math.random() * 10000);
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+      env: { ...process.env, PORT: String(port), BOT_MODE: 'polling', TELEGRAM_BOT_TOKEN: '', SUPABASE_URL: '' },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk.toString(); });
+
+    const started = await waitFor(() => output.includes('server running on port'), 15000);
+    const exited = new Promise(resolve => child.on('exit', code => resolve(code)));
+
+    if (started) {
+      child.kill('SIGTERM');
+    }
+
+    const code = await Promise.race([exited, new Promise(resolve => setTimeout(() => resolve('timeout'), 12000))]);
+    if (code === 'timeout') {
+      child.kill('SIGKILL');
+    }
+
+    check('Server starts in polling mode', started);
+    check('SIGTERM exits cleanly', code === 0, `exit ${code}`);
+  }
+  console.log();
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  rateLimitMiddleware.destroy();
+
+  report('Long polling');
+}
+
+testPolling().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
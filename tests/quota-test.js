@@ -0,0 +1,317 @@
+/**
+ * Quota Test Script
+ * Tests quota policies, rolling windows, overrides, allowlist, promo credits
+ * and atomic reservations against the in-memory store (no Supabase needed)
+ */
+
+const sharp = require('sharp');
+const quotaService = require('../src/services/quotaService');
+const userLimitsService = require('../src/services/userLimitsService');
+const MemoryQuotaStore = require('../src/stores/memoryQuotaStore');
+const telegramService = require('../src/services/telegramService');
+const imageService = require('../src/services/imageService');
+const stickerService = require('../src/services/stickerService');
+const userPacksService = require('../src/services/userPacksService');
+const stateService = require('../src/services/stateService');
+const MemoryUserPackStore = require('../src/stores/memoryUserPackStore');
+const MemoryStateStore = require('../src/stores/memoryStateStore');
+const controller = require('../src/controllers/telegramController');
+const { CONFIG, MESSAGES, BOT_STATES } = require('../src/config/constants');
+const { check, report } = require('./helpers/check');
+
+const HOUR = 60 * 60 * 1000;
+
+// Fake clock shared by the store
+let now = Date.parse('2026-01-05T12:00:00Z');
+const advance = (ms) => { now += ms; };
+
+const resetStore = () => {
+  const store = new MemoryQuotaStore({ now: () => now });
+  quotaService.setStore(store);
+  return store;
+};
+
+// Stubbed Telegram API: collect outgoing messages
+const sent = [];
+let failingText = null;
+let failedSends = 0;
+telegramService.isConfigured = () => true;
+telegramService.sendMessage = async (chatId, text, options = {}) => {
+  if (failingText && text.includes(failingText)) {
+    failedSends++;
+    throw new Error('Telegram API error: Bad Gateway');
+  }
+  const message = { message_id: sent.length + 1, chat: { id: chatId }, text, options };
+  sent.push(message);
+  return message;
+};
+
+const createMessage = (userId, text) => ({
+  message_id: 1,
+  chat: { id: userId },
+  from: { id: userId, first_name: 'Test' },
+  text
+});
+
+const rejects = async (fn) => {
+  try {
+    await fn();
+    return false;
+  } catch (error) {
+    return error.name === 'ValidationError';
+  }
+};
+
+async function testQuota() {
+  console.log('🎟 Testing Quota Engine');
+  console.log('=======================\n');
+
+  // Test 1: Policies
+  console.log('1. Testing policy configuration...');
+  {
+    check('Default policy is 1 per day', quotaService.getPolicy(null).daily === 1 && quotaService.getPolicy(null).name === CONFIG.DEFAULT_QUOTA_POLICY);
+    check('Unknown policy falls back to default', quotaService.getPolicy('gold').name === CONFIG.DEFAULT_QUOTA_POLICY);
+
+    const policies = quotaService.loadPolicies('{"gold": {"daily": 5, "weekly": 20}, "broken": {"daily": -1}}');
+    check('Custom policies are merged', policies.gold?.weekly === 20 && policies.standard?.daily === 1);
+    check('Invalid custom policy is skipped', !policies.broken);
+    check('Invalid JSON keeps built-in policies', Object.keys(quotaService.loadPolicies('{oops')).join() === Object.keys(CONFIG.QUOTA_POLICIES).join());
+
+    const allowlist = quotaService.parseAllowlist(' 10, 20,abc,,-5');
+    check('Allowlist is parsed', allowlist.size === 2 && allowlist.has(10) && allowlist.has(20));
+  }
+  console.log();
+
+  // Test 2: Rolling 24h window
+  console.log('2. Testing rolling 24-hour window...');
+  {
+    resetStore();
+    const userId = 1001;
+
+    const first = await quotaService.reserve(userId);
+    check('First generation is allowed', first.canGenerate && !!first.reservationId);
+
+    const second = await quotaService.reserve(userId);
+    check('Second generation within 24h is denied', !second.canGenerate && second.reason === 'daily_limit_exceeded');
+    check('Retry time is 24h after the first', second.retryAt === new Date(now + 24 * HOUR).toISOString(), second.retryAt);
+
+    // A calendar-day rule would allow this; the rolling window doesn't
+    advance(13 * HOUR);
+    check('Next calendar day is still limited', !(await quotaService.getQuota(userId)).canGenerate);
+
+    advance(11 * HOUR);
+    const later = await quotaService.getQuota(userId);
+    check('Slot frees up after 24h', later.canGenerate && later.remainingLimit === 1, JSON.stringify(later.used));
+  }
+  console.log();
+
+  // Test 3: Weekly cap
+  console.log('3. Testing weekly cap...');
+  {
+    resetStore();
+    const userId = 1002;
+    await quotaService.setUserOverride(userId, { policy: 'plus' });
+
+    let allowed = 0;
+    for (let day = 0; day < 6; day++) {
+      for (let i = 0; i < 3; i++) {
+        if ((await quotaService.reserve(userId)).canGenerate) allowed++;
+      }
+      advance(24 * HOUR);
+    }
+
+    const weekly = CONFIG.QUOTA_POLICIES.plus.weekly;
+    check('Weekly cap limits generations', allowed === weekly, `${allowed} allowed`);
+
+    const denied = await quotaService.getQuota(userId);
+    check('Weekly reason is reported', denied.reason === 'weekly_limit_exceeded' && denied.limits.weekly === weekly);
+    check('Weekly message names the limit', MESSAGES.WEEKLY_LIMIT_EXCEEDED(denied.limits.weekly, denied.retryAt).includes(`(${weekly})`));
+  }
+  console.log();
+
+  // Test 4: Overrides and allowlist
+  console.log('4. Testing overrides and allowlist...');
+  {
+    resetStore();
+
+    await quotaService.setUserOverride(2001, { dailyLimit: 2 });
+    const results = [await quotaService.reserve(2001), await quotaService.reserve(2001), await quotaService.reserve(2001)];
+    check('Per-user daily limit overrides the policy', results.map(r => r.canGenerate).join() === 'true,true,false');
+
+    await quotaService.setUserOverride(2002, { unlimited: true });
+    let unlimitedAllowed = 0;
+    for (let i = 0; i < 5; i++) {
+      if ((await quotaService.reserve(2002)).canGenerate) unlimitedAllowed++;
+    }
+    check('Unlimited override lifts all limits', unlimitedAllowed === 5);
+
+    quotaService.allowlist.add(2003);
+    const allowlisted = [await quotaService.reserve(2003), await quotaService.reserve(2003)];
+    check('Allowlisted user is never limited', allowlisted.every(r => r.canGenerate && r.reason === 'unlimited'));
+    quotaService.allowlist.delete(2003);
+
+    check('Unknown policy override is rejected', await rejects(() => quotaService.setUserOverride(2004, { policy: 'gold' })));
+    check('Negative limit override is rejected', await rejects(() => quotaService.setUserOverride(2004, { weeklyLimit: -1 })));
+  }
+  console.log();
+
+  // Test 5: Bonus credits and promo codes
+  console.log('5. Testing promo codes and bonus credits...');
+  {
+    resetStore();
+    const userId = 3001;
+
+    await quotaService.createPromoCode('launch-2026', 2, { maxRedemptions: 2 });
+
+    const redeemed = await quotaService.redeemPromoCode(userId, '  Launch-2026 ');
+    check('Promo code is redeemed case-insensitively', redeemed.ok && redeemed.credits === 2 && redeemed.bonusCredits === 2);
+    check('Promo code works once per user', (await quotaService.redeemPromoCode(userId, 'LAUNCH-2026')).reason === 'already_redeemed');
+
+    await quotaService.redeemPromoCode(3002, 'LAUNCH-2026');
+    check('Redemption limit is enforced', (await quotaService.redeemPromoCode(3003, 'LAUNCH-2026')).reason === 'exhausted');
+    check('Unknown code is reported', (await quotaService.redeemPromoCode(userId, 'NOPE')).reason === 'not_found');
+
+    await quotaService.createPromoCode('OLD', 1, { expiresAt: new Date(now - HOUR).toISOString() });
+    check('Expired code is reported', (await quotaService.redeemPromoCode(userId, 'old')).reason === 'expired');
+
+    const policySlot = await quotaService.reserve(userId);
+    const creditSlot = await quotaService.reserve(userId);
+    check('Policy slot is used before credits', policySlot.source === 'policy' && policySlot.bonusCredits === 2);
+    check('Credit is spent over the limit', creditSlot.canGenerate && creditSlot.source === 'credit' && creditSlot.bonusCredits === 1);
+
+    await quotaService.release(creditSlot.reservationId);
+    check('Released credit is returned', (await quotaService.getQuota(userId)).bonusCredits === 2);
+
+    check('Malformed code is rejected on create', await rejects(() => quotaService.createPromoCode('a b', 1)));
+  }
+  console.log();
+
+  // Test 6: Atomic reservations and counters
+  console.log('6. Testing atomic reservations...');
+  {
+    const store = resetStore();
+    const userId = 4001;
+
+    const parallel = await Promise.all(Array.from({ length: 5 }, () => userLimitsService.reserveGeneration(userId)));
+    check('Only one parallel reservation passes', parallel.filter(r => r.canGenerate).length === 1);
+
+    const reservation = parallel.find(r => r.canGenerate);
+    await userLimitsService.recordGeneration(userId, reservation.reservationId);
+    await Promise.all([userLimitsService.recordGeneration(4002), userLimitsService.recordGeneration(4002)]);
+
+    check('Commit increments the counter', (await store.getTotals(userId)).totalGenerations === 1);
+    check('Counter is incremented, not overwritten', (await store.getTotals(4002)).totalGenerations === 2);
+    check('Committed slot cannot be released', !(await userLimitsService.releaseGeneration(reservation.reservationId)));
+
+    const limitCheck = await userLimitsService.checkUserLimit(userId);
+    check('Limit check reports totals', !limitCheck.canGenerate && limitCheck.totalGenerations === 1);
+
+    await userLimitsService.resetUserLimit(userId);
+    check('Reset clears the window', (await userLimitsService.checkUserLimit(userId)).canGenerate);
+
+    const failed = await quotaService.reserve(4003);
+    await userLimitsService.releaseGeneration(failed.reservationId);
+    check('Failed generation does not use the quota', (await quotaService.getQuota(4003)).canGenerate);
+  }
+  console.log();
+
+  // Test 7: Bot messages
+  console.log('7. Testing /promo and limit messages...');
+  {
+    resetStore();
+    const userId = 6001;
+    await quotaService.createPromoCode('BOT', 1);
+
+    sent.length = 0;
+    await controller.processMessage(createMessage(userId, '/promo'));
+    check('/promo without a code shows usage', sent[0]?.text === MESSAGES.PROMO_USAGE);
+
+    sent.length = 0;
+    await controller.processMessage(createMessage(userId, '/promo bot'));
+    await controller.processMessage(createMessage(userId, '/promo bot'));
+    await controller.processMessage(createMessage(userId, '/promo MISSING'));
+    check('/promo redeems the code', sent[0]?.text === MESSAGES.PROMO_REDEEMED(1, 1));
+    check('/promo reports a repeated code', sent[1]?.text === MESSAGES.PROMO_ALREADY_REDEEMED);
+    check('/promo reports an unknown code', sent[2]?.text === MESSAGES.PROMO_NOT_FOUND);
+
+    await quotaService.reserve(6002);
+    const denied = await quotaService.getQuota(6002);
+    const text = controller.getQuotaExceededMessage(denied);
+    check('Daily denial uses the daily message', text === MESSAGES.DAILY_LIMIT_EXCEEDED(1, denied.retryAt) && text.includes('(1)'));
+  }
+  console.log();
+
+  // Test 8: Fail-open
+  console.log('8. Testing fail-open behaviour...');
+  {
+    quotaService.setStore({
+      getUserQuota: async () => { throw new Error('database down'); }
+    });
+
+    const status = await quotaService.reserve(5001);
+    check('Store outage allows generation', status.canGenerate && status.reason === 'check_failed' && status.reservationId === null);
+    check('Release without reservation is a no-op', (await userLimitsService.releaseGeneration(null)) === false);
+  }
+  console.log();
+
+  // Test 9: Reservation of a made pack
+  console.log('9. Testing failures after the pack is made...');
+  {
+    const store = resetStore();
+    const userId = 6001;
+    const packName = 'quota_pack_by_NewPeopleStickers_bot';
+    let releases = 0;
+
+    stateService.setStore(new MemoryStateStore());
+    userPacksService.setStore(new MemoryUserPackStore());
+    telegramService.editMessage = async () => true;
+    telegramService.sendMediaGroup = async () => [];
+    telegramService.sendPhoto = async () => ({ message_id: 1 });
+    const photo = await sharp({ create: { width: 64, height: 64, channels: 3, background: 'white' } }).jpeg().toBuffer();
+    imageService.processImageForStickers = async () => photo;
+    imageService.analyzeFace = async () => ({ passed: true, faceCount: 1 });
+    controller.processTemplate = async () => Buffer.from('sticker');
+    stickerService.createCompleteStickerPack = async () => ({
+      packName,
+      packUrl: `https://t.me/addstickers/${packName}`,
+      stickerCount: 1,
+      uploadedStickers: 1,
+      title: 'Test',
+      mode: 'create'
+    });
+
+    const releaseGeneration = userLimitsService.releaseGeneration;
+    userLimitsService.releaseGeneration = async (reservationId) => {
+      releases++;
+      return releaseGeneration.call(userLimitsService, reservationId);
+    };
+
+    const reservation = await userLimitsService.reserveGeneration(userId);
+    await stateService.transition(userId, BOT_STATES.PROCESSING);
+    failingText = 'Ваши стикеры готовы';
+    const result = await controller.generateStickerPack(userId, userId, 'AgACAgIAAxkBAAIC_quota_photo', 'Test', {
+      templateIds: ['1'],
+      quotaReservationId: reservation.reservationId
+    });
+    failingText = null;
+    userLimitsService.releaseGeneration = releaseGeneration;
+
+    check('Success message fails', failedSends === 1);
+    check('Failed success message keeps the generation successful', result.success === true && result.packName === packName);
+    check('Reservation is not released', releases === 0);
+    check('Generation counts against the quota', (await store.getTotals(userId)).totalGenerations === 1);
+    check('User sees no error', !sent.some(message => message.text === MESSAGES.PROCESSING_ERROR));
+    check('Pack is recorded', (await userPacksService.getLatestPack(userId))?.packName === packName);
+    check('State is completed', (await stateService.getState(userId)) === BOT_STATES.COMPLETED);
+  }
+  console.log();
+
+  resetStore();
+
+  report('Quota');
+}
+
+testQuota().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,255 @@
+/**
+ * Conversation State Test Script
+ * Tests the state machine, state TTLs, compare-and-set transitions
+ * and the controller flow on top of the in-memory state store,
+ * and that the Supabase schema accepts every state
+ */
+
+const fs = require('fs');
+const path = require('path');
+const stateService = require('../src/services/stateService');
+const quotaService = require('../src/services/quotaService');
+const jobQueueService = require('../src/services/jobQueueService');
+const telegramService = require('../src/services/telegramService');
+const controller = require('../src/controllers/telegramController');
+const MemoryStateStore = require('../src/stores/memoryStateStore');
+const MemoryQuotaStore = require('../src/stores/memoryQuotaStore');
+const MemoryJobStore = require('../src/stores/memoryJobStore');
+const { botStateMachine } = require('../src/utils/stateMachine');
+const { BOT_STATES, CONFIG, MESSAGES } = require('../src/config/constants');
+const { getAllTemplates } = require('../src/config/templates');
+const { check, report } = require('./helpers/check');
+
+const CHAT_ID = 515151;
+
+// Record outgoing Telegram calls instead of hitting the API
+const sent = [];
+let nextMessageId = 1;
+
+telegramService.isConfigured = () => true;
+telegramService.sendMessage = async (chatId, text, options = {}) => {
+  const message = { message_id: nextMessageId++, chat: { id: chatId }, text, options };
+  sent.push(message);
+  return message;
+};
+telegramService.editMessage = async (chatId, messageId, text) => {
+  sent.push({ message_id: messageId, chat: { id: chatId }, text, edited: true });
+  return { message_id: messageId };
+};
+
+const createClock = () => {
+  let now = Date.now();
+  return {
+    now: () => now,
+    advance: (ms) => { now += ms; }
+  };
+};
+
+async function testState() {
+  console.log('🔁 Testing Conversation State');
+  console.log('=============================\n');
+
+  // Test 1: State machine
+  console.log('1. Testing state machine...');
+  {
+    check('IDLE -> CHOOSING_TEMPLATES is allowed', botStateMachine.canTransition(BOT_STATES.IDLE, BOT_STATES.CHOOSING_TEMPLATES));
+    check('CHOOSING_TEMPLATES -> PROCESSING is allowed', botStateMachine.canTransition(BOT_STATES.CHOOSING_TEMPLATES, BOT_STATES.PROCESSING));
+    check('PROCESSING -> CHOOSING_TEMPLATES is rejected', !botStateMachine.canTransition(BOT_STATES.PROCESSING, BOT_STATES.CHOOSING_TEMPLATES));
+    check('IDLE -> COMPLETED is rejected', !botStateMachine.canTransition(BOT_STATES.IDLE, BOT_STATES.COMPLETED));
+    check('Staying in a state is allowed', botStateMachine.canTransition(BOT_STATES.PROCESSING, BOT_STATES.PROCESSING));
+    check('Every state can reach IDLE or ERROR', Object.values(BOT_STATES).every(state =>
+      botStateMachine.canTransition(state, BOT_STATES.IDLE) && botStateMachine.canTransition(state, BOT_STATES.ERROR)));
+
+    let thrown = null;
+    try {
+      botStateMachine.assertTransition(BOT_STATES.PROCESSING, BOT_STATES.WAITING_PHOTO);
+    } catch (error) {
+      thrown = error;
+    }
+    check('Illegal transition throws ConflictError', thrown?.name === 'ConflictError');
+
+    let unknown = null;
+    try {
+      await stateService.transition(CHAT_ID, 'dancing');
+    } catch (error) {
+      unknown = error;
+    }
+    check('Unknown state is a ValidationError', unknown?.name === 'ValidationError');
+  }
+  console.log();
+
+  // Test 2: TTLs
+  console.log('2. Testing state TTLs...');
+  {
+    const clock = createClock();
+    stateService.setStore(new MemoryStateStore({ now: clock.now }));
+
+    check('Unknown chat is IDLE', await stateService.getState(CHAT_ID) === BOT_STATES.IDLE);
+
+    await stateService.transition(CHAT_ID, BOT_STATES.PROCESSING);
+    clock.advance(CONFIG.MAX_PROCESSING_TIME - 1000);
+    check('PROCESSING holds within MAX_PROCESSING_TIME', await stateService.getState(CHAT_ID) === BOT_STATES.PROCESSING);
+
+    clock.advance(2000);
+    check('PROCESSING expires after MAX_PROCESSING_TIME', await stateService.getState(CHAT_ID) === BOT_STATES.IDLE);
+
+    await stateService.transition(CHAT_ID, BOT_STATES.PROCESSING);
+    clock.advance(CONFIG.MAX_PROCESSING_TIME - 1000);
+    await stateService.transition(CHAT_ID, BOT_STATES.PROCESSING);
+    clock.advance(2000);
+    check('Re-entering a state refreshes its TTL', await stateService.getState(CHAT_ID) === BOT_STATES.PROCESSING);
+
+    await stateService.transition(CHAT_ID, BOT_STATES.COMPLETED);
+    clock.advance(CONFIG.STATE_RESULT_TTL + 1);
+    check('COMPLETED falls back to IDLE', await stateService.getState(CHAT_ID) === BOT_STATES.IDLE);
+
+    await stateService.transition(CHAT_ID, BOT_STATES.ERROR);
+    clock.advance(CONFIG.STATE_RESULT_TTL + 1);
+    check('ERROR falls back to IDLE', await stateService.getState(CHAT_ID) === BOT_STATES.IDLE);
+  }
+  console.log();
+
+  // Test 3: Compare-and-set
+  console.log('3. Testing compare-and-set transitions...');
+  {
+    stateService.setStore(new MemoryStateStore());
+
+    await stateService.transition(CHAT_ID, BOT_STATES.CHOOSING_TEMPLATES);
+    const results = await Promise.all([
+      stateService.transition(CHAT_ID, BOT_STATES.PROCESSING, { from: BOT_STATES.CHOOSING_TEMPLATES }),
+      stateService.transition(CHAT_ID, BOT_STATES.PROCESSING, { from: BOT_STATES.CHOOSING_TEMPLATES })
+    ]);
+    check('Only one racing transition wins', results.filter(result => result.success).length === 1);
+    check('Loser reports a conflict', results.some(result => result.reason === 'conflict' && result.state === BOT_STATES.PROCESSING));
+
+    const illegal = await stateService.transition(CHAT_ID, BOT_STATES.CHOOSING_TEMPLATES);
+    check('Illegal transition is rejected', !illegal.success && illegal.reason === 'illegal_transition');
+    check('Rejected transition keeps the state', await stateService.getState(CHAT_ID) === BOT_STATES.PROCESSING);
+
+    let thrown = null;
+    try {
+      await controller.setUserState(CHAT_ID, BOT_STATES.WAITING_PHOTO);
+    } catch (error) {
+      thrown = error;
+    }
+    check('setUserState throws on illegal transition', thrown?.name === 'ConflictError');
+
+    await stateService.reset(CHAT_ID);
+    check('Reset puts the chat to IDLE', await controller.getUserState(CHAT_ID) === BOT_STATES.IDLE);
+  }
+  console.log();
+
+  // Test 4: Store failures
+  console.log('4. Testing fail-open on store errors...');
+  {
+    const broken = {
+      get: async () => { throw new Error('database down'); },
+      compareAndSet: async () => { throw new Error('database down'); },
+      set: async () => { throw new Error('database down'); }
+    };
+    stateService.setStore(broken);
+
+    check('Lookup failure reads as IDLE', await stateService.getState(CHAT_ID) === BOT_STATES.IDLE);
+    const result = await stateService.transition(CHAT_ID, BOT_STATES.CHOOSING_TEMPLATES);
+    check('Write failure lets the flow go on', result.success && result.reason === 'store_unavailable');
+  }
+  console.log();
+
+  // Test 5: Controller flow
+  console.log('5. Testing controller flow...');
+  {
+    const clock = createClock();
+    stateService.setStore(new MemoryStateStore({ now: clock.now }));
+    jobQueueService.setStore(new MemoryJobStore());
+    jobQueueService.stop(); // Keep queued jobs pending for inspection
+
+    const quotaStore = new MemoryQuotaStore();
+    quotaService.setStore(quotaStore);
+    await quotaService.setUserOverride(CHAT_ID, { unlimited: true });
+
+    const photo = [{ file_id: 'AgACAgIAAxkBAAIC_state_photo', width: 640, height: 480 }];
+
+    // A chat stuck in PROCESSING after a crash
+    await stateService.transition(CHAT_ID, BOT_STATES.PROCESSING);
+    sent.length = 0;
+    await controller.handlePhotoMessage(CHAT_ID, CHAT_ID, photo, 'Test', 1);
+    check('Photo during processing is refused', sent.at(-1)?.text === MESSAGES.PROCESSING_IN_PROGRESS);
+
+    clock.advance(CONFIG.MAX_PROCESSING_TIME + 1);
+    await controller.handlePhotoMessage(CHAT_ID, CHAT_ID, photo, 'Test', 2);
+    check('Stuck chat recovers after the TTL', await controller.getUserState(CHAT_ID) === BOT_STATES.CHOOSING_TEMPLATES);
+
+    // Confirmations of two pickers racing each other
+    const selection = {
+      userId: CHAT_ID,
+      firstName: 'Test',
+      languageCode: null,
+      messageId: 2,
+      photo: photo[0],
+      photoCount: 1,
+      selectedIds: new Set(getAllTemplates().map(template => template.id)),
+      pickerMessageId: sent.at(-1).message_id,
+      createdAt: Date.now()
+    };
+
+    sent.length = 0;
+    await Promise.all([
+      controller.startGeneration(CHAT_ID, { ...selection }),
+      controller.startGeneration(CHAT_ID, { ...selection, messageId: 3 })
+    ]);
+
+    const jobs = await jobQueueService.getUserJobs(CHAT_ID);
+    check('Racing confirmations queue one job', jobs.length === 1, `${jobs.length} jobs`);
+    check('Loser is told processing is running', sent.some(message => message.text === MESSAGES.PROCESSING_IN_PROGRESS));
+    check('Chat is processing', await controller.getUserState(CHAT_ID) === BOT_STATES.PROCESSING);
+
+    const reservations = [...quotaStore.usage.values()].filter(usage => usage.userId === CHAT_ID);
+    check('Loser releases its quota reservation', reservations.length === 1, `${reservations.length} reservations`);
+
+    // A job waiting in a long queue outlives the PROCESSING TTL
+    clock.advance(CONFIG.MAX_PROCESSING_TIME + 1);
+    check('PROCESSING expires while the job waits', await controller.getUserState(CHAT_ID) === BOT_STATES.IDLE);
+
+    sent.length = 0;
+    await controller.handlePhotoMessage(CHAT_ID, CHAT_ID, photo, 'Test', 4);
+    check('Photo during a queue wait is refused', sent.at(-1)?.text === MESSAGES.PROCESSING_IN_PROGRESS);
+    check('Queue wait refreshes the state', await controller.getUserState(CHAT_ID) === BOT_STATES.PROCESSING);
+    check('No second job is queued', (await jobQueueService.getUserJobs(CHAT_ID)).length === 1);
+
+    await jobQueueService.cancelPendingJob(jobs[0].id);
+    clock.advance(CONFIG.MAX_PROCESSING_TIME + 1);
+    await controller.handlePhotoMessage(CHAT_ID, CHAT_ID, photo, 'Test', 5);
+    check('Chat is free once the job is gone', await controller.getUserState(CHAT_ID) === BOT_STATES.CHOOSING_TEMPLATES);
+
+    await stateService.reset(CHAT_ID);
+  }
+  console.log();
+
+  // Test 6: Supabase schema
+  console.log('6. Testing the bot_states schema...');
+  {
+    // The latest migration that constrains bot_states.state wins
+    const sqlDir = path.join(__dirname, '..', 'sql');
+    let allowed = null;
+    for (const file of fs.readdirSync(sqlDir).filter(name => name.endsWith('.sql')).sort()) {
+      const sql = fs.readFileSync(path.join(sqlDir, file), 'utf8');
+      for (const match of sql.matchAll(/CHECK \(state IN \(([^)]*)\)\)/g)) {
+        allowed = match[1].split(',').map(value => value.trim().replace(/'/g, ''));
+      }
+    }
+
+    // IDLE is never stored: a missing row means idle
+    const stored = Object.values(BOT_STATES).filter(state => state !== BOT_STATES.IDLE);
+    const missing = stored.filter(state => !allowed?.includes(state));
+    check('Schema allows every stored state', allowed !== null && missing.length === 0, missing.join(', '));
+    check('Schema allows only known states', allowed !== null && allowed.every(state => stored.includes(state)));
+  }
+  console.log();
+
+  report('Conversation state');
+}
+
+testState().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
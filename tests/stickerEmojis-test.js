@@ -0,0 +1,144 @@
+/**
+ * Sticker Emojis Test Script
+ * Tests multi-codepoint emoji validation, emoji lists and localized search keywords
+ */
+
+// Sticker service needs a token to build API URLs; requests are stubbed below
+process.env.TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || 'test-token';
+
+const axios = require('axios');
+const validators = require('../src/utils/validators');
+const stickerService = require('../src/services/stickerService');
+const { validateTemplate, getTemplateKeywords, getAllTemplates } = require('../src/config/templates');
+const { CONFIG } = require('../src/config/constants');
+const { check, report } = require('./helpers/check');
+
+async function testStickerEmojis() {
+  console.log('😀 Testing Sticker Emojis and Keywords');
+  console.log('======================================\n');
+
+  // Test 1: Emoji validation
+  console.log('1. Testing emoji validation...');
+  {
+    const valid = {
+      'simple emoji': '😄',
+      'skin tone': '👍🏽',
+      'ZWJ family': '👨‍👩‍👧',
+      'ZWJ with skin tone': '🧑🏽‍💻',
+      'country flag': '🇷🇺',
+      'subdivision flag': '🏴󠁧󠁢󠁳󠁣󠁴󠁿',
+      'keycap': '1️⃣',
+      'variation selector': '❤️'
+    };
+    const invalid = {
+      'plain text': 'a',
+      'two emojis': '😄😄',
+      'single regional indicator': '🇷',
+      'leading space': ' 😄',
+      'empty string': ''
+    };
+
+    Object.entries(valid).forEach(([label, emoji]) => {
+      check(`Accepts ${label}`, validators.isValidEmoji(emoji).valid, emoji);
+    });
+    Object.entries(invalid).forEach(([label, emoji]) => {
+      check(`Rejects ${label}`, !validators.isValidEmoji(emoji).valid, JSON.stringify(emoji));
+    });
+
+    check('Emoji list over 20 is rejected',
+      !validators.isValidEmojiList(Array(CONFIG.MAX_EMOJIS_PER_STICKER + 1).fill('😄')).valid);
+    check('Keywords over 64 characters are rejected',
+      !validators.isValidStickerKeywords(['a'.repeat(40), 'b'.repeat(30)]).valid);
+  }
+  console.log();
+
+  // Test 2: Template emojis and keywords
+  console.log('2. Testing template emojis and keywords...');
+  {
+    const base = {
+      id: 'k1',
+      name: 'Keywords',
+      description: 'Test',
+      type: 'ready_sticker',
+      emojis: ['👨‍👩‍👧', '🇷🇺'],
+      imageUrl: 'https://example.com/k1.png'
+    };
+
+    const rejects = (template) => {
+      try {
+        validateTemplate(template);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    };
+
+    check('Compound emojis are accepted in templates', !rejects(base));
+    check('Invalid emoji in list is rejected', rejects({ ...base, emojis: ['😄', 'x'] }));
+    check('Localized keywords are accepted', !rejects({ ...base, keywords: { ru: ['мем'], en: ['meme'] } }));
+    check('Too long keywords are rejected', rejects({ ...base, keywords: { ru: ['м'.repeat(65)] } }));
+
+    const template = { ...base, keywords: { ru: ['мем', 'смех'], en: ['meme', 'laugh'] } };
+    check('Keywords follow user language', getTemplateKeywords(template, 'en-US').join() === 'meme,laugh');
+    check('Unknown language falls back to default', getTemplateKeywords(template, 'de').join() === 'мем,смех');
+    check('Plain list works for every language', getTemplateKeywords({ ...base, keywords: ['x'] }, 'en').join() === 'x');
+    check('Bundled templates have several emojis', getAllTemplates().every(t => t.emojis.length > 1));
+  }
+  console.log();
+
+  // Test 3: Request payloads
+  console.log('3. Testing sticker requests...');
+  {
+    const inputSticker = stickerService.buildInputSticker('file', Array(25).fill('😄'), {
+      keywords: ['a'.repeat(30), 'b'.repeat(30), 'c'.repeat(10)]
+    });
+    check('Emoji list is capped at 20', inputSticker.emoji_list.length === CONFIG.MAX_EMOJIS_PER_STICKER);
+    check('Keywords are cut at the length limit', inputSticker.keywords.length === 2);
+    check('Single emoji becomes a list', stickerService.buildInputSticker('file', '😄').emoji_list.join() === '😄');
+    check('No keywords field without keywords', !('keywords' in stickerService.buildInputSticker('file', '😄')));
+
+    const requests = [];
+    const originalPost = axios.post;
+    const originalGet = axios.get;
+
+    axios.post = async (url, data) => {
+      const method = url.split('/').pop();
+
+      if (method === 'uploadStickerFile') {
+        return { data: { ok: true, result: { file_id: `file_${requests.length}` } } };
+      }
+
+      const sticker = method === 'createNewStickerSet' ? JSON.parse(data.stickers)[0] : JSON.parse(data.sticker);
+      requests.push({ method, sticker });
+      return { data: { ok: true, result: true } };
+    };
+    axios.get = async () => ({ data: { ok: true, result: { title: 'Test', stickers: [] } } });
+
+    try {
+      await stickerService.createCompleteStickerPack(
+        1001,
+        [Buffer.from('a'), Buffer.from('b')],
+        [['😄', '😆'], '🇷🇺'],
+        'Test pack',
+        { keywords: [['мем', 'смех'], ['флаг']] }
+      );
+
+      const [created, added] = requests;
+      check('First sticker sends its emoji list', created.sticker.emoji_list.join() === '😄,😆');
+      check('First sticker sends keywords', created.sticker.keywords?.join() === 'мем,смех');
+      check('Added sticker sends its emoji and keywords',
+        added.sticker.emoji_list.join() === '🇷🇺' && added.sticker.keywords?.join() === 'флаг');
+    } finally {
+      axios.post = originalPost;
+      axios.get = originalGet;
+    }
+  }
+  console.log();
+
+  report('Sticker emoji');
+}
+
+testStickerEmojis().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
@@ -44,7 +44,7 @@ async function testStickerGeneration() {
     console.log('2. Testing controller initialization...');
     
     console.log(`   Controller instance: ${controller ? '✅' : '❌'}`);
-    console.log(`   User states map: ${controller.userStates instanceof Map ? '✅' : '❌'}`);
+    console.log(`   State methods: ${typeof controller.getUserState === 'function' ? '✅' : '❌'}`);
     console.log(`   Generate method: ${typeof controller.generateStickerPack === 'function' ? '✅' : '❌'}`);
     console.log(`   Process template method: ${typeof controller.processTemplate === 'function' ? '✅' : '❌'}`);
     console.log();
@@ -53,16 +53,16 @@ async function testStickerGeneration() {
     console.log('3. Testing user state management...');
     
     // Initial state
-    const initialState = controller.getUserState(TEST_USER.chatId);
+    const initialState = await controller.getUserState(TEST_USER.chatId);
     console.log(`   Initial state: ${initialState === BOT_STATES.IDLE ? '✅' : '❌'} (${initialState})`);
     
     // Set processing state
-    controller.setUserState(TEST_USER.chatId, BOT_STATES.PROCESSING);
-    const processingState = controller.getUserState(TEST_USER.chatId);
+    await controller.setUserState(TEST_USER.chatId, BOT_STATES.PROCESSING);
+    const processingState = await controller.getUserState(TEST_USER.chatId);
     console.log(`   Processing state: ${processingState === BOT_STATES.PROCESSING ? '✅' : '❌'} (${processingState})`);
     
     // Reset to idle
-    controller.setUserState(TEST_USER.chatId, BOT_STATES.IDLE);
+    await controller.setUserState(TEST_USER.chatId, BOT_STATES.IDLE);
     console.log();
 
     // Test 4: Template processing simulation
@@ -193,7 +193,7 @@ async function testIntegrationScenarios() {
   console.log('\n   📋 Test checklist for production:');
   console.log('   □ All 10 templates process successfully');
   console.log('   □ Face swap results are visually correct');
-  console.log('   □ Stickers meet Telegram requirements (512px, <500KB)');
+  console.log('   □ Stickers meet Telegram requirements (one side 512px, ≤512KB)');
   console.log('   □ Pack creation and URL generation works');
   console.log('   □ Error handling gracefully manages failures');
   console.log('   □ Processing time stays under 10 minutes');
@@ -0,0 +1,254 @@
+/**
+ * Sticker Layout Test Script
+ * Tests the static sticker canvas (exact 512px side, upscaling, padding, safe area),
+ * the final sticker check and golden images of the bundled templates
+ *
+ * Golden images live in tests/golden as small thumbnails; after an intended look
+ * change, regenerate them with: UPDATE_GOLDEN=1 node tests/stickerLayout-test.js
+ */
+
+// Keep results out of the shared cache directory
+process.env.CACHE_ENABLED = 'false';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const imageService = require('../src/services/imageService');
+const templates = require('../src/config/templates');
+const { CONFIG } = require('../src/config/constants');
+const { check, report } = require('./helpers/check');
+
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const GOLDEN_SIZE = 64; // thumbnail side, enough to see placement and content
+const GOLDEN_TOLERANCE = 3; // mean difference per channel, absorbs encoder drift
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+const errorOf = async (promise) => {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+};
+
+const solid = (width, height, background = 'red') => sharp({
+  create: { width, height, channels: 3, background }
+}).png().toBuffer();
+
+const alphaAt = async (buffer, x, y) => {
+  const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  return data[(y * info.width + x) * 4 + 3];
+};
+
+// Premultiplied RGBA thumbnail: colors under transparent pixels don't count
+const thumbnail = async (buffer) => {
+  const { data, info } = await sharp(buffer)
+    .resize(GOLDEN_SIZE, GOLDEN_SIZE, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  for (let i = 0; i < data.length; i += 4) {
+    for (let channel = 0; channel < 3; channel++) {
+      data[i + channel] = Math.round(data[i + channel] * data[i + 3] / 255);
+    }
+  }
+
+  return { data, width: info.width, height: info.height };
+};
+
+const compareWithGolden = async (name, sticker) => {
+  const goldenPath = path.join(GOLDEN_DIR, `${name}.png`);
+  const actual = await thumbnail(sticker);
+
+  if (UPDATE_GOLDEN) {
+    await sharp(actual.data, { raw: { width: actual.width, height: actual.height, channels: 4 } }).png().toFile(goldenPath);
+    return { updated: true };
+  }
+
+  if (!fs.existsSync(goldenPath)) {
+    return { missing: true };
+  }
+
+  const { data: expected, info } = await sharp(goldenPath).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  if (info.width !== actual.width || info.height !== actual.height) {
+    return { difference: Infinity, details: `${actual.width}x${actual.height} vs ${info.width}x${info.height}` };
+  }
+
+  let total = 0;
+  for (let i = 0; i < expected.length; i++) {
+    total += Math.abs(expected[i] - actual.data[i]);
+  }
+
+  const difference = total / expected.length;
+  return { difference, details: `mean difference ${difference.toFixed(2)}` };
+};
+
+async function testStickerLayout() {
+  console.log('📐 Testing Sticker Layout');
+  console.log('=========================\n');
+
+  // Test 1: Canvas geometry
+  console.log('1. Testing canvas geometry...');
+  {
+    const layout = (width, height, safeArea) => {
+      const result = imageService.computeStickerLayout(width, height, safeArea);
+      return `${result.width}x${result.height}@${result.left},${result.top} on ${result.canvasWidth}x${result.canvasHeight}`;
+    };
+
+    check('Small square is upscaled', layout(100, 100) === '512x512@0,0 on 512x512', layout(100, 100));
+    check('Large square is scaled down', layout(2048, 2048) === '512x512@0,0 on 512x512');
+    check('Wide image gets a 512px width', layout(300, 100) === '512x171@0,0 on 512x171', layout(300, 100));
+    check('Tall image gets a 512px height', layout(90, 270) === '171x512@0,0 on 171x512', layout(90, 270));
+    check('Margins pad a square on every side', layout(100, 100, { top: 32, right: 32, bottom: 32, left: 32 }) === '448x448@32,32 on 512x512',
+      layout(100, 100, { top: 32, right: 32, bottom: 32, left: 32 }));
+    check('Margins pad a wide image', layout(1000, 100, { top: 32, right: 32, bottom: 32, left: 32 }) === '448x45@32,32 on 512x109',
+      layout(1000, 100, { top: 32, right: 32, bottom: 32, left: 32 }));
+    check('Bottom margin keeps room under the image', layout(100, 100, { top: 0, right: 0, bottom: 64, left: 0 }) === '448x448@0,0 on 448x512',
+      layout(100, 100, { top: 0, right: 0, bottom: 64, left: 0 }));
+    check('Top margin shifts the image down', layout(300, 100, { top: 40, right: 0, bottom: 0, left: 0 }) === '512x171@0,40 on 512x211',
+      layout(300, 100, { top: 40, right: 0, bottom: 0, left: 0 }));
+
+    // Every shape ends with one side exactly 512 and the image inside the margins
+    let broken = 0;
+    const margins = { top: 17, right: 5, bottom: 40, left: 11 };
+    for (let width = 1; width <= 1200; width += 37) {
+      for (let height = 1; height <= 1200; height += 41) {
+        const result = imageService.computeStickerLayout(width, height, margins);
+        const exact = result.canvasWidth === 512 || result.canvasHeight === 512;
+        const inside = result.canvasWidth <= 512 && result.canvasHeight <= 512 &&
+          result.left >= margins.left && result.top >= margins.top &&
+          result.left + result.width <= result.canvasWidth - margins.right &&
+          result.top + result.height <= result.canvasHeight - margins.bottom;
+        if (!exact || !inside) broken++;
+      }
+    }
+    check('Any shape fits the spec', broken === 0, `${broken} broken layouts`);
+
+    const tooWide = await errorOf(Promise.resolve().then(() => imageService.computeStickerLayout(100, 100, { left: 300, right: 300 })));
+    check('Margins without room are an error', tooWide?.name === 'ValidationError');
+  }
+  console.log();
+
+  // Test 2: Encoded stickers
+  console.log('2. Testing encoded stickers...');
+  {
+    const small = await imageService.optimizeForStickers(await solid(120, 90));
+    const smallMetadata = await sharp(small).metadata();
+    check('Small result is upscaled to 512px', smallMetadata.format === 'webp' && smallMetadata.width === 512 && smallMetadata.height === 384,
+      `${smallMetadata.width}x${smallMetadata.height}`);
+
+    const padded = await imageService.optimizeForStickers(await solid(400, 400), { safeArea: { top: 40, right: 40, bottom: 40, left: 40 } });
+    const paddedMetadata = await sharp(padded).metadata();
+    check('Padded sticker keeps the full canvas', paddedMetadata.width === 512 && paddedMetadata.height === 512 && paddedMetadata.hasAlpha);
+    check('Margin is transparent', await alphaAt(padded, 10, 256) === 0 && await alphaAt(padded, 256, 500) === 0);
+    check('Image is opaque inside the safe area', await alphaAt(padded, 256, 256) === 255 && await alphaAt(padded, 45, 45) === 255);
+
+    // Random noise is the worst case for the encoder
+    const noise = await sharp(Buffer.from(Array.from({ length: 700 * 700 * 3 }, () => Math.floor(Math.random() * 256))), {
+      raw: { width: 700, height: 700, channels: 3 }
+    }).png().toBuffer();
+    const noisy = await imageService.optimizeForStickers(noise);
+    check('Noisy image fits the file size limit', noisy.length <= CONFIG.MAX_STICKER_FILE_SIZE, `${Math.round(noisy.length / 1024)}KB`);
+
+    const tight = await errorOf(imageService.optimizeForStickers(noise, { targetFileSize: 1024 }));
+    check('Sticker over the size limit is never returned', tight?.name === 'OptimizationError' && /too large/.test(tight.message), tight?.message);
+
+    const broken = await errorOf(imageService.optimizeForStickers(Buffer.from('not an image')));
+    check('Broken input is an optimization error', broken?.name === 'OptimizationError');
+
+    const notExact = await sharp({ create: { width: 300, height: 300, channels: 3, background: 'red' } }).webp().toBuffer();
+    const validation = await imageService.validateStickerFile(notExact, 'static');
+    check('Sticker without a 512px side fails validation', !validation.isValid && /512px on one side/.test(validation.errors.join()),
+      validation.errors.join());
+    check('Wide 512px sticker passes validation',
+      (await imageService.validateStickerFile(await sharp(await solid(512, 200)).webp().toBuffer(), 'static')).isValid);
+  }
+  console.log();
+
+  // Test 3: Manifest safe area
+  console.log('3. Testing the safeArea manifest field...');
+  {
+    const base = { id: 'safe', name: 'Safe', description: 'Safe area', emojis: ['📐'], asset: 'safe.png', type: 'face_swap' };
+    const rejects = (template) => {
+      try {
+        templates.validateTemplate(template);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    };
+
+    check('One number is accepted', rejects({ ...base, safeArea: 24 }) === null);
+    check('Per-side margins are accepted', rejects({ ...base, safeArea: { bottom: 64, top: 8 } }) === null);
+    check('Negative margin is rejected', !!rejects({ ...base, safeArea: -1 }));
+    check('Too wide margin is rejected', !!rejects({ ...base, safeArea: { left: CONFIG.STICKER_MAX_SAFE_AREA + 1 } }));
+    check('Unknown side is rejected', /unknown fields/.test(rejects({ ...base, safeArea: { middle: 4 } }) || ''));
+    check('Video templates have no safe area', !!rejects({ ...base, asset: 'safe.webm', format: 'video', safeArea: 8 }));
+
+    const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'sticker-layout-test-'));
+    try {
+      fs.writeFileSync(path.join(tempRoot, 'safe.png'), await solid(64, 64));
+      const manifestPath = path.join(tempRoot, 'templates.json');
+      fs.writeFileSync(manifestPath, JSON.stringify({
+        templates: [
+          { ...base, id: 'a', safeArea: 24 },
+          { ...base, id: 'b', safeArea: { bottom: 64 } },
+          { ...base, id: 'c' }
+        ]
+      }));
+      const [a, b, c] = templates.loadTemplateManifest(manifestPath).templates;
+
+      check('One number covers every side', JSON.stringify(a.safeArea) === '{"top":24,"right":24,"bottom":24,"left":24}');
+      check('Missing sides are zero', JSON.stringify(b.safeArea) === '{"top":0,"right":0,"bottom":64,"left":0}');
+      check('Default safe area is used', Object.values(c.safeArea).every(margin => margin === CONFIG.STICKER_DEFAULT_SAFE_AREA));
+    } finally {
+      fs.rmSync(tempRoot, { recursive: true, force: true });
+    }
+  }
+  console.log();
+
+  // Test 4: Golden images of the bundled templates
+  console.log(`4. ${UPDATE_GOLDEN ? 'Updating' : 'Comparing'} golden images...`);
+  {
+    fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+    const staticTemplates = templates.getAllTemplates().filter(template => templates.getTemplateFormat(template) === 'static');
+
+    for (const template of staticTemplates) {
+      const asset = fs.readFileSync(template.assetPath);
+
+      // As delivered: the template with its own safe area
+      const fit = await imageService.optimizeForStickers(asset, { safeArea: template.safeArea });
+      // A small wide result, like a face-swap provider that returned a cropped image
+      const wideSource = await sharp(asset).resize(320, 180, { fit: 'cover' }).png().toBuffer();
+      const wide = await imageService.optimizeForStickers(wideSource, { safeArea: { top: 24, right: 24, bottom: 24, left: 24 } });
+
+      for (const [name, sticker, size] of [['fit', fit, '512x512'], ['wide', wide, '512x309']]) {
+        const metadata = await sharp(sticker).metadata();
+        const validation = await imageService.validateStickerFile(sticker, 'static');
+        const result = await compareWithGolden(`template-${template.id}-${name}`, sticker);
+
+        const label = `Template ${template.id} (${name})`;
+        if (result.updated) {
+          check(`${label} golden image written`, validation.isValid);
+        } else if (result.missing) {
+          check(`${label} has a golden image`, false, 'run with UPDATE_GOLDEN=1');
+        } else {
+          check(`${label} matches its golden image`,
+            validation.isValid && `${metadata.width}x${metadata.height}` === size && result.difference <= GOLDEN_TOLERANCE,
+            `${metadata.width}x${metadata.height}, ${result.details}`);
+        }
+      }
+    }
+  }
+  console.log();
+
+  report('Sticker layout');
+}
+
+testStickerLayout().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
@@ -89,7 +89,7 @@ async function testTelegramController() {
     // Test 1: Controller initialization
     console.log('1. Testing controller initialization...');
     console.log(`   Controller created: ${controller ? '✅' : '❌'}`);
-    console.log(`   User states map: ${controller.userStates ? '✅' : '❌'}`);
+    console.log(`   State methods: ${typeof controller.getUserState === 'function' ? '✅' : '❌'}`);
     console.log(`   Methods available: ${typeof controller.handleWebhook === 'function' ? '✅' : '❌'}`);
     console.log();
 
@@ -155,17 +155,17 @@ async function testTelegramController() {
       const testChatId = 12345;
       
       // Test initial state
-      const initialState = controller.getUserState(testChatId);
+      const initialState = await controller.getUserState(testChatId);
       console.log(`   Initial state: ${initialState}`);
       
       // Set processing state
-      controller.setUserState(testChatId, BOT_STATES.PROCESSING);
-      const processingState = controller.getUserState(testChatId);
+      await controller.setUserState(testChatId, BOT_STATES.PROCESSING);
+      const processingState = await controller.getUserState(testChatId);
       console.log(`   Processing state set: ${processingState === BOT_STATES.PROCESSING ? '✅' : '❌'}`);
       
       // Set completed state
-      controller.setUserState(testChatId, BOT_STATES.COMPLETED);
-      const completedState = controller.getUserState(testChatId);
+      await controller.setUserState(testChatId, BOT_STATES.COMPLETED);
+      const completedState = await controller.getUserState(testChatId);
       console.log(`   Completed state set: ${completedState === BOT_STATES.COMPLETED ? '✅' : '❌'}`);
       
       console.log('   ✅ State management working correctly');
@@ -0,0 +1,138 @@
+/**
+ * Template Picker Test Script
+ * Tests signed callback data and the callback_query router with Telegram calls stubbed out
+ */
+
+const callbackData = require('../src/utils/callbackData');
+const telegramService = require('../src/services/telegramService');
+const jobQueueService = require('../src/services/jobQueueService');
+const MemoryJobStore = require('../src/stores/memoryJobStore');
+const controller = require('../src/controllers/telegramController');
+const { VALIDATION, BOT_STATES } = require('../src/config/constants');
+const { getAllTemplates } = require('../src/config/templates');
+const { check, report } = require('./helpers/check');
+
+const USER_ID = 424242;
+const CHAT_ID = 424242;
+
+// Record outgoing Telegram calls instead of hitting the API
+const sent = [];
+const answers = [];
+let nextMessageId = 1000;
+
+telegramService.isConfigured = () => true;
+telegramService.sendMessage = async (chatId, text, options = {}) => {
+  const message = { message_id: nextMessageId++, chat: { id: chatId }, text, options };
+  sent.push(message);
+  return message;
+};
+telegramService.editMessage = async (chatId, messageId, text, options = {}) => {
+  sent.push({ message_id: messageId, chat: { id: chatId }, text, options, edited: true });
+  return { message_id: messageId };
+};
+telegramService.answerCallbackQuery = async (callbackQueryId, options = {}) => {
+  answers.push({ callbackQueryId, ...options });
+  return true;
+};
+
+const createCallbackQuery = (data, messageId, userId = USER_ID) => ({
+  id: `cbq_${Math.random().toString(36).slice(2)}`,
+  from: { id: userId, first_name: 'Test' },
+  message: { message_id: messageId, chat: { id: CHAT_ID } },
+  data
+});
+
+const findButton = (message, predicate) =>
+  message.options.reply_markup.inline_keyboard.flat().find(predicate);
+
+async function testTemplatePicker() {
+  console.log('🎛️ Testing Template Picker');
+  console.log('==========================\n');
+
+  // Test 1: Callback data signing
+  console.log('1. Testing signed callback data...');
+  {
+    const data = callbackData.encode('tpl', ['12'], USER_ID);
+    const decoded = callbackData.decode(data, USER_ID);
+
+    check('Round trip keeps action and args', decoded?.action === 'tpl' && decoded.args[0] === '12', data);
+    check('Other user cannot reuse data', callbackData.decode(data, USER_ID + 1) === null);
+    check('Tampered args are rejected', callbackData.decode(data.replace(':12:', ':11:'), USER_ID) === null);
+    check('Malformed data is rejected', callbackData.decode('tpl:12', USER_ID) === null);
+
+    let tooLongRejected = false;
+    try {
+      callbackData.encode('tpl', ['x'.repeat(VALIDATION.MAX_CALLBACK_DATA_LENGTH)], USER_ID);
+    } catch (error) {
+      tooLongRejected = error.name === 'ValidationError';
+    }
+    check('Data over the byte limit is rejected', tooLongRejected);
+  }
+  console.log();
+
+  // Test 2: Picker flow
+  console.log('2. Testing template picker flow...');
+  {
+    const store = new MemoryJobStore();
+    jobQueueService.setStore(store);
+    jobQueueService.stop(); // Keep the queued job pending for inspection
+
+    await controller.handlePhotoMessage(CHAT_ID, USER_ID, [{ file_id: 'AgACAgIAAxkBAAIC_picker_photo', width: 640, height: 480 }], 'Test', 1);
+
+    const picker = sent[sent.length - 1];
+    check('Picker is sent with a keyboard', !!picker.options.reply_markup);
+    check('State is choosing templates', (await controller.getUserState(CHAT_ID)) === BOT_STATES.CHOOSING_TEMPLATES);
+
+    const allButtons = picker.options.reply_markup.inline_keyboard.flat();
+    const longest = Math.max(...allButtons.map(button => Buffer.byteLength(button.callback_data, 'utf8')));
+    check('All callback data fits the limit', longest <= VALIDATION.MAX_CALLBACK_DATA_LENGTH, `${longest} bytes`);
+
+    // Deselect the first template
+    const firstTemplate = getAllTemplates()[0];
+    const toggle = findButton(picker, button => callbackData.decode(button.callback_data, USER_ID)?.args[0] === firstTemplate.id);
+    await controller.processCallbackQuery(createCallbackQuery(toggle.callback_data, picker.message_id));
+
+    const edited = sent[sent.length - 1];
+    check('Toggle edits the picker', edited.edited && edited.message_id === picker.message_id);
+    check('Toggle answers the query', answers.length === 1);
+
+    // Forged button is rejected
+    await controller.processCallbackQuery(createCallbackQuery('tpl_go::AAAAAAAAAA', picker.message_id));
+    check('Forged data gets an answer but no job', answers.length === 2 && (await store.findByUser(USER_ID)).length === 0);
+
+    // Confirm selection
+    const confirm = findButton(edited, button => callbackData.decode(button.callback_data, USER_ID)?.action === 'tpl_go');
+    await controller.processCallbackQuery(createCallbackQuery(confirm.callback_data, picker.message_id));
+
+    const jobs = await store.findByUser(USER_ID);
+    const templateIds = jobs[0]?.options?.templateIds;
+    check('Confirm queues one job', jobs.length === 1);
+    check('Deselected template is excluded', Array.isArray(templateIds) && !templateIds.includes(firstTemplate.id),
+      `${templateIds?.length} templates`);
+    check('State is processing', (await controller.getUserState(CHAT_ID)) === BOT_STATES.PROCESSING);
+
+    // Pressing the picker again does nothing
+    await controller.processCallbackQuery(createCallbackQuery(confirm.callback_data, picker.message_id));
+    check('Used picker is expired', (await store.findByUser(USER_ID)).length === 1 && !!answers[answers.length - 1].text);
+
+    await controller.setUserState(CHAT_ID, BOT_STATES.IDLE);
+  }
+  console.log();
+
+  // Test 3: Template resolution
+  console.log('3. Testing template resolution...');
+  {
+    const total = getAllTemplates().length;
+    check('null means all templates', controller.resolveTemplates(null).length === total);
+    check('Chosen templates are used', controller.resolveTemplates(['1', '2']).length === 2);
+    check('Unknown IDs fall back to all', controller.resolveTemplates(['does-not-exist']).length === total);
+  }
+  console.log();
+
+  report('Template picker');
+}
+
+testTemplatePicker().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,175 @@
+/**
+ * Template Registry Test Script
+ * Tests manifest schema validation, ordering, enabled flags and hot reload
+ */
+
+// Keep results out of the shared cache directory
+process.env.CACHE_ENABLED = 'false';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const templates = require('../src/config/templates');
+const cacheService = require('../src/services/cacheService');
+const faceSwapService = require('../src/services/faceSwapService');
+const LocalFaceSwapProvider = require('../src/providers/localFaceSwapProvider');
+const controller = require('../src/controllers/telegramController');
+const { check, report } = require('./helpers/check');
+
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'template-registry-test-'));
+
+const writeManifest = (name, manifestTemplates) => {
+  const manifestPath = path.join(tempRoot, name);
+  fs.writeFileSync(manifestPath, JSON.stringify({ version: 2, templates: manifestTemplates }));
+  return manifestPath;
+};
+
+const rejects = (template, options) => {
+  try {
+    templates.validateTemplate(template, options);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+async function testTemplateRegistry() {
+  console.log('🗂️ Testing Template Registry');
+  console.log('============================\n');
+
+  const defaultManifest = templates.getManifestInfo().path;
+
+  // Test 1: Bundled manifest
+  console.log('1. Testing bundled manifest...');
+  {
+    const all = templates.getAllTemplates();
+    const readyIds = all.filter(template => template.type === 'ready_sticker').map(template => template.id);
+
+    check('All templates are loaded', all.length === 12, `${all.length} templates`);
+    check('Ready stickers come from the manifest', readyIds.join() === '11,12', readyIds.join());
+    check('Local assets exist', all.every(template => fs.existsSync(template.assetPath)));
+    check('Primary emoji is the first in the list', all.every(template => template.emoji === template.emojis[0]));
+  }
+  console.log();
+
+  // Test 2: Schema validation
+  console.log('2. Testing schema validation...');
+  {
+    await sharp({ create: { width: 400, height: 300, channels: 3, background: 'blue' } })
+      .png()
+      .toFile(path.join(tempRoot, 'face.png'));
+
+    const valid = {
+      id: 'a',
+      name: 'A',
+      description: 'Template A',
+      type: 'face_swap',
+      emojis: ['😄', '😂'],
+      keywords: ['мем'],
+      asset: 'face.png',
+      faceHints: { x: 0.5, y: 0.4, size: 0.3 }
+    };
+    const options = { baseDir: tempRoot };
+
+    check('Valid template passes', rejects(valid, options) === null);
+    check('Unknown field is rejected', !!rejects({ ...valid, emoij: '😄' }, options));
+    check('Unknown type is rejected', !!rejects({ ...valid, type: 'collage' }, options));
+    check('Empty emoji list is rejected', !!rejects({ ...valid, emojis: [] }, options));
+    check('Missing asset file is rejected', !!rejects({ ...valid, asset: 'missing.png' }, options));
+    check('Asset outside the manifest folder is rejected', !!rejects({ ...valid, asset: '../face.png' }, options));
+    check('Template without image is rejected', !!rejects({ ...valid, asset: undefined }, options));
+    check('Face hints out of range are rejected', !!rejects({ ...valid, faceHints: { x: 2, y: 0.5, size: 0.3 } }, options));
+    check('Non-boolean enabled is rejected', !!rejects({ ...valid, enabled: 'yes' }, options));
+  }
+  console.log();
+
+  // Test 3: Reload
+  console.log('3. Testing reload...');
+  {
+    const base = { description: 'Test', emojis: ['😄'], asset: 'face.png' };
+    const manifestPath = writeManifest('templates.json', [
+      { ...base, id: 'late', name: 'Late', type: 'face_swap', order: 20 },
+      { ...base, id: 'hidden', name: 'Hidden', type: 'face_swap', enabled: false, order: 5 },
+      { ...base, id: 'early', name: 'Early', type: 'ready_sticker', order: 10 }
+    ]);
+
+    const heldReference = templates.MEME_TEMPLATES;
+    const result = templates.reloadTemplates(manifestPath);
+    const ids = templates.getAllTemplates().map(template => template.id);
+
+    check('Reload reports counts', result.total === 3 && result.enabled === 2 && result.version === 2, JSON.stringify(result));
+    check('Templates follow order', ids.join() === 'early,late', ids.join());
+    check('Disabled template is hidden', !ids.includes('hidden'));
+    check('Registry array is updated in place', heldReference === templates.MEME_TEMPLATES && heldReference.length === 3);
+
+    let notFound = false;
+    try {
+      templates.getTemplateById('hidden');
+    } catch (error) {
+      notFound = true;
+    }
+    check('Disabled template cannot be looked up', notFound);
+
+    const brokenPath = writeManifest('broken.json', [
+      { ...base, id: 'dup', name: 'One', type: 'face_swap' },
+      { ...base, id: 'dup', name: 'Two', type: 'face_swap' }
+    ]);
+
+    let reloadError = null;
+    try {
+      templates.reloadTemplates(brokenPath);
+    } catch (error) {
+      reloadError = error.message;
+    }
+    check('Duplicate ids fail the reload', reloadError?.includes('Duplicate'), reloadError);
+    check('Previous registry stays active', templates.getAllTemplates().map(template => template.id).join() === 'early,late');
+  }
+  console.log();
+
+  // Test 4: Processing by type with local assets
+  console.log('4. Testing processing by type...');
+  {
+    const early = templates.getTemplateById('early');
+    const image = await cacheService.getTemplateImage(early);
+    check('Local asset is read from disk', (await sharp(image).metadata()).width === 400);
+
+    const userPhoto = await sharp({ create: { width: 600, height: 800, channels: 3, background: 'red' } }).png().toBuffer();
+    const provider = new LocalFaceSwapProvider();
+    faceSwapService.setProvider(provider);
+
+    let faceSwaps = 0;
+    const originalCreateTask = provider.createTask.bind(provider);
+    provider.createTask = async (targetUrl, sourceUrl, options) => {
+      faceSwaps++;
+      provider.lastOptions = options;
+      return originalCreateTask(targetUrl, sourceUrl, options);
+    };
+
+    await controller.processTemplate(early, userPhoto, 0, 0, 424242);
+    check('Ready sticker skips face swap', faceSwaps === 0);
+
+    const withHints = {
+      ...templates.getTemplateById('late'),
+      faceHints: { x: 0.25, y: 0.25, size: 0.2 }
+    };
+    const sticker = await controller.processTemplate(withHints, userPhoto, 0, 0, 424242);
+
+    check('Face swap template uses the provider', faceSwaps === 1);
+    check('Face hints reach the provider', provider.lastOptions?.targetRegion?.x === 0.25,
+      JSON.stringify(provider.lastOptions?.targetRegion));
+    check('Asset-only template produces a sticker', (await sharp(sticker).metadata()).format === 'webp');
+  }
+  console.log();
+
+  templates.reloadTemplates(defaultManifest);
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+
+  report('Template registry');
+}
+
+testTemplateRegistry().catch(error => {
+  console.error('❌ Test script failed:', error);
+  fs.rmSync(tempRoot, { recursive: true, force: true });
+  process.exit(1);
+});
@@ -0,0 +1,138 @@
+/**
+ * User Packs Test Script
+ * Tests pack ownership records and adding stickers to an existing pack
+ */
+
+const userPacksService = require('../src/services/userPacksService');
+const stickerService = require('../src/services/stickerService');
+const MemoryUserPackStore = require('../src/stores/memoryUserPackStore');
+const errorHandler = require('../src/utils/errorHandler');
+const { CONFIG } = require('../src/config/constants');
+const { check, report } = require('./helpers/check');
+
+/**
+ * Build an error the way errorHandler.handleTelegramError reports a failed Bot API call
+ */
+function telegramError(status, description) {
+  return errorHandler.handleTelegramError({ response: { status, data: { ok: false, description } } });
+}
+
+/**
+ * Replace Telegram API calls of the sticker service with an in-memory pack
+ */
+function stubStickerApi(packName, initialCount) {
+  const pack = {
+    name: packName,
+    title: 'Test pack',
+    stickers: Array.from({ length: initialCount }, (_, i) => ({ file_id: `existing_${i}` }))
+  };
+  const calls = { upload: 0, add: 0 };
+
+  stickerService.getStickerSet = async (name) => {
+    if (name !== packName) {
+      throw telegramError(400, 'Bad Request: STICKERSET_INVALID');
+    }
+    return { ...pack, stickers: [...pack.stickers] };
+  };
+  stickerService.uploadStickerFile = async () => `uploaded_${++calls.upload}`;
+  stickerService.addStickerToSet = async (userId, name, fileId) => {
+    calls.add++;
+    pack.stickers.push({ file_id: fileId });
+    return true;
+  };
+
+  return calls;
+}
+
+async function testUserPacks() {
+  console.log('📦 Testing User Packs');
+  console.log('=====================\n');
+
+  // Test 1: Ownership records
+  console.log('1. Testing pack ownership records...');
+  {
+    userPacksService.setStore(new MemoryUserPackStore());
+
+    await userPacksService.recordPack(1001, 'pack_one_by_bot', { title: 'One', stickerCount: 5 });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await userPacksService.recordPack(1001, 'pack_two_by_bot', { title: 'Two', stickerCount: 3 });
+
+    const latest = await userPacksService.getLatestPack(1001);
+    check('Latest pack is the most recently updated', latest?.packName === 'pack_two_by_bot', latest?.packName);
+    check('Owner is recognized', await userPacksService.isPackOwner(1001, 'pack_one_by_bot'));
+    check('Other user is not owner', !(await userPacksService.isPackOwner(2002, 'pack_one_by_bot')));
+    check('Invalid user ID is rejected', !(await userPacksService.recordPack('bad', 'pack_x_by_bot')));
+  }
+  console.log();
+
+  // Test 2: Adding to a pack with free slots
+  console.log('2. Testing update mode respects the sticker cap...');
+  {
+    const packName = 'pack_near_full_by_bot';
+    const calls = stubStickerApi(packName, CONFIG.MAX_STICKERS_PER_PACK - 2);
+    const buffers = [Buffer.from('a'), Buffer.from('b'), Buffer.from('c')];
+
+    const result = await stickerService.addStickersToExistingPack(1001, packName, buffers, ['😄', '😂', '😎']);
+
+    check('Mode is update', result.mode === 'update');
+    check('Only free slots are filled', result.addedStickers === 2, `added ${result.addedStickers}`);
+    check('Extra stickers are skipped', result.skippedStickers === 1);
+    check('Pack reaches the cap', result.stickerCount === CONFIG.MAX_STICKERS_PER_PACK);
+    check('Only needed stickers are uploaded', calls.upload === 2);
+  }
+  console.log();
+
+  // Test 3: Full and missing packs
+  console.log('3. Testing full and missing packs...');
+  {
+    const packName = 'pack_full_by_bot';
+    const calls = stubStickerApi(packName, CONFIG.MAX_STICKERS_PER_PACK);
+
+    try {
+      await stickerService.addStickersToExistingPack(1001, packName, [Buffer.from('a')], ['😄']);
+      check('Full pack throws', false);
+    } catch (error) {
+      check('Full pack throws PackFullError', error.name === 'PackFullError', error.name);
+      check('Nothing is uploaded to a full pack', calls.upload === 0);
+    }
+
+    try {
+      await stickerService.addStickersToExistingPack(1001, 'pack_missing_by_bot', [Buffer.from('a')], ['😄']);
+      check('Missing pack throws', false);
+    } catch (error) {
+      check('Missing pack throws PackNotFoundError', error.name === 'PackNotFoundError', error.name);
+    }
+
+    // A Bot API outage is not a missing pack
+    stickerService.getStickerSet = async () => {
+      throw telegramError(500, 'Internal Server Error');
+    };
+
+    try {
+      await stickerService.addStickersToExistingPack(1001, packName, [Buffer.from('a')], ['😄']);
+      check('Unavailable pack throws', false);
+    } catch (error) {
+      check('Server errors are passed through', error.name === 'TelegramApiError' && error.statusCode === 500, error.name);
+    }
+
+    // Neither is any other bad request
+    stickerService.getStickerSet = async () => {
+      throw telegramError(400, 'Bad Request: not enough rights to get the sticker set');
+    };
+
+    try {
+      await stickerService.addStickersToExistingPack(1001, packName, [Buffer.from('a')], ['😄']);
+      check('Rejected request throws', false);
+    } catch (error) {
+      check('Other bad requests are passed through', error.name === 'TelegramApiError' && error.statusCode === 400, error.name);
+    }
+  }
+  console.log();
+
+  report('User packs');
+}
+
+testUserPacks().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});
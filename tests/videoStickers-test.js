@@ -0,0 +1,255 @@
+/**
+ * Video Stickers Test Script
+ * Tests template formats, frame extraction, per-format validation and mixed packs
+ * Encoding checks run only when ffmpeg is installed
+ */
+
+// Sticker service needs a token to build API URLs; requests are stubbed below
+process.env.TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || 'test-token';
+
+const axios = require('axios');
+const sharp = require('sharp');
+const imageService = require('../src/services/imageService');
+const videoService = require('../src/services/videoService');
+const stickerService = require('../src/services/stickerService');
+const { validateTemplate, getTemplateFormat } = require('../src/config/templates');
+const { CONFIG } = require('../src/config/constants');
+const { check, report } = require('./helpers/check');
+
+/**
+ * Build an animated GIF of solid-color frames
+ * LZW data is written uncompressed (9-bit codes, table reset every 250 codes)
+ * @param {Array<Object>} frames - { color: [r, g, b], delay (ms) }
+ */
+function animatedGif(width, height, frames) {
+  const palette = Buffer.alloc(256 * 3);
+  frames.forEach((frame, i) => Buffer.from(frame.color).copy(palette, i * 3));
+
+  const encodePixels = (index) => {
+    const codes = [256];
+    for (let i = 0; i < width * height; i++) {
+      if (i > 0 && i % 250 === 0) codes.push(256);
+      codes.push(index);
+    }
+    codes.push(257);
+
+    const bytes = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    codes.forEach(code => {
+      bitBuffer |= code << bitCount;
+      bitCount += 9;
+      while (bitCount >= 8) {
+        bytes.push(bitBuffer & 0xFF);
+        bitBuffer >>= 8;
+        bitCount -= 8;
+      }
+    });
+    if (bitCount > 0) bytes.push(bitBuffer & 0xFF);
+
+    const blocks = [];
+    for (let i = 0; i < bytes.length; i += 255) {
+      const chunk = bytes.slice(i, i + 255);
+      blocks.push(chunk.length, ...chunk);
+    }
+    return Buffer.from([8, ...blocks, 0]);
+  };
+
+  const u16 = (value) => [value & 0xFF, value >> 8];
+
+  return Buffer.concat([
+    Buffer.from('GIF89a'),
+    Buffer.from([...u16(width), ...u16(height), 0xF7, 0, 0]),
+    palette,
+    Buffer.from([0x21, 0xFF, 0x0B, ...Buffer.from('NETSCAPE2.0'), 3, 1, 0, 0, 0]),
+    ...frames.map((frame, i) => Buffer.concat([
+      Buffer.from([0x21, 0xF9, 4, 0, ...u16(Math.round(frame.delay / 10)), 0, 0]),
+      Buffer.from([0x2C, 0, 0, 0, 0, ...u16(width), ...u16(height), 0]),
+      encodePixels(i)
+    ])),
+    Buffer.from([0x3B])
+  ]);
+}
+
+async function testVideoStickers() {
+  console.log('🎬 Testing Video Stickers');
+  console.log('=========================\n');
+
+  const gif = animatedGif(60, 40, [
+    { color: [255, 0, 0], delay: 100 },
+    { color: [0, 255, 0], delay: 200 },
+    { color: [0, 0, 255], delay: 100 }
+  ]);
+
+  // Test 1: Template format field
+  console.log('1. Testing template format field...');
+  {
+    const base = {
+      id: 'v1',
+      name: 'Video',
+      description: 'Clip',
+      type: 'ready_sticker',
+      emojis: ['😄'],
+      imageUrl: 'https://example.com/clip.gif'
+    };
+
+    check('Format defaults to static', getTemplateFormat(base) === 'static');
+    check('Video format is accepted', validateTemplate({ ...base, format: 'video' }) === true);
+    check('Video format is reported', getTemplateFormat({ ...base, format: 'video' }) === 'video');
+
+    let rejected = false;
+    try {
+      validateTemplate({ ...base, format: 'gif' });
+    } catch (error) {
+      rejected = true;
+    }
+    check('Unknown format is rejected', rejected);
+  }
+  console.log();
+
+  // Test 2: Frame extraction
+  console.log('2. Testing frame extraction...');
+  {
+    const metadata = await sharp(gif, { animated: true }).metadata();
+    check('Fixture is a 3-frame GIF', metadata.pages === 3, `${metadata.pages} pages`);
+
+    const frames = await imageService.extractAnimationFrames(gif, {
+      maxSize: 512,
+      maxDuration: 3,
+      maxFps: 30
+    });
+
+    check('Longer side is exactly 512px', frames.width === 512, `${frames.width}x${frames.height}`);
+    check('Shorter side is even', frames.height % 2 === 0 && frames.height <= 512);
+    check('Frame rate follows the shortest delay', frames.fps === 10, `${frames.fps} fps`);
+    check('Frames are resampled over the clip', frames.frameCount === 4, `${frames.frameCount} frames`);
+    check('Raw RGBA size matches', frames.data.length === frames.frameCount * frames.width * frames.height * 4);
+
+    // Second source frame (green) lasts 200ms and is repeated
+    const frameSize = frames.width * frames.height * 4;
+    const pixelOf = (k) => [...frames.data.slice(k * frameSize, k * frameSize + 3)];
+    check('Frame delays are honored',
+      pixelOf(1)[1] > 200 && pixelOf(2)[1] > 200 && pixelOf(3)[2] > 200,
+      JSON.stringify([0, 1, 2, 3].map(pixelOf)));
+
+    const capped = await imageService.extractAnimationFrames(gif, { maxSize: 512, maxDuration: 0.2, maxFps: 30 });
+    check('Clip is cut at max duration', capped.frameCount === 2 && capped.duration <= 0.2);
+
+    check('WebM is left to ffmpeg', (await imageService.extractAnimationFrames(
+      Buffer.from([0x1A, 0x45, 0xDF, 0xA3, 0, 0, 0, 0]),
+      { maxSize: 512, maxDuration: 3, maxFps: 30 }
+    )) === null);
+
+    const apng = Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4E, 0x47]),
+      Buffer.from('....acTL....IDAT')
+    ]);
+    check('APNG is detected', imageService.isAnimatedPng(apng));
+    check('Plain PNG is not APNG', !imageService.isAnimatedPng(Buffer.from('....IDAT....')));
+  }
+  console.log();
+
+  // Test 3: Per-format validation
+  console.log('3. Testing per-format validation...');
+  {
+    const webp = await sharp({ create: { width: 512, height: 512, channels: 3, background: 'red' } }).webp().toBuffer();
+    const png = await sharp({ create: { width: 512, height: 512, channels: 3, background: 'red' } }).png().toBuffer();
+
+    check('WebP passes static validation', (await imageService.validateStickerFile(webp, 'static')).isValid);
+    check('PNG fails static validation', !(await imageService.validateStickerFile(png, 'static')).isValid);
+    check('WebP fails video validation', !(await imageService.validateStickerFile(webp, 'video')).isValid);
+
+    const bigWebm = Buffer.concat([
+      Buffer.from([0x1A, 0x45, 0xDF, 0xA3]),
+      Buffer.alloc(CONFIG.MAX_VIDEO_STICKER_FILE_SIZE)
+    ]);
+    const oversized = await imageService.validateStickerFile(bigWebm, 'video');
+    check('Video over 256KB fails', oversized.errors.some(error => error.includes('too large')), oversized.errors.join('; '));
+    check('Unknown format fails', !(await imageService.validateStickerFile(webp, 'animated')).isValid);
+  }
+  console.log();
+
+  // Test 4: Mixed pack requests
+  console.log('4. Testing mixed static and video pack...');
+  {
+    const requests = [];
+    const originalPost = axios.post;
+    const originalGet = axios.get;
+
+    axios.post = async (url, data) => {
+      const method = url.split('/').pop();
+
+      if (method === 'uploadStickerFile') {
+        const body = data.getBuffer().toString('latin1');
+        const format = body.match(/name="sticker_format"\r\n\r\n(\w+)/)?.[1];
+        const filename = body.match(/filename="([^"]+)"/)?.[1];
+        requests.push({ method, format, filename });
+        return { data: { ok: true, result: { file_id: `file_${requests.length}_${format}` } } };
+      }
+
+      const stickers = method === 'createNewStickerSet' ? JSON.parse(data.stickers) : [JSON.parse(data.sticker)];
+      requests.push({ method, stickers });
+      return { data: { ok: true, result: true } };
+    };
+    axios.get = async () => ({ data: { ok: true, result: { title: 'Test', stickers: [] } } });
+
+    try {
+      await stickerService.createCompleteStickerPack(
+        1001,
+        [Buffer.from('static'), Buffer.from('video'), Buffer.from('static')],
+        ['😄', '😂', '😎'],
+        'Test pack',
+        { formats: ['static', 'video', 'static'] }
+      );
+
+      const uploads = requests.filter(request => request.method === 'uploadStickerFile');
+      const created = requests.find(request => request.method === 'createNewStickerSet');
+      const added = requests.filter(request => request.method === 'addStickerToSet');
+
+      check('Upload formats follow stickers', uploads.map(upload => upload.format).join() === 'static,video,static',
+        uploads.map(upload => upload.format).join());
+      check('Video is uploaded as WebM', uploads[1].filename === 'sticker.webm');
+      check('First sticker keeps its format', created?.stickers[0].format === 'static');
+      check('Added stickers keep their formats', added.map(add => add.stickers[0].format).join() === 'video,static');
+
+      let rejected = false;
+      try {
+        await stickerService.createCompleteStickerPack(1001, [Buffer.from('a')], ['😄'], 'Test', { formats: [] });
+      } catch (error) {
+        rejected = error.name === 'ValidationError';
+      }
+      check('Formats must match stickers', rejected);
+    } finally {
+      axios.post = originalPost;
+      axios.get = originalGet;
+    }
+  }
+  console.log();
+
+  // Test 5: Encoding (needs ffmpeg)
+  console.log('5. Testing WebM encoding...');
+  if (!videoService.isAvailable()) {
+    console.log('   ⚠️ ffmpeg not installed - skipping encoding checks');
+
+    try {
+      await imageService.optimizeForVideoStickers(gif);
+      check('Missing ffmpeg fails', false);
+    } catch (error) {
+      check('Missing ffmpeg is a configuration error', error.name === 'ConfigurationError', error.name);
+    }
+  } else {
+    const webm = await imageService.optimizeForVideoStickers(gif);
+    const validation = await imageService.validateStickerFile(webm, 'video');
+
+    check('Output is a valid video sticker', validation.isValid, validation.errors.join('; '));
+    check('Output fits 256KB', webm.length <= CONFIG.MAX_VIDEO_STICKER_FILE_SIZE, `${webm.length} bytes`);
+  }
+  console.log();
+
+  report('Video sticker');
+}
+
+testVideoStickers().catch(error => {
+  console.error('❌ Test script failed:', error);
+  process.exit(1);
+});